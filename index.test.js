@@ -20,6 +20,9 @@ import { parseLcovDetailed, getLineCoverageStatus } from './src/coverage.js';
 import { getRunner, detectRunner, getRunnerNames } from './src/runners/index.js';
 import * as vitestRunner from './src/runners/vitest.js';
 import * as bunRunner from './src/runners/bun.js';
+import * as jestRunner from './src/runners/jest.js';
+import * as nodeTestRunner from './src/runners/node-test.js';
+import * as mochaRunner from './src/runners/mocha.js';
 import { parsePnpmWorkspaceYaml, discoverPackages } from './src/packages.js';
 
 // =============================================================================
@@ -737,7 +740,7 @@ describe('resolveCommand', () => {
 // parseLcovDetailed (with DA: and BRDA: lines)
 // =============================================================================
 
-import { writeFileSync, mkdtempSync, rmSync, mkdirSync } from 'node:fs';
+import { writeFileSync, readFileSync, mkdtempSync, rmSync, mkdirSync } from 'node:fs';
 import { join, basename } from 'node:path';
 import { tmpdir } from 'node:os';
 
@@ -1062,8 +1065,24 @@ describe('runner registry', () => {
       expect(detectRunner('bun test --coverage --bail')).toBe('bun');
     });
 
+    it('should detect jest from test script', () => {
+      expect(detectRunner('jest')).toBe('jest');
+    });
+
+    it('should detect jest from complex script', () => {
+      expect(detectRunner('cross-env NODE_ENV=test jest --runInBand')).toBe('jest');
+    });
+
+    it('should detect mocha from test script', () => {
+      expect(detectRunner('nyc mocha --recursive')).toBe('mocha');
+    });
+
+    it('should detect node --test from test script', () => {
+      expect(detectRunner('node --test test/')).toBe('node-test');
+    });
+
     it('should return null for unknown runner', () => {
-      expect(detectRunner('jest')).toBeNull();
+      expect(detectRunner('karma start')).toBeNull();
     });
 
     it('should return null for null input', () => {
@@ -1092,8 +1111,14 @@ describe('runner registry', () => {
       expect(runner.name).toBe('bun');
     });
 
+    it('should return jest runner by name', () => {
+      const runner = getRunner('jest');
+      expect(runner).not.toBeNull();
+      expect(runner.name).toBe('jest');
+    });
+
     it('should return null for unknown runner name', () => {
-      expect(getRunner('jest')).toBeNull();
+      expect(getRunner('karma')).toBeNull();
     });
 
     it('should return null for null name', () => {
@@ -1105,8 +1130,11 @@ describe('runner registry', () => {
     it('should return array of runner names', () => {
       const names = getRunnerNames();
       expect(names).toContain('vitest');
+      expect(names).toContain('jest');
+      expect(names).toContain('mocha');
+      expect(names).toContain('node-test');
       expect(names).toContain('bun');
-      expect(names).toHaveLength(2);
+      expect(names).toHaveLength(5);
     });
   });
 });
@@ -1136,10 +1164,9 @@ describe('vitest runner adapter', () => {
 
   describe('buildCommand', () => {
     it('should return pnpm command with vitest args', () => {
-      const { command, args } = vitestRunner.buildCommand();
+      const { command, args } = vitestRunner.buildCommand({ packageManager: 'pnpm' });
       expect(command).toBe('pnpm');
-      expect(args).toContain('vitest');
-      expect(args).toContain('run');
+      expect(args.slice(0, 3)).toEqual(['exec', 'vitest', 'run']);
       expect(args).toContain('--reporter=dot');
       expect(args).toContain('--reporter=junit');
     });
@@ -1151,6 +1178,11 @@ describe('vitest runner adapter', () => {
       expect(args).toContain('--coverage.reporter=lcov');
     });
 
+    it('should pass an explicit config file', () => {
+      const { args } = vitestRunner.buildCommand({ configFile: '/ws/apps/web/vite.config.ts' });
+      expect(args.slice(-2)).toEqual(['--config', '/ws/apps/web/vite.config.ts']);
+    });
+
     it('should not include --coverage by default', () => {
       const { args } = vitestRunner.buildCommand();
       expect(args).not.toContain('--coverage');
@@ -1311,210 +1343,919 @@ Ran 20 tests across 3 files. [750.00ms]
 });
 
 // =============================================================================
-// parsePnpmWorkspaceYaml (packages.js)
+// Jest runner adapter (runners/jest.js)
 // =============================================================================
 
-describe('parsePnpmWorkspaceYaml', () => {
-  it('should parse standard format with quoted items', () => {
-    const content = `packages:
-  - "packages/*"
-  - "plugins/*"
-`;
-    const globs = parsePnpmWorkspaceYaml(content);
-    expect(globs).toEqual(['packages/*', 'plugins/*']);
-  });
+describe('jest runner adapter', () => {
+  describe('detect', () => {
+    it('should detect "jest"', () => {
+      expect(jestRunner.detect('jest')).toBe(true);
+    });
 
-  it('should parse single-quoted items', () => {
-    const content = `packages:
-  - 'packages/*'
-  - 'apps/*'
-`;
-    const globs = parsePnpmWorkspaceYaml(content);
-    expect(globs).toEqual(['packages/*', 'apps/*']);
-  });
+    it('should detect "jest" anywhere in script', () => {
+      expect(jestRunner.detect('cross-env NODE_ENV=test jest --coverage')).toBe(true);
+    });
 
-  it('should parse unquoted items', () => {
-    const content = `packages:
-  - packages/*
-  - apps/*
-`;
-    const globs = parsePnpmWorkspaceYaml(content);
-    expect(globs).toEqual(['packages/*', 'apps/*']);
-  });
+    it('should not detect vitest', () => {
+      expect(jestRunner.detect('vitest run')).toBe(false);
+    });
 
-  it('should parse mixed quoted and unquoted items', () => {
-    const content = `packages:
-  - "packages/*"
-  - plugins/*
-  - 'apps/*'
-`;
-    const globs = parsePnpmWorkspaceYaml(content);
-    expect(globs).toEqual(['packages/*', 'plugins/*', 'apps/*']);
+    it('should not detect packages merely containing "jest" in a word', () => {
+      expect(jestRunner.detect('node scripts/jester.js')).toBe(false);
+    });
   });
 
-  it('should return empty array for empty packages list', () => {
-    const content = `packages:
-otherKey: value
-`;
-    const globs = parsePnpmWorkspaceYaml(content);
-    expect(globs).toEqual([]);
+  describe('buildCommand', () => {
+    it('should return pnpm command with jest args and bundled junit reporter', () => {
+      const { command, args } = jestRunner.buildCommand({ packageManager: 'pnpm' });
+      expect(command).toBe('pnpm');
+      expect(args.slice(0, 2)).toEqual(['exec', 'jest']);
+      expect(args).toContain('--verbose');
+      expect(args).toContain('--reporters=default');
+      expect(args.some((a) => a.startsWith('--reporters=') && a.endsWith('jest-junit-reporter.cjs'))).toBe(true);
+    });
+
+    it('should include coverage reporters when coverage enabled', () => {
+      const { args } = jestRunner.buildCommand({ coverage: true });
+      expect(args).toContain('--coverage');
+      expect(args).toContain('--coverageReporters=json-summary');
+      expect(args).toContain('--coverageReporters=lcov');
+    });
+
+    it('should not include --coverage by default', () => {
+      const { args } = jestRunner.buildCommand();
+      expect(args).not.toContain('--coverage');
+    });
   });
 
-  it('should handle comments in the YAML', () => {
-    const content = `# workspace config
-packages:
-  # main packages
-  - packages/*
-  # plugins
-  - plugins/*
-`;
-    const globs = parsePnpmWorkspaceYaml(content);
-    expect(globs).toEqual(['packages/*', 'plugins/*']);
+  describe('progressStream', () => {
+    it('should read progress from stderr', () => {
+      expect(jestRunner.progressStream).toBe('stderr');
+    });
   });
 
-  it('should stop at next top-level key', () => {
-    const content = `packages:
-  - packages/*
-  - plugins/*
-catalog:
-  react: ^18.0.0
+  describe('countDots', () => {
+    it('should count verbose reporter marks', () => {
+      const chunk = `PASS src/math.test.js
+  math
+    ✓ adds (2 ms)
+    ✓ subtracts
+    ✕ divides (4 ms)
+    ○ skipped multiplies
+    ✎ todo modulo
 `;
-    const globs = parsePnpmWorkspaceYaml(content);
-    expect(globs).toEqual(['packages/*', 'plugins/*']);
+      expect(jestRunner.countDots(chunk)).toEqual({ passed: 2, skipped: 2, failed: 1 });
+    });
+
+    it('should ignore marks that are not at the start of a test line', () => {
+      expect(jestRunner.countDots('  ● math › divides ✕ expected')).toEqual({ passed: 0, skipped: 0, failed: 0 });
+    });
+
+    it('should handle empty string', () => {
+      expect(jestRunner.countDots('')).toEqual({ passed: 0, skipped: 0, failed: 0 });
+    });
   });
 
-  it('should handle explicit paths (no wildcards)', () => {
-    const content = `packages:
-  - packages/*
-  - plugins/my-plugin/test-app
+  describe('parseFinal', () => {
+    it('should parse jest final output (all pass)', () => {
+      const output = `
+Test Suites: 3 passed, 3 total
+Tests:       42 passed, 42 total
+Snapshots:   0 total
+Time:        1.234 s, estimated 2 s
+Ran all test suites.
 `;
-    const globs = parsePnpmWorkspaceYaml(content);
-    expect(globs).toEqual(['packages/*', 'plugins/my-plugin/test-app']);
-  });
+      const result = jestRunner.parseFinal(output);
+      expect(result.files).toBe(3);
+      expect(result.tests).toBe(42);
+      expect(result.passed).toBe(42);
+      expect(result.skipped).toBe(0);
+      expect(result.failed).toBe(0);
+      expect(result.duration).toBeCloseTo(1.234, 3);
+    });
 
-  it('should return empty array for content without packages key', () => {
-    const content = `catalog:
-  react: ^18.0.0
+    it('should parse jest final output (mixed, with todo)', () => {
+      const output = `
+Test Suites: 1 failed, 1 skipped, 2 passed, 3 of 4 total
+Tests:       2 failed, 3 skipped, 1 todo, 20 passed, 26 total
+Snapshots:   0 total
+Time:        812 ms
 `;
-    const globs = parsePnpmWorkspaceYaml(content);
-    expect(globs).toEqual([]);
+      const result = jestRunner.parseFinal(output);
+      expect(result.files).toBe(4);
+      expect(result.tests).toBe(26);
+      expect(result.passed).toBe(20);
+      expect(result.skipped).toBe(4);
+      expect(result.failed).toBe(2);
+      expect(result.duration).toBeCloseTo(0.812, 3);
+    });
+
+    it('should parse legacy time format without space', () => {
+      const result = jestRunner.parseFinal('Tests:       1 passed, 1 total\nTime:        2.5s\n');
+      expect(result.duration).toBeCloseTo(2.5, 2);
+    });
   });
 
-  it('should return empty array for empty content', () => {
-    expect(parsePnpmWorkspaceYaml('')).toEqual([]);
+  describe('getThresholds', () => {
+    let tempDir;
+
+    beforeEach(() => {
+      tempDir = mkdtempSync(join(tmpdir(), 'jest-thresholds-'));
+    });
+
+    afterEach(() => {
+      rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    it('should read coverageThreshold.global from jest.config.js', () => {
+      writeFileSync(join(tempDir, 'jest.config.js'), `module.exports = {
+  coverageThreshold: {
+    global: { branches: 70, functions: 80, lines: 85, statements: -10 },
+  },
+};
+`, 'utf-8');
+      expect(jestRunner.getThresholds(tempDir)).toEqual({ lines: 85, branches: 70, functions: 80 });
+    });
+
+    it('should read coverageThreshold from the package.json jest field', () => {
+      writeFileSync(join(tempDir, 'package.json'), JSON.stringify({
+        name: 'legacy',
+        jest: { coverageThreshold: { global: { lines: 90, functions: -5 } } },
+      }), 'utf-8');
+      expect(jestRunner.getThresholds(tempDir)).toEqual({ lines: 90 });
+    });
+
+    it('should return null without thresholds', () => {
+      writeFileSync(join(tempDir, 'package.json'), JSON.stringify({ name: 'plain' }), 'utf-8');
+      expect(jestRunner.getThresholds(tempDir)).toBeNull();
+    });
+
+    it('should check an explicit config file first', () => {
+      const configFile = join(tempDir, 'jest.unit.config.ts');
+      writeFileSync(configFile, `export default { coverageThreshold: { global: { lines: 75 } } };`, 'utf-8');
+      expect(jestRunner.getThresholds(tempDir, configFile)).toEqual({ lines: 75 });
+    });
   });
 });
 
 // =============================================================================
-// discoverPackages (packages.js)
+// Node built-in test runner adapter (runners/node-test.js)
 // =============================================================================
 
-describe('discoverPackages', () => {
-  let tempDir;
+describe('node-test runner adapter', () => {
+  describe('detect', () => {
+    it('should detect "node --test"', () => {
+      expect(nodeTestRunner.detect('node --test')).toBe(true);
+    });
 
-  beforeEach(() => {
-    tempDir = mkdtempSync(join(tmpdir(), 'discover-pkg-test-'));
-  });
+    it('should detect --test after other node flags', () => {
+      expect(nodeTestRunner.detect('node --experimental-strip-types --test test/')).toBe(true);
+    });
 
-  afterEach(() => {
-    rmSync(tempDir, { recursive: true, force: true });
+    it('should not detect plain node scripts', () => {
+      expect(nodeTestRunner.detect('node scripts/test.js')).toBe(false);
+    });
+
+    it('should not detect --test of a later command in a chain', () => {
+      expect(nodeTestRunner.detect('node build.js && tool --test')).toBe(false);
+    });
   });
 
-  it('should discover packages from pnpm-workspace.yaml', () => {
-    // Create workspace structure
-    mkdirSync(join(tempDir, 'packages', 'pkg-a'), { recursive: true });
-    mkdirSync(join(tempDir, 'packages', 'pkg-b'), { recursive: true });
+  describe('buildCommand', () => {
+    it('should spawn node with dot, spec and junit reporters', () => {
+      const { command, args } = nodeTestRunner.buildCommand();
+      expect(command).toBe('node');
+      expect(args).toContain('--test');
+      expect(args).toContain('--test-reporter=dot');
+      expect(args).toContain('--test-reporter=junit');
+      expect(args).toContain('--test-reporter-destination=coverage/junit.xml');
+    });
 
-    // Write pnpm-workspace.yaml
-    writeFileSync(join(tempDir, 'pnpm-workspace.yaml'), `packages:\n  - packages/*\n`, 'utf-8');
+    it('should pair every reporter with a destination', () => {
+      const { args } = nodeTestRunner.buildCommand({ coverage: true });
+      const reporters = args.filter((a) => a.startsWith('--test-reporter='));
+      const destinations = args.filter((a) => a.startsWith('--test-reporter-destination='));
+      expect(reporters).toHaveLength(destinations.length);
+    });
 
-    // Write package.json files
-    writeFileSync(join(tempDir, 'packages', 'pkg-a', 'package.json'), JSON.stringify({
-      name: 'pkg-a',
-      scripts: { test: 'vitest run' },
-    }), 'utf-8');
-    writeFileSync(join(tempDir, 'packages', 'pkg-b', 'package.json'), JSON.stringify({
-      name: 'pkg-b',
-      scripts: { test: 'bun test' },
-    }), 'utf-8');
+    it('should add lcov coverage when coverage enabled', () => {
+      const { args } = nodeTestRunner.buildCommand({ coverage: true });
+      expect(args).toContain('--experimental-test-coverage');
+      expect(args).toContain('--test-reporter=lcov');
+      expect(args).toContain('--test-reporter-destination=coverage/lcov.info');
+    });
 
-    const packages = discoverPackages(tempDir);
-    expect(packages).toHaveLength(2);
+    it('should not include coverage by default', () => {
+      const { args } = nodeTestRunner.buildCommand();
+      expect(args).not.toContain('--experimental-test-coverage');
+    });
 
-    const pkgA = packages.find(p => p.name === 'pkg-a');
-    const pkgB = packages.find(p => p.name === 'pkg-b');
+    it('should pass on the flags and globs of the test script', () => {
+      const { args: testArgs, patterns: testPatterns } = nodeTestRunner.extractArgs(
+        "node --import tsx --test --test-reporter=spec --test-coverage-lines=80 'test/**/*.test.ts' && echo done",
+      );
+      expect(testArgs).toEqual(['--import', 'tsx', '--test-coverage-lines=80']);
+      expect(testPatterns).toEqual(['test/**/*.test.ts']);
 
-    expect(pkgA).toBeDefined();
-    expect(pkgA.testScript).toBe('vitest run');
-    expect(pkgA.runner).toBe('vitest');
-    expect(pkgA.path).toBe(join(tempDir, 'packages', 'pkg-a'));
+      const { args } = nodeTestRunner.buildCommand({ coverage: true, testArgs, testPatterns });
+      expect(args.slice(-4)).toEqual(['--import', 'tsx', '--test-coverage-lines=80', 'test/**/*.test.ts']);
+      expect(args.filter((a) => a === '--test')).toHaveLength(1);
+    });
 
-    expect(pkgB).toBeDefined();
-    expect(pkgB.testScript).toBe('bun test');
-    expect(pkgB.runner).toBe('bun');
+    it('should run only the given files instead of the script globs', () => {
+      const { args } = nodeTestRunner.buildCommand({ testArgs: ['--import', 'tsx'], testPatterns: ['test/'], files: ['/repo/a.test.ts'] });
+      expect(args.slice(-3)).toEqual(['--import', 'tsx', '/repo/a.test.ts']);
+    });
   });
 
-  it('should discover packages from npm workspaces (array format)', () => {
-    mkdirSync(join(tempDir, 'packages', 'my-lib'), { recursive: true });
+  describe('countDots', () => {
+    it('should count passes and failures', () => {
+      expect(nodeTestRunner.countDots('.X..X.')).toEqual({ passed: 4, skipped: 0, failed: 2 });
+    });
 
-    // No pnpm-workspace.yaml — use package.json workspaces
-    writeFileSync(join(tempDir, 'package.json'), JSON.stringify({
-      name: 'my-workspace',
-      workspaces: ['packages/*'],
-    }), 'utf-8');
+    it('should ignore the failure recap', () => {
+      const chunk = `..
+Failed tests:
 
-    writeFileSync(join(tempDir, 'packages', 'my-lib', 'package.json'), JSON.stringify({
-      name: 'my-lib',
-      scripts: { test: 'vitest run' },
-    }), 'utf-8');
+✖ fails (4.7ms)
+  AssertionError [ERR_ASSERTION]: 1 == 2
+      at TestContext.<anonymous> (file:///tmp/a.test.mjs:5:30)
+`;
+      expect(nodeTestRunner.countDots(chunk)).toEqual({ passed: 2, skipped: 0, failed: 0 });
+    });
 
-    const packages = discoverPackages(tempDir);
-    expect(packages).toHaveLength(1);
-    expect(packages[0].name).toBe('my-lib');
-    expect(packages[0].runner).toBe('vitest');
+    it('should handle empty string', () => {
+      expect(nodeTestRunner.countDots('')).toEqual({ passed: 0, skipped: 0, failed: 0 });
+    });
   });
 
-  it('should discover packages from npm workspaces (object format)', () => {
-    mkdirSync(join(tempDir, 'libs', 'core'), { recursive: true });
-
-    writeFileSync(join(tempDir, 'package.json'), JSON.stringify({
-      name: 'my-workspace',
-      workspaces: { packages: ['libs/*'] },
-    }), 'utf-8');
+  describe('parseFinal', () => {
+    it('should parse spec reporter totals', () => {
+      const output = `
+ℹ tests 5
+ℹ suites 1
+ℹ pass 2
+ℹ fail 1
+ℹ cancelled 0
+ℹ skipped 1
+ℹ todo 1
+ℹ duration_ms 220.139837
+`;
+      const result = nodeTestRunner.parseFinal(output);
+      expect(result.tests).toBe(5);
+      expect(result.passed).toBe(2);
+      expect(result.failed).toBe(1);
+      expect(result.skipped).toBe(2);
+      expect(result.duration).toBeCloseTo(0.22, 2);
+    });
 
-    writeFileSync(join(tempDir, 'libs', 'core', 'package.json'), JSON.stringify({
-      name: 'core',
-      scripts: { test: 'bun test' },
-    }), 'utf-8');
+    it('should parse totals when streamed dots interleave with the summary', () => {
+      const result = nodeTestRunner.parseFinal('..X.ℹ tests 4\nℹ pass 3\nℹ fail 1\n');
+      expect(result.tests).toBe(4);
+      expect(result.passed).toBe(3);
+    });
 
-    const packages = discoverPackages(tempDir);
-    expect(packages).toHaveLength(1);
-    expect(packages[0].name).toBe('core');
-    expect(packages[0].runner).toBe('bun');
+    it('should parse tap reporter totals and count cancelled as failed', () => {
+      const output = `
+# tests 4
+# pass 2
+# fail 1
+# cancelled 1
+# skipped 0
+# todo 0
+# duration_ms 1500
+`;
+      const result = nodeTestRunner.parseFinal(output);
+      expect(result.tests).toBe(4);
+      expect(result.failed).toBe(2);
+      expect(result.duration).toBeCloseTo(1.5, 2);
+    });
   });
 
-  it('should fallback to rootDir as single package', () => {
-    // No pnpm-workspace.yaml, no workspaces field — just a package.json
-    writeFileSync(join(tempDir, 'package.json'), JSON.stringify({
-      name: 'standalone-pkg',
-      scripts: { test: 'vitest run' },
-    }), 'utf-8');
+  describe('getThresholds', () => {
+    let tempDir;
 
-    const packages = discoverPackages(tempDir);
-    expect(packages).toHaveLength(1);
-    expect(packages[0].name).toBe('standalone-pkg');
-    expect(packages[0].path).toBe(tempDir);
-    expect(packages[0].runner).toBe('vitest');
+    beforeEach(() => {
+      tempDir = mkdtempSync(join(tmpdir(), 'node-test-thresholds-'));
+    });
+
+    afterEach(() => {
+      rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    it('should read --test-coverage-* flags from the test script', () => {
+      writeFileSync(join(tempDir, 'package.json'), JSON.stringify({
+        scripts: { test: 'node --test --test-coverage-lines=80 --test-coverage-branches 70' },
+      }), 'utf-8');
+      expect(nodeTestRunner.getThresholds(tempDir)).toEqual({ lines: 80, branches: 70 });
+    });
+
+    it('should return null without threshold flags', () => {
+      writeFileSync(join(tempDir, 'package.json'), JSON.stringify({ scripts: { test: 'node --test' } }), 'utf-8');
+      expect(nodeTestRunner.getThresholds(tempDir)).toBeNull();
+    });
   });
+});
 
-  it('should set testScript and runner to null for packages without test script', () => {
-    mkdirSync(join(tempDir, 'packages', 'no-tests'), { recursive: true });
-    mkdirSync(join(tempDir, 'packages', 'has-tests'), { recursive: true });
+// =============================================================================
+// Mocha runner adapter (runners/mocha.js)
+// =============================================================================
 
-    writeFileSync(join(tempDir, 'pnpm-workspace.yaml'), `packages:\n  - packages/*\n`, 'utf-8');
+describe('mocha runner adapter', () => {
+  let tempDir;
 
-    writeFileSync(join(tempDir, 'packages', 'no-tests', 'package.json'), JSON.stringify({
-      name: 'no-tests',
+  beforeEach(() => {
+    tempDir = mkdtempSync(join(tmpdir(), 'mocha-adapter-'));
+  });
+
+  afterEach(() => {
+    rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  describe('detect', () => {
+    it('should detect "mocha"', () => {
+      expect(mochaRunner.detect('mocha')).toBe(true);
+    });
+
+    it('should detect mocha wrapped in a coverage tool', () => {
+      expect(mochaRunner.detect('c8 mocha "test/**/*.spec.js"')).toBe(true);
+    });
+
+    it('should not detect jest', () => {
+      expect(mochaRunner.detect('jest')).toBe(false);
+    });
+  });
+
+  describe('buildCommand', () => {
+    it('should run mocha with the bundled reporter', () => {
+      const { command, args } = mochaRunner.buildCommand({ packageManager: 'pnpm' });
+      expect(command).toBe('pnpm');
+      expect(args.slice(0, 3)).toEqual(['exec', 'mocha', '--reporter']);
+      expect(args[3]).toMatch(/mocha-reporter\.cjs$/);
+    });
+
+    it('should wrap in c8 by default when coverage enabled', () => {
+      const { args } = mochaRunner.buildCommand({ coverage: true, pkgPath: tempDir, packageManager: 'pnpm' });
+      expect(args.slice(0, 5)).toEqual(['exec', 'c8', '--reporter=json-summary', '--reporter=lcov', 'mocha']);
+    });
+
+    it('should wrap in nyc when the package has an .nycrc', () => {
+      writeFileSync(join(tempDir, '.nycrc'), '{}', 'utf-8');
+      const { args } = mochaRunner.buildCommand({ coverage: true, pkgPath: tempDir, packageManager: 'pnpm' });
+      expect(args[1]).toBe('nyc');
+    });
+
+    it('should pass the resolved mocha binary to the wrapper without a package manager', () => {
+      const binDir = join(tempDir, 'node_modules', '.bin');
+      mkdirSync(binDir, { recursive: true });
+      writeFileSync(join(binDir, 'c8'), '', 'utf-8');
+      writeFileSync(join(binDir, 'mocha'), '', 'utf-8');
+      const { command, args } = mochaRunner.buildCommand({ coverage: true, pkgPath: tempDir, packageManager: null });
+      expect(command).toBe(join(binDir, 'c8'));
+      expect(args[2]).toBe(join(binDir, 'mocha'));
+    });
+
+    it('should wrap in nyc when the test script already uses nyc', () => {
+      writeFileSync(join(tempDir, 'package.json'), JSON.stringify({ scripts: { test: 'nyc mocha' } }), 'utf-8');
+      expect(mochaRunner.getCoverageTool(tempDir)).toBe('nyc');
+    });
+  });
+
+  describe('countDots', () => {
+    it('should count pass, pending and fail characters', () => {
+      expect(mochaRunner.countDots('\n  ․․!,․')).toEqual({ passed: 3, skipped: 1, failed: 1 });
+    });
+
+    it('should ignore the failure list', () => {
+      const chunk = `
+  1) math fails:
+     AssertionError: expected 1, got 2!
+`;
+      expect(mochaRunner.countDots(chunk)).toEqual({ passed: 0, skipped: 0, failed: 0 });
+    });
+
+    it('should handle empty string', () => {
+      expect(mochaRunner.countDots('')).toEqual({ passed: 0, skipped: 0, failed: 0 });
+    });
+  });
+
+  describe('parseFinal', () => {
+    it('should parse the mocha epilogue (all pass)', () => {
+      const result = mochaRunner.parseFinal('\n  ․․․\n\n  3 passing (45ms)\n');
+      expect(result.tests).toBe(3);
+      expect(result.passed).toBe(3);
+      expect(result.skipped).toBe(0);
+      expect(result.failed).toBe(0);
+      expect(result.duration).toBeCloseTo(0.045, 3);
+    });
+
+    it('should parse the mocha epilogue (mixed)', () => {
+      const output = `
+  12 passing (2s)
+  2 pending
+  1 failing
+
+  1) math fails:
+     AssertionError [ERR_ASSERTION]: 1 == 2
+`;
+      const result = mochaRunner.parseFinal(output);
+      expect(result.tests).toBe(15);
+      expect(result.passed).toBe(12);
+      expect(result.skipped).toBe(2);
+      expect(result.failed).toBe(1);
+      expect(result.duration).toBe(2);
+    });
+  });
+
+  describe('getThresholds', () => {
+    it('should read thresholds from .c8rc.json', () => {
+      writeFileSync(join(tempDir, '.c8rc.json'), JSON.stringify({ 'check-coverage': true, lines: 90, branches: 80 }), 'utf-8');
+      expect(mochaRunner.getThresholds(tempDir)).toEqual({ lines: 90, branches: 80 });
+    });
+
+    it('should read thresholds from .nycrc', () => {
+      writeFileSync(join(tempDir, '.nycrc'), JSON.stringify({ functions: 75 }), 'utf-8');
+      expect(mochaRunner.getThresholds(tempDir)).toEqual({ functions: 75 });
+    });
+
+    it('should fall back to the package.json nyc field', () => {
+      writeFileSync(join(tempDir, 'package.json'), JSON.stringify({ nyc: { lines: 60 } }), 'utf-8');
+      expect(mochaRunner.getThresholds(tempDir)).toEqual({ lines: 60 });
+    });
+
+    it('should return null without config', () => {
+      expect(mochaRunner.getThresholds(tempDir)).toBeNull();
+    });
+  });
+});
+
+// =============================================================================
+// Custom runners (runners/custom.js)
+// =============================================================================
+
+import { createCustomRunner } from './src/runners/custom.js';
+import { registerCustomRunners, getOutputPaths } from './src/runners/index.js';
+
+describe('custom runners', () => {
+  const avaDefinition = {
+    name: 'ava',
+    detect: '\\bava\\b',
+    command: 'pnpm',
+    args: ['ava', '--tap', '--junit={junitPath}'],
+    coverageArgs: ['c8', '--report-dir={pkgPath}/cov', 'ava', '--tap'],
+    progress: { pass: '^ok \\d+(?!.*# SKIP)', skip: '^ok \\d+.*# SKIP', fail: '^not ok \\d+' },
+    summary: { passed: '^# pass (\\d+)', failed: '^# fail (\\d+)', duration: '^# duration ([\\d.]+)(ms|s)' },
+    thresholds: { lines: 80 },
+  };
+
+  afterEach(() => {
+    registerCustomRunners(undefined);
+  });
+
+  describe('createCustomRunner', () => {
+    it('should require name and command', () => {
+      expect(() => createCustomRunner({ command: 'x' })).toThrow('missing "name"');
+      expect(() => createCustomRunner({ name: 'x', detect: 'x' })).toThrow('runner "x": set exactly one of "command" or "bin"');
+      expect(() => createCustomRunner({ name: 'x', detect: 'x', command: 'a', bin: 'b' })).toThrow('exactly one');
+    });
+
+    it('should reject invalid regexes naming the field', () => {
+      expect(() => createCustomRunner({ ...avaDefinition, summary: { passed: '(' } }))
+        .toThrow('invalid regex in "summary.passed"');
+      expect(() => createCustomRunner({ ...avaDefinition, detect: undefined })).toThrow('"detect" must be a regex string');
+    });
+
+    it('should reject progress and dots together', () => {
+      expect(() => createCustomRunner({ ...avaDefinition, dots: { pass: '.' } })).toThrow('not both');
+    });
+
+    it('should detect test scripts', () => {
+      const runner = createCustomRunner(avaDefinition);
+      expect(runner.detect('ava --verbose')).toBe(true);
+      expect(runner.detect('vitest run')).toBe(false);
+    });
+
+    it('should resolve placeholders in args and use coverageArgs with coverage', () => {
+      const runner = createCustomRunner(avaDefinition);
+      const opts = { pkgPath: '/ws/pkg', junitPath: '/ws/pkg/coverage/junit.xml', lcovPath: '/ws/pkg/coverage/lcov.info' };
+      expect(runner.buildCommand(opts)).toEqual({
+        command: 'pnpm',
+        args: ['ava', '--tap', '--junit=/ws/pkg/coverage/junit.xml'],
+      });
+      expect(runner.buildCommand({ ...opts, coverage: true }).args).toEqual(['c8', '--report-dir=/ws/pkg/cov', 'ava', '--tap']);
+    });
+
+    it('should run a bin through the package manager', () => {
+      const runner = createCustomRunner({ ...avaDefinition, command: undefined, bin: 'ava', args: ['--tap', '--junit={junitPath}'] });
+      expect(runner.buildCommand({ packageManager: 'yarn', junitPath: '/j.xml' })).toEqual({
+        command: 'yarn',
+        args: ['ava', '--tap', '--junit=/j.xml'],
+      });
+    });
+
+    it('should count progress lines with regexes', () => {
+      const runner = createCustomRunner(avaDefinition);
+      const chunk = 'ok 1 - a\nok 2 - b # SKIP\nnot ok 3 - c\n  ok inside yaml\n';
+      expect(runner.countDots(chunk)).toEqual({ passed: 1, skipped: 1, failed: 1 });
+    });
+
+    it('should count fixed dot characters', () => {
+      const runner = createCustomRunner({ ...avaDefinition, progress: undefined, dots: { pass: '.', fail: 'F' } });
+      expect(runner.countDots('..F.\n.')).toEqual({ passed: 4, skipped: 0, failed: 1 });
+    });
+
+    it('should parse the summary and derive the test count', () => {
+      const runner = createCustomRunner(avaDefinition);
+      const result = runner.parseFinal('# pass 7\n# fail 2\n# duration 1500ms\n');
+      expect(result.passed).toBe(7);
+      expect(result.failed).toBe(2);
+      expect(result.tests).toBe(9);
+      expect(result.duration).toBeCloseTo(1.5, 2);
+    });
+
+    it('should return configured thresholds', () => {
+      expect(createCustomRunner(avaDefinition).getThresholds('/ws/pkg')).toEqual({ lines: 80 });
+      expect(createCustomRunner({ ...avaDefinition, thresholds: undefined }).getThresholds('/ws/pkg')).toBeNull();
+    });
+  });
+
+  describe('registerCustomRunners', () => {
+    it('should detect custom runners after registration', () => {
+      expect(detectRunner('ava')).toBeNull();
+      registerCustomRunners([avaDefinition]);
+      expect(detectRunner('ava')).toBe('ava');
+      expect(getRunner('ava').name).toBe('ava');
+    });
+
+    it('should take precedence over built-in runners', () => {
+      registerCustomRunners([{ ...avaDefinition, name: 'vitest-wrapper', detect: 'vitest run --project' }]);
+      expect(detectRunner('vitest run --project unit')).toBe('vitest-wrapper');
+      expect(detectRunner('vitest run')).toBe('vitest');
+    });
+
+    it('should override a built-in runner with the same name', () => {
+      registerCustomRunners([{ ...avaDefinition, name: 'jest', detect: '\\bjest\\b' }]);
+      expect(getRunner('jest').buildCommand({}).args[0]).toBe('ava');
+      expect(getRunnerNames().filter((n) => n === 'jest')).toHaveLength(1);
+    });
+
+    it('should reset to built-in runners', () => {
+      registerCustomRunners([avaDefinition]);
+      registerCustomRunners(undefined);
+      expect(getRunner('ava')).toBeNull();
+      expect(getRunnerNames()).toHaveLength(5);
+    });
+
+    it('should reject a non-array value', () => {
+      expect(() => registerCustomRunners({ ava: avaDefinition })).toThrow('"runners" must be an array');
+    });
+  });
+
+  describe('getOutputPaths', () => {
+    it('should default to coverage/ for built-in runners', () => {
+      expect(getOutputPaths({ path: '/ws/pkg', runner: 'vitest' })).toEqual({
+        junit: join('/ws/pkg', 'coverage', 'junit.xml'),
+        lcov: join('/ws/pkg', 'coverage', 'lcov.info'),
+        coverageSummary: join('/ws/pkg', 'coverage', 'coverage-summary.json'),
+      });
+    });
+
+    it('should use the paths of a custom runner', () => {
+      registerCustomRunners([{ ...avaDefinition, junit: 'reports/junit.xml', lcov: 'cov/lcov.info' }]);
+      expect(getOutputPaths({ path: '/ws/pkg', runner: 'ava' })).toEqual({
+        junit: join('/ws/pkg', 'reports', 'junit.xml'),
+        lcov: join('/ws/pkg', 'cov', 'lcov.info'),
+        coverageSummary: join('/ws/pkg', 'cov', 'coverage-summary.json'),
+      });
+    });
+  });
+});
+
+// =============================================================================
+// Package manager detection (package-manager.js)
+// =============================================================================
+
+import { detectPackageManager, buildExecCommand, resolveLocalBin } from './src/package-manager.js';
+
+describe('package manager', () => {
+  let tempDir;
+
+  beforeEach(() => {
+    tempDir = mkdtempSync(join(tmpdir(), 'package-manager-test-'));
+  });
+
+  afterEach(() => {
+    rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  describe('detectPackageManager', () => {
+    it('should detect from lockfiles', () => {
+      for (const [file, expected] of [
+        ['pnpm-lock.yaml', 'pnpm'],
+        ['yarn.lock', 'yarn'],
+        ['bun.lockb', 'bun'],
+        ['package-lock.json', 'npm'],
+      ]) {
+        const dir = mkdtempSync(join(tempDir, 'lock-'));
+        writeFileSync(join(dir, file), '', 'utf-8');
+        expect(detectPackageManager(dir)).toBe(expected);
+      }
+    });
+
+    it('should prefer the packageManager field over lockfiles', () => {
+      writeFileSync(join(tempDir, 'package-lock.json'), '{}', 'utf-8');
+      writeFileSync(join(tempDir, 'package.json'), JSON.stringify({ packageManager: 'yarn@4.1.0' }), 'utf-8');
+      expect(detectPackageManager(tempDir)).toBe('yarn');
+    });
+
+    it('should find the lockfile of an enclosing repo', () => {
+      writeFileSync(join(tempDir, 'pnpm-lock.yaml'), '', 'utf-8');
+      mkdirSync(join(tempDir, 'packages', 'a'), { recursive: true });
+      expect(detectPackageManager(join(tempDir, 'packages', 'a'))).toBe('pnpm');
+    });
+  });
+
+  describe('buildExecCommand', () => {
+    it('should run binaries through each package manager', () => {
+      expect(buildExecCommand('vitest', ['run'], { packageManager: 'pnpm' })).toEqual({ command: 'pnpm', args: ['exec', 'vitest', 'run'] });
+      expect(buildExecCommand('vitest', ['run'], { packageManager: 'npm' })).toEqual({ command: 'npx', args: ['--no', '--', 'vitest', 'run'] });
+      expect(buildExecCommand('vitest', ['run'], { packageManager: 'yarn' })).toEqual({ command: 'yarn', args: ['vitest', 'run'] });
+      expect(buildExecCommand('vitest', ['run'], { packageManager: 'bun' })).toEqual({ command: 'bunx', args: ['vitest', 'run'] });
+    });
+
+    it('should resolve node_modules/.bin without a package manager', () => {
+      const binDir = join(tempDir, 'node_modules', '.bin');
+      mkdirSync(binDir, { recursive: true });
+      writeFileSync(join(binDir, 'vitest'), '', 'utf-8');
+      mkdirSync(join(tempDir, 'packages', 'a'), { recursive: true });
+
+      expect(resolveLocalBin('vitest', join(tempDir, 'packages', 'a'))).toBe(join(binDir, 'vitest'));
+      expect(buildExecCommand('vitest', ['run'], { pkgPath: join(tempDir, 'packages', 'a') }))
+        .toEqual({ command: join(binDir, 'vitest'), args: ['run'] });
+    });
+
+    it('should fall back to npx when the binary is not installed', () => {
+      expect(buildExecCommand('vitest', ['run'], { pkgPath: tempDir }).command).toBe('npx');
+    });
+  });
+});
+
+// =============================================================================
+// parsePnpmWorkspaceYaml (packages.js)
+// =============================================================================
+
+describe('parsePnpmWorkspaceYaml', () => {
+  it('should parse standard format with quoted items', () => {
+    const content = `packages:
+  - "packages/*"
+  - "plugins/*"
+`;
+    const globs = parsePnpmWorkspaceYaml(content);
+    expect(globs).toEqual(['packages/*', 'plugins/*']);
+  });
+
+  it('should parse single-quoted items', () => {
+    const content = `packages:
+  - 'packages/*'
+  - 'apps/*'
+`;
+    const globs = parsePnpmWorkspaceYaml(content);
+    expect(globs).toEqual(['packages/*', 'apps/*']);
+  });
+
+  it('should parse unquoted items', () => {
+    const content = `packages:
+  - packages/*
+  - apps/*
+`;
+    const globs = parsePnpmWorkspaceYaml(content);
+    expect(globs).toEqual(['packages/*', 'apps/*']);
+  });
+
+  it('should parse mixed quoted and unquoted items', () => {
+    const content = `packages:
+  - "packages/*"
+  - plugins/*
+  - 'apps/*'
+`;
+    const globs = parsePnpmWorkspaceYaml(content);
+    expect(globs).toEqual(['packages/*', 'plugins/*', 'apps/*']);
+  });
+
+  it('should return empty array for empty packages list', () => {
+    const content = `packages:
+otherKey: value
+`;
+    const globs = parsePnpmWorkspaceYaml(content);
+    expect(globs).toEqual([]);
+  });
+
+  it('should handle comments in the YAML', () => {
+    const content = `# workspace config
+packages:
+  # main packages
+  - packages/*
+  # plugins
+  - plugins/*
+`;
+    const globs = parsePnpmWorkspaceYaml(content);
+    expect(globs).toEqual(['packages/*', 'plugins/*']);
+  });
+
+  it('should stop at next top-level key', () => {
+    const content = `packages:
+  - packages/*
+  - plugins/*
+catalog:
+  react: ^18.0.0
+`;
+    const globs = parsePnpmWorkspaceYaml(content);
+    expect(globs).toEqual(['packages/*', 'plugins/*']);
+  });
+
+  it('should handle explicit paths (no wildcards)', () => {
+    const content = `packages:
+  - packages/*
+  - plugins/my-plugin/test-app
+`;
+    const globs = parsePnpmWorkspaceYaml(content);
+    expect(globs).toEqual(['packages/*', 'plugins/my-plugin/test-app']);
+  });
+
+  it('should return empty array for content without packages key', () => {
+    const content = `catalog:
+  react: ^18.0.0
+`;
+    const globs = parsePnpmWorkspaceYaml(content);
+    expect(globs).toEqual([]);
+  });
+
+  it('should return empty array for empty content', () => {
+    expect(parsePnpmWorkspaceYaml('')).toEqual([]);
+  });
+
+  it('should strip inline comments outside quotes', () => {
+    const content = `packages:
+  - packages/* # libraries
+  - "apps/#internal/*" # hash inside quotes is kept
+  - '!packages/legacy-*'
+`;
+    expect(parsePnpmWorkspaceYaml(content)).toEqual(['packages/*', 'apps/#internal/*', '!packages/legacy-*']);
+  });
+
+  it('should parse flow-style lists', () => {
+    expect(parsePnpmWorkspaceYaml(`packages: ['packages/*', "apps/{web,docs}", tools/*] # all\n`))
+      .toEqual(['packages/*', 'apps/{web,docs}', 'tools/*']);
+  });
+
+  it('should parse flow-style lists spanning lines', () => {
+    const content = `packages: [
+  'packages/*', # libraries
+  'apps/*'
+]
+catalog:
+  react: ^18.0.0
+`;
+    expect(parsePnpmWorkspaceYaml(content)).toEqual(['packages/*', 'apps/*']);
+  });
+});
+
+// =============================================================================
+// discoverPackages (packages.js)
+// =============================================================================
+
+describe('discoverPackages', () => {
+  let tempDir;
+
+  beforeEach(() => {
+    tempDir = mkdtempSync(join(tmpdir(), 'discover-pkg-test-'));
+  });
+
+  afterEach(() => {
+    rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  it('should discover packages from pnpm-workspace.yaml', () => {
+    // Create workspace structure
+    mkdirSync(join(tempDir, 'packages', 'pkg-a'), { recursive: true });
+    mkdirSync(join(tempDir, 'packages', 'pkg-b'), { recursive: true });
+
+    // Write pnpm-workspace.yaml
+    writeFileSync(join(tempDir, 'pnpm-workspace.yaml'), `packages:\n  - packages/*\n`, 'utf-8');
+
+    // Write package.json files
+    writeFileSync(join(tempDir, 'packages', 'pkg-a', 'package.json'), JSON.stringify({
+      name: 'pkg-a',
+      scripts: { test: 'vitest run' },
+    }), 'utf-8');
+    writeFileSync(join(tempDir, 'packages', 'pkg-b', 'package.json'), JSON.stringify({
+      name: 'pkg-b',
+      scripts: { test: 'bun test' },
+    }), 'utf-8');
+
+    const packages = discoverPackages(tempDir);
+    expect(packages).toHaveLength(2);
+
+    const pkgA = packages.find(p => p.name === 'pkg-a');
+    const pkgB = packages.find(p => p.name === 'pkg-b');
+
+    expect(pkgA).toBeDefined();
+    expect(pkgA.testScript).toBe('vitest run');
+    expect(pkgA.runner).toBe('vitest');
+    expect(pkgA.path).toBe(join(tempDir, 'packages', 'pkg-a'));
+
+    expect(pkgB).toBeDefined();
+    expect(pkgB.testScript).toBe('bun test');
+    expect(pkgB.runner).toBe('bun');
+  });
+
+  it('should read the runner args of a node --test script', () => {
+    writeFileSync(join(tempDir, 'package.json'), JSON.stringify({
+      name: 'solo',
+      scripts: { test: 'node --import tsx --test --test-coverage-lines=80 "src/**/*.test.ts"' },
+    }), 'utf-8');
+
+    const [pkg] = discoverPackages(tempDir);
+    expect(pkg.runner).toBe('node-test');
+    expect(pkg.testArgs).toEqual(['--import', 'tsx', '--test-coverage-lines=80']);
+    expect(pkg.testPatterns).toEqual(['src/**/*.test.ts']);
+  });
+
+  it('should keep the value of an unknown runner option out of the test patterns', () => {
+    writeFileSync(join(tempDir, 'package.json'), JSON.stringify({
+      name: 'solo',
+      scripts: { test: "jest --testRegex '[.]spec[.]js$' --ci --setupFiles ./setup.js --runInBand src" },
+    }), 'utf-8');
+
+    const [pkg] = discoverPackages(tempDir);
+    expect(pkg.testArgs).toEqual(['--testRegex', '[.]spec[.]js$', '--ci', '--setupFiles', './setup.js', '--runInBand']);
+    expect(pkg.testPatterns).toEqual(['src']);
+
+    const { args } = jestRunner.buildCommand({ testArgs: pkg.testArgs, testPatterns: pkg.testPatterns, files: ['/repo/src/a.spec.js'] });
+    expect(args.slice(-8)).toEqual(['--testRegex', '[.]spec[.]js$', '--ci', '--setupFiles', './setup.js', '--runInBand', '--runTestsByPath', '/repo/src/a.spec.js']);
+  });
+
+  it('should discover packages from npm workspaces (array format)', () => {
+    mkdirSync(join(tempDir, 'packages', 'my-lib'), { recursive: true });
+
+    // No pnpm-workspace.yaml — use package.json workspaces
+    writeFileSync(join(tempDir, 'package.json'), JSON.stringify({
+      name: 'my-workspace',
+      workspaces: ['packages/*'],
+    }), 'utf-8');
+
+    writeFileSync(join(tempDir, 'packages', 'my-lib', 'package.json'), JSON.stringify({
+      name: 'my-lib',
+      scripts: { test: 'vitest run' },
+    }), 'utf-8');
+
+    const packages = discoverPackages(tempDir);
+    expect(packages).toHaveLength(1);
+    expect(packages[0].name).toBe('my-lib');
+    expect(packages[0].runner).toBe('vitest');
+  });
+
+  it('should discover packages from npm workspaces (object format)', () => {
+    mkdirSync(join(tempDir, 'libs', 'core'), { recursive: true });
+
+    writeFileSync(join(tempDir, 'package.json'), JSON.stringify({
+      name: 'my-workspace',
+      workspaces: { packages: ['libs/*'] },
+    }), 'utf-8');
+
+    writeFileSync(join(tempDir, 'libs', 'core', 'package.json'), JSON.stringify({
+      name: 'core',
+      scripts: { test: 'bun test' },
+    }), 'utf-8');
+
+    const packages = discoverPackages(tempDir);
+    expect(packages).toHaveLength(1);
+    expect(packages[0].name).toBe('core');
+    expect(packages[0].runner).toBe('bun');
+  });
+
+  it('should fallback to rootDir as single package', () => {
+    // No pnpm-workspace.yaml, no workspaces field — just a package.json
+    writeFileSync(join(tempDir, 'package.json'), JSON.stringify({
+      name: 'standalone-pkg',
+      scripts: { test: 'vitest run' },
+    }), 'utf-8');
+
+    const packages = discoverPackages(tempDir);
+    expect(packages).toHaveLength(1);
+    expect(packages[0].name).toBe('standalone-pkg');
+    expect(packages[0].path).toBe(tempDir);
+    expect(packages[0].runner).toBe('vitest');
+  });
+
+  it('should set testScript and runner to null for packages without test script', () => {
+    mkdirSync(join(tempDir, 'packages', 'no-tests'), { recursive: true });
+    mkdirSync(join(tempDir, 'packages', 'has-tests'), { recursive: true });
+
+    writeFileSync(join(tempDir, 'pnpm-workspace.yaml'), `packages:\n  - packages/*\n`, 'utf-8');
+
+    writeFileSync(join(tempDir, 'packages', 'no-tests', 'package.json'), JSON.stringify({
+      name: 'no-tests',
       scripts: { build: 'tsc' },
     }), 'utf-8');
     writeFileSync(join(tempDir, 'packages', 'has-tests', 'package.json'), JSON.stringify({
@@ -1522,82 +2263,1794 @@ describe('discoverPackages', () => {
       scripts: { test: 'vitest run' },
     }), 'utf-8');
 
-    const packages = discoverPackages(tempDir);
-    expect(packages).toHaveLength(2);
+    const packages = discoverPackages(tempDir);
+    expect(packages).toHaveLength(2);
+
+    const noTests = packages.find(p => p.name === 'no-tests');
+    const hasTests = packages.find(p => p.name === 'has-tests');
+
+    expect(noTests.testScript).toBeNull();
+    expect(noTests.runner).toBeNull();
+    expect(hasTests.testScript).toBe('vitest run');
+    expect(hasTests.runner).toBe('vitest');
+  });
+
+  it('should handle explicit paths in workspace globs', () => {
+    mkdirSync(join(tempDir, 'plugins', 'my-plugin', 'test-app'), { recursive: true });
+
+    writeFileSync(join(tempDir, 'pnpm-workspace.yaml'), `packages:\n  - plugins/my-plugin/test-app\n`, 'utf-8');
+
+    writeFileSync(join(tempDir, 'plugins', 'my-plugin', 'test-app', 'package.json'), JSON.stringify({
+      name: 'test-app',
+      scripts: { test: 'vitest run' },
+    }), 'utf-8');
+
+    const packages = discoverPackages(tempDir);
+    expect(packages).toHaveLength(1);
+    expect(packages[0].name).toBe('test-app');
+    expect(packages[0].path).toBe(join(tempDir, 'plugins', 'my-plugin', 'test-app'));
+  });
+
+  const writePkg = (dir, name) => {
+    mkdirSync(join(tempDir, dir), { recursive: true });
+    writeFileSync(join(tempDir, dir, 'package.json'), JSON.stringify({ name, scripts: { test: 'vitest run' } }), 'utf-8');
+  };
+
+  it('should expand globs more than one level deep', () => {
+    writeFileSync(join(tempDir, 'pnpm-workspace.yaml'), `packages:\n  - apps/*/*\n`, 'utf-8');
+    writePkg('apps/web/admin', 'admin');
+    writePkg('apps/web/shop', 'shop');
+    writePkg('apps/top', 'top');
+
+    expect(discoverPackages(tempDir).map((p) => p.name).sort()).toEqual(['admin', 'shop']);
+  });
+
+  it('should expand ** recursively, skipping node_modules', () => {
+    writeFileSync(join(tempDir, 'pnpm-workspace.yaml'), `packages:\n  - packages/**\n`, 'utf-8');
+    writePkg('packages/a', 'a');
+    writePkg('packages/group/b', 'b');
+    writePkg('packages/a/node_modules/dep', 'dep');
+
+    expect(discoverPackages(tempDir).map((p) => p.name).sort()).toEqual(['a', 'b']);
+  });
+
+  it('should apply negated patterns', () => {
+    writeFileSync(join(tempDir, 'package.json'), JSON.stringify({
+      workspaces: ['packages/*', '!packages/legacy-*', 'tools/cli', '!tools/cli'],
+    }), 'utf-8');
+    writePkg('packages/core', 'core');
+    writePkg('packages/legacy-api', 'legacy-api');
+    writePkg('tools/cli', 'cli');
+
+    expect(discoverPackages(tempDir).map((p) => p.name)).toEqual(['core']);
+  });
+
+  it('should discover packages from lerna.json packages', () => {
+    mkdirSync(join(tempDir, 'modules', 'util'), { recursive: true });
+    writeFileSync(join(tempDir, 'lerna.json'), JSON.stringify({ packages: ['modules/*'] }), 'utf-8');
+    writeFileSync(join(tempDir, 'modules', 'util', 'package.json'), JSON.stringify({
+      name: 'util',
+      scripts: { test: 'jest' },
+    }), 'utf-8');
+
+    const packages = discoverPackages(tempDir);
+    expect(packages).toHaveLength(1);
+    expect(packages[0].name).toBe('util');
+    expect(packages[0].runner).toBe('jest');
+  });
+
+  describe('nx', () => {
+    const writeProject = (dir, project, pkgJson) => {
+      mkdirSync(join(tempDir, dir), { recursive: true });
+      writeFileSync(join(tempDir, dir, 'project.json'), JSON.stringify(project), 'utf-8');
+      if (pkgJson) writeFileSync(join(tempDir, dir, 'package.json'), JSON.stringify(pkgJson), 'utf-8');
+    };
+
+    beforeEach(() => {
+      writeFileSync(join(tempDir, 'nx.json'), '{}', 'utf-8');
+    });
+
+    it('should map known test executors to runners with their config file', () => {
+      writeProject('apps/web', {
+        name: 'web',
+        tags: ['scope:web'],
+        targets: { test: { executor: '@nx/vite:test', options: { configFile: 'apps/web/vite.config.ts' } } },
+      });
+      writeProject('libs/api', {
+        name: 'api',
+        targets: { test: { executor: '@nx/jest:jest', options: { jestConfig: 'libs/api/jest.config.ts' } } },
+      });
+
+      const packages = discoverPackages(tempDir);
+      const web = packages.find((p) => p.name === 'web');
+      const api = packages.find((p) => p.name === 'api');
+      expect(web.runner).toBe('vitest');
+      expect(web.path).toBe(join(tempDir, 'apps', 'web'));
+      expect(web.configFile).toBe(join(tempDir, 'apps', 'web', 'vite.config.ts'));
+      expect(web.tags).toEqual(['scope:web']);
+      expect(api.runner).toBe('jest');
+      expect(api.configFile).toBe(join(tempDir, 'libs', 'api', 'jest.config.ts'));
+    });
+
+    it('should detect run-commands and run-script targets from their command', () => {
+      writeProject('libs/a', { name: 'a', targets: { test: { executor: 'nx:run-commands', options: { command: 'mocha' } } } });
+      writeProject('libs/b', { name: 'b', targets: { test: { executor: 'nx:run-script', options: { script: 'unit' } } } },
+        { scripts: { unit: 'bun test' } });
+
+      const packages = discoverPackages(tempDir);
+      expect(packages.find((p) => p.name === 'a').runner).toBe('mocha');
+      expect(packages.find((p) => p.name === 'b').testScript).toBe('bun test');
+      expect(packages.find((p) => p.name === 'b').runner).toBe('bun');
+    });
+
+    it('should pass executor options to the runner', () => {
+      writeProject('libs/api', {
+        name: 'api',
+        targets: {
+          test: {
+            executor: '@nx/jest:jest',
+            options: { jestConfig: 'libs/api/jest.config.ts', testFile: 'user', passWithNoTests: true, maxWorkers: 2, codeCoverage: true, ci: false },
+          },
+        },
+      });
+
+      const [api] = discoverPackages(tempDir);
+      expect(api.testArgs).toEqual(['--passWithNoTests', '--maxWorkers=2']);
+      expect(api.testPatterns).toEqual(['user']);
+
+      const { args } = jestRunner.buildCommand({ configFile: api.configFile, testArgs: api.testArgs, testPatterns: api.testPatterns });
+      expect(args.slice(-5)).toEqual(['--config', api.configFile, '--passWithNoTests', '--maxWorkers=2', 'user']);
+      expect(args).not.toContain('--coverage');
+    });
+
+    it('should run the command of a run-commands target with its args', () => {
+      writeProject('apps/web', {
+        name: 'web',
+        targets: {
+          test: {
+            executor: 'nx:run-commands',
+            options: { command: 'vitest run --config vitest.unit.ts --reporter=verbose src/', args: '--passWithNoTests' },
+          },
+        },
+      });
+
+      const [web] = discoverPackages(tempDir);
+      expect(web.runner).toBe('vitest');
+      expect(web.testScript).toBe('vitest run --config vitest.unit.ts --reporter=verbose src/ --passWithNoTests');
+
+      const { args } = vitestRunner.buildCommand({ testArgs: web.testArgs, testPatterns: web.testPatterns });
+      expect(args.slice(-4)).toEqual(['--config', 'vitest.unit.ts', '--passWithNoTests', 'src/']);
+      expect(args).not.toContain('--reporter=verbose');
+      expect(args.filter((a) => a === 'run')).toHaveLength(1);
+    });
+
+    it('should fall back to scripts.test without a test target', () => {
+      writeProject('libs/c', { targets: { build: {} } }, { name: 'c', scripts: { test: 'vitest run' } });
+      writeProject('libs/d', { name: 'd' });
+
+      const packages = discoverPackages(tempDir);
+      expect(packages.find((p) => p.name === 'c').runner).toBe('vitest');
+      expect(packages.find((p) => p.name === 'd').testScript).toBeNull();
+    });
+
+    it('should not search node_modules for project.json', () => {
+      writeProject('libs/e', { name: 'e' });
+      writeProject('node_modules/dep', { name: 'dep' });
+
+      expect(discoverPackages(tempDir).map((p) => p.name)).toEqual(['e']);
+    });
+
+    it('should read projects from workspace.json', () => {
+      rmSync(join(tempDir, 'nx.json'));
+      writeProject('libs/f', { targets: { test: { executor: '@nx/jest:jest', options: {} } } });
+      writeFileSync(join(tempDir, 'workspace.json'), JSON.stringify({
+        projects: {
+          f: 'libs/f',
+          g: { root: 'libs/g', architect: { test: { builder: '@nrwl/jest:jest' } } },
+        },
+      }), 'utf-8');
+
+      const packages = discoverPackages(tempDir);
+      expect(packages.map((p) => [p.name, p.runner])).toEqual([['f', 'jest'], ['g', 'jest']]);
+      expect(packages[0].configFile).toBeUndefined();
+    });
+
+    it('should apply test targets on top of workspace packages', () => {
+      writeFileSync(join(tempDir, 'package.json'), JSON.stringify({ workspaces: ['libs/*'] }), 'utf-8');
+      writeProject('libs/api', {
+        name: 'api-project',
+        tags: ['scope:api'],
+        targets: { test: { executor: '@nx/jest:jest', options: { jestConfig: 'libs/api/jest.config.ts', passWithNoTests: true } } },
+      }, { name: '@acme/api', scripts: { test: 'vitest run' } });
+      writeProject('libs/ui', { name: 'ui', targets: { build: {} } }, { name: '@acme/ui', scripts: { test: 'vitest run --silent' } });
+      mkdirSync(join(tempDir, 'libs', 'docs'), { recursive: true });
+      writeFileSync(join(tempDir, 'libs', 'docs', 'package.json'), JSON.stringify({ name: '@acme/docs', scripts: { test: 'mocha' } }), 'utf-8');
+
+      const packages = discoverPackages(tempDir);
+      const api = packages.find((p) => p.name === '@acme/api');
+      expect(packages.map((p) => p.name).sort()).toEqual(['@acme/api', '@acme/docs', '@acme/ui']);
+      expect(api).toMatchObject({
+        runner: 'jest',
+        configFile: join(tempDir, 'libs', 'api', 'jest.config.ts'),
+        testArgs: ['--passWithNoTests'],
+        tags: ['scope:api'],
+      });
+      expect(packages.find((p) => p.name === '@acme/ui')).toMatchObject({ runner: 'vitest', testArgs: ['--silent'] });
+      expect(packages.find((p) => p.name === '@acme/docs').runner).toBe('mocha');
+    });
+  });
+
+  it('should store the workspace package manager on each package', () => {
+    mkdirSync(join(tempDir, 'packages', 'pkg-a'), { recursive: true });
+    writeFileSync(join(tempDir, 'package.json'), JSON.stringify({ workspaces: ['packages/*'] }), 'utf-8');
+    writeFileSync(join(tempDir, 'yarn.lock'), '', 'utf-8');
+    writeFileSync(join(tempDir, 'packages', 'pkg-a', 'package.json'), JSON.stringify({ name: 'pkg-a' }), 'utf-8');
+
+    const packages = discoverPackages(tempDir);
+    expect(packages[0].packageManager).toBe('yarn');
+  });
+
+  it('should use directory basename when package.json has no name', () => {
+    writeFileSync(join(tempDir, 'package.json'), JSON.stringify({
+      scripts: { test: 'vitest run' },
+    }), 'utf-8');
+
+    const packages = discoverPackages(tempDir);
+    expect(packages).toHaveLength(1);
+    expect(packages[0].name).toBe(basename(tempDir));
+  });
+
+  it('should return empty array for directory with no package.json', () => {
+    const emptyDir = mkdtempSync(join(tmpdir(), 'empty-discover-'));
+    try {
+      const packages = discoverPackages(emptyDir);
+      expect(packages).toEqual([]);
+    } finally {
+      rmSync(emptyDir, { recursive: true, force: true });
+    }
+  });
+
+  it('should skip directories without package.json in workspace globs', () => {
+    mkdirSync(join(tempDir, 'packages', 'valid-pkg'), { recursive: true });
+    mkdirSync(join(tempDir, 'packages', 'no-pkg-json'), { recursive: true });
+
+    writeFileSync(join(tempDir, 'pnpm-workspace.yaml'), `packages:\n  - packages/*\n`, 'utf-8');
+
+    // Only valid-pkg has a package.json
+    writeFileSync(join(tempDir, 'packages', 'valid-pkg', 'package.json'), JSON.stringify({
+      name: 'valid-pkg',
+      scripts: { test: 'vitest run' },
+    }), 'utf-8');
+
+    const packages = discoverPackages(tempDir);
+    expect(packages).toHaveLength(1);
+    expect(packages[0].name).toBe('valid-pkg');
+  });
+
+  it('should deduplicate packages discovered from overlapping globs', () => {
+    mkdirSync(join(tempDir, 'packages', 'my-pkg'), { recursive: true });
+
+    writeFileSync(join(tempDir, 'pnpm-workspace.yaml'), `packages:\n  - packages/*\n  - packages/my-pkg\n`, 'utf-8');
+
+    writeFileSync(join(tempDir, 'packages', 'my-pkg', 'package.json'), JSON.stringify({
+      name: 'my-pkg',
+      scripts: { test: 'vitest run' },
+    }), 'utf-8');
+
+    const packages = discoverPackages(tempDir);
+    expect(packages).toHaveLength(1);
+  });
+});
+
+// =============================================================================
+// Package filtering (filter.js)
+// =============================================================================
+
+import { parseSelector, filterPackages } from './src/filter.js';
+
+describe('parseSelector', () => {
+  it('should parse name globs', () => {
+    expect(parseSelector('@acme/ui-*')).toMatchObject({ type: 'name', pattern: '@acme/ui-*', exclude: false });
+  });
+
+  it('should parse directory selectors', () => {
+    expect(parseSelector('./apps/web')).toMatchObject({ type: 'path', pattern: './apps/web' });
+    expect(parseSelector('{apps/web}')).toMatchObject({ type: 'path', pattern: 'apps/web' });
+  });
+
+  it('should parse tag selectors', () => {
+    expect(parseSelector('tag:frontend')).toMatchObject({ type: 'tag', pattern: 'frontend' });
+  });
+
+  it('should parse dependency and dependent expansion', () => {
+    expect(parseSelector('foo...')).toMatchObject({ pattern: 'foo', dependencies: true, dependents: false, includeSelf: true });
+    expect(parseSelector('...foo')).toMatchObject({ pattern: 'foo', dependencies: false, dependents: true, includeSelf: true });
+    expect(parseSelector('foo^...')).toMatchObject({ pattern: 'foo', dependencies: true, includeSelf: false });
+    expect(parseSelector('...^foo')).toMatchObject({ pattern: 'foo', dependents: true, includeSelf: false });
+  });
+
+  it('should parse negation', () => {
+    expect(parseSelector('!legacy')).toMatchObject({ exclude: true, pattern: 'legacy' });
+  });
+});
+
+describe('filterPackages', () => {
+  let tempDir;
+  let packages;
+
+  // ui ← web ← e2e, legacy stands alone
+  const writeWorkspacePkg = (dir, name, dependencies = {}) => {
+    mkdirSync(join(tempDir, dir), { recursive: true });
+    writeFileSync(join(tempDir, dir, 'package.json'), JSON.stringify({
+      name,
+      scripts: { test: 'vitest run' },
+      dependencies,
+    }), 'utf-8');
+  };
+
+  beforeEach(() => {
+    tempDir = mkdtempSync(join(tmpdir(), 'filter-test-'));
+    writeFileSync(join(tempDir, 'pnpm-workspace.yaml'), `packages:\n  - packages/*\n  - apps/*\n`, 'utf-8');
+    writeWorkspacePkg('packages/ui', '@acme/ui-kit');
+    writeWorkspacePkg('packages/legacy', 'legacy');
+    writeWorkspacePkg('apps/web', 'web', { '@acme/ui-kit': 'workspace:*', react: '^18.0.0' });
+    writeWorkspacePkg('apps/e2e', 'e2e', { web: 'workspace:*' });
+    packages = discoverPackages(tempDir);
+  });
+
+  afterEach(() => {
+    rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  const names = (result) => result.map((p) => p.name).sort();
+
+  it('should return all packages without selectors', () => {
+    expect(filterPackages(packages, {}, tempDir)).toBe(packages);
+  });
+
+  it('should select by name glob and directory', () => {
+    expect(names(filterPackages(packages, { filter: ['@acme/ui-*', './apps/web'] }, tempDir))).toEqual(['@acme/ui-kit', 'web']);
+    expect(names(filterPackages(packages, { filter: ['{apps}'] }, tempDir))).toEqual(['e2e', 'web']);
+    expect(names(filterPackages(packages, { filter: ['./apps/*'] }, tempDir))).toEqual(['e2e', 'web']);
+  });
+
+  it('should apply excludes after filters', () => {
+    expect(names(filterPackages(packages, { exclude: ['legacy'] }, tempDir))).toEqual(['@acme/ui-kit', 'e2e', 'web']);
+    expect(names(filterPackages(packages, { filter: ['./apps', '!e2e'] }, tempDir))).toEqual(['web']);
+  });
+
+  it('should expand dependencies and dependents transitively', () => {
+    expect(names(filterPackages(packages, { filter: ['e2e...'] }, tempDir))).toEqual(['@acme/ui-kit', 'e2e', 'web']);
+    expect(names(filterPackages(packages, { filter: ['...@acme/ui-kit'] }, tempDir))).toEqual(['@acme/ui-kit', 'e2e', 'web']);
+    expect(names(filterPackages(packages, { filter: ['...^@acme/ui-kit'] }, tempDir))).toEqual(['e2e', 'web']);
+    expect(names(filterPackages(packages, { filter: ['web^...'] }, tempDir))).toEqual(['@acme/ui-kit']);
+  });
+
+  it('should select Nx projects by tag', () => {
+    const tagged = [
+      { name: 'a', path: join(tempDir, 'a'), tags: ['scope:frontend'] },
+      { name: 'b', path: join(tempDir, 'b'), tags: ['scope:backend'] },
+      { name: 'c', path: join(tempDir, 'c') },
+    ];
+    expect(names(filterPackages(tagged, { filter: ['tag:scope:front*'] }, tempDir))).toEqual(['a']);
+  });
+});
+
+// =============================================================================
+// Dependency graph (graph.js)
+// =============================================================================
+
+import { buildDependencyGraph, computeLayers, sortByLayer } from './src/graph.js';
+
+describe('dependency graph', () => {
+  let tempDir;
+
+  const writeWorkspacePkg = (dir, name, fields = {}) => {
+    mkdirSync(join(tempDir, dir), { recursive: true });
+    writeFileSync(join(tempDir, dir, 'package.json'), JSON.stringify({
+      name,
+      scripts: { test: 'vitest run' },
+      ...fields,
+    }), 'utf-8');
+  };
+
+  beforeEach(() => {
+    tempDir = mkdtempSync(join(tmpdir(), 'graph-test-'));
+    writeFileSync(join(tempDir, 'pnpm-workspace.yaml'), `packages:\n  - packages/*\n`, 'utf-8');
+  });
+
+  afterEach(() => {
+    rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  it('should resolve workspace: aliases and relative paths', () => {
+    writeWorkspacePkg('packages/core', '@acme/core');
+    writeWorkspacePkg('packages/utils', 'utils');
+    writeWorkspacePkg('packages/app', 'app', {
+      dependencies: { core: 'workspace:@acme/core@^1.0.0' },
+      devDependencies: { helpers: 'workspace:../utils', lodash: '^4.0.0' },
+    });
+    const packages = discoverPackages(tempDir);
+    const { dependencies, dependents } = buildDependencyGraph(packages);
+
+    expect([...dependencies.get('app')].sort()).toEqual(['@acme/core', 'utils']);
+    expect([...dependents.get('@acme/core')]).toEqual(['app']);
+  });
+
+  it('should attach edges and layers to discovered packages', () => {
+    writeWorkspacePkg('packages/a-app', 'app', { dependencies: { lib: 'workspace:*' } });
+    writeWorkspacePkg('packages/b-lib', 'lib', { peerDependencies: { core: 'workspace:^' } });
+    writeWorkspacePkg('packages/c-core', 'core');
+    const packages = discoverPackages(tempDir);
+    const byName = Object.fromEntries(packages.map((p) => [p.name, p]));
+
+    expect(byName.app).toMatchObject({ dependsOn: ['lib'], dependents: [], layer: 2 });
+    expect(byName.lib).toMatchObject({ dependsOn: ['core'], dependents: ['app'], layer: 1 });
+    expect(byName.core).toMatchObject({ dependsOn: [], dependents: ['lib'], layer: 0 });
+    expect(sortByLayer(packages).map((p) => p.name)).toEqual(['core', 'lib', 'app']);
+  });
+
+  it('should put dependency cycles in a final shared layer', () => {
+    writeWorkspacePkg('packages/a', 'a', { dependencies: { b: 'workspace:*' } });
+    writeWorkspacePkg('packages/b', 'b', { dependencies: { a: 'workspace:*', c: 'workspace:*' } });
+    writeWorkspacePkg('packages/c', 'c');
+    const packages = discoverPackages(tempDir);
+    const layers = computeLayers(packages, buildDependencyGraph(packages));
+
+    expect(Object.fromEntries(layers)).toEqual({ a: 1, b: 1, c: 0 });
+  });
+});
+
+// =============================================================================
+// Change detection (changed.js)
+// =============================================================================
+
+import { getChangedFiles, getAffectedPackages, formatSelectionReason } from './src/changed.js';
+import { execFileSync } from 'node:child_process';
+
+describe('getAffectedPackages', () => {
+  let tempDir;
+  let packages;
+
+  // core ← api ← web, docs stands alone
+  const writeWorkspacePkg = (dir, name, dependencies = {}) => {
+    mkdirSync(join(tempDir, dir), { recursive: true });
+    writeFileSync(join(tempDir, dir, 'package.json'), JSON.stringify({
+      name,
+      scripts: { test: 'vitest run' },
+      dependencies,
+    }), 'utf-8');
+  };
+
+  beforeEach(() => {
+    tempDir = mkdtempSync(join(tmpdir(), 'changed-test-'));
+    writeFileSync(join(tempDir, 'pnpm-workspace.yaml'), `packages:\n  - packages/*\n`, 'utf-8');
+    writeWorkspacePkg('packages/core', 'core');
+    writeWorkspacePkg('packages/api', 'api', { core: 'workspace:*' });
+    writeWorkspacePkg('packages/web', 'web', { api: 'workspace:*' });
+    writeWorkspacePkg('packages/docs', 'docs');
+    packages = discoverPackages(tempDir);
+  });
+
+  afterEach(() => {
+    rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  it('should select changed packages and their transitive dependents', () => {
+    const reasons = getAffectedPackages(packages, [
+      join(tempDir, 'packages/core/src/a.js'),
+      join(tempDir, 'packages/core/src/b.js'),
+    ]);
+    expect([...reasons.keys()].sort()).toEqual(['api', 'core', 'web']);
+    expect(reasons.get('core')).toEqual({
+      type: 'changed',
+      files: [join(tempDir, 'packages/core/src/a.js'), join(tempDir, 'packages/core/src/b.js')],
+    });
+    expect(reasons.get('api')).toEqual({ type: 'dependent', via: 'core' });
+    expect(reasons.get('web')).toEqual({ type: 'dependent', via: 'api' });
+  });
+
+  it('should ignore files outside every package', () => {
+    const reasons = getAffectedPackages(packages, [join(tempDir, 'README.md')]);
+    expect(reasons.size).toBe(0);
+  });
+
+  it('should format selection reasons', () => {
+    expect(formatSelectionReason({ type: 'changed', files: ['a'] })).toBe('1 file changed');
+    expect(formatSelectionReason({ type: 'changed', files: ['a', 'b'] })).toBe('2 files changed');
+    expect(formatSelectionReason({ type: 'dependent', via: 'core' })).toBe('depends on core');
+  });
+});
+
+describe('getChangedFiles', () => {
+  let tempDir;
+
+  const git = (...args) => execFileSync('git', args, { cwd: tempDir, stdio: 'ignore' });
+
+  beforeEach(() => {
+    tempDir = mkdtempSync(join(tmpdir(), 'changed-git-test-'));
+    git('init', '-q', '-b', 'main');
+    git('config', 'user.email', 'test@example.com');
+    git('config', 'user.name', 'Test');
+    git('config', 'commit.gpgsign', 'false');
+    mkdirSync(join(tempDir, 'a'));
+    mkdirSync(join(tempDir, 'b'));
+    writeFileSync(join(tempDir, 'a/index.js'), 'export default 1;\n', 'utf-8');
+    writeFileSync(join(tempDir, 'b/index.js'), 'export default 2;\n', 'utf-8');
+    git('add', '.');
+    git('commit', '-q', '-m', 'initial');
+  });
+
+  afterEach(() => {
+    rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  it('should list modified and untracked files', () => {
+    writeFileSync(join(tempDir, 'a/index.js'), 'export default 10;\n', 'utf-8');
+    writeFileSync(join(tempDir, 'b/new.js'), '', 'utf-8');
+    expect(getChangedFiles(tempDir).sort()).toEqual([join(tempDir, 'a/index.js'), join(tempDir, 'b/new.js')]);
+  });
+
+  it('should include committed changes since a ref', () => {
+    git('checkout', '-q', '-b', 'feature');
+    writeFileSync(join(tempDir, 'b/index.js'), 'export default 20;\n', 'utf-8');
+    git('commit', '-q', '-am', 'change b');
+    expect(getChangedFiles(tempDir)).toEqual([]);
+    expect(getChangedFiles(tempDir, { since: 'main' })).toEqual([join(tempDir, 'b/index.js')]);
+  });
+
+  it('should throw for an unknown ref', () => {
+    expect(() => getChangedFiles(tempDir, { since: 'no-such-ref' })).toThrow(/git failed/);
+  });
+});
+
+// =============================================================================
+// Scheduler (scheduler.js)
+// =============================================================================
+
+import { createScheduler, getDefaultConcurrency } from './src/scheduler.js';
+import { markRunCrashed } from './src/output-dir.js';
+import { resolveConcurrency } from './src/config.js';
+import { renderRow, createInitialState } from './src/ui.js';
+
+describe('scheduler', () => {
+  // A task that stays running until release() is called
+  const deferred = () => {
+    let release;
+    const done = new Promise((resolve) => { release = resolve; });
+    return { done, release };
+  };
+
+  it('should run at most `concurrency` tasks at once, in FIFO order', async () => {
+    const scheduler = createScheduler(2);
+    const started = [];
+    const tasks = { a: deferred(), b: deferred(), c: deferred() };
+    const promises = Object.entries(tasks).map(([name, task]) =>
+      scheduler.enqueue(name, () => { started.push(name); return task.done; }),
+    );
+
+    expect(started).toEqual(['a', 'b']);
+    expect(scheduler.active).toBe(2);
+    expect(scheduler.isQueued('c')).toBe(true);
+
+    tasks.a.release();
+    await promises[0];
+    await Promise.resolve();
+    expect(started).toEqual(['a', 'b', 'c']);
+
+    tasks.b.release();
+    tasks.c.release();
+    await Promise.all(promises);
+    expect(scheduler.active).toBe(0);
+  });
+
+  it('should not queue the same name twice', async () => {
+    const scheduler = createScheduler(1);
+    const blocker = deferred();
+    let runs = 0;
+    scheduler.enqueue('blocker', () => blocker.done);
+    const first = scheduler.enqueue('pkg', async () => { runs++; });
+    const second = scheduler.enqueue('pkg', async () => { runs++; });
+
+    expect(second).toBe(first);
+    expect(scheduler.size).toBe(1);
+    blocker.release();
+    await first;
+    expect(runs).toBe(1);
+  });
+
+  it('should resolve cancelled tasks without running them', async () => {
+    const scheduler = createScheduler(1);
+    const blocker = deferred();
+    let ran = false;
+    scheduler.enqueue('blocker', () => blocker.done);
+    const promise = scheduler.enqueue('pkg', async () => { ran = true; });
+
+    expect(scheduler.cancel('pkg')).toBe(true);
+    expect(scheduler.cancel('pkg')).toBe(false);
+    await promise;
+    blocker.release();
+    await blocker.done;
+    expect(ran).toBe(false);
+  });
+
+  it('should report a task that throws and keep going', async () => {
+    const state = { ...createInitialState(), status: 'running' };
+    const scheduler = createScheduler(1, (name, error) => markRunCrashed(state, error));
+    const failing = scheduler.enqueue('bad', () => { throw new Error('spawn ENOENT'); });
+    const next = scheduler.enqueue('good', async () => 'ok');
+    await expect(failing).resolves.toBeUndefined();
+    await expect(next).resolves.toBeUndefined();
+    expect(state).toMatchObject({ status: 'errored', errorReason: 'spawn ENOENT' });
+  });
+
+  it('should resolve concurrency from flag, then config, then CPU count', () => {
+    expect(resolveConcurrency(3, { concurrency: 8 })).toBe(3);
+    expect(resolveConcurrency(undefined, { concurrency: 8 })).toBe(8);
+    expect(resolveConcurrency(undefined, {})).toBe(getDefaultConcurrency());
+    expect(getDefaultConcurrency()).toBeGreaterThanOrEqual(1);
+  });
+
+  it('should render queued packages with a queued label', () => {
+    const pkg = { name: 'pkg-a', runner: 'vitest' };
+    const row = stripAnsi(renderRow(pkg, { ...createInitialState(), status: 'queued' }, 0, 20));
+    expect(row).toMatch(/pkg-a\s+\(vitest\)\s+(-\s+){6}queued$/);
+  });
+});
+
+// =============================================================================
+// Timeouts (process-tree.js, config.js)
+// =============================================================================
+
+import { spawnTree, killProcessTree } from './src/process-tree.js';
+import { applyTimeouts } from './src/config.js';
+import { runTestsWithStreaming } from './src/runner.js';
+
+describe('timeouts', () => {
+  let tempDir;
+
+  beforeEach(() => {
+    tempDir = mkdtempSync(join(tmpdir(), 'timeout-test-'));
+  });
+
+  afterEach(() => {
+    rmSync(tempDir, { recursive: true, force: true });
+  });
 
-    const noTests = packages.find(p => p.name === 'no-tests');
-    const hasTests = packages.find(p => p.name === 'has-tests');
+  it.skipIf(process.platform === 'win32')('should kill the child and its descendants', async () => {
+    // The background loop is a grandchild; it keeps appending until killed
+    const logFile = join(tempDir, 'ticks.log');
+    const child = spawnTree('sh', ['-c', `while true; do echo tick >> "${logFile}"; sleep 0.05; done & wait`], { stdio: 'ignore' });
+    const closed = new Promise((resolve) => child.on('close', resolve));
+    const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+    await wait(200);
+    killProcessTree(child);
+    await closed;
+    await wait(100);
+    const sizeAfterKill = readFileSync(logFile, 'utf-8').length;
+    await wait(300);
+    expect(sizeAfterKill).toBeGreaterThan(0);
+    expect(readFileSync(logFile, 'utf-8').length).toBe(sizeAfterKill);
+  });
+
+  it('should resolve timeouts from package config, flag, then config', () => {
+    const packages = [{ name: 'a' }, { name: 'b' }, { name: 'c' }];
+    const config = { timeout: 600, packages: { b: { timeout: 30 }, c: { timeout: 0 } } };
+
+    expect(applyTimeouts(packages, config, undefined).map((p) => p.timeout)).toEqual([600, 30, null]);
+    expect(applyTimeouts(packages, config, 120).map((p) => p.timeout)).toEqual([120, 30, null]);
+    expect(applyTimeouts(packages, {}, undefined).map((p) => p.timeout)).toEqual([null, null, null]);
+  });
+
+  it('should mark a hung package as timed out and keep its output', async () => {
+    writeFileSync(join(tempDir, 'hang.test.js'), [
+      "import { test } from 'node:test';",
+      "test('quick', () => {});",
+      "test('hangs', () => new Promise(() => setInterval(() => {}, 1000)));",
+    ].join('\n'), 'utf-8');
+    const pkg = { name: 'hang', path: tempDir, runner: 'node-test', timeout: 1 };
+    const state = createInitialState();
+    state.status = 'running';
+
+    await runTestsWithStreaming(pkg, state, () => {});
+
+    expect(state.status).toBe('timed-out');
+    expect(state.duration).toBeGreaterThanOrEqual(1);
+    expect(state.passed).toBe(1);
+    expect(stripAnsi(renderRow(pkg, state, 0, 20))).toMatch(/timed out$/);
+  }, 10000);
+});
 
-    expect(noTests.testScript).toBeNull();
-    expect(noTests.runner).toBeNull();
-    expect(hasTests.testScript).toBe('vitest run');
-    expect(hasTests.runner).toBe('vitest');
+// =============================================================================
+// Bail (runner.js)
+// =============================================================================
+
+import { countFailures } from './src/runner.js';
+import { renderTotals } from './src/ui.js';
+
+describe('bail', () => {
+  const state = (fields) => ({ ...createInitialState(), ...fields });
+
+  it('should count failed tests of finished and timed-out packages', () => {
+    expect(countFailures({
+      a: state({ status: 'done', failed: 2 }),
+      b: state({ status: 'done', failed: 0 }),
+      c: state({ status: 'timed-out', failed: 0 }),
+      d: state({ status: 'running', failed: 5 }),
+      e: state({ status: 'cancelled', failed: 1 }),
+    })).toBe(3);
   });
 
-  it('should handle explicit paths in workspace globs', () => {
-    mkdirSync(join(tempDir, 'plugins', 'my-plugin', 'test-app'), { recursive: true });
+  it('should render cancelled packages and leave them out of the totals', () => {
+    const pkg = { name: 'pkg-a', runner: 'vitest' };
+    const cancelled = state({ status: 'cancelled', passed: 4 });
+    expect(stripAnsi(renderRow(pkg, cancelled, 0, 20))).toMatch(/pkg-a\s+\(vitest\)\s+(-\s+){6}cancelled$/);
 
-    writeFileSync(join(tempDir, 'pnpm-workspace.yaml'), `packages:\n  - plugins/my-plugin/test-app\n`, 'utf-8');
+    const totals = stripAnsi(renderTotals({
+      a: state({ status: 'done', files: 1, tests: 2, passed: 2, duration: 0.5 }),
+      b: cancelled,
+    }, 20));
+    expect(totals).toMatch(/Total\s+1\s+2\s+2\s+0\s+0\s+0\s+500ms\s+1 cancelled$/);
+  });
+});
 
-    writeFileSync(join(tempDir, 'plugins', 'my-plugin', 'test-app', 'package.json'), JSON.stringify({
-      name: 'test-app',
-      scripts: { test: 'vitest run' },
-    }), 'utf-8');
+// =============================================================================
+// Retries and flaky tests (retry.js)
+// =============================================================================
 
-    const packages = discoverPackages(tempDir);
-    expect(packages).toHaveLength(1);
-    expect(packages[0].name).toBe('test-app');
-    expect(packages[0].path).toBe(join(tempDir, 'plugins', 'my-plugin', 'test-app'));
+import { getFailedTestFiles, mergeRetryResults, countTestResults, runWithRetries, needsRetry } from './src/retry.js';
+import { resolveRetries } from './src/config.js';
+import { buildTestRows } from './src/views/screens/tests.js';
+
+describe('retries', () => {
+  let tempDir;
+
+  beforeEach(() => {
+    tempDir = mkdtempSync(join(tmpdir(), 'retry-test-'));
   });
 
-  it('should use directory basename when package.json has no name', () => {
-    writeFileSync(join(tempDir, 'package.json'), JSON.stringify({
-      scripts: { test: 'vitest run' },
-    }), 'utf-8');
+  afterEach(() => {
+    rmSync(tempDir, { recursive: true, force: true });
+  });
 
-    const packages = discoverPackages(tempDir);
-    expect(packages).toHaveLength(1);
-    expect(packages[0].name).toBe(basename(tempDir));
+  const result = (name, status, failureMessage = '') => ({ name, status, duration: 0.01, failureMessage });
+
+  it('should list failed test files, or null when one is not on disk', () => {
+    writeFileSync(join(tempDir, 'a.test.js'), '', 'utf-8');
+    const testResults = {
+      suites: [
+        { file: 'a.test.js', tests: [result('one', 'failed')] },
+        { file: 'b.test.js', tests: [result('two', 'passed')] },
+      ],
+    };
+    expect(getFailedTestFiles(testResults, tempDir)).toEqual([join(tempDir, 'a.test.js')]);
+
+    testResults.suites[1].tests[0].status = 'failed';
+    expect(getFailedTestFiles(testResults, tempDir)).toBeNull();
+    expect(getFailedTestFiles(null, tempDir)).toBeNull();
   });
 
-  it('should return empty array for directory with no package.json', () => {
-    const emptyDir = mkdtempSync(join(tmpdir(), 'empty-discover-'));
+  it('should mark tests that pass on a retry as flaky and keep suites not rerun', () => {
+    const previous = {
+      suites: [
+        { file: 'a.test.js', tests: [result('one', 'failed', 'boom'), result('two', 'failed')] },
+        { file: 'b.test.js', tests: [result('three', 'passed'), result('four', 'skipped')] },
+      ],
+    };
+    const retry = { suites: [{ file: 'a.test.js', tests: [result('one', 'passed'), result('two', 'failed')] }] };
+
+    const merged = mergeRetryResults(previous, retry, true);
+    expect(merged.suites.map((suite) => suite.file)).toEqual(['a.test.js', 'b.test.js']);
+    expect(merged.suites[0].tests[0]).toMatchObject({ status: 'flaky', failureMessage: 'boom' });
+    expect(countTestResults(merged)).toEqual({ passed: 1, skipped: 1, failed: 1, flaky: 1 });
+    expect(stripAnsi(buildTestRows(merged)[1].text)).toMatch(/^\s+↻ one/);
+  });
+
+  it('should rerun a failing package and record the flaky test', async () => {
+    writeFileSync(join(tempDir, 'flaky.test.js'), [
+      "import { test } from 'node:test';",
+      "import { existsSync, writeFileSync } from 'node:fs';",
+      "test('stable', () => {});",
+      "test('flaky', () => {",
+      "  if (existsSync('marker')) return;",
+      "  writeFileSync('marker', '');",
+      "  throw new Error('first attempt');",
+      "});",
+    ].join('\n'), 'utf-8');
+    const pkg = { name: 'flaky', path: tempDir, runner: 'node-test', timeout: null };
+    const state = { ...createInitialState(), status: 'running' };
+
+    await runWithRetries(pkg, state, (files) => runTestsWithStreaming(pkg, state, () => {}, false, new Map(), files), 2);
+
+    expect(state).toMatchObject({ status: 'done', attempts: 2, passed: 1, failed: 0, flaky: 1 });
+    expect(state.output).toContain('Retry 1 of 2');
+    expect(stripAnsi(renderRow(pkg, state, 0, 20))).toMatch(/flaky\s+\(node-test\)\s+\S+\s+2\s+1\s+0\s+0\s+1\s+\S+$/);
+  }, 20000);
+
+  it('should retry failed tests, timeouts and errors but not other non-zero exits', () => {
+    expect(needsRetry({ status: 'done', failed: 2, exitCode: 1 })).toBe(true);
+    expect(needsRetry({ status: 'done', failed: 0, exitCode: 1 })).toBe(false);
+    expect(needsRetry({ status: 'done', failed: 0, exitCode: 0 })).toBe(false);
+    expect(needsRetry({ status: 'timed-out', failed: 0, exitCode: null })).toBe(true);
+    expect(needsRetry({ status: 'errored', failed: 0, exitCode: 1 })).toBe(true);
+    expect(needsRetry({ status: 'cancelled', failed: 1, exitCode: null })).toBe(false);
+  });
+
+  it('should not rerun a package that exits non-zero with no failed tests', async () => {
+    const pkg = { name: 'exit', path: tempDir, runner: 'node-test', timeout: null };
+    const state = { ...createInitialState(), status: 'running' };
+    const runAttempt = async () => Object.assign(state, { status: 'done', exitCode: 2, tests: 3, passed: 3, failed: 0, output: '' });
+
+    await runWithRetries(pkg, state, runAttempt, 2);
+
+    expect(state).toMatchObject({ status: 'done', attempts: 1, exitCode: 2, failed: 0 });
+  });
+
+  it('should rerun a timed-out package whole', async () => {
+    const pkg = { name: 'slow', path: tempDir, runner: 'node-test', timeout: 1 };
+    const state = { ...createInitialState(), status: 'running' };
+    const calls = [];
+    const runAttempt = async (files) => {
+      calls.push(files);
+      const status = calls.length === 1 ? 'timed-out' : 'done';
+      Object.assign(state, { status, exitCode: calls.length === 1 ? null : 0, passed: 2, failed: 0, output: status });
+    };
+
+    await runWithRetries(pkg, state, runAttempt, 2);
+
+    expect(calls).toEqual([null, null]);
+    expect(state).toMatchObject({ status: 'done', attempts: 2, passed: 2, failed: 0, flaky: 0 });
+  });
+
+  it('should resolve retries from flag, then config, then 0', () => {
+    expect(resolveRetries(2, { retries: 5 })).toBe(2);
+    expect(resolveRetries(undefined, { retries: 5 })).toBe(5);
+    expect(resolveRetries(undefined, {})).toBe(0);
+  });
+
+  it('should pass retried files to runners that accept them', () => {
+    expect(vitestRunner.acceptsFiles).toBe(true);
+    expect(vitestRunner.buildCommand({ files: ['/ws/pkg/a.test.ts'] }).args.at(-1)).toBe('/ws/pkg/a.test.ts');
+    expect(jestRunner.buildCommand({ files: ['/ws/pkg/a.test.ts'] }).args.slice(-2)).toEqual(['--runTestsByPath', '/ws/pkg/a.test.ts']);
+  });
+});
+
+// =============================================================================
+// JSON report (reporters/json.js)
+// =============================================================================
+
+import { buildJsonReport, writeJsonReport, REPORT_SCHEMA_VERSION } from './src/reporters/json.js';
+
+describe('JSON report', () => {
+  const meta = {
+    rootDir: '/ws',
+    version: '1.2.3',
+    startedAt: new Date('2026-01-01T00:00:00Z'),
+    finishedAt: new Date('2026-01-01T00:00:05Z'),
+    exitCode: 1,
+  };
+  const packages = [
+    { name: 'a', path: '/ws/packages/a', runner: 'vitest' },
+    { name: 'b', path: '/ws/packages/b', runner: 'jest' },
+  ];
+  const states = {
+    a: {
+      ...createInitialState(),
+      status: 'done', exitCode: 1, files: 1, tests: 2, passed: 1, failed: 1, duration: 0.5,
+      coverage: { lines: '85.3', branches: '-', functions: '100.0', thresholds: { lines: 80 } },
+      testResults: {
+        suites: [{ file: 'a.test.ts', tests: [
+          { name: 'works', status: 'passed', duration: 0.01, failureMessage: '' },
+          { name: 'breaks', status: 'failed', duration: 0.02, failureMessage: 'expected 1 to be 2' },
+        ] }],
+      },
+    },
+    b: { ...createInitialState(), status: 'cancelled', passed: 3 },
+  };
+
+  it('should serialize package states with a versioned schema', () => {
+    const report = buildJsonReport(packages, states, meta);
+
+    expect(report).toMatchObject({
+      schemaVersion: REPORT_SCHEMA_VERSION,
+      tool: { name: 'monotestrunner', version: '1.2.3' },
+      startedAt: '2026-01-01T00:00:00.000Z',
+      exitCode: 1,
+      totals: { packages: 2, files: 1, tests: 2, passed: 1, failed: 1, duration: 0.5 },
+    });
+    expect(report.packages[0]).toMatchObject({
+      name: 'a',
+      path: 'packages/a',
+      status: 'done',
+      attempts: 1,
+      coverage: { lines: 85.3, branches: null, functions: 100, thresholds: { lines: 80 } },
+    });
+    expect(report.packages[0].suites[0].tests).toEqual([
+      { name: 'works', status: 'passed', duration: 0.01, failureMessage: null },
+      { name: 'breaks', status: 'failed', duration: 0.02, failureMessage: 'expected 1 to be 2' },
+    ]);
+    expect(report.packages[1]).toMatchObject({ status: 'cancelled', coverage: null, suites: null });
+  });
+
+  it('should write the report to a file, creating directories', async () => {
+    const tempDir = mkdtempSync(join(tmpdir(), 'json-report-'));
     try {
-      const packages = discoverPackages(emptyDir);
-      expect(packages).toEqual([]);
+      const file = join(tempDir, 'reports', 'tests.json');
+      await writeJsonReport(buildJsonReport(packages, states, meta), file);
+      expect(JSON.parse(readFileSync(file, 'utf-8')).packages).toHaveLength(2);
     } finally {
-      rmSync(emptyDir, { recursive: true, force: true });
+      rmSync(tempDir, { recursive: true, force: true });
     }
   });
+});
 
-  it('should skip directories without package.json in workspace globs', () => {
-    mkdirSync(join(tempDir, 'packages', 'valid-pkg'), { recursive: true });
-    mkdirSync(join(tempDir, 'packages', 'no-pkg-json'), { recursive: true });
+// =============================================================================
+// Merged JUnit report (reporters/junit.js)
+// =============================================================================
 
-    writeFileSync(join(tempDir, 'pnpm-workspace.yaml'), `packages:\n  - packages/*\n`, 'utf-8');
+import { buildJunitReport } from './src/reporters/junit.js';
+import { parseJunitFile } from './src/parsers.js';
+
+describe('merged JUnit report', () => {
+  const packages = [
+    { name: 'a', path: '/ws/packages/a', runner: 'vitest' },
+    { name: 'b', path: '/ws/packages/b', runner: 'jest', timeout: null },
+  ];
+
+  it('should group each package into a testsuite and keep test details', () => {
+    const states = {
+      a: {
+        ...createInitialState(),
+        status: 'done', exitCode: 1, duration: 1.5,
+        testResults: {
+          suites: [{ file: 'src/a.test.ts', tests: [
+            { name: 'math > adds', classname: 'src/a.test.ts', status: 'passed', duration: 0.01, failureMessage: '' },
+            { name: 'math > fails', classname: 'src/a.test.ts', status: 'failed', duration: 0.02, failureMessage: 'expected <1> to be 2' },
+            { name: 'math > later', classname: 'src/a.test.ts', status: 'skipped', duration: 0, failureMessage: '' },
+          ] }],
+        },
+      },
+      b: { ...createInitialState(), status: 'done', exitCode: 0, duration: 0.5, testResults: null },
+    };
+    const xml = buildJunitReport(packages, states);
 
-    // Only valid-pkg has a package.json
-    writeFileSync(join(tempDir, 'packages', 'valid-pkg', 'package.json'), JSON.stringify({
-      name: 'valid-pkg',
-      scripts: { test: 'vitest run' },
-    }), 'utf-8');
+    expect(xml).toContain('<testsuites name="monotestrunner" tests="3" failures="1" errors="0" skipped="1" time="2.000">');
+    expect(xml).toContain('<testsuite name="a" tests="3" failures="1" errors="0" skipped="1" time="1.500">');
+    expect(xml).toContain('<testcase classname="src/a.test.ts" name="math &gt; fails" time="0.020">');
+    expect(xml).toContain('<failure message="expected &lt;1&gt; to be 2">');
+    expect(xml).toContain('<skipped/>');
+    expect(xml).toContain('<testsuite name="b" tests="0" failures="0" errors="0" skipped="0" time="0.500"/>');
 
-    const packages = discoverPackages(tempDir);
-    expect(packages).toHaveLength(1);
-    expect(packages[0].name).toBe('valid-pkg');
+    // Readable by the package-level parser
+    const tempDir = mkdtempSync(join(tmpdir(), 'junit-merge-'));
+    try {
+      writeFileSync(join(tempDir, 'junit.xml'), xml, 'utf-8');
+      const parsed = parseJunitFile(join(tempDir, 'junit.xml'));
+      expect(parsed.suites[0].tests.map((t) => t.status)).toEqual(['passed', 'failed', 'skipped']);
+    } finally {
+      rmSync(tempDir, { recursive: true, force: true });
+    }
   });
 
-  it('should deduplicate packages discovered from overlapping globs', () => {
-    mkdirSync(join(tempDir, 'packages', 'my-pkg'), { recursive: true });
+  it('should add a failed testcase with the output for packages that crashed', () => {
+    const states = {
+      a: { ...createInitialState(), status: 'done', exitCode: 0, duration: 0.1, testResults: null },
+      b: { ...createInitialState(), status: 'done', exitCode: 2, duration: 0.3, output: '\x1b[31mSyntaxError: Unexpected token\x1b[39m' },
+    };
+    const xml = buildJunitReport(packages, states);
 
-    writeFileSync(join(tempDir, 'pnpm-workspace.yaml'), `packages:\n  - packages/*\n  - packages/my-pkg\n`, 'utf-8');
+    expect(xml).toContain('<testsuite name="b" tests="1" failures="1"');
+    expect(xml).toContain('<testcase classname="b" name="test run" time="0.300">');
+    expect(xml).toContain('exited with code 2 without producing JUnit results\n\nSyntaxError: Unexpected token</failure>');
+  });
+});
 
-    writeFileSync(join(tempDir, 'packages', 'my-pkg', 'package.json'), JSON.stringify({
-      name: 'my-pkg',
-      scripts: { test: 'vitest run' },
-    }), 'utf-8');
+// =============================================================================
+// GitHub Actions reporter (reporters/github.js)
+// =============================================================================
 
-    const packages = discoverPackages(tempDir);
-    expect(packages).toHaveLength(1);
+import { buildAnnotations, buildStepSummary, reportToGitHub } from './src/reporters/github.js';
+
+describe('GitHub Actions reporter', () => {
+  let tempDir;
+  let packages;
+  let states;
+
+  beforeEach(() => {
+    tempDir = mkdtempSync(join(tmpdir(), 'gha-test-'));
+    mkdirSync(join(tempDir, 'packages', 'a', 'src'), { recursive: true });
+    writeFileSync(join(tempDir, 'packages', 'a', 'src', 'a.test.ts'), '', 'utf-8');
+    packages = [
+      { name: 'a', path: join(tempDir, 'packages', 'a'), runner: 'vitest' },
+      { name: 'b', path: join(tempDir, 'packages', 'b'), runner: 'jest', timeout: 60 },
+    ];
+    states = {
+      a: {
+        ...createInitialState(),
+        status: 'done', exitCode: 1, files: 1, tests: 2, passed: 1, failed: 1, duration: 1.25,
+        coverage: { lines: '85.3', branches: '-', functions: '100.0' },
+        testResults: {
+          suites: [{ file: 'src/a.test.ts', tests: [
+            { name: 'math > adds', status: 'passed', duration: 0.01, failureMessage: '' },
+            { name: 'math > fails', status: 'failed', duration: 0.02, failureMessage: 'AssertionError: 100% wrong\n ❯ src/a.test.ts:12:5' },
+          ] }],
+        },
+      },
+      b: { ...createInitialState(), status: 'timed-out', passed: 3, duration: 60 },
+    };
+  });
+
+  afterEach(() => {
+    rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  it('should annotate failed tests with workspace-relative file and line', () => {
+    expect(buildAnnotations(packages, states, tempDir)).toEqual([
+      '::error file=packages/a/src/a.test.ts,line=12,title=a › math > fails::AssertionError: 100%25 wrong%0A ❯ src/a.test.ts:12:5',
+      '::error title=b::Tests timed out after 60s',
+    ]);
+  });
+
+  it('should build a Markdown table with counts, durations and coverage', () => {
+    const summary = buildStepSummary(packages, states);
+    expect(summary).toContain('| Package | Status | Files | Tests | Passed | Skipped | Failed | Flaky | Duration | Lines | Branches | Functions |');
+    expect(summary).toContain('| `a` | ❌ failed | 1 | 2 | 1 | 0 | 1 | 0 | 1.25s | 85.3% | - | 100.0% |');
+    expect(summary).toContain('| `b` | ⏱️ timed out | - | - | 3 | 0 | 0 | 0 | 60.00s | - | - | - |');
+    expect(summary).toContain('| **Total** |  | 1 | 2 | 4 | 0 | 1 | 0 | 61.25s |  |  |  |');
+  });
+
+  it('should append the summary to GITHUB_STEP_SUMMARY', () => {
+    const summaryFile = join(tempDir, 'step-summary.md');
+    writeFileSync(summaryFile, '# Earlier step\n', 'utf-8');
+    const previous = process.env.GITHUB_STEP_SUMMARY;
+    const log = console.log;
+    const printed = [];
+    process.env.GITHUB_STEP_SUMMARY = summaryFile;
+    console.log = (line) => printed.push(line);
+    try {
+      reportToGitHub(packages, states, tempDir);
+    } finally {
+      console.log = log;
+      if (previous === undefined) delete process.env.GITHUB_STEP_SUMMARY;
+      else process.env.GITHUB_STEP_SUMMARY = previous;
+    }
+    expect(printed).toHaveLength(2);
+    expect(readFileSync(summaryFile, 'utf-8')).toMatch(/^# Earlier step\n## Test results\n/);
+  });
+});
+
+// =============================================================================
+// TAP reporter (reporters/tap.js)
+// =============================================================================
+
+import { createTapReporter } from './src/reporters/tap.js';
+
+describe('TAP reporter', () => {
+  const collect = () => {
+    let text = '';
+    const reporter = createTapReporter((chunk, callback) => {
+      text += chunk;
+      callback?.();
+    });
+    return { reporter, output: () => text };
+  };
+
+  it('should write each package as a subtest with YAML diagnostics', async () => {
+    const { reporter, output } = collect();
+    reporter.start(2);
+    reporter.packageDone({ name: 'a' }, {
+      ...createInitialState(),
+      status: 'done', exitCode: 1, failed: 1, duration: 1.5,
+      testResults: {
+        suites: [{ file: 'a.test.ts', tests: [
+          { name: 'issue #12', status: 'passed', duration: 0.012, failureMessage: '' },
+          { name: 'fails', status: 'failed', duration: 0.003, failureMessage: 'expected 1\nto be 2' },
+          { name: 'later', status: 'skipped', duration: 0, failureMessage: '' },
+        ] }],
+      },
+    });
+    reporter.packageDone({ name: 'b' }, { ...createInitialState(), status: 'cancelled' });
+    await reporter.end();
+
+    expect(output()).toBe([
+      'TAP version 14',
+      '1..2',
+      '# Subtest: a',
+      '    ok 1 - issue \\#12',
+      '      ---',
+      '      duration_ms: 12',
+      '      ...',
+      '    not ok 2 - fails',
+      '      ---',
+      '      duration_ms: 3',
+      '      message: |-',
+      '        expected 1',
+      '        to be 2',
+      '      ...',
+      '    ok 3 - later # SKIP',
+      '    1..3',
+      'not ok 1 - a',
+      '  ---',
+      '  duration_ms: 1500',
+      '  ...',
+      'Bail out! --bail reached, b and the remaining packages were cancelled',
+      '',
+    ].join('\n'));
+  });
+
+  it('should report a package that crashes without test results and keep going', async () => {
+    const { reporter, output } = collect();
+    reporter.start(2);
+    reporter.packageDone({ name: 'a' }, { ...createInitialState(), status: 'done', exitCode: 1, output: 'SyntaxError: nope' });
+    reporter.packageDone({ name: 'b' }, { ...createInitialState(), status: 'done', exitCode: 0, testResults: null });
+    await reporter.end();
+
+    expect(output()).toBe([
+      'TAP version 14',
+      '1..2',
+      '# SyntaxError: nope',
+      'not ok 1 - a',
+      '  ---',
+      '  duration_ms: 0',
+      '  message: |-',
+      '    exited with code 1 without producing test results',
+      '  ...',
+      '# Subtest: b',
+      '    1..0',
+      'ok 2 - b',
+      '  ---',
+      '  duration_ms: 0',
+      '  ...',
+      '',
+    ].join('\n'));
+  });
+});
+
+// =============================================================================
+// Result cache (cache.js)
+// =============================================================================
+
+import { createResultCache, listInputFiles, listSharedInputs, slicePnpmLockfile, getCacheDir } from './src/cache.js';
+import { relative } from 'node:path';
+import { resolveCache, resolveCacheInputs } from './src/config.js';
+import { readdirSync } from 'node:fs';
+
+describe('result cache', () => {
+  let tempDir;
+  let packages;
+
+  const write = (path, content) => {
+    mkdirSync(dirname(join(tempDir, path)), { recursive: true });
+    writeFileSync(join(tempDir, path), content, 'utf-8');
+  };
+  const hashOf = (name, coverage = false) =>
+    createResultCache(tempDir, packages, coverage).getHash(packages.find((p) => p.name === name));
+
+  beforeEach(() => {
+    tempDir = mkdtempSync(join(tmpdir(), 'cache-test-'));
+    write('packages/a/package.json', JSON.stringify({ name: 'a' }));
+    write('packages/a/index.js', 'export const a = 1;');
+    write('packages/b/package.json', JSON.stringify({ name: 'b', dependencies: { a: 'workspace:*' } }));
+    write('packages/b/b.test.js', "import 'a';");
+    packages = ['a', 'b'].map((name) => ({ name, path: join(tempDir, 'packages', name), runner: 'node-test', packageManager: null }));
+  });
+
+  afterEach(() => {
+    rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  it('should hash package files, ignoring output directories', () => {
+    write('packages/a/coverage/junit.xml', '<testsuites/>');
+    write('packages/a/node_modules/dep/index.js', '');
+    expect(listInputFiles(packages[0].path, new Set())).toEqual(['index.js', 'package.json']);
+
+    const before = hashOf('a');
+    write('packages/a/coverage/junit.xml', '<testsuites tests="1"/>');
+    expect(hashOf('a')).toBe(before);
+    write('packages/a/index.js', 'export const a = 2;');
+    expect(hashOf('a')).not.toBe(before);
+  });
+
+  it('should invalidate dependents when a workspace dependency changes', () => {
+    const [a, b] = [hashOf('a'), hashOf('b')];
+    write('packages/a/index.js', 'export const a = 2;');
+    expect(hashOf('a')).not.toBe(a);
+    expect(hashOf('b')).not.toBe(b);
+
+    const a2 = hashOf('a');
+    write('packages/b/b.test.js', "import 'a'; // changed");
+    expect(hashOf('a')).toBe(a2);
+  });
+
+  it('should hash the coverage flag and the package lockfile slice', () => {
+    expect(hashOf('a', true)).not.toBe(hashOf('a'));
+
+    const lockfile = (version) => [
+      'lockfileVersion: \'9.0\'',
+      '',
+      'importers:',
+      '',
+      '  packages/a:',
+      '    dependencies:',
+      '      lodash:',
+      '        specifier: ^4',
+      `        version: ${version}`,
+      '',
+      '  packages/b:',
+      '    dependencies:',
+      '      a:',
+      '        specifier: workspace:*',
+      '        version: link:../a',
+      '',
+      'packages:',
+      '',
+    ].join('\n');
+    expect(slicePnpmLockfile(lockfile('4.17.21'), 'packages/b')).toBe('  packages/b:\n    dependencies:\n      a:\n        specifier: workspace:*\n        version: link:../a');
+    expect(slicePnpmLockfile(lockfile('4.17.21'), 'packages/c')).toBeNull();
+
+    write('pnpm-lock.yaml', lockfile('4.17.21'));
+    const [a, b] = [hashOf('a'), hashOf('b')];
+    write('pnpm-lock.yaml', lockfile('4.17.20'));
+    expect(hashOf('a')).not.toBe(a);
+    expect(hashOf('b')).not.toBe(b); // Through its dependency on a
+  });
+
+  it('should replay stored passing results while the inputs are unchanged', () => {
+    const [a, b] = packages;
+    const passed = { ...createInitialState(), status: 'done', exitCode: 0, files: 1, tests: 2, passed: 2, duration: 0.4, testResults: { suites: [] }, output: 'dots' };
+
+    let cache = createResultCache(tempDir, packages, false);
+    expect(cache.lookup(a)).toBeNull();
+    cache.store(a, passed);
+    cache.store(b, { ...passed, exitCode: 1, failed: 1 });
+    expect(readdirSync(getCacheDir(tempDir))).toEqual(['a.json']);
+
+    cache = createResultCache(tempDir, packages, false);
+    expect(cache.lookup(a)).toMatchObject({ files: 1, tests: 2, passed: 2, failed: 0, duration: 0.4, testResults: { suites: [] } });
+    expect(cache.lookup(a)).not.toHaveProperty('output');
+    expect(cache.lookup(b)).toBeNull();
+
+    write('packages/a/index.js', 'export const a = 2;');
+    expect(createResultCache(tempDir, packages, false).lookup(a)).toBeNull();
+  });
+
+  it('should hash the shared workspace-root config and cacheInputs into every package', () => {
+    write('tsconfig.base.json', '{}');
+    write('README.md', '# ws');
+    write('config/preset.js', 'module.exports = {};');
+    const inputs = resolveCacheInputs({ cacheInputs: ['config/*.js'] }, tempDir);
+    expect(listSharedInputs(tempDir, inputs).map((path) => relative(tempDir, path))).toEqual(['config/preset.js', 'tsconfig.base.json']);
+
+    const hashWith = () => createResultCache(tempDir, packages, false, { inputs }).getHash(packages[0]);
+    const before = hashWith();
+    write('README.md', '# workspace');
+    expect(hashWith()).toBe(before);
+    write('tsconfig.base.json', '{ "compilerOptions": { "strict": true } }');
+    const afterTsconfig = hashWith();
+    expect(afterTsconfig).not.toBe(before);
+    write('config/preset.js', 'module.exports = { bail: true };');
+    expect(hashWith()).not.toBe(afterTsconfig);
+  });
+
+  it('should hit on the next run of a root package with run history enabled', () => {
+    write('package.json', JSON.stringify({ name: 'root', scripts: { test: 'node --test' } }));
+    write('root.test.js', '');
+    const root = { name: 'root', path: tempDir, runner: 'node-test', packageManager: null };
+    const historyFile = resolveHistoryFile({}, tempDir);
+    const passed = { ...createInitialState(), status: 'done', exitCode: 0, files: 1, tests: 1, passed: 1, duration: 0.1 };
+
+    createResultCache(tempDir, [root], false, { exclude: [historyFile] }).store(root, passed);
+    appendHistory(historyFile, { startedAt: '2026-10-01T00:00:00.000Z', packages: [] });
+
+    expect(createResultCache(tempDir, [root], false, { exclude: [historyFile] }).lookup(root)).toMatchObject({ passed: 1 });
+  });
+
+  it('should show cached packages in the table and leave them out of the total duration', () => {
+    const pkg = { name: 'a', runner: 'vitest' };
+    const state = { ...createInitialState(), status: 'done', exitCode: 0, files: 1, tests: 2, passed: 2, duration: 3, cached: true };
+    expect(stripAnsi(renderRow(pkg, state, 0, 20))).toMatch(/\s+cached$/);
+
+    const totals = stripAnsi(renderTotals({ a: state, b: { ...state, cached: false, duration: 1 } }, 20));
+    expect(totals).toMatch(/1\.00s\s+1 cached$/);
+  });
+
+  it('should resolve the cache setting from --no-cache, then config', () => {
+    expect(resolveCache(false, { cache: true })).toBe(false);
+    expect(resolveCache(undefined, { cache: false })).toBe(false);
+    expect(resolveCache(undefined, {})).toBe(true);
+  });
+});
+
+// =============================================================================
+// Run history (history.js)
+// =============================================================================
+
+import { buildHistoryEntry, appendHistory, readHistory, computeTrends } from './src/history.js';
+import { resolveHistoryFile } from './src/config.js';
+
+describe('run history', () => {
+  const record = (name, fields = {}) => ({
+    name, status: 'done', cached: false, exitCode: 0, files: null, passed: 2, skipped: 0, failed: 0, flaky: 0,
+    duration: 1, coverage: null, failedTests: [], ...fields,
+  });
+  const run = (...packages) => ({ version: 1, timestamp: '2026-10-01T00:00:00.000Z', commit: null, exitCode: 0, packages });
+
+  it('should summarize each package of a run, with failed test names', () => {
+    const states = {
+      a: {
+        ...createInitialState(), status: 'done', exitCode: 1, passed: 1, failed: 1, duration: 0.5,
+        coverage: { lines: '85.3', branches: '-', functions: '100.0' },
+        testResults: { suites: [{ file: 'a.test.js', tests: [
+          { name: 'works', status: 'passed' },
+          { name: 'breaks', status: 'failed' },
+        ] }] },
+      },
+    };
+    const entry = buildHistoryEntry([{ name: 'a' }], states, { startedAt: new Date('2026-10-01T00:00:00Z'), commit: 'abc123', exitCode: 1 });
+    expect(entry).toMatchObject({ version: 1, timestamp: '2026-10-01T00:00:00.000Z', commit: 'abc123', exitCode: 1 });
+    expect(entry.packages[0]).toEqual(record('a', {
+      exitCode: 1, passed: 1, failed: 1, duration: 0.5,
+      coverage: { lines: 85.3, branches: null, functions: 100 },
+      failedTests: ['a.test.js › breaks'],
+    }));
+  });
+
+  it('should append entries as JSON lines and skip unreadable ones', () => {
+    const tempDir = mkdtempSync(join(tmpdir(), 'history-test-'));
+    try {
+      const file = join(tempDir, '.monotestrunner', 'history.jsonl');
+      appendHistory(file, run(record('a')));
+      writeFileSync(file, `${readFileSync(file, 'utf-8')}{"version":1,"pack\n`, 'utf-8');
+      appendHistory(file, run(record('b')));
+      expect(readHistory(file).map((entry) => entry.packages[0].name)).toEqual(['a', 'b']);
+      expect(readHistory(join(tempDir, 'missing.jsonl'))).toEqual([]);
+    } finally {
+      rmSync(tempDir, { recursive: true, force: true });
+    }
+  });
+
+  it('should compute pass rates and durations over the runs where a package ran', () => {
+    const entries = [
+      run(record('a', { duration: 5 })), // Outside the window
+      run(record('a', { failed: 1, exitCode: 1, duration: 2, failedTests: ['a.test.js › breaks'] }), record('b')),
+      run(record('a', { duration: 1 }), record('b', { cached: true, duration: 9 })),
+      run(record('a', { duration: 3 }), record('b', { status: 'cancelled' })),
+    ];
+    const { runs, packages, failures } = computeTrends(entries, 3);
+
+    expect(runs).toHaveLength(3);
+    expect(packages[0]).toMatchObject({ name: 'a', runs: 3, avgDuration: 2, lastDuration: 3, outcomes: ['failed', 'passed', 'passed'] });
+    expect(packages[0].passRate).toBeCloseTo(2 / 3);
+    expect(packages[1]).toMatchObject({ name: 'b', runs: 1, passRate: 1, avgDuration: 1, outcomes: ['passed', 'cached', 'cancelled'] });
+    expect(failures).toEqual([{ name: 'a › a.test.js › breaks', count: 1 }]);
+  });
+
+  it('should report coverage deltas between the first and last run with coverage', () => {
+    const entries = [
+      run(record('a', { coverage: { lines: 80, branches: 70, functions: null } })),
+      run(record('a')),
+      run(record('a', { coverage: { lines: 82.5, branches: 65, functions: null } })),
+    ];
+    const { coverage } = computeTrends(entries, 10).packages[0];
+    expect(coverage).toEqual({ lines: { value: 82.5, delta: 2.5 }, branches: { value: 65, delta: -5 }, functions: null });
+  });
+
+  it('should resolve the history file from config', () => {
+    expect(resolveHistoryFile({}, '/ws')).toBe(join('/ws', '.monotestrunner', 'history.jsonl'));
+    expect(resolveHistoryFile({ history: 'reports/runs.jsonl' }, '/ws')).toBe(join('/ws', 'reports', 'runs.jsonl'));
+    expect(resolveHistoryFile({ history: false }, '/ws')).toBeNull();
+  });
+});
+
+// =============================================================================
+// Sharding (shard.js) and merging shard reports
+// =============================================================================
+
+import { parseShard, selectShard } from './src/shard.js';
+import { mergeJsonReports, findMissingShards, reportToStates } from './src/reporters/json.js';
+import { mergeJunitReports } from './src/reporters/junit.js';
+import { getPackageTimings, getPackageFileCounts } from './src/history.js';
+
+describe('sharding', () => {
+  const pkgs = ['a', 'b', 'c', 'd', 'e'].map((name) => ({ name, runner: 'vitest' }));
+  const shardOf = (count, timings = new Map(), shardFiles = false) =>
+    Array.from({ length: count }, (_, i) => selectShard(pkgs, { index: i + 1, count }, timings, shardFiles));
+
+  it('should parse i/n', () => {
+    expect(parseShard('2/4')).toEqual({ index: 2, count: 4 });
+    expect(parseShard('0/4')).toBeNull();
+    expect(parseShard('5/4')).toBeNull();
+    expect(parseShard('2')).toBeNull();
+  });
+
+  it('should give every package to exactly one shard, by count without timings', () => {
+    const shards = shardOf(2);
+    expect(shards.map((s) => s.packages.map((p) => p.name))).toEqual([['a', 'c', 'e'], ['b', 'd']]);
+    expect(shards[0].weighted).toBe(false);
+  });
+
+  it('should balance shards by recorded duration, keeping run order', () => {
+    const timings = new Map([['a', 10], ['b', 1], ['c', 4], ['d', 4]]); // e gets the average, 4.75
+    const shards = shardOf(2, timings);
+    expect(shards.map((s) => s.packages.map((p) => p.name))).toEqual([['a', 'b'], ['c', 'd', 'e']]);
+    expect(shards[1].weighted).toBe(true);
+  });
+
+  it('should split packages larger than a shard share by file with --shard-files', () => {
+    const timings = new Map([['a', 30], ['b', 1], ['c', 1], ['d', 1], ['e', 1]]);
+    const shards = shardOf(2, timings, true);
+    expect(shards[0].split).toEqual(['a']);
+    expect(shards.map((s) => s.packages.map((p) => p.name))).toEqual([['a', 'b', 'd'], ['a', 'c', 'e']]);
+    expect(shards[1].packages[0].shard).toEqual({ index: 2, count: 2 });
+    // Runners without their own sharding keep the package whole
+    expect(selectShard([{ name: 'a', runner: 'mocha' }, pkgs[1]], { index: 1, count: 2 }, timings, true).split).toEqual([]);
+  });
+
+  it('should skip a split package on shards its test files do not reach', () => {
+    const history = [{ version: 1, timestamp: '', commit: null, exitCode: 0, shard: null, packages: [
+      { name: 'a', status: 'done', cached: false, exitCode: 0, files: 2, passed: 4, skipped: 0, failed: 0, flaky: 0, duration: 30, coverage: null, failedTests: [] },
+    ] }];
+    const fileCounts = getPackageFileCounts(history);
+    expect(fileCounts).toEqual(new Map([['a', 2]]));
+
+    const shards = Array.from({ length: 3 }, (_, i) => selectShard([pkgs[0]], { index: i + 1, count: 3 }, new Map(), true, fileCounts));
+    expect(shards.map((s) => s.packages)).toEqual([
+      [{ ...pkgs[0], shard: { index: 1, count: 2 } }],
+      [{ ...pkgs[0], shard: { index: 2, count: 2 } }],
+      [],
+    ]);
+    // Without a known file count every shard runs a slice
+    expect(selectShard([pkgs[0]], { index: 3, count: 3 }, new Map(), true).packages[0].shard).toEqual({ index: 3, count: 3 });
+  });
+
+  it('should pass the shard to runners that support it', () => {
+    expect(vitestRunner.buildCommand({ shard: { index: 1, count: 3 } }).args).toContain('--shard=1/3');
+    expect(jestRunner.buildCommand({ shard: { index: 2, count: 3 } }).args).toContain('--shard=2/3');
+    expect(nodeTestRunner.buildCommand({ shard: { index: 3, count: 3 } }).args).toContain('--test-shard=3/3');
+  });
+
+  it('should weight shards with durations of unsharded runs only', () => {
+    const entry = (duration, shard = null) => ({ version: 1, timestamp: '', commit: null, exitCode: 0, shard, packages: [
+      { name: 'a', status: 'done', cached: false, exitCode: 0, passed: 1, skipped: 0, failed: 0, flaky: 0, duration, coverage: null, failedTests: [] },
+    ] });
+    expect(getPackageTimings([entry(2), entry(4), entry(100, { index: 1, count: 2 })])).toEqual(new Map([['a', 3]]));
+  });
+});
+
+describe('merging shard reports', () => {
+  const entry = (name, fields = {}) => ({
+    name, path: `packages/${name}`, runner: 'vitest', timeout: null, status: 'done', exitCode: 0, attempts: 1, cached: false,
+    files: 1, tests: 1, passed: 1, skipped: 0, failed: 0, flaky: 0, duration: 1, coverage: null,
+    suites: [{ file: `${name}.test.ts`, tests: [{ name: 'works', status: 'passed', duration: 0.1, failureMessage: null }] }],
+    ...fields,
+  });
+  const report = (index, packages, fields = {}) => ({
+    schemaVersion: 1, tool: { name: 'monotestrunner', version: '1.0.0' }, rootDir: '/ws',
+    startedAt: `2026-01-01T00:00:0${index}.000Z`, finishedAt: `2026-01-01T00:01:0${index}.000Z`,
+    exitCode: 0, shard: { index, count: 3 }, totals: {}, packages, ...fields,
+  });
+
+  it('should merge packages, combining one split across shards', () => {
+    const merged = mergeJsonReports([
+      report(2, [entry('big', { failed: 1, passed: 0, exitCode: 1, suites: [{ file: 'b.test.ts', tests: [{ name: 'breaks', status: 'failed', duration: 0.1, failureMessage: 'boom' }] }] }), entry('c')], { exitCode: 1 }),
+      report(1, [entry('big', { coverage: { lines: 80 } }), entry('a')]),
+    ]);
+
+    expect(merged).toMatchObject({ startedAt: '2026-01-01T00:00:01.000Z', finishedAt: '2026-01-01T00:01:02.000Z', exitCode: 1, shard: null });
+    expect(merged.packages.map((p) => p.name)).toEqual(['big', 'a', 'c']);
+    expect(merged.packages[0]).toMatchObject({ exitCode: 1, files: 2, passed: 1, failed: 1, duration: 2, coverage: { lines: 80 } });
+    expect(merged.packages[0].suites.map((s) => s.file)).toEqual(['big.test.ts', 'b.test.ts']);
+    expect(merged.totals).toMatchObject({ packages: 3, passed: 3, failed: 1 });
+    expect(findMissingShards([report(1, []), report(3, [])])).toEqual(['2/3']);
+  });
+
+  it('should recompute the exit code from the merged packages', () => {
+    // Shard 1 timed out on its slice of 'big', shard 2 errored on its own; the stored codes say 3
+    const merged = mergeJsonReports([
+      report(1, [entry('big', { status: 'timed-out', exitCode: null })], { exitCode: 3 }),
+      report(2, [entry('big', { status: 'errored', exitCode: 1, suites: null }), entry('c', { flaky: 1 })], { exitCode: 4 }),
+      report(3, [entry('d')], { exitCode: 0 }),
+    ]);
+    expect(merged.packages[0]).toMatchObject({ status: 'errored', exitCode: 1 });
+    expect(merged.exitCode).toBe(EXIT_CODES.errored);
+
+    const clean = [report(1, [entry('c', { flaky: 1 })], { exitCode: 1 })];
+    expect(mergeJsonReports(clean).exitCode).toBe(EXIT_CODES.ok);
+    expect(mergeJsonReports(clean, { failOnFlaky: true }).exitCode).toBe(EXIT_CODES.testsFailed);
+  });
+
+  it('should keep the failures of a split package when another shard was cancelled', () => {
+    const merged = mergeJsonReports([
+      report(1, [entry('big', { failed: 2, passed: 0, exitCode: 1 })], { exitCode: 1 }),
+      report(2, [entry('big', { status: 'cancelled', exitCode: null, files: null, tests: null, passed: 0, duration: null, suites: null })]),
+    ]);
+    expect(merged.packages[0]).toMatchObject({ status: 'done', failed: 2, exitCode: 1 });
+    expect(merged.totals).toMatchObject({ packages: 1, failed: 2 });
+    expect(merged.exitCode).toBe(EXIT_CODES.testsFailed);
+  });
+
+  it('should reject repeated shards and other schema versions', () => {
+    expect(() => mergeJsonReports([report(1, []), report(1, [])])).toThrow('shard 1/3 appears twice');
+    expect(() => mergeJsonReports([report(1, [], { schemaVersion: 2 })])).toThrow('schemaVersion');
+  });
+
+  it('should build JUnit from a merged report', () => {
+    const { packages, states } = reportToStates(mergeJsonReports([report(1, [entry('a', { status: 'timed-out', timeout: 30, suites: null })])]));
+    expect(buildJunitReport(packages, states)).toContain('timed out after 30s');
+  });
+
+  it('should merge JUnit documents and sum their totals', () => {
+    const doc = (name, failures) => [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      `<testsuites name="monotestrunner" tests="2" failures="${failures}" errors="0" skipped="0" time="1.000">`,
+      `  <testsuite name="${name}" tests="2" failures="${failures}" errors="0" skipped="0" time="1.000">`,
+      '    <testcase classname="x" name="one" time="0.500"/>',
+      '  </testsuite>',
+      `  <testsuite name="${name}-empty" tests="0" failures="0" errors="0" skipped="0" time="0.000"/>`,
+      '</testsuites>',
+    ].join('\n');
+    const merged = mergeJunitReports([doc('a', 1), doc('b', 0)]);
+    expect(merged).toContain('<testsuites name="monotestrunner" tests="4" failures="1" errors="0" skipped="0" time="2.000">');
+    expect(merged.match(/<testsuite /g)).toHaveLength(4);
+    expect(() => mergeJunitReports(['{}'])).toThrow('not a JUnit report');
+  });
+});
+
+// =============================================================================
+// Output directories (output-dir.js)
+// =============================================================================
+
+import { existsSync } from 'node:fs';
+import { getRunDir, prepareOutputDir } from './src/output-dir.js';
+
+describe('output directories', () => {
+  let tempDir;
+
+  beforeEach(() => {
+    tempDir = mkdtempSync(join(tmpdir(), 'output-dir-test-'));
+  });
+
+  afterEach(() => {
+    registerCustomRunners(undefined);
+    rmSync(tempDir, { recursive: true, force: true });
+    rmSync(getRunDir(), { recursive: true, force: true });
+  });
+
+  it('should put reports in the output directory unless the runner declares them', () => {
+    expect(getOutputPaths({ path: '/ws/pkg', runner: 'vitest' }, '/tmp/run/pkg')).toEqual({
+      junit: join('/tmp/run/pkg', 'junit.xml'),
+      lcov: join('/tmp/run/pkg', 'coverage', 'lcov.info'),
+      coverageSummary: join('/tmp/run/pkg', 'coverage', 'coverage-summary.json'),
+    });
+    registerCustomRunners([{ name: 'ava', detect: 'ava', command: 'ava', junit: 'reports/junit.xml' }]);
+    expect(getOutputPaths({ path: '/ws/pkg', runner: 'ava' }, '/tmp/run/pkg').junit).toBe(join('/ws/pkg', 'reports', 'junit.xml'));
+  });
+
+  it('should pass the report paths to the built-in runners', () => {
+    const opts = { coverage: true, junitPath: '/out/junit.xml', lcovPath: '/out/coverage/lcov.info' };
+    expect(vitestRunner.buildCommand(opts).args).toEqual(expect.arrayContaining(['--outputFile.junit=/out/junit.xml', '--coverage.reportsDirectory=/out/coverage']));
+    expect(jestRunner.buildCommand(opts)).toMatchObject({ env: { MONOTESTRUNNER_JUNIT_PATH: '/out/junit.xml' } });
+    expect(jestRunner.buildCommand(opts).args).toContain('--coverageDirectory=/out/coverage');
+    expect(nodeTestRunner.buildCommand(opts).args).toEqual(expect.arrayContaining(['--test-reporter-destination=/out/junit.xml', '--test-reporter-destination=/out/coverage/lcov.info']));
+    expect(bunRunner.buildCommand(opts).args).toEqual(expect.arrayContaining(['--reporter-outfile=/out/junit.xml', '--coverage-dir=/out/coverage']));
+  });
+
+  it('should empty a package directory for each attempt', () => {
+    const pkg = { name: '@scope/pkg', path: tempDir, runner: 'vitest' };
+    const dir = prepareOutputDir(pkg);
+    expect(dir).toBe(join(getRunDir(), encodeURIComponent('@scope/pkg')));
+    writeFileSync(join(dir, 'junit.xml'), '<testsuites/>', 'utf-8');
+    expect(prepareOutputDir(pkg)).toBe(dir);
+    expect(readdirSync(dir)).toEqual(['coverage']);
+  });
+
+  it('should write reports outside the package', async () => {
+    writeFileSync(join(tempDir, 'a.test.js'), "import { test } from 'node:test';\ntest('one', () => {});\n", 'utf-8');
+    const pkg = { name: 'out', path: tempDir, runner: 'node-test', timeout: null };
+    const state = { ...createInitialState(), status: 'running' };
+
+    await runTestsWithStreaming(pkg, state, () => {});
+
+    expect(state.testResults.suites.flatMap((suite) => suite.tests).map((test) => test.name)).toEqual(['test > one']);
+    expect(existsSync(join(state.outputDir, 'junit.xml'))).toBe(true);
+    expect(existsSync(join(tempDir, 'coverage'))).toBe(false);
+  }, 10000);
+
+  it.skipIf(process.platform === 'win32')('should not show the previous run\'s tests after a crash', async () => {
+    const xml = '<testsuites><testsuite name="a.test.js"><testcase classname="a.test.js" name="one"/></testsuite></testsuites>';
+    writeFileSync(join(tempDir, 'report.xml'), xml, 'utf-8');
+    registerCustomRunners([{
+      name: 'sh',
+      detect: '^sh\\b',
+      command: 'sh',
+      args: ['-c', 'test -f crash && exit 1; cp report.xml "$0"', '{junitPath}'],
+      summary: { tests: 'never (\\d+)' },
+    }]);
+    const pkg = { name: 'crashes', path: tempDir, runner: 'sh', timeout: null };
+    const state = { ...createInitialState(), status: 'running' };
+
+    await runTestsWithStreaming(pkg, state, () => {});
+    expect(state.testResults.suites).toHaveLength(1);
+
+    writeFileSync(join(tempDir, 'crash'), '', 'utf-8');
+    await runTestsWithStreaming(pkg, state, () => {});
+    expect(state).toMatchObject({ status: 'errored', exitCode: 1, testResults: null });
+  }, 10000);
+});
+
+// =============================================================================
+// Errored packages (parsers.js, runner.js)
+// =============================================================================
+
+import { extractErrorReason } from './src/parsers.js';
+import { buildAnnotations } from './src/reporters/github.js';
+
+describe('errored packages', () => {
+  afterEach(() => {
+    registerCustomRunners(undefined);
+  });
+
+  it('should extract a short reason from the output', () => {
+    const spawnError = Object.assign(new Error('spawn vitest ENOENT'), { code: 'ENOENT', path: 'vitest' });
+    expect(extractErrorReason('', { exitCode: -2, spawnError })).toBe('command not found: vitest');
+    expect(extractErrorReason('', { exitCode: null, signal: 'SIGKILL' })).toBe('killed by SIGKILL');
+    expect(extractErrorReason("Error: Cannot find module 'vitest/config'\nRequire stack:", { exitCode: 1 })).toBe("Cannot find module 'vitest/config'");
+    expect(extractErrorReason('FATAL ERROR: Reached heap limit Allocation failed - JavaScript heap out of memory', { exitCode: 134 })).toBe('out of memory');
+    expect(extractErrorReason('\u001b[31mSyntaxError: Unexpected token }\u001b[39m', { exitCode: 1 })).toBe('SyntaxError: Unexpected token }');
+    expect(extractErrorReason(' ERR_PNPM_RECURSIVE_EXEC_FIRST_FAIL  Command "vitest" not found', { exitCode: 254 })).toBe('command not found: vitest');
+    expect(extractErrorReason('x'.repeat(200), { exitCode: 3 })).toBe('exited with code 3');
+  });
+
+  it('should mark a package whose binary is missing as errored', async () => {
+    registerCustomRunners([{ name: 'gone', detect: 'gone', command: 'monotestrunner-missing-binary', summary: { tests: 'never (\\d+)' } }]);
+    const pkg = { name: 'gone', path: tmpdir(), runner: 'gone', timeout: null };
+    const state = { ...createInitialState(), status: 'running' };
+
+    await runTestsWithStreaming(pkg, state, () => {});
+    rmSync(getRunDir(), { recursive: true, force: true });
+
+    expect(state).toMatchObject({ status: 'errored', errorReason: 'command not found: monotestrunner-missing-binary' });
+    expect(stripAnsi(renderRow(pkg, state, 0, 20))).toMatch(/errored\s+command not found: monotestrunner-missing-binary$/);
+  });
+
+  it('should count errored packages as failures', () => {
+    const pkg = { name: 'a', runner: 'vitest', timeout: null };
+    const states = {
+      a: { ...createInitialState(), status: 'errored', exitCode: 1, errorReason: "Cannot find module 'x'" },
+      b: { ...createInitialState(), status: 'done', exitCode: 0, passed: 2, tests: 2 },
+    };
+    expect(countFailures(states)).toBe(1);
+    expect(stripAnsi(renderTotals(states, 20))).toMatch(/1 errored$/);
+    expect(buildAnnotations([pkg], states, '/ws')).toEqual(["::error title=a::Tests errored: Cannot find module 'x'"]);
+  });
+});
+
+// =============================================================================
+// Exit codes (exit-code.js)
+// =============================================================================
+
+import { EXIT_CODES, getRunExitCode, applyExitCodePolicy } from './src/exit-code.js';
+import { resolveExitCodePolicy } from './src/config.js';
+
+describe('exit codes', () => {
+  it('should give each failure kind its own code, the highest winning', () => {
+    const passed = { ...createInitialState(), status: 'done', exitCode: 0, passed: 2, tests: 2 };
+    const failed = { ...createInitialState(), status: 'done', exitCode: 1, passed: 1, failed: 1, tests: 2 };
+    const flaky = { ...createInitialState(), status: 'done', exitCode: 0, passed: 2, flaky: 1, tests: 2 };
+    const timedOut = { ...createInitialState(), status: 'timed-out', exitCode: null };
+    const errored = { ...createInitialState(), status: 'errored', exitCode: 1 };
+    const cancelled = { ...createInitialState(), status: 'cancelled', exitCode: null, failed: 3 };
+
+    expect(getRunExitCode({ a: passed, b: cancelled })).toBe(EXIT_CODES.ok);
+    expect(getRunExitCode({ a: passed, b: failed })).toBe(EXIT_CODES.testsFailed);
+    expect(getRunExitCode({ a: flaky })).toBe(EXIT_CODES.ok);
+    expect(getRunExitCode({ a: flaky }, { failOnFlaky: true })).toBe(EXIT_CODES.testsFailed);
+    expect(getRunExitCode({ a: failed, b: timedOut })).toBe(EXIT_CODES.timedOut);
+    expect(getRunExitCode({ a: timedOut, b: errored, c: failed })).toBe(EXIT_CODES.errored);
+    expect(new Set(Object.values(EXIT_CODES)).size).toBe(Object.keys(EXIT_CODES).length);
+  });
+
+  it('should report only the most severe of mixed failure kinds', () => {
+    const failed = { ...createInitialState(), status: 'done', exitCode: 1, passed: 1, failed: 1, tests: 2 };
+    const belowThresholds = {
+      ...createInitialState(), status: 'done', exitCode: 0, passed: 2, tests: 2,
+      coverageViolations: [{ metric: 'lines', actual: 50, threshold: 80 }],
+    };
+    const timedOut = { ...createInitialState(), status: 'timed-out', exitCode: null, failed: 1 };
+    const errored = { ...createInitialState(), status: 'errored', exitCode: 1 };
+
+    expect(getRunExitCode({ a: failed, b: belowThresholds })).toBe(EXIT_CODES.coverageFailed);
+    expect(getRunExitCode({ a: failed, b: belowThresholds, c: timedOut })).toBe(EXIT_CODES.timedOut);
+    // An errored package hides the failed tests, coverage and timeout of the others
+    expect(getRunExitCode({ a: failed, b: belowThresholds, c: timedOut, d: errored })).toBe(EXIT_CODES.errored);
+    expect(getRunExitCode({ a: errored, b: failed })).toBe(EXIT_CODES.errored);
+  });
+
+  it('should apply the exit code policy', () => {
+    expect(applyExitCodePolicy(4, 'always', false)).toBe(4);
+    expect(applyExitCodePolicy(4, 'ci-only', true)).toBe(4);
+    expect(applyExitCodePolicy(4, 'ci-only', false)).toBe(0);
+    expect(applyExitCodePolicy(4, 'never', true)).toBe(0);
+    expect(resolveExitCodePolicy('always', { exitCode: 'never' })).toBe('always');
+    expect(resolveExitCodePolicy(undefined, { exitCode: 'never' })).toBe('never');
+    expect(resolveExitCodePolicy(undefined, {})).toBe('ci-only');
+  });
+});
+
+// =============================================================================
+// Coverage thresholds (coverage.js, config.js)
+// =============================================================================
+
+import { getPackageThresholds, getThresholdViolations, enforceThresholds, withCurrentThresholds } from './src/coverage.js';
+import { applyCoverageThresholds } from './src/config.js';
+import { renderTotalsWithCoverage, renderInteractiveRowWithCoverage } from './src/ui.js';
+
+describe('coverage thresholds', () => {
+  afterEach(() => {
+    registerCustomRunners(undefined);
+  });
+
+  it('should combine runner and config thresholds, package overrides first', () => {
+    registerCustomRunners([{ name: 'cov', detect: 'cov', command: 'cov', summary: { tests: '(\\d+)' }, thresholds: { lines: 90, branches: 60 } }]);
+    const config = {
+      coverageThresholds: { lines: 80, functions: 70 },
+      packages: { b: { coverageThresholds: { functions: 50 } } },
+    };
+    const [a, b] = applyCoverageThresholds([{ name: 'a', runner: 'cov' }, { name: 'b', runner: 'cov' }], config);
+
+    expect(a.coverageThresholds).toEqual({ lines: 80, functions: 70 });
+    expect(b.coverageThresholds).toEqual({ lines: 80, functions: 50 });
+    // Config overrides the runner's own thresholds per metric, lowering them too
+    expect(getPackageThresholds(a)).toEqual({ lines: 80, branches: 60, functions: 70 });
+    const [strict] = applyCoverageThresholds([{ name: 'd', runner: 'cov' }], { coverageThresholds: { lines: 95 } });
+    expect(getPackageThresholds(strict)).toEqual({ lines: 95, branches: 60 });
+    expect(applyCoverageThresholds([{ name: 'c', runner: 'cov' }], {})[0].coverageThresholds).toBeNull();
+  });
+
+  it('should check a cached result against the thresholds of the current config', () => {
+    const tempDir = mkdtempSync(join(tmpdir(), 'cached-thresholds-'));
+    try {
+      writeFileSync(join(tempDir, 'package.json'), JSON.stringify({ name: 'a', scripts: { test: 'vitest run' } }), 'utf-8');
+      const [before] = applyCoverageThresholds([{ name: 'a', path: tempDir, runner: 'vitest' }], { coverageThresholds: { lines: 70 } });
+      const coverage = { lines: '75.0', branches: '-', functions: '90.0', thresholds: getPackageThresholds(before) };
+      const passed = { ...createInitialState(), status: 'done', exitCode: 0, files: 1, tests: 1, passed: 1, coverage };
+      createResultCache(tempDir, [before], true).store(before, passed);
+
+      // Config raised to 80 between the runs: the result still replays, and now fails
+      const [after] = applyCoverageThresholds([before], { coverageThresholds: { lines: 80 } });
+      const cached = createResultCache(tempDir, [after], true).lookup(after);
+      expect(cached.coverage.thresholds).toEqual({ lines: 70 });
+
+      const state = { ...createInitialState(), ...cached, status: 'done', cached: true };
+      state.coverage = withCurrentThresholds(after, state.coverage);
+      enforceThresholds(state);
+      expect(state.coverageViolations).toEqual([{ metric: 'lines', actual: 75, threshold: 80 }]);
+
+      const [relaxed] = applyCoverageThresholds([before], {});
+      expect(withCurrentThresholds(relaxed, cached.coverage)).not.toHaveProperty('thresholds');
+    } finally {
+      rmSync(tempDir, { recursive: true, force: true });
+    }
+  });
+
+  it('should fail packages below their thresholds', () => {
+    const coverage = { lines: '72.3', branches: '-', functions: '85.0', thresholds: { lines: 80, branches: 50, functions: 85 } };
+    expect(getThresholdViolations(coverage)).toEqual([{ metric: 'lines', actual: 72.3, threshold: 80 }]);
+    expect(getThresholdViolations({ ...coverage, thresholds: undefined })).toEqual([]);
+
+    const pkg = { name: 'a', runner: 'vitest', timeout: null };
+    const states = {
+      a: { ...createInitialState(), status: 'done', exitCode: 0, passed: 2, tests: 2, coverage },
+      b: { ...createInitialState(), status: 'done', exitCode: 0, passed: 1, tests: 1, coverage: { ...coverage, lines: '95.0' } },
+    };
+    enforceThresholds(states.a);
+    enforceThresholds(states.b);
+
+    expect(states.b.coverageViolations).toBeNull();
+    expect(getRunExitCode(states)).toBe(EXIT_CODES.coverageFailed);
+    expect(stripAnsi(renderInteractiveRowWithCoverage(pkg, states.a, 0, 20))).toMatch(/coverage failed$/);
+    expect(stripAnsi(renderTotalsWithCoverage(states, 20))).toMatch(/1 coverage failed$/);
+    expect(buildAnnotations([pkg], states, '/ws')).toEqual(['::error title=a::Coverage below thresholds: lines 72.3%25 < 80%25']);
   });
 });
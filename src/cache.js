@@ -0,0 +1,325 @@
+/**
+ * Result cache for TTY and CI runs (disabled with --no-cache).
+ *
+ * Each package gets a content hash of its inputs: its files (package.json,
+ * sources, tests, local config), its slice of the workspace lockfile, the
+ * command its runner would spawn (which covers runner config and the
+ * coverage flag), its runner config file when that lives outside the package,
+ * the workspace-root config every package shares (root package.json,
+ * tsconfig, Babel/Jest presets, Node version files, plus `cacheInputs`), and
+ * the input hashes of every workspace package it depends on, directly or
+ * not. A passing result is stored under node_modules/.cache/monotestrunner;
+ * when the hash still matches on a later run, that result is replayed
+ * instead of running the tests.
+ */
+
+import { createHash } from 'node:crypto';
+import { existsSync, mkdirSync, readdirSync, readFileSync, writeFileSync } from 'node:fs';
+import { join, relative, sep } from 'node:path';
+import picomatch from 'picomatch';
+import { getRunner, getOutputPaths } from './runners/index.js';
+import { buildDependencyGraph, collectTransitive } from './graph.js';
+
+/** Bump when the stored entry shape or the hashed inputs change */
+const CACHE_VERSION = 3;
+
+/** Directories never hashed: installs, build and coverage output, tool caches, run history */
+const SKIP_DIRS = new Set(['node_modules', '.git', 'coverage', 'dist', '.turbo', '.cache', '.monotestrunner']);
+
+/** Workspace-root files every package's tests may depend on (root directory only) */
+const SHARED_INPUTS = ['package.json', 'tsconfig*.json', '.nvmrc', '.node-version', '.babelrc*', 'babel.config.*', 'jest.preset.*'];
+
+/** Lockfiles hashed whole, in lookup order, after the ones that can be sliced */
+const WHOLE_LOCKFILES = ['bun.lock', 'bun.lockb', 'yarn.lock', 'npm-shrinkwrap.json'];
+
+/** Stands in for the per-run output directory, which changes every run */
+const OUTPUT_DIR_PLACEHOLDER = '{outputDir}';
+
+/** State fields stored and replayed */
+const CACHED_FIELDS = ['files', 'tests', 'passed', 'skipped', 'failed', 'flaky', 'duration', 'exitCode', 'testResults', 'coverage'];
+
+/**
+ * Get the directory holding cached results for a workspace.
+ * @param {string} rootDir - Workspace root
+ * @returns {string}
+ */
+export function getCacheDir(rootDir) {
+  return join(rootDir, 'node_modules', '.cache', 'monotestrunner', 'results');
+}
+
+/** Workspace-relative path with forward slashes ('.' for the root) */
+const toPosix = (rootDir, path) => relative(rootDir, path).split(sep).join('/') || '.';
+
+/**
+ * List the files of a package to hash, relative to its root and sorted.
+ * Skips SKIP_DIRS, symlinks, the runner's output files and nested packages.
+ * @param {string} pkgPath - Package root
+ * @param {Set<string>} excluded - Absolute paths to leave out (files or directories)
+ * @returns {string[]}
+ */
+export function listInputFiles(pkgPath, excluded) {
+  const files = [];
+  const walk = (dir) => {
+    let entries;
+    try {
+      entries = readdirSync(dir, { withFileTypes: true });
+    } catch {
+      return;
+    }
+    for (const entry of entries) {
+      const path = join(dir, entry.name);
+      if (excluded.has(path)) continue;
+      if (entry.isDirectory()) {
+        if (!SKIP_DIRS.has(entry.name)) walk(path);
+      } else if (entry.isFile()) {
+        files.push(relative(pkgPath, path).split(sep).join('/'));
+      }
+    }
+  };
+  walk(pkgPath);
+  return files.sort();
+}
+
+/**
+ * Extract a package's entry from pnpm-lock.yaml's `importers` section.
+ * @param {string} content - Lockfile content
+ * @param {string} relPath - Package path relative to the workspace root ('.' for the root)
+ * @returns {string|null} - The entry's lines, or null when not found
+ */
+export function slicePnpmLockfile(content, relPath) {
+  const lines = content.split('\n');
+  const start = lines.indexOf('importers:');
+  if (start === -1) return null;
+
+  const keys = [`  ${relPath}:`, `  '${relPath}':`, `  "${relPath}":`];
+  for (let i = start + 1; i < lines.length; i++) {
+    const line = lines[i];
+    if (line && !line.startsWith(' ')) return null; // Next top-level section
+    if (!keys.includes(line.trimEnd())) continue;
+
+    const slice = [line];
+    for (let j = i + 1; j < lines.length; j++) {
+      const next = lines[j];
+      if (next.trim() && !next.startsWith('   ')) break; // Next importer or section
+      slice.push(next);
+    }
+    return slice.join('\n').trimEnd();
+  }
+  return null;
+}
+
+/**
+ * Extract a package's entries from package-lock.json: the workspace entry,
+ * dependencies installed under the package, and the hoisted installs of its
+ * direct dependencies.
+ * @param {string} content - Lockfile content
+ * @param {string} relPath - Package path relative to the workspace root ('.' for the root)
+ * @returns {string|null} - Serialized entries, or null when the package is not listed
+ */
+export function sliceNpmLockfile(content, relPath) {
+  let lock;
+  try {
+    lock = JSON.parse(content);
+  } catch {
+    return null;
+  }
+  const entries = lock.packages || {};
+  const key = relPath === '.' ? '' : relPath;
+  const own = entries[key];
+  if (!own) return null;
+
+  const deps = Object.keys({ ...own.dependencies, ...own.devDependencies, ...own.peerDependencies, ...own.optionalDependencies });
+  const prefix = key ? `${key}/node_modules/` : null;
+  const slice = Object.entries(entries).filter(([entryKey]) =>
+    entryKey === key
+    || (prefix && entryKey.startsWith(prefix))
+    || deps.some((dep) => entryKey === `node_modules/${dep}`));
+  return JSON.stringify(slice.sort(([a], [b]) => (a < b ? -1 : 1)));
+}
+
+/**
+ * Get the part of the workspace lockfile that concerns a package.
+ * pnpm and npm lockfiles are sliced to the package's entries; other
+ * lockfiles (or a package missing from the lockfile) count whole.
+ * @param {string} rootDir - Workspace root
+ * @param {object} pkg
+ * @returns {string} - '' when the workspace has no lockfile
+ */
+function readLockfileSlice(rootDir, pkg) {
+  const relPath = toPosix(rootDir, pkg.path);
+  const slicers = [
+    ['pnpm-lock.yaml', slicePnpmLockfile],
+    ['package-lock.json', sliceNpmLockfile],
+    ...WHOLE_LOCKFILES.map((file) => [file, null]),
+  ];
+  for (const [file, slice] of slicers) {
+    const path = join(rootDir, file);
+    if (!existsSync(path)) continue;
+    const content = readFileSync(path);
+    return `${file}\n${(slice && slice(content.toString('utf-8'), relPath)) ?? createHash('sha256').update(content).digest('hex')}`;
+  }
+  return '';
+}
+
+/**
+ * List the workspace-root files hashed into every package: the SHARED_INPUTS
+ * found in the root directory and the extra inputs, as sorted absolute paths.
+ * @param {string} rootDir - Workspace root
+ * @param {string[]} extraInputs - Absolute paths of `cacheInputs` files
+ * @returns {string[]}
+ */
+export function listSharedInputs(rootDir, extraInputs = []) {
+  const isShared = picomatch(SHARED_INPUTS, { dot: true });
+  let entries = [];
+  try {
+    entries = readdirSync(rootDir, { withFileTypes: true });
+  } catch {
+    // No readable root: nothing shared
+  }
+  const files = entries.filter((entry) => entry.isFile() && isShared(entry.name)).map((entry) => join(rootDir, entry.name));
+  return [...new Set([...files, ...extraInputs])].sort();
+}
+
+/**
+ * Hash the workspace-root inputs shared by every package.
+ * @param {string} rootDir - Workspace root
+ * @param {string[]} extraInputs - Absolute paths of `cacheInputs` files
+ * @returns {string}
+ */
+function hashSharedInputs(rootDir, extraInputs) {
+  const hash = createHash('sha256');
+  for (const path of listSharedInputs(rootDir, extraInputs)) {
+    if (!existsSync(path)) continue;
+    hash.update(`\0${toPosix(rootDir, path)}\0`);
+    hash.update(readFileSync(path));
+  }
+  return hash.digest('hex');
+}
+
+/**
+ * Hash the inputs of one package, without its dependencies.
+ * @param {string} rootDir - Workspace root
+ * @param {object} pkg
+ * @param {object[]} packages - All workspace packages (nested packages are left out)
+ * @param {boolean} coverageEnabled
+ * @param {string[]} exclude - Absolute paths written by monotestrunner itself (run history)
+ * @returns {string}
+ */
+function hashOwnInputs(rootDir, pkg, packages, coverageEnabled, exclude) {
+  const hash = createHash('sha256');
+  const runner = getRunner(pkg.runner);
+  const outputs = getOutputPaths(pkg);
+  const runOutputs = getOutputPaths(pkg, OUTPUT_DIR_PLACEHOLDER);
+  const excluded = new Set([
+    ...packages.filter((p) => p.path !== pkg.path && p.path.startsWith(pkg.path + sep)).map((p) => p.path),
+    outputs.junit,
+    outputs.lcov,
+    outputs.coverageSummary,
+    ...exclude,
+  ]);
+
+  hash.update(JSON.stringify({ version: CACHE_VERSION, runner: pkg.runner, coverage: coverageEnabled }));
+  if (runner) {
+    hash.update(JSON.stringify(runner.buildCommand({
+      coverage: coverageEnabled,
+      pkgPath: pkg.path,
+      packageManager: pkg.packageManager,
+      configFile: pkg.configFile,
+      outputDir: OUTPUT_DIR_PLACEHOLDER,
+      junitPath: runOutputs.junit,
+      lcovPath: runOutputs.lcov,
+      files: null,
+      shard: pkg.shard ?? null,
+      testArgs: pkg.testArgs,
+      testPatterns: pkg.testPatterns,
+    })));
+  }
+
+  for (const file of listInputFiles(pkg.path, excluded)) {
+    hash.update(`\0${file}\0`);
+    hash.update(readFileSync(join(pkg.path, file)));
+  }
+
+  // Runner config shared from outside the package (e.g. a root vitest config)
+  if (pkg.configFile && !pkg.configFile.startsWith(pkg.path + sep) && existsSync(pkg.configFile)) {
+    hash.update(`\0${toPosix(rootDir, pkg.configFile)}\0`);
+    hash.update(readFileSync(pkg.configFile));
+  }
+
+  hash.update(`\0lockfile\0${readLockfileSlice(rootDir, pkg)}`);
+  return hash.digest('hex');
+}
+
+/**
+ * Create the result cache of a run.
+ * Input hashes are computed lazily and memoized, so each package's files are
+ * read at most once however many dependents it has.
+ *
+ * @param {string} rootDir - Workspace root
+ * @param {object[]} packages - All discovered packages (dependencies outside the selection still count)
+ * @param {boolean} coverageEnabled
+ * @param {object} [options]
+ * @param {string[]} [options.exclude] - Absolute paths never hashed, e.g. the run history file, which changes every run
+ * @param {string[]} [options.inputs] - Extra absolute paths hashed into every package (`cacheInputs`)
+ * @returns {{ getHash: (pkg: object) => string, lookup: (pkg: object) => object|null, store: (pkg: object, state: object) => void }}
+ */
+export function createResultCache(rootDir, packages, coverageEnabled, { exclude = [], inputs = [] } = {}) {
+  const cacheDir = getCacheDir(rootDir);
+  const byName = new Map(packages.map((pkg) => [pkg.name, pkg]));
+  const { dependencies } = buildDependencyGraph(packages);
+  const ownHashes = new Map();
+  const hashes = new Map();
+  let sharedHash = null;
+
+  const getOwnHash = (pkg) => {
+    if (!ownHashes.has(pkg.name)) ownHashes.set(pkg.name, hashOwnInputs(rootDir, pkg, packages, coverageEnabled, exclude));
+    return ownHashes.get(pkg.name);
+  };
+
+  const getHash = (pkg) => {
+    if (!hashes.has(pkg.name)) {
+      sharedHash ??= hashSharedInputs(rootDir, inputs);
+      const hash = createHash('sha256').update(sharedHash).update(getOwnHash(pkg));
+      const deps = byName.has(pkg.name) ? [...collectTransitive(dependencies, pkg.name)].sort() : [];
+      for (const dep of deps) {
+        hash.update(`\0${dep}\0${getOwnHash(byName.get(dep))}`);
+      }
+      hashes.set(pkg.name, hash.digest('hex'));
+    }
+    return hashes.get(pkg.name);
+  };
+
+  // Coverage runs get their own entries, so alternating -c and plain runs both hit
+  const entryPath = (pkg) => join(cacheDir, `${encodeURIComponent(pkg.name)}${coverageEnabled ? '.coverage' : ''}.json`);
+
+  return {
+    getHash,
+
+    /**
+     * Cached state fields for a package whose inputs are unchanged, or null.
+     * Hashes the inputs as a side effect, so call it before running the package:
+     * store() then records the inputs the run started from.
+     */
+    lookup(pkg) {
+      const hash = getHash(pkg);
+      try {
+        const entry = JSON.parse(readFileSync(entryPath(pkg), 'utf-8'));
+        return entry.hash === hash ? entry.state : null;
+      } catch {
+        return null;
+      }
+    },
+
+    /** Store a finished run; only passing runs are cached */
+    store(pkg, state) {
+      if (state.status !== 'done' || state.exitCode !== 0 || state.failed > 0) return;
+      const cached = Object.fromEntries(CACHED_FIELDS.map((field) => [field, state[field] ?? null]));
+      try {
+        mkdirSync(cacheDir, { recursive: true });
+        writeFileSync(entryPath(pkg), JSON.stringify({ hash: getHash(pkg), state: cached }), 'utf-8');
+      } catch {
+        // A read-only or full disk only costs the next run its cache hit
+      }
+    },
+  };
+}
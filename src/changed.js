@@ -0,0 +1,123 @@
+/**
+ * Change detection for --changed / --since <ref>.
+ *
+ * Lists changed files with local git, maps them to packages with
+ * getAffectedPackage(), then adds every workspace package that depends on
+ * a changed one. Each selected package carries the reason it was picked.
+ */
+
+import { execFileSync } from 'node:child_process';
+import { join } from 'node:path';
+import { getAffectedPackage } from './watcher.js';
+import { buildDependencyGraph } from './graph.js';
+
+/**
+ * Run a git command and return its stdout lines.
+ * @param {string[]} args - git arguments
+ * @param {string} cwd - Working directory
+ * @returns {string[]}
+ */
+function git(args, cwd) {
+  const output = execFileSync('git', args, { cwd, encoding: 'utf-8', stdio: ['ignore', 'pipe', 'pipe'] });
+  return output.split('\n').filter(Boolean);
+}
+
+/**
+ * Whether the repository has a HEAD commit.
+ * @param {string} cwd
+ * @returns {boolean}
+ */
+function hasCommits(cwd) {
+  try {
+    git(['rev-parse', '--verify', '--quiet', 'HEAD'], cwd);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * List files changed under rootDir in the git repository containing it.
+ * Without `since`: uncommitted changes (staged + unstaged) and untracked files.
+ * With `since`: everything that differs from the merge base of `since` and HEAD,
+ * committed or not, plus untracked files.
+ * Throws an Error with git's message when rootDir is not a repository or the ref is unknown.
+ *
+ * @param {string} rootDir - Workspace root directory
+ * @param {object} [opts]
+ * @param {string} [opts.since] - Git ref to compare against
+ * @returns {string[]} - Absolute file paths
+ */
+export function getChangedFiles(rootDir, { since } = {}) {
+  try {
+    let base = 'HEAD';
+    if (since) {
+      [base] = git(['merge-base', since, 'HEAD'], rootDir);
+    } else if (!hasCommits(rootDir)) {
+      base = null; // No commits yet — everything staged is new
+    }
+
+    // Paths relative to rootDir (not the repo top level), so they line up with
+    // package paths even when rootDir is reached through a symlink
+    const tracked = base
+      ? git(['diff', '--name-only', '--relative', base], rootDir)
+      : git(['diff', '--name-only', '--relative', '--cached'], rootDir);
+    const untracked = git(['ls-files', '--others', '--exclude-standard'], rootDir);
+
+    return [...new Set([...tracked, ...untracked])].map((file) => join(rootDir, file));
+  } catch (error) {
+    const message = error.stderr?.toString().trim() || error.message;
+    throw new Error(`git failed: ${message}`);
+  }
+}
+
+/**
+ * Work out which packages a set of changed files affects.
+ * Packages containing a changed file are selected directly; packages that
+ * depend on a selected package (transitively) are selected as dependents.
+ *
+ * @param {object[]} packages - All discovered packages
+ * @param {string[]} changedFiles - Absolute paths
+ * @returns {Map<string, { type: 'changed', files: string[] } | { type: 'dependent', via: string }>}
+ *   Reason by package name
+ */
+export function getAffectedPackages(packages, changedFiles) {
+  const reasons = new Map();
+
+  // Deepest paths first, so a file in a nested package is not claimed by its parent
+  const byDepth = [...packages].sort((a, b) => b.path.length - a.path.length);
+
+  for (const file of changedFiles) {
+    const pkg = getAffectedPackage(file, byDepth);
+    if (!pkg) continue;
+    if (!reasons.has(pkg.name)) reasons.set(pkg.name, { type: 'changed', files: [] });
+    reasons.get(pkg.name).files.push(file);
+  }
+
+  // Breadth-first so each dependent names its closest changed dependency
+  const { dependents } = buildDependencyGraph(packages);
+  const queue = [...reasons.keys()];
+  while (queue.length > 0) {
+    const name = queue.shift();
+    for (const dependent of dependents.get(name) || []) {
+      if (reasons.has(dependent)) continue;
+      reasons.set(dependent, { type: 'dependent', via: name });
+      queue.push(dependent);
+    }
+  }
+
+  return reasons;
+}
+
+/**
+ * Describe why a package was selected.
+ * @param {{ type: string, files?: string[], via?: string }} reason
+ * @returns {string}
+ */
+export function formatSelectionReason(reason) {
+  if (reason.type === 'changed') {
+    const count = reason.files.length;
+    return `${count} file${count === 1 ? '' : 's'} changed`;
+  }
+  return `depends on ${reason.via}`;
+}
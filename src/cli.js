@@ -8,26 +8,100 @@
 
 import meow from 'meow';
 
-import { loadConfig, validateConfig } from './config.js';
+import {
+  loadConfig,
+  validateConfig,
+  registerConfigRunners,
+  resolveConcurrency,
+  resolveRetries,
+  resolveFailOnFlaky,
+  resolveCache,
+  resolveCacheInputs,
+  resolveHistoryFile,
+  resolveExitCodePolicy,
+  resolveEnforceThresholds,
+  applyCoverageThresholds,
+  applyTimeouts,
+} from './config.js';
 import { discoverPackages } from './packages.js';
+import { filterPackages } from './filter.js';
+import { sortByLayer } from './graph.js';
+import { getChangedFiles, getAffectedPackages, formatSelectionReason } from './changed.js';
+import { printSelectionReasons, printShardSelection } from './ui.js';
 import { runInteractiveMode } from './views/interactive.js';
 import { runTTY, runCI } from './runner.js';
+import { buildJsonReport, writeJsonReport, mergeJsonReports, findMissingShards, reportToStates } from './reporters/json.js';
+import { buildJunitReport, writeJunitReport, mergeJunitReports } from './reporters/junit.js';
+import { isGitHubActions, reportToGitHub } from './reporters/github.js';
+import { createTapReporter } from './reporters/tap.js';
+import { createResultCache } from './cache.js';
+import {
+  DEFAULT_HISTORY_RUNS,
+  getGitCommit,
+  buildHistoryEntry,
+  appendHistory,
+  readHistory,
+  computeTrends,
+  getPackageTimings,
+  getPackageFileCounts,
+  printHistory,
+} from './history.js';
+import { parseShard, selectShard } from './shard.js';
+import { applyExitCodePolicy } from './exit-code.js';
+import { readFileSync } from 'node:fs';
 
 const cli = meow(`
   Usage
     $ pnpm test [options]
+    $ monotestrunner history [--last <n>]
+    $ monotestrunner merge <reports...> [--output-file <f>] [--junit <f>] [--fail-on-flaky]
+
+  Commands
+    history            Print pass rates, durations and coverage trends of recorded runs
+    merge              Merge the JSON (or JUnit) reports of --shard runs into one
 
   Options
     -i, --interactive  Interactive mode with keyboard navigation
     -w, --watch        Interactive mode with file watching (implies -i)
     -c, --coverage     Run tests with coverage enabled
     -v, --verbose      Show detailed output (failed tests + per-file coverage)
+    --filter <sel>     Only run matching packages (repeatable, pnpm selector syntax)
+    --exclude <sel>    Skip matching packages (repeatable)
+    --changed          Only run packages with uncommitted changes, and their dependents
+    --since <ref>      Only run packages changed since a git ref, and their dependents
+    --concurrency <n>  Maximum packages running at once (default: CPU count; CI mode runs one at a time)
+    --timeout <sec>    Kill a package's tests after this many seconds (0: no limit)
+    --bail[=<n>]       Cancel remaining packages after the first (or n-th) test failure
+    --retries <n>      Rerun failed packages (only their failed files when possible) up to n times
+    --fail-on-flaky    Exit non-zero when tests only passed on a retry
+    --enforce-thresholds  Fail packages whose coverage is below their thresholds (needs -c)
+    --exit-code <p>    When a failed run exits non-zero: always, ci-only (default) or never
+    --json             Write a JSON report to stdout (the table goes to stderr)
+    --output-file <f>  Write the JSON report to a file instead (implies --json)
+    --junit <file>     Write one JUnit XML report merging all packages
+    --tap              Stream TAP version 14 to stdout (the table goes to stderr)
+    --no-cache         Run every package, ignoring results cached from unchanged inputs
+    --shard <i/n>      Only run shard i of n (packages split by recorded duration, else by count)
+    --shard-files      With --shard: split packages larger than a shard's share by test file
+    --last <n>         history: number of runs to look back over (default: 10)
+
+  Selectors
+    @acme/ui-*         Package name glob
+    ./apps/web         Packages in a directory (relative to the workspace root)
+    tag:frontend       Nx project tag
+    foo... / ...foo    foo plus its dependencies / dependents (foo^... / ...^foo without foo)
+    !foo               Exclude foo
 
   Examples
     $ pnpm test        Run all tests once
     $ pnpm test -i     Interactive mode
     $ pnpm test -w     Interactive mode with file watching
     $ pnpm test -c     Run with coverage
+    $ pnpm test --filter '@acme/ui-*' --filter ./apps/web --exclude legacy
+    $ pnpm test --since origin/main
+    $ monotestrunner history --last 20
+    $ pnpm test --shard 2/4 --output-file shard-2.json
+    $ monotestrunner merge shard-*.json --output-file report.json --junit junit.xml
 `, {
   importMeta: import.meta,
   flags: {
@@ -47,6 +121,66 @@ const cli = meow(`
       type: 'boolean',
       shortFlag: 'v',
     },
+    filter: {
+      type: 'string',
+      isMultiple: true,
+    },
+    exclude: {
+      type: 'string',
+      isMultiple: true,
+    },
+    changed: {
+      type: 'boolean',
+    },
+    since: {
+      type: 'string',
+    },
+    concurrency: {
+      type: 'number',
+    },
+    timeout: {
+      type: 'number',
+    },
+    bail: {
+      type: 'string', // --bail alone means 1
+    },
+    retries: {
+      type: 'number',
+    },
+    failOnFlaky: {
+      type: 'boolean',
+    },
+    exitCode: {
+      type: 'string',
+    },
+    enforceThresholds: {
+      type: 'boolean',
+    },
+    json: {
+      type: 'boolean',
+    },
+    outputFile: {
+      type: 'string',
+    },
+    junit: {
+      type: 'string',
+    },
+    tap: {
+      type: 'boolean',
+    },
+    cache: {
+      type: 'boolean',
+      default: true, // --no-cache sets it to false; `cache` in config applies otherwise
+    },
+    last: {
+      type: 'number',
+    },
+    shard: {
+      type: 'string',
+    },
+    shardFiles: {
+      type: 'boolean',
+    },
   },
 });
 
@@ -56,44 +190,296 @@ const coverage = cli.flags.coverage;
 const watchInitial = cli.flags.watch;
 const interactive = cli.flags.interactive || watchInitial; // -w implies -i
 const isCI = process.env.CI === 'true';
-const isInteractiveTTY = process.stdout.isTTY && !isCI;
+const outputFile = cli.flags.outputFile || null;
+const json = cli.flags.json || outputFile !== null;
+const junitFile = cli.flags.junit || null;
+const tap = cli.flags.tap;
+// A report on stdout leaves no room for the live table
+const reportOnStdout = (json && !outputFile) || tap;
+const isInteractiveTTY = process.stdout.isTTY && !isCI && !reportOnStdout;
+
+/**
+ * Parse --bail / --bail=N into a failure threshold (0: no bail). Exits on invalid values.
+ * @param {string|undefined} value - Raw flag value ('' for a bare --bail)
+ * @returns {number}
+ */
+function parseBail(value) {
+  if (value === undefined) return 0;
+  if (value === '') return 1;
+  const n = Number(value);
+  if (!Number.isInteger(n) || n < 1) {
+    console.error('Error: --bail must be a positive integer');
+    process.exit(1);
+  }
+  return n;
+}
+
+/**
+ * Parse --shard i/n. Exits on invalid values.
+ * @param {string|undefined} value
+ * @returns {{ index: number, count: number }|null}
+ */
+function parseShardFlag(value) {
+  if (value === undefined) return null;
+  const shard = parseShard(value);
+  if (!shard) {
+    console.error('Error: --shard must be i/n with 1 <= i <= n (e.g. --shard 2/4)');
+    process.exit(1);
+  }
+  return shard;
+}
+
+// ============================================================================
+// Commands
+// ============================================================================
+
+/**
+ * `monotestrunner history`: print the trends of the last --last runs.
+ */
+async function runHistoryCommand() {
+  const last = cli.flags.last ?? DEFAULT_HISTORY_RUNS;
+  if (!Number.isInteger(last) || last < 1) {
+    console.error('Error: --last must be a positive integer');
+    process.exit(1);
+  }
+  const config = await loadConfig(rootDir);
+  const historyFile = resolveHistoryFile(config, rootDir);
+  if (!historyFile) {
+    console.error('Error: run history is disabled ("history": false in config)');
+    process.exit(1);
+  }
+  printHistory(computeTrends(readHistory(historyFile), last));
+  process.exit(0);
+}
+
+/**
+ * Write text to stdout, resolving once it is flushed.
+ * @param {string} text
+ * @returns {Promise<void>}
+ */
+function writeStdout(text) {
+  return new Promise((done) => process.stdout.write(text, () => done()));
+}
+
+/**
+ * `monotestrunner merge <reports...>`: merge the reports of --shard runs.
+ * JSON reports merge into one JSON report (--output-file, else stdout) and,
+ * with --junit, a JUnit report built from it. JUnit reports merge into
+ * --junit, else stdout.
+ */
+async function runMergeCommand() {
+  const files = cli.input.slice(1);
+  if (files.length === 0) {
+    console.error('Error: merge needs the reports to merge (monotestrunner merge <reports...>)');
+    process.exit(1);
+  }
+  const documents = files.map((file) => {
+    try {
+      return readFileSync(file, 'utf-8');
+    } catch (error) {
+      console.error(`Error: cannot read ${file}: ${error.message}`);
+      process.exit(1);
+    }
+  });
+
+  const xml = documents.map((doc) => doc.trimStart().startsWith('<'));
+  if (xml.some(Boolean) !== xml.every(Boolean)) {
+    console.error('Error: cannot merge JSON and JUnit reports together');
+    process.exit(1);
+  }
+
+  try {
+    if (xml[0]) {
+      if (outputFile) {
+        console.error('Error: --output-file takes JSON reports; merged JUnit reports go to --junit or stdout');
+        process.exit(1);
+      }
+      const merged = mergeJunitReports(documents);
+      if (junitFile) writeJunitReport(merged, junitFile);
+      else await writeStdout(merged);
+    } else {
+      const reports = documents.map((doc, i) => {
+        try {
+          return JSON.parse(doc);
+        } catch {
+          throw new Error(`${files[i]} is not a JSON report`);
+        }
+      });
+      const merged = mergeJsonReports(reports, { failOnFlaky: Boolean(cli.flags.failOnFlaky) });
+      const missing = findMissingShards(reports);
+      if (missing.length > 0) {
+        console.warn(`Warning: no report for shard ${missing.join(', ')}`);
+      }
+      if (junitFile) {
+        const { packages, states } = reportToStates(merged);
+        writeJunitReport(buildJunitReport(packages, states), junitFile);
+      }
+      if (outputFile || !junitFile) await writeJsonReport(merged, outputFile);
+    }
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    process.exit(1);
+  }
+  process.exit(0);
+}
+
+const commands = { history: runHistoryCommand, merge: runMergeCommand };
 
 // ============================================================================
 // Entry Point
 // ============================================================================
 
 async function main() {
-  const packages = discoverPackages(rootDir);
+  const [command] = cli.input;
+  if (command !== undefined) {
+    if (!Object.hasOwn(commands, command)) {
+      console.error(`Error: Unknown command "${command}"`);
+      process.exit(1);
+    }
+    await commands[command]();
+    return;
+  }
 
-  if (packages.length === 0) {
+  if ((json || junitFile || tap || cli.flags.shard !== undefined) && interactive) {
+    console.error('Error: --json, --output-file, --junit, --tap and --shard cannot be used with interactive mode');
+    process.exit(1);
+  }
+  if (cli.flags.shardFiles && cli.flags.shard === undefined) {
+    console.error('Error: --shard-files requires --shard');
+    process.exit(1);
+  }
+  // Interactive mode can turn coverage on per package later
+  if (cli.flags.enforceThresholds && !coverage && !interactive) {
+    console.error('Error: --enforce-thresholds requires --coverage');
+    process.exit(1);
+  }
+  if (tap && json && !outputFile) {
+    console.error('Error: --json and --tap both write to stdout; use --output-file for the JSON report');
+    process.exit(1);
+  }
+  if (reportOnStdout) {
+    // Tables and messages go to stderr so stdout carries only the report
+    console.log = console.error;
+  }
+
+  // Load config first: custom runners must be registered before runner detection
+  const config = await loadConfig(rootDir);
+  registerConfigRunners(config);
+  const concurrency = resolveConcurrency(cli.flags.concurrency, config);
+  const bail = parseBail(cli.flags.bail);
+  const retries = resolveRetries(cli.flags.retries, config);
+  const failOnFlaky = resolveFailOnFlaky(cli.flags.failOnFlaky, config);
+  const cacheEnabled = resolveCache(cli.flags.cache, config);
+  const exitCodePolicy = resolveExitCodePolicy(cli.flags.exitCode, config);
+  const enforceCoverage = resolveEnforceThresholds(cli.flags.enforceThresholds, config);
+  const historyFile = resolveHistoryFile(config, rootDir);
+  const shard = parseShardFlag(cli.flags.shard);
+
+  // Dependencies first: runs start (and tables list packages) in dependency order
+  const discovered = sortByLayer(discoverPackages(rootDir));
+
+  if (discovered.length === 0) {
     console.log('No packages found.');
     process.exit(0);
   }
 
-  // Load and validate config
-  const config = await loadConfig(rootDir);
+  const packages = applyCoverageThresholds(applyTimeouts(discovered, config, cli.flags.timeout), config);
+
   if (config.watchMappings) {
     validateConfig(config, packages, rootDir);
   }
 
+  // --changed / --since: reason text by package name for every affected package
+  let selectionReasons = null;
+  if (cli.flags.changed || cli.flags.since) {
+    let changedFiles;
+    try {
+      changedFiles = getChangedFiles(rootDir, { since: cli.flags.since });
+    } catch (error) {
+      console.error(`Error: ${error.message}`);
+      process.exit(1);
+    }
+    selectionReasons = new Map();
+    for (const [name, reason] of getAffectedPackages(packages, changedFiles)) {
+      selectionReasons.set(name, formatSelectionReason(reason));
+    }
+  }
+
+  // --filter / --exclude, narrowed to affected packages in --changed / --since mode
+  const selectedPackages = filterPackages(packages, { filter: cli.flags.filter, exclude: cli.flags.exclude }, rootDir)
+    .filter((p) => !selectionReasons || selectionReasons.has(p.name));
+
   // Fallback mode: single package with no workspace config → skip summary
   const isSinglePackage = packages.length === 1 && packages[0].path === rootDir;
   // Packages that actually have tests and a recognized runner (for non-interactive modes)
-  const testablePackages = packages.filter((p) => p.testScript !== null && p.runner !== null);
+  let testablePackages = selectedPackages.filter((p) => p.testScript !== null && p.runner !== null);
 
   if (interactive) {
-    await runInteractiveMode(packages, rootDir, config, watchInitial, coverage, isSinglePackage);
+    // Filtered-out packages stay visible (dimmed) so they can be toggled back on
+    const selectedNames = new Set(selectedPackages.map((p) => p.name));
+    const filteredOut = new Set(packages.filter((p) => !selectedNames.has(p.name)).map((p) => p.name));
+    await runInteractiveMode(packages, rootDir, { ...config, concurrency, retries, enforceThresholds: enforceCoverage }, watchInitial, coverage, isSinglePackage, filteredOut, selectionReasons);
     // Interactive mode doesn't exit normally
   } else {
+    if (selectedPackages.length === 0) {
+      console.log(selectionReasons ? 'No packages affected by changes.' : 'No packages match the filters.');
+      process.exit(0);
+    }
     if (testablePackages.length === 0) {
       console.log('No packages with tests found.');
       process.exit(0);
     }
-    const exitCode = isInteractiveTTY
-      ? await runTTY(testablePackages, rootDir, verbose, coverage)
-      : await runCI(testablePackages, rootDir, verbose, coverage);
-    // Only exit with error code in CI to avoid pnpm ELIFECYCLE noise locally
-    process.exit(isCI ? exitCode : 0);
+    if (shard) {
+      // Every shard must see the same timings to compute the same split
+      const history = historyFile ? readHistory(historyFile) : [];
+      const selection = selectShard(testablePackages, shard, getPackageTimings(history), cli.flags.shardFiles, getPackageFileCounts(history));
+      printShardSelection(shard, selection, testablePackages.length);
+      // An empty shard still runs, so its reports exist for `merge`
+      testablePackages = selection.packages;
+    }
+    if (selectionReasons) {
+      const title = cli.flags.since ? `Changed since ${cli.flags.since}` : 'Changed (uncommitted)';
+      printSelectionReasons(testablePackages, selectionReasons, title);
+    }
+    const startedAt = new Date();
+    const tapReporter = tap ? createTapReporter() : null;
+    tapReporter?.start(testablePackages.length);
+    // Hashes cover every discovered package: dependencies outside the selection still count
+    // The history file may live inside a package (the root one by default) and changes every run
+    const cache = cacheEnabled
+      ? createResultCache(rootDir, packages, coverage, { exclude: historyFile ? [historyFile] : [], inputs: resolveCacheInputs(config, rootDir) })
+      : null;
+    const runOptions = { coverageEnabled: coverage, bail, retries, failOnFlaky, cache, enforceCoverage };
+    const { exitCode, states } = isInteractiveTTY
+      ? await runTTY(testablePackages, rootDir, verbose, { ...runOptions, concurrency })
+      : await runCI(testablePackages, rootDir, verbose, { ...runOptions, onPackageDone: tapReporter?.packageDone });
+    await tapReporter?.end();
+    if (!isInteractiveTTY && isGitHubActions()) {
+      reportToGitHub(testablePackages, states, rootDir);
+    }
+    if (json) {
+      const report = buildJsonReport(testablePackages, states, {
+        rootDir,
+        version: cli.pkg.version,
+        startedAt,
+        finishedAt: new Date(),
+        exitCode,
+        shard,
+      });
+      await writeJsonReport(report, outputFile);
+    }
+    if (junitFile) {
+      writeJunitReport(buildJunitReport(testablePackages, states), junitFile);
+    }
+    if (historyFile) {
+      const entry = buildHistoryEntry(testablePackages, states, { startedAt, commit: getGitCommit(rootDir), exitCode, shard });
+      try {
+        appendHistory(historyFile, entry);
+      } catch (error) {
+        console.warn(`Warning: could not write run history: ${error.message}`);
+      }
+    }
+    process.exit(applyExitCodePolicy(exitCode, exitCodePolicy, isCI));
   }
 }
 
@@ -7,9 +7,16 @@ import { lilconfig } from 'lilconfig';
 import { existsSync, readdirSync, statSync } from 'node:fs';
 import { join, dirname, isAbsolute } from 'node:path';
 import picomatch from 'picomatch';
+import { registerCustomRunners } from './runners/index.js';
+import { getDefaultConcurrency } from './scheduler.js';
+import { EXIT_CODE_POLICIES } from './exit-code.js';
+import { THRESHOLD_METRICS } from './coverage.js';
 
 const MODULE_NAME = 'monotestrunner';
 
+/** Run history location, relative to the workspace root */
+const DEFAULT_HISTORY_FILE = '.monotestrunner/history.jsonl';
+
 /**
  * Load config from .monotestrunnerrc.json or other lilconfig locations
  * @param {string} rootDir - Workspace root directory
@@ -26,6 +33,247 @@ export async function loadConfig(rootDir) {
   }
 }
 
+/**
+ * Register runners declared under `runners` in config, exiting on invalid definitions.
+ * Must run before package discovery so custom runners take part in detection.
+ * @param {object} config - Config object
+ */
+export function registerConfigRunners(config) {
+  try {
+    registerCustomRunners(config.runners);
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    process.exit(1);
+  }
+}
+
+/**
+ * Resolve the concurrency limit: --concurrency flag, then `concurrency` config, then CPU count.
+ * Exits on a value that is not a positive integer.
+ * @param {number|undefined} flagValue - --concurrency value
+ * @param {object} config - Config object
+ * @returns {number}
+ */
+export function resolveConcurrency(flagValue, config) {
+  const [value, source] = flagValue !== undefined
+    ? [flagValue, '--concurrency']
+    : [config.concurrency, '"concurrency"'];
+  if (value === undefined) return getDefaultConcurrency();
+  if (!Number.isInteger(value) || value < 1) {
+    console.error(`Error: ${source} must be a positive integer`);
+    process.exit(1);
+  }
+  return value;
+}
+
+/**
+ * Resolve the number of retries of failed packages: --retries flag, then `retries` config, then 0.
+ * Exits on a value that is not a non-negative integer.
+ * @param {number|undefined} flagValue - --retries value
+ * @param {object} config - Config object
+ * @returns {number}
+ */
+export function resolveRetries(flagValue, config) {
+  const [value, source] = flagValue !== undefined
+    ? [flagValue, '--retries']
+    : [config.retries, '"retries"'];
+  if (value === undefined) return 0;
+  if (!Number.isInteger(value) || value < 0) {
+    console.error(`Error: ${source} must be a non-negative integer`);
+    process.exit(1);
+  }
+  return value;
+}
+
+/**
+ * Resolve whether flaky tests fail the run: --fail-on-flaky flag, then `failOnFlaky` config.
+ * Exits when the config value is not a boolean.
+ * @param {boolean|undefined} flagValue - --fail-on-flaky value
+ * @param {object} config - Config object
+ * @returns {boolean}
+ */
+export function resolveFailOnFlaky(flagValue, config) {
+  if (flagValue) return true;
+  if (config.failOnFlaky === undefined) return false;
+  if (typeof config.failOnFlaky !== 'boolean') {
+    console.error('Error: "failOnFlaky" must be a boolean');
+    process.exit(1);
+  }
+  return config.failOnFlaky;
+}
+
+/**
+ * Resolve whether results are cached: --no-cache flag, then `cache` config, then on.
+ * Exits when the config value is not a boolean.
+ * @param {boolean} flagValue - false for --no-cache
+ * @param {object} config - Config object
+ * @returns {boolean}
+ */
+export function resolveCache(flagValue, config) {
+  if (flagValue === false) return false;
+  if (config.cache === undefined) return true;
+  if (typeof config.cache !== 'boolean') {
+    console.error('Error: "cache" must be a boolean');
+    process.exit(1);
+  }
+  return config.cache;
+}
+
+/**
+ * Resolve the extra files hashed into every package's cache key from the
+ * `cacheInputs` config: glob patterns relative to the workspace root.
+ * Exits when it is not an array of strings.
+ * @param {object} config - Config object
+ * @param {string} rootDir - Workspace root directory
+ * @returns {string[]} - Absolute paths of the matching files
+ */
+export function resolveCacheInputs(config, rootDir) {
+  const patterns = config.cacheInputs ?? [];
+  if (!Array.isArray(patterns) || patterns.some((pattern) => typeof pattern !== 'string' || pattern === '')) {
+    console.error('Error: "cacheInputs" must be an array of glob patterns');
+    process.exit(1);
+  }
+  return patterns.flatMap((pattern) => expandGlob(pattern, rootDir));
+}
+
+/**
+ * Resolve the exit code policy: --exit-code flag, then `exitCode` config, then 'ci-only'.
+ * Exits on a value that is not one of EXIT_CODE_POLICIES.
+ * @param {string|undefined} flagValue - --exit-code value
+ * @param {object} config - Config object
+ * @returns {string}
+ */
+export function resolveExitCodePolicy(flagValue, config) {
+  const [value, source] = flagValue !== undefined
+    ? [flagValue, '--exit-code']
+    : [config.exitCode, '"exitCode"'];
+  if (value === undefined) return 'ci-only';
+  if (!EXIT_CODE_POLICIES.includes(value)) {
+    console.error(`Error: ${source} must be one of ${EXIT_CODE_POLICIES.join(', ')}`);
+    process.exit(1);
+  }
+  return value;
+}
+
+/**
+ * Resolve the run history file from the `history` config: a path relative to
+ * the workspace root, true for the default, or false to stop recording.
+ * Exits on other values.
+ * @param {object} config - Config object
+ * @param {string} rootDir - Workspace root directory
+ * @returns {string|null} - Absolute path, or null when disabled
+ */
+export function resolveHistoryFile(config, rootDir) {
+  const value = config.history ?? true;
+  if (value === false) return null;
+  if (value === true) return join(rootDir, DEFAULT_HISTORY_FILE);
+  if (typeof value !== 'string' || value === '') {
+    console.error('Error: "history" must be a boolean or a file path');
+    process.exit(1);
+  }
+  return isAbsolute(value) ? value : join(rootDir, value);
+}
+
+/**
+ * Attach the run timeout to each package, in seconds (null: no timeout).
+ * Precedence: `packages.<name>.timeout` in config, then --timeout, then `timeout` in config.
+ * 0 disables the timeout. Exits on invalid values or unknown package names.
+ * @param {Array} packages - Discovered packages
+ * @param {object} config - Config object
+ * @param {number|undefined} flagValue - --timeout value
+ * @returns {Array} - Packages with `timeout` set
+ */
+export function applyTimeouts(packages, config, flagValue) {
+  const check = (value, source) => {
+    if (typeof value !== 'number' || !Number.isFinite(value) || value < 0) {
+      console.error(`Error: ${source} must be a number of seconds (0 disables it)`);
+      process.exit(1);
+    }
+    return value || null;
+  };
+
+  const overrides = config.packages || {};
+  if (typeof overrides !== 'object' || Array.isArray(overrides)) {
+    console.error('Error: "packages" must be an object keyed by package name');
+    process.exit(1);
+  }
+  const packageNames = new Set(packages.map((p) => p.name));
+  for (const name of Object.keys(overrides)) {
+    if (!packageNames.has(name)) {
+      console.error(`Error: "packages" entry not found: "${name}"`);
+      console.error(`Available packages: ${[...packageNames].join(', ')}`);
+      process.exit(1);
+    }
+  }
+
+  let defaultTimeout = null;
+  if (flagValue !== undefined) {
+    defaultTimeout = check(flagValue, '--timeout');
+  } else if (config.timeout !== undefined) {
+    defaultTimeout = check(config.timeout, '"timeout"');
+  }
+
+  return packages.map((pkg) => {
+    const override = overrides[pkg.name]?.timeout;
+    const timeout = override !== undefined ? check(override, `"packages.${pkg.name}.timeout"`) : defaultTimeout;
+    return { ...pkg, timeout };
+  });
+}
+
+/**
+ * Attach the coverage thresholds set in config to each package (null: none):
+ * `coverageThresholds` for every package, overridden per metric by
+ * `packages.<name>.coverageThresholds`. Exits on invalid values.
+ * Package names under `packages` are checked by applyTimeouts().
+ * @param {Array} packages
+ * @param {object} config - Config object
+ * @returns {Array} - Packages with `coverageThresholds`
+ */
+export function applyCoverageThresholds(packages, config) {
+  const check = (value, source) => {
+    if (value === undefined) return {};
+    if (typeof value !== 'object' || value === null || Array.isArray(value)) {
+      console.error(`Error: ${source} must be an object with lines, branches and/or functions`);
+      process.exit(1);
+    }
+    for (const [metric, threshold] of Object.entries(value)) {
+      if (!THRESHOLD_METRICS.includes(metric)) {
+        console.error(`Error: ${source} has an unknown metric "${metric}" (expected ${THRESHOLD_METRICS.join(', ')})`);
+        process.exit(1);
+      }
+      if (typeof threshold !== 'number' || !(threshold >= 0 && threshold <= 100)) {
+        console.error(`Error: ${source}.${metric} must be a percentage between 0 and 100`);
+        process.exit(1);
+      }
+    }
+    return value;
+  };
+
+  const defaults = check(config.coverageThresholds, '"coverageThresholds"');
+  return packages.map((pkg) => {
+    const override = check(config.packages?.[pkg.name]?.coverageThresholds, `"packages.${pkg.name}.coverageThresholds"`);
+    const thresholds = { ...defaults, ...override };
+    return { ...pkg, coverageThresholds: Object.keys(thresholds).length > 0 ? thresholds : null };
+  });
+}
+
+/**
+ * Resolve whether coverage thresholds fail the run: --enforce-thresholds flag,
+ * then `enforceThresholds` config. Exits when the config value is not a boolean.
+ * @param {boolean|undefined} flagValue - --enforce-thresholds value
+ * @param {object} config - Config object
+ * @returns {boolean}
+ */
+export function resolveEnforceThresholds(flagValue, config) {
+  if (flagValue) return true;
+  if (config.enforceThresholds === undefined) return false;
+  if (typeof config.enforceThresholds !== 'boolean') {
+    console.error('Error: "enforceThresholds" must be a boolean');
+    process.exit(1);
+  }
+  return config.enforceThresholds;
+}
+
 /**
  * Validate config and exit on errors
  * @param {object} config - Config object
@@ -7,7 +7,7 @@
 
 import { existsSync, readFileSync, readdirSync } from 'node:fs';
 import { join, relative } from 'node:path';
-import { getRunner } from './runners/index.js';
+import { getRunner, getOutputPaths } from './runners/index.js';
 
 // ============================================================================
 // Parsing Functions
@@ -121,11 +121,11 @@ export function readCoverageSummary(summaryPath) {
 /**
  * Get coverage stats for a single package, including thresholds.
  * @param {object} pkg - Package object with path and runner properties
+ * @param {string|null} [outputDir] - Output directory of the run (see output-dir.js)
  * @returns {object|null} - { lines, branches, functions, thresholds? } or null
  */
-export function getPackageCoverage(pkg) {
-  const summaryPath = join(pkg.path, 'coverage', 'coverage-summary.json');
-  const lcovPath = join(pkg.path, 'coverage', 'lcov.info');
+export function getPackageCoverage(pkg, outputDir = null) {
+  const { coverageSummary: summaryPath, lcov: lcovPath } = getOutputPaths(pkg, outputDir);
 
   // Try coverage-summary.json first (fast path)
   let stats = readCoverageSummary(summaryPath);
@@ -248,16 +248,89 @@ export function parseBunThresholds(configPath) {
   return Object.keys(result).length > 0 ? result : null;
 }
 
+/** Metrics that can have a threshold, in display order */
+export const THRESHOLD_METRICS = ['lines', 'branches', 'functions'];
+
 /**
- * Get coverage thresholds for a package by reading its config file.
- * Delegates to the runner adapter's getThresholds().
+ * Get coverage thresholds for a package: the ones in its runner's config file
+ * (via the runner adapter's getThresholds()), overridden per metric by the
+ * ones from `.monotestrunnerrc` (pkg.coverageThresholds, see
+ * applyCoverageThresholds), which can raise or relax them.
  * @param {object} pkg - Package object with path and runner properties
  * @returns {object|null} - { lines?, branches?, functions? } or null
  */
 export function getPackageThresholds(pkg) {
   const runner = getRunner(pkg.runner);
   if (!runner) return null;
-  return runner.getThresholds(pkg.path);
+  const own = runner.getThresholds(pkg.path, pkg.configFile);
+  const configured = pkg.coverageThresholds;
+  if (!configured) return own;
+
+  const thresholds = { ...own };
+  for (const metric of THRESHOLD_METRICS) {
+    if (configured[metric] !== undefined) thresholds[metric] = configured[metric];
+  }
+  return thresholds;
+}
+
+// ============================================================================
+// Threshold Enforcement
+// ============================================================================
+
+/**
+ * List the metrics of a coverage result below their thresholds.
+ * Metrics without data ('-') or without a threshold never fail.
+ * @param {object|null} coverage - { lines, branches, functions, thresholds? }
+ * @returns {Array<{ metric: string, actual: number, threshold: number }>}
+ */
+export function getThresholdViolations(coverage) {
+  const thresholds = coverage?.thresholds;
+  if (!thresholds) return [];
+  const violations = [];
+  for (const metric of THRESHOLD_METRICS) {
+    const threshold = thresholds[metric];
+    const pct = coverage[metric];
+    if (threshold === undefined || threshold === null || pct === '-' || pct === undefined || pct === null) continue;
+    const actual = parseFloat(pct);
+    if (actual < threshold) violations.push({ metric, actual, threshold });
+  }
+  return violations;
+}
+
+/**
+ * Enforce coverage thresholds on a finished package: sets
+ * state.coverageViolations to the metrics below their thresholds, or null
+ * when they are all met (or the package has no coverage to check).
+ * @param {object} state - Package state after its run
+ */
+export function enforceThresholds(state) {
+  const violations = state.status === 'done' ? getThresholdViolations(state.coverage) : [];
+  state.coverageViolations = violations.length > 0 ? violations : null;
+}
+
+/**
+ * Attach a package's current thresholds to a coverage result replayed from
+ * the cache. The config thresholds are not part of the cache key, so the ones
+ * stored with the result may be out of date.
+ * @param {object} pkg - Package object
+ * @param {object|null} coverage - Cached { lines, branches, functions, thresholds? }
+ * @returns {object|null}
+ */
+export function withCurrentThresholds(pkg, coverage) {
+  if (!coverage) return coverage;
+  const stats = { ...coverage };
+  delete stats.thresholds;
+  const thresholds = getPackageThresholds(pkg);
+  return thresholds ? { ...stats, thresholds } : stats;
+}
+
+/**
+ * Format threshold violations for summaries, e.g. "lines 72.3% < 80%, branches 60.0% < 70%"
+ * @param {Array<{ metric: string, actual: number, threshold: number }>} violations
+ * @returns {string}
+ */
+export function formatViolations(violations) {
+  return violations.map(({ metric, actual, threshold }) => `${metric} ${actual.toFixed(1)}% < ${threshold}%`).join(', ');
 }
 
 // ============================================================================
@@ -305,17 +378,23 @@ export function findPackagesWithCoverage(rootDir) {
  * Get verbose coverage data for all packages (per-file details)
  * @param {string} rootDir - Workspace root directory
  * @param {Array} packages - Array of package objects
+ * @param {object} [states] - { [pkgName]: state } of a run: coverage is read from each
+ *   package's output directory, and packages that were not run (cached) are left out
  * @returns {object} - Object with packageData array and fileWidth
  */
-export function getVerboseCoverageData(rootDir, packages) {
+export function getVerboseCoverageData(rootDir, packages, states = null) {
   const packageData = packages
-    .map(pkg => ({
-      name: pkg.name,
-      path: pkg.path,
-      runner: pkg.runner,
-      lcovPath: pkg.lcovPath || join(pkg.path, 'coverage', 'lcov.info'),
-      files: parseLcovDetailed(pkg.lcovPath || join(pkg.path, 'coverage', 'lcov.info')) || [],
-    }))
+    .filter(pkg => !states || states[pkg.name]?.outputDir)
+    .map(pkg => {
+      const lcovPath = pkg.lcovPath || getOutputPaths(pkg, states?.[pkg.name].outputDir).lcov;
+      return {
+        name: pkg.name,
+        path: pkg.path,
+        runner: pkg.runner,
+        lcovPath,
+        files: parseLcovDetailed(lcovPath) || [],
+      };
+    })
     .filter(p => p.files.length > 0);
 
   const allDisplayPaths = [];
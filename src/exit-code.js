@@ -0,0 +1,55 @@
+/**
+ * Exit codes of TTY and CI runs, and the --exit-code policy.
+ *
+ * Each kind of failure has its own code so scripts can tell them apart.
+ * When a run fails in several ways, the highest code wins (errored >
+ * timed out > coverage > failed tests), as it does when shard reports are
+ * merged: only the most severe kind shows in the code.
+ */
+
+/** Exit code by failure kind */
+export const EXIT_CODES = {
+  ok: 0,
+  testsFailed: 1, // failed tests (and flaky tests with --fail-on-flaky)
+  coverageFailed: 2, // coverage below thresholds (--enforce-thresholds)
+  timedOut: 3, // a package hit --timeout
+  errored: 4, // a package exited without results
+};
+
+/** Values of --exit-code / `exitCode`: when a failed run exits non-zero */
+export const EXIT_CODE_POLICIES = ['always', 'ci-only', 'never'];
+
+/**
+ * Compute the exit code of a finished run from its final package states.
+ * Cancelled packages are left out, as in the totals.
+ * @param {object} states - { [pkgName]: state }
+ * @param {object} [options]
+ * @param {boolean} [options.failOnFlaky] - Flaky tests count as failed tests
+ * @returns {number}
+ */
+export function getRunExitCode(states, { failOnFlaky = false } = {}) {
+  let code = EXIT_CODES.ok;
+  for (const state of Object.values(states)) {
+    if (state.status === 'errored') code = Math.max(code, EXIT_CODES.errored);
+    if (state.status === 'timed-out') code = Math.max(code, EXIT_CODES.timedOut);
+    if (state.status === 'cancelled') continue;
+    if (state.failed > 0 || (failOnFlaky && state.flaky > 0)) code = Math.max(code, EXIT_CODES.testsFailed);
+    if (state.coverageViolations) code = Math.max(code, EXIT_CODES.coverageFailed);
+  }
+  return code;
+}
+
+/**
+ * Apply the --exit-code policy: 'always' exits with the run's code,
+ * 'ci-only' only in CI (locally a failed run would add pnpm ELIFECYCLE
+ * noise), 'never' always exits 0.
+ * @param {number} exitCode - Exit code of the run
+ * @param {string} policy - One of EXIT_CODE_POLICIES
+ * @param {boolean} isCI - Running in CI (CI=true)
+ * @returns {number}
+ */
+export function applyExitCodePolicy(exitCode, policy, isCI) {
+  if (policy === 'always') return exitCode;
+  if (policy === 'ci-only') return isCI ? exitCode : EXIT_CODES.ok;
+  return EXIT_CODES.ok;
+}
@@ -0,0 +1,154 @@
+/**
+ * Package filtering for --filter / --exclude.
+ *
+ * Selectors follow pnpm's --filter syntax:
+ *   @acme/ui-*        name (glob)
+ *   ./apps/web        directory (relative to the workspace root; globs allowed)
+ *   {apps/web}        directory, pnpm's braced form
+ *   tag:frontend      Nx project tag (glob)
+ *   foo...            foo and everything it depends on
+ *   ...foo            foo and everything that depends on it
+ *   foo^... / ...^foo the same, without foo itself
+ *   !foo              exclude (same as --exclude foo)
+ */
+
+import { relative, resolve, isAbsolute } from 'node:path';
+import picomatch from 'picomatch';
+import { buildDependencyGraph, collectTransitive } from './graph.js';
+
+/**
+ * Parse a selector string.
+ * @param {string} raw - Selector as given on the command line
+ * @returns {{ exclude: boolean, type: 'name'|'path'|'tag', pattern: string,
+ *   dependencies: boolean, dependents: boolean, includeSelf: boolean }}
+ */
+export function parseSelector(raw) {
+  let rest = raw.trim();
+  const selector = { exclude: false, type: 'name', pattern: '', dependencies: false, dependents: false, includeSelf: true };
+
+  if (rest.startsWith('!')) {
+    selector.exclude = true;
+    rest = rest.slice(1);
+  }
+
+  if (rest.startsWith('...')) {
+    selector.dependents = true;
+    rest = rest.slice(3);
+    if (rest.startsWith('^')) {
+      selector.includeSelf = false;
+      rest = rest.slice(1);
+    }
+  }
+
+  if (rest.endsWith('...')) {
+    selector.dependencies = true;
+    rest = rest.slice(0, -3);
+    if (rest.endsWith('^')) {
+      selector.includeSelf = false;
+      rest = rest.slice(0, -1);
+    }
+  }
+
+  if (rest.startsWith('{') && rest.endsWith('}')) {
+    selector.type = 'path';
+    rest = rest.slice(1, -1);
+  } else if (rest === '.' || rest.startsWith('./') || rest.startsWith('../') || isAbsolute(rest)) {
+    selector.type = 'path';
+  } else if (rest.startsWith('tag:')) {
+    selector.type = 'tag';
+    rest = rest.slice(4);
+  }
+
+  selector.pattern = rest;
+  return selector;
+}
+
+/**
+ * Does a package match a selector's pattern (ignoring ... expansion)?
+ * @param {object} pkg - Package object
+ * @param {object} selector - From parseSelector()
+ * @param {string} rootDir - Workspace root
+ * @returns {boolean}
+ */
+function matchesPattern(pkg, selector, rootDir) {
+  switch (selector.type) {
+    case 'path': {
+      const pkgRel = relative(rootDir, pkg.path).split('\\').join('/');
+      const target = relative(rootDir, resolve(rootDir, selector.pattern)).split('\\').join('/');
+      if (/[*?{]/.test(selector.pattern)) return picomatch(target)(pkgRel);
+      // A plain directory selects the packages inside it
+      return target === '' || pkgRel === target || pkgRel.startsWith(`${target}/`);
+    }
+    case 'tag': {
+      const isMatch = picomatch(selector.pattern);
+      return (pkg.tags || []).some((tag) => isMatch(tag));
+    }
+    default:
+      return picomatch(selector.pattern, { dot: true })(pkg.name);
+  }
+}
+
+/**
+ * Resolve a selector to the set of package names it selects.
+ * @param {object[]} packages - All discovered packages
+ * @param {object} selector - From parseSelector()
+ * @param {string} rootDir - Workspace root
+ * @param {() => object} getGraph - Lazily built dependency graph
+ * @returns {Set<string>}
+ */
+function resolveSelector(packages, selector, rootDir, getGraph) {
+  const result = new Set();
+  for (const pkg of packages) {
+    if (!matchesPattern(pkg, selector, rootDir)) continue;
+    if (selector.includeSelf) result.add(pkg.name);
+    if (selector.dependencies) {
+      for (const name of collectTransitive(getGraph().dependencies, pkg.name)) result.add(name);
+    }
+    if (selector.dependents) {
+      for (const name of collectTransitive(getGraph().dependents, pkg.name)) result.add(name);
+    }
+  }
+  return result;
+}
+
+/**
+ * Apply --filter and --exclude selectors to the discovered packages.
+ * With no (non-negated) filters every package starts selected; excludes
+ * are removed afterwards. Order of the input is preserved.
+ *
+ * @param {object[]} packages - All discovered packages
+ * @param {object} opts
+ * @param {string[]} [opts.filter] - --filter selectors
+ * @param {string[]} [opts.exclude] - --exclude selectors
+ * @param {string} rootDir - Workspace root
+ * @returns {object[]} - Selected packages
+ */
+export function filterPackages(packages, { filter = [], exclude = [] } = {}, rootDir) {
+  const selectors = [
+    ...filter.map(parseSelector),
+    ...exclude.map((raw) => ({ ...parseSelector(raw), exclude: true })),
+  ];
+  if (selectors.length === 0) return packages;
+
+  let graph = null;
+  const getGraph = () => {
+    if (!graph) graph = buildDependencyGraph(packages);
+    return graph;
+  };
+
+  const includes = selectors.filter((s) => !s.exclude);
+  const selected = new Set();
+  if (includes.length === 0) {
+    for (const pkg of packages) selected.add(pkg.name);
+  } else {
+    for (const selector of includes) {
+      for (const name of resolveSelector(packages, selector, rootDir, getGraph)) selected.add(name);
+    }
+  }
+
+  for (const selector of selectors.filter((s) => s.exclude)) {
+    for (const name of resolveSelector(packages, selector, rootDir, getGraph)) selected.delete(name);
+  }
+
+  return packages.filter((pkg) => selected.has(pkg.name));
+}
@@ -0,0 +1,157 @@
+/**
+ * Workspace dependency graph.
+ *
+ * Links packages through the dependency fields of their package.json,
+ * keeping only dependencies on other workspace packages. Layers order the
+ * packages for running: layer 0 has no workspace dependencies, layer n
+ * depends only on packages in earlier layers.
+ */
+
+import { existsSync, readFileSync } from 'node:fs';
+import { join, resolve } from 'node:path';
+
+const DEPENDENCY_FIELDS = ['dependencies', 'devDependencies', 'peerDependencies', 'optionalDependencies'];
+
+/**
+ * Read every dependency entry of a package, across all dependency fields.
+ * @param {string} pkgPath - Absolute path to the package root
+ * @returns {Array<[string, string]>} - [name, version spec] pairs
+ */
+function readDependencyEntries(pkgPath) {
+  const pkgJsonPath = join(pkgPath, 'package.json');
+  if (!existsSync(pkgJsonPath)) return [];
+  try {
+    const pkgJson = JSON.parse(readFileSync(pkgJsonPath, 'utf-8'));
+    return DEPENDENCY_FIELDS.flatMap((field) => Object.entries(pkgJson[field] || {}));
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Resolve a dependency entry to the workspace package it points at.
+ * Handles pnpm/yarn `workspace:` ranges, including aliases
+ * (`"ui": "workspace:@acme/ui@*"`) and relative paths (`"ui": "workspace:../ui"`).
+ *
+ * @param {string} name - Dependency key
+ * @param {string} spec - Version spec
+ * @param {string} pkgPath - Path of the depending package (for relative specs)
+ * @param {Map<string, string>} nameByPath - Workspace package name by absolute path
+ * @returns {string} - Workspace package name, or the key itself
+ */
+function resolveDependencyName(name, spec, pkgPath, nameByPath) {
+  if (typeof spec !== 'string' || !spec.startsWith('workspace:')) return name;
+  const range = spec.slice('workspace:'.length);
+  if (range.startsWith('.') || range.startsWith('/')) {
+    return nameByPath.get(resolve(pkgPath, range)) || name;
+  }
+  // Alias: the target name, then @range (scoped names start with @ themselves)
+  const at = range.lastIndexOf('@');
+  return at > 0 ? range.slice(0, at) : name;
+}
+
+/**
+ * Build the workspace dependency graph.
+ * @param {object[]} packages - Discovered packages
+ * @returns {{ dependencies: Map<string, Set<string>>, dependents: Map<string, Set<string>> }}
+ *   Direct edges by package name, in both directions
+ */
+export function buildDependencyGraph(packages) {
+  const names = new Set(packages.map((p) => p.name));
+  const nameByPath = new Map(packages.map((p) => [p.path, p.name]));
+  const dependencies = new Map();
+  const dependents = new Map();
+
+  for (const pkg of packages) {
+    dependencies.set(pkg.name, new Set());
+    dependents.set(pkg.name, new Set());
+  }
+
+  for (const pkg of packages) {
+    for (const [key, spec] of readDependencyEntries(pkg.path)) {
+      const dep = resolveDependencyName(key, spec, pkg.path, nameByPath);
+      if (!names.has(dep) || dep === pkg.name) continue;
+      dependencies.get(pkg.name).add(dep);
+      dependents.get(dep).add(pkg.name);
+    }
+  }
+
+  return { dependencies, dependents };
+}
+
+/**
+ * Collect every package reachable from a start package along one edge map.
+ * @param {Map<string, Set<string>>} edges - graph.dependencies or graph.dependents
+ * @param {string} name - Start package (not included in the result)
+ * @returns {Set<string>}
+ */
+export function collectTransitive(edges, name) {
+  const result = new Set();
+  const stack = [...(edges.get(name) || [])];
+  while (stack.length > 0) {
+    const next = stack.pop();
+    if (result.has(next) || next === name) continue;
+    result.add(next);
+    stack.push(...(edges.get(next) || []));
+  }
+  return result;
+}
+
+/**
+ * Assign each package to a dependency layer.
+ * Packages caught in a dependency cycle (and everything depending on them)
+ * share one final layer, since no order satisfies them.
+ *
+ * @param {object[]} packages - Discovered packages
+ * @param {{ dependencies: Map<string, Set<string>> }} graph - From buildDependencyGraph()
+ * @returns {Map<string, number>} - Layer by package name
+ */
+export function computeLayers(packages, graph) {
+  const layers = new Map();
+  const remaining = new Set(packages.map((p) => p.name));
+
+  for (let layer = 0; remaining.size > 0; layer++) {
+    const ready = [...remaining].filter((name) =>
+      [...graph.dependencies.get(name)].every((dep) => !remaining.has(dep)),
+    );
+    const batch = ready.length > 0 ? ready : [...remaining];
+    for (const name of batch) {
+      layers.set(name, layer);
+      remaining.delete(name);
+    }
+  }
+
+  return layers;
+}
+
+/**
+ * Attach the dependency graph to package objects.
+ * Adds `dependsOn` and `dependents` (direct workspace edges, by name) and `layer`.
+ *
+ * @param {object[]} packages - Discovered packages
+ * @returns {object[]} - New package objects, same order
+ */
+export function attachDependencyGraph(packages) {
+  const graph = buildDependencyGraph(packages);
+  const layers = computeLayers(packages, graph);
+  return packages.map((pkg) => ({
+    ...pkg,
+    dependsOn: [...graph.dependencies.get(pkg.name)],
+    dependents: [...graph.dependents.get(pkg.name)],
+    layer: layers.get(pkg.name),
+  }));
+}
+
+/**
+ * Order packages so dependencies come before their dependents.
+ * Stable within a layer; packages without a layer count as layer 0.
+ *
+ * @param {object[]} packages - Packages from attachDependencyGraph()
+ * @returns {object[]}
+ */
+export function sortByLayer(packages) {
+  return packages
+    .map((pkg, index) => ({ pkg, index }))
+    .sort((a, b) => (a.pkg.layer ?? 0) - (b.pkg.layer ?? 0) || a.index - b.index)
+    .map(({ pkg }) => pkg);
+}
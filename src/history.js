@@ -0,0 +1,344 @@
+/**
+ * Run history (`monotestrunner history`).
+ *
+ * Every TTY and CI run appends one JSON line to the history file (default
+ * .monotestrunner/history.jsonl) with a per-package summary: counts,
+ * duration, coverage percentages and the names of failed tests. The history
+ * command reads the last N runs back and prints trends: pass rate and
+ * duration per package, coverage deltas and the most frequent failures.
+ *
+ * Entry (version 1), one per line:
+ *
+ *   {
+ *     version: 1,
+ *     timestamp: string,                 // ISO 8601, start of the run
+ *     commit: string | null,             // git HEAD, null outside a repository
+ *     exitCode: number,
+ *     shard: { index, count } | null,    // --shard of the run
+ *     packages: [{
+ *       name, status: string, cached: boolean, exitCode: number | null,
+ *       passed, skipped, failed, flaky: number, duration: number | null,
+ *       coverage: { lines, branches, functions: number | null } | null,
+ *       failedTests: string[],           // "file › test name"
+ *     }],
+ *   }
+ */
+
+import c from 'picocolors';
+import { execFileSync } from 'node:child_process';
+import { appendFileSync, existsSync, mkdirSync, readFileSync } from 'node:fs';
+import { dirname } from 'node:path';
+import { formatNum, formatDuration } from './ui.js';
+
+const HISTORY_VERSION = 1;
+
+/** Default number of runs the history command looks back over */
+export const DEFAULT_HISTORY_RUNS = 10;
+
+/**
+ * Get the current git commit of the workspace.
+ * @param {string} rootDir
+ * @returns {string|null} - Full SHA, or null outside a repository or before the first commit
+ */
+export function getGitCommit(rootDir) {
+  try {
+    return execFileSync('git', ['rev-parse', 'HEAD'], { cwd: rootDir, encoding: 'utf-8', stdio: ['ignore', 'pipe', 'ignore'] }).trim();
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Convert a coverage percentage string ('85.3', '-') to a number or null.
+ * @param {string|undefined} pct
+ * @returns {number|null}
+ */
+function toPct(pct) {
+  const n = parseFloat(pct);
+  return Number.isFinite(n) ? n : null;
+}
+
+/**
+ * Build the history entry of a finished run.
+ * @param {Array} packages - Packages that were run, in display order
+ * @param {object} states - { [pkgName]: state }
+ * @param {object} meta
+ * @param {Date} meta.startedAt
+ * @param {string|null} meta.commit
+ * @param {number} meta.exitCode
+ * @param {{ index: number, count: number }|null} [meta.shard]
+ * @returns {object}
+ */
+export function buildHistoryEntry(packages, states, { startedAt, commit, exitCode, shard = null }) {
+  return {
+    version: HISTORY_VERSION,
+    timestamp: startedAt.toISOString(),
+    commit,
+    exitCode,
+    shard,
+    packages: packages.map((pkg) => {
+      const state = states[pkg.name];
+      const failedTests = (state.testResults?.suites || []).flatMap((suite) => suite.tests
+        .filter((test) => test.status === 'failed')
+        .map((test) => `${suite.file} › ${test.name}`));
+      return {
+        name: pkg.name,
+        status: state.status,
+        cached: Boolean(state.cached),
+        exitCode: state.exitCode,
+        files: state.files,
+        passed: state.passed,
+        skipped: state.skipped,
+        failed: state.failed,
+        flaky: state.flaky || 0,
+        duration: state.duration,
+        coverage: state.coverage
+          ? { lines: toPct(state.coverage.lines), branches: toPct(state.coverage.branches), functions: toPct(state.coverage.functions) }
+          : null,
+        failedTests,
+      };
+    }),
+  };
+}
+
+/**
+ * Append an entry to the history file, creating its directory as needed.
+ * @param {string} file - Absolute path
+ * @param {object} entry
+ */
+export function appendHistory(file, entry) {
+  mkdirSync(dirname(file), { recursive: true });
+  appendFileSync(file, `${JSON.stringify(entry)}\n`, 'utf-8');
+}
+
+/**
+ * Read the history file, oldest run first.
+ * Lines that are not valid entries (a write cut short, a newer version) are skipped.
+ * @param {string} file - Absolute path
+ * @returns {object[]}
+ */
+export function readHistory(file) {
+  if (!existsSync(file)) return [];
+  const entries = [];
+  for (const line of readFileSync(file, 'utf-8').split('\n')) {
+    if (!line.trim()) continue;
+    try {
+      const entry = JSON.parse(line);
+      if (entry.version === HISTORY_VERSION && Array.isArray(entry.packages)) entries.push(entry);
+    } catch {
+      // Skip the line
+    }
+  }
+  return entries;
+}
+
+/**
+ * Outcome of one package in one run, for pass rates and the recent-runs strip.
+ * @param {object|undefined} record - Package record of a run (undefined: not part of it)
+ * @returns {'passed'|'failed'|'cached'|'cancelled'|'absent'}
+ */
+function getOutcome(record) {
+  if (!record) return 'absent';
+  if (record.status === 'cancelled') return 'cancelled';
+  if (record.cached) return 'cached';
+  if (record.status === 'done' && record.failed === 0 && record.exitCode === 0) return 'passed';
+  return 'failed';
+}
+
+/**
+ * Compute per-package trends over the last runs.
+ * Pass rates and durations count the runs where the package actually ran:
+ * cancelled packages and cached results are left out. Coverage deltas compare
+ * the last known percentages with the first ones in the window.
+ *
+ * @param {object[]} entries - History entries, oldest first
+ * @param {number} last - Number of runs to look back over
+ * @returns {{
+ *   runs: object[],
+ *   packages: Array<{ name, runs, passRate, avgDuration, lastDuration, outcomes, coverage }>,
+ *   failures: Array<{ name: string, count: number }>,
+ * }}
+ */
+export function computeTrends(entries, last) {
+  const runs = entries.slice(-last);
+  const names = [];
+  for (const run of [...runs].reverse()) {
+    for (const record of run.packages) {
+      if (!names.includes(record.name)) names.push(record.name);
+    }
+  }
+  // Latest run's order (dependency order), then packages that have left it
+  names.sort((a, b) => {
+    const order = (name) => {
+      const index = runs.at(-1).packages.findIndex((record) => record.name === name);
+      return index === -1 ? Infinity : index;
+    };
+    return order(a) - order(b);
+  });
+
+  const packages = names.map((name) => {
+    const records = runs.map((run) => run.packages.find((record) => record.name === name));
+    const outcomes = records.map(getOutcome);
+    const ran = records.filter((record, i) => outcomes[i] === 'passed' || outcomes[i] === 'failed');
+    const durations = ran.filter((record) => record.status === 'done' && record.duration !== null).map((record) => record.duration);
+
+    const withCoverage = records.filter((record) => record?.coverage);
+    const coverage = {};
+    for (const metric of ['lines', 'branches', 'functions']) {
+      const values = withCoverage.map((record) => record.coverage[metric]).filter((value) => value !== null);
+      coverage[metric] = values.length > 0
+        ? { value: values.at(-1), delta: values.at(-1) - values[0] }
+        : null;
+    }
+
+    return {
+      name,
+      runs: ran.length,
+      passRate: ran.length > 0 ? outcomes.filter((outcome) => outcome === 'passed').length / ran.length : null,
+      avgDuration: durations.length > 0 ? durations.reduce((sum, d) => sum + d, 0) / durations.length : null,
+      lastDuration: durations.length > 0 ? durations.at(-1) : null,
+      outcomes,
+      coverage,
+    };
+  });
+
+  const counts = new Map();
+  for (const run of runs) {
+    for (const record of run.packages) {
+      for (const test of record.failedTests || []) {
+        const key = `${record.name} › ${test}`;
+        counts.set(key, (counts.get(key) || 0) + 1);
+      }
+    }
+  }
+  const failures = [...counts]
+    .map(([name, count]) => ({ name, count }))
+    .sort((a, b) => b.count - a.count || (a.name < b.name ? -1 : 1));
+
+  return { runs, packages, failures };
+}
+
+/**
+ * Average duration of each package over the last unsharded runs, for weighting --shard.
+ * Shard runs are left out: otherwise running shards one after another in the
+ * same workspace would change the timings, and the split, between shards.
+ * @param {object[]} entries - History entries, oldest first
+ * @param {number} [last] - Number of runs to look back over
+ * @returns {Map<string, number>} - Seconds by package name (packages without a timed run are left out)
+ */
+export function getPackageTimings(entries, last = DEFAULT_HISTORY_RUNS) {
+  const timings = new Map();
+  for (const pkg of computeTrends(entries.filter((entry) => !entry.shard), last).packages) {
+    if (pkg.avgDuration !== null) timings.set(pkg.name, pkg.avgDuration);
+  }
+  return timings;
+}
+
+/**
+ * Test file count of each package in the last unsharded run that reported
+ * one, for --shard-files. Runners without file counts (node --test) are left out.
+ * @param {object[]} entries - History entries, oldest first
+ * @returns {Map<string, number>} - Test files by package name
+ */
+export function getPackageFileCounts(entries) {
+  const counts = new Map();
+  for (const entry of entries) {
+    if (entry.shard) continue;
+    for (const record of entry.packages) {
+      if (record.files > 0 && !record.cached) counts.set(record.name, record.files);
+    }
+  }
+  return counts;
+}
+
+const OUTCOME_MARKS = {
+  passed: c.green('✓'),
+  failed: c.red('✗'),
+  cached: c.cyan('○'),
+  cancelled: c.yellow('⊘'),
+  absent: c.dim('·'),
+};
+
+/**
+ * Format a pass rate, colored: green at 100%, yellow above 80%, red below.
+ * @param {number|null} rate
+ * @returns {string}
+ */
+function formatPassRate(rate) {
+  if (rate === null) return c.dim('-'.padStart(10));
+  const text = `${Math.round(rate * 100)}%`.padStart(10);
+  if (rate === 1) return c.green(text);
+  return rate >= 0.8 ? c.yellow(text) : c.red(text);
+}
+
+/**
+ * Format the last duration with its change against the average, e.g. "1.20s +12%".
+ * @param {number|null} lastDuration
+ * @param {number|null} avgDuration
+ * @returns {string}
+ */
+function formatLastDuration(lastDuration, avgDuration) {
+  if (lastDuration === null) return c.dim(formatDuration(null, 16));
+  const change = avgDuration ? Math.round(((lastDuration - avgDuration) / avgDuration) * 100) : 0;
+  const changeStr = `${change > 0 ? '+' : ''}${change}%`.padStart(6);
+  // Only call out slowdowns and speedups beyond 20%
+  const styled = change > 20 ? c.red(changeStr) : change < -20 ? c.green(changeStr) : c.dim(changeStr);
+  return `${formatDuration(lastDuration)}${styled}`;
+}
+
+/**
+ * Format a coverage percentage with its delta over the window, e.g. "85.3% +1.2".
+ * @param {{ value: number, delta: number }|null} metric
+ * @returns {string}
+ */
+function formatCoverageTrend(metric) {
+  if (!metric) return c.dim('-'.padStart(14));
+  const delta = Math.round(metric.delta * 10) / 10;
+  const deltaText = `${delta > 0 ? '+' : ''}${delta.toFixed(1)}`.padStart(6);
+  const styled = delta > 0 ? c.green(deltaText) : delta < 0 ? c.red(deltaText) : c.dim(deltaText);
+  return `${`${metric.value.toFixed(1)}%`.padStart(8)}${styled}`;
+}
+
+/**
+ * Print the trends of the last runs.
+ * @param {ReturnType<typeof computeTrends>} trends
+ * @param {number} [maxFailures] - Most frequent failed tests to list
+ */
+export function printHistory({ runs, packages, failures }, maxFailures = 5) {
+  if (runs.length === 0) {
+    console.log('No runs recorded yet.');
+    return;
+  }
+
+  const nameWidth = Math.max(20, ...packages.map((pkg) => pkg.name.length + 2));
+  const recentWidth = Math.max(8, runs.length + 2);
+  const withCoverage = packages.some((pkg) => Object.values(pkg.coverage).some(Boolean));
+  const day = (run) => run.timestamp.slice(0, 10);
+  const commit = runs.at(-1).commit ? ` @ ${runs.at(-1).commit.slice(0, 7)}` : '';
+
+  console.log(`\n${c.bold(c.cyan('Test History'))} ${c.dim(`last ${runs.length} run(s), ${day(runs[0])} → ${day(runs.at(-1))}${commit}`)}\n`);
+
+  let header = `  ${'Package'.padEnd(nameWidth)}${'Runs'.padStart(6)}${'Pass rate'.padStart(10)}${'Avg'.padStart(10)}${'Last'.padStart(16)}  ${'Recent'.padEnd(recentWidth)}`;
+  if (withCoverage) header += `${'Lines'.padStart(14)}${'Branches'.padStart(14)}${'Functions'.padStart(14)}`;
+  console.log(c.dim(header));
+  console.log(`  ${c.dim('─'.repeat(header.length - 2))}`);
+
+  for (const pkg of packages) {
+    const recent = pkg.outcomes.map((outcome) => OUTCOME_MARKS[outcome]).join('');
+    let row = `  ${c.blue(pkg.name.padEnd(nameWidth))}${formatNum(pkg.runs)}${formatPassRate(pkg.passRate)}${c.dim(formatDuration(pkg.avgDuration))}${formatLastDuration(pkg.lastDuration, pkg.avgDuration)}  ${recent}${' '.repeat(recentWidth - pkg.outcomes.length)}`;
+    if (withCoverage) {
+      row += `${formatCoverageTrend(pkg.coverage.lines)}${formatCoverageTrend(pkg.coverage.branches)}${formatCoverageTrend(pkg.coverage.functions)}`;
+    }
+    console.log(row);
+  }
+
+  console.log(`\n  ${c.dim(`Recent: oldest → newest   ${OUTCOME_MARKS.passed} passed  ${OUTCOME_MARKS.failed} failed  ${OUTCOME_MARKS.cached} cached  ${OUTCOME_MARKS.cancelled} cancelled  ${OUTCOME_MARKS.absent} not run`)}`);
+
+  if (failures.length > 0) {
+    console.log(`\n${c.bold('Most frequent failures')}\n`);
+    for (const { name, count } of failures.slice(0, maxFailures)) {
+      console.log(`  ${c.red(`${count}×`.padStart(4))}  ${name}`);
+    }
+  }
+  console.log();
+}
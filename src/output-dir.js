@@ -0,0 +1,80 @@
+/**
+ * Per-run output directories for runner reports.
+ *
+ * Runners write their JUnit and coverage reports into a temporary directory
+ * per package instead of the package's own coverage/ directory, so a run
+ * never clobbers the package's artifacts. The directories live under one
+ * directory per process (the run id), removed on exit, and a package's
+ * directory is emptied before each attempt: a run that crashes before
+ * writing its report leaves no results rather than the previous run's.
+ */
+
+import { mkdirSync, mkdtempSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { dirname, join } from 'node:path';
+import { getRunner, getOutputPaths } from './runners/index.js';
+
+let runDir = null;
+
+/**
+ * Get the output directory of this run, creating it on first use.
+ * @returns {string} - e.g. /tmp/monotestrunner-AbC123
+ */
+export function getRunDir() {
+  if (!runDir) {
+    const dir = mkdtempSync(join(tmpdir(), 'monotestrunner-'));
+    process.on('exit', () => rmSync(dir, { recursive: true, force: true }));
+    runDir = dir;
+  }
+  return runDir;
+}
+
+/**
+ * Prepare a package's output directory for the next attempt: an empty
+ * directory under the run directory. Runners that declare where they write
+ * (custom runners with `junit` / `lcov`) keep writing into the package, so
+ * their reports from earlier runs are removed instead.
+ * @param {object} pkg
+ * @returns {string} - Absolute path of the package's output directory
+ */
+export function prepareOutputDir(pkg) {
+  const dir = join(getRunDir(), encodeURIComponent(pkg.name));
+  rmSync(dir, { recursive: true, force: true });
+  mkdirSync(dir, { recursive: true });
+
+  const runner = getRunner(pkg.runner);
+  const outputs = getOutputPaths(pkg, dir);
+  const declared = [
+    runner?.junitFile && outputs.junit,
+    runner?.lcovFile && outputs.lcov,
+    runner?.lcovFile && outputs.coverageSummary,
+  ].filter(Boolean);
+  for (const path of declared) {
+    rmSync(path, { force: true });
+  }
+  // Some reporters (node --test) refuse to write into a missing directory
+  mkdirSync(dirname(outputs.junit), { recursive: true });
+  mkdirSync(dirname(outputs.lcov), { recursive: true });
+  return dir;
+}
+
+/**
+ * Did a finished run fail without leaving any results: no JUnit report and
+ * no test counts in its output (e.g. it crashed while loading)?
+ * @param {object} state - Package state after the run
+ * @returns {boolean}
+ */
+export function hasNoResults(state) {
+  return state.exitCode !== 0 && !state.testResults && !state.tests && !state.passed && !state.failed;
+}
+
+/**
+ * Mark a package whose run threw inside monotestrunner (the spawn, a report
+ * parser) as 'errored', so it does not stay 'running'.
+ * @param {object} state - Package state
+ * @param {unknown} error - What the run threw
+ */
+export function markRunCrashed(state, error) {
+  state.status = 'errored';
+  state.errorReason = error instanceof Error ? error.message : String(error);
+}
@@ -0,0 +1,120 @@
+/**
+ * Package manager detection and binary invocation.
+ *
+ * The workspace package manager is detected once during discovery and stored
+ * on each package object. Runner adapters build their commands through
+ * buildExecCommand() so the same adapter works in pnpm, npm, yarn and bun repos.
+ */
+
+import { existsSync, readFileSync } from 'node:fs';
+import { join, dirname } from 'node:path';
+
+/** Package managers monotestrunner knows how to invoke binaries through */
+export const PACKAGE_MANAGERS = ['pnpm', 'npm', 'yarn', 'bun'];
+
+/**
+ * Lockfiles in detection order. pnpm-workspace.yaml counts as a pnpm marker
+ * since a pnpm workspace may not have installed yet.
+ */
+const LOCKFILES = [
+  ['pnpm-lock.yaml', 'pnpm'],
+  ['pnpm-workspace.yaml', 'pnpm'],
+  ['bun.lock', 'bun'],
+  ['bun.lockb', 'bun'],
+  ['yarn.lock', 'yarn'],
+  ['package-lock.json', 'npm'],
+  ['npm-shrinkwrap.json', 'npm'],
+];
+
+/**
+ * Read the package manager name from a package.json "packageManager" field
+ * (corepack format, e.g. "yarn@4.1.0").
+ * @param {string} dir - Directory containing package.json
+ * @returns {string|null}
+ */
+function readPackageManagerField(dir) {
+  const pkgJsonPath = join(dir, 'package.json');
+  if (!existsSync(pkgJsonPath)) return null;
+  try {
+    const field = JSON.parse(readFileSync(pkgJsonPath, 'utf-8')).packageManager;
+    if (typeof field !== 'string') return null;
+    const name = field.split('@')[0];
+    return PACKAGE_MANAGERS.includes(name) ? name : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Detect the package manager of the workspace containing rootDir.
+ * Walks up from rootDir so running inside a single package of a larger repo
+ * still finds the repo's lockfile. In each directory the "packageManager"
+ * field wins over lockfiles.
+ *
+ * @param {string} rootDir - Workspace root directory
+ * @returns {'pnpm'|'npm'|'yarn'|'bun'|null} - null when nothing was found
+ */
+export function detectPackageManager(rootDir) {
+  let dir = rootDir;
+  while (true) {
+    const fromField = readPackageManagerField(dir);
+    if (fromField) return fromField;
+
+    for (const [file, manager] of LOCKFILES) {
+      if (existsSync(join(dir, file))) return manager;
+    }
+
+    const parent = dirname(dir);
+    if (parent === dir) return null;
+    dir = parent;
+  }
+}
+
+/**
+ * Find a binary in node_modules/.bin, walking up from pkgPath
+ * (hoisted installs put binaries at the workspace root).
+ * @param {string} bin - Binary name (e.g. 'vitest')
+ * @param {string} [pkgPath] - Package root to start from
+ * @returns {string|null} - Absolute path, or null if not installed
+ */
+export function resolveLocalBin(bin, pkgPath) {
+  if (!pkgPath) return null;
+  let dir = pkgPath;
+  while (true) {
+    const candidate = join(dir, 'node_modules', '.bin', bin);
+    if (existsSync(candidate)) return candidate;
+    const parent = dirname(dir);
+    if (parent === dir) return null;
+    dir = parent;
+  }
+}
+
+/**
+ * Build the command that runs a package binary through the package manager.
+ * Without a known package manager the binary is resolved from node_modules/.bin,
+ * falling back to npx (with --no, so nothing is installed on the fly).
+ *
+ * @param {string} bin - Binary name (e.g. 'vitest')
+ * @param {string[]} args - Arguments for the binary
+ * @param {object} [opts]
+ * @param {string|null} [opts.packageManager] - Detected package manager
+ * @param {string} [opts.pkgPath] - Package root, used for direct resolution
+ * @returns {{ command: string, args: string[] }}
+ */
+export function buildExecCommand(bin, args, { packageManager, pkgPath } = {}) {
+  switch (packageManager) {
+    case 'pnpm':
+      return { command: 'pnpm', args: ['exec', bin, ...args] };
+    case 'npm':
+      return { command: 'npx', args: ['--no', '--', bin, ...args] };
+    case 'yarn':
+      return { command: 'yarn', args: [bin, ...args] };
+    case 'bun':
+      return { command: 'bunx', args: [bin, ...args] };
+    default: {
+      const local = resolveLocalBin(bin, pkgPath);
+      if (local) return { command: local, args };
+      return { command: 'npx', args: ['--no', '--', bin, ...args] };
+    }
+  }
+}
@@ -4,11 +4,22 @@
  * Discovers packages using a strategy chain:
  *   1. pnpm — pnpm-workspace.yaml
  *   2. npm/yarn — package.json "workspaces" field
+ *   3. lerna — lerna.json "packages" field
+ *   4. nx — project.json files / workspace.json
  *   (future strategies slot in here)
- *   3. fallback — treat rootDir itself as a single package
+ *   5. fallback — treat rootDir itself as a single package
+ *
+ * In an Nx repo that also declares workspaces, the project.json test targets
+ * are applied on top of the packages strategies 1-3 find.
  *
  * Each strategy returns an array of package objects:
- *   { name, path, testScript, runner }
+ *   { name, path, testScript, runner, configFile?, tags? }
+ * configFile is set for Nx test targets that point at a runner config;
+ * tags carries Nx project tags.
+ * discoverPackages() then adds the options and test file patterns the test
+ * script passes to its runner (`testArgs`, `testPatterns`), the workspace
+ * `packageManager`, plus the workspace dependency graph (`dependsOn`,
+ * `dependents`, `layer`).
  *
  * Packages without a test script get runner: null, testScript: null.
  */
@@ -16,7 +27,9 @@
 import { existsSync, readdirSync, readFileSync, statSync } from 'node:fs';
 import { join, basename, resolve } from 'node:path';
 import picomatch from 'picomatch';
-import { detectRunner } from './runners/index.js';
+import { detectRunner, extractScriptArgs } from './runners/index.js';
+import { detectPackageManager } from './package-manager.js';
+import { attachDependencyGraph } from './graph.js';
 
 // ============================================================================
 // Strategy: pnpm workspace
@@ -42,30 +55,44 @@ function discoverPnpm(rootDir) {
 
 /**
  * Parse the packages list from pnpm-workspace.yaml content.
- * Handles: - "glob", - 'glob', - glob (unquoted)
+ * Handles: - "glob", - 'glob', - glob (unquoted), flow-style lists
+ * (packages: ['a/*', 'b/*'], also spanning lines) and inline # comments.
  * @param {string} content - Raw YAML content
  * @returns {string[]} - Array of glob patterns
  */
 export function parsePnpmWorkspaceYaml(content) {
   const globs = [];
   let inPackages = false;
+  let flowList = null; // Accumulated text of a flow-style list spanning lines
 
   for (const line of content.split('\n')) {
-    const trimmed = line.trim();
+    const trimmed = stripYamlComment(line).trim();
 
-    if (/^packages\s*:/.test(trimmed)) {
+    if (flowList !== null) {
+      flowList += ` ${trimmed}`;
+      if (trimmed.includes(']')) return parseYamlFlowList(flowList);
+      continue;
+    }
+
+    const keyMatch = trimmed.match(/^packages\s*:\s*(.*)$/);
+    if (keyMatch) {
+      const rest = keyMatch[1];
+      if (rest.startsWith('[')) {
+        if (rest.includes(']')) return parseYamlFlowList(rest);
+        flowList = rest;
+        continue;
+      }
       inPackages = true;
       continue;
     }
 
-    // End of packages block: non-indented, non-empty line that's not a list item
-    if (inPackages && trimmed && !trimmed.startsWith('-') && !trimmed.startsWith('#')) {
+    // End of packages block: non-empty line that's not a list item (comments are already stripped)
+    if (inPackages && trimmed && !trimmed.startsWith('-')) {
       break;
     }
 
     if (inPackages && trimmed.startsWith('-')) {
-      // Strip leading "- ", then strip quotes
-      const value = trimmed.slice(1).trim().replace(/^['"]|['"]$/g, '');
+      const value = unquoteYaml(trimmed.slice(1).trim());
       if (value) globs.push(value);
     }
   }
@@ -73,6 +100,65 @@ export function parsePnpmWorkspaceYaml(content) {
   return globs;
 }
 
+/**
+ * Remove a trailing YAML comment from a line.
+ * A # starts a comment at line start or after whitespace, outside quotes.
+ * @param {string} line
+ * @returns {string}
+ */
+function stripYamlComment(line) {
+  let quote = null;
+  for (let i = 0; i < line.length; i++) {
+    const ch = line[i];
+    if (quote) {
+      if (ch === quote) quote = null;
+    } else if (ch === '"' || ch === "'") {
+      quote = ch;
+    } else if (ch === '#' && (i === 0 || /\s/.test(line[i - 1]))) {
+      return line.slice(0, i);
+    }
+  }
+  return line;
+}
+
+/**
+ * Split a flow-style YAML list ("[a, 'b', \"c\"]") into its items.
+ * Commas inside quotes (e.g. brace globs) do not split.
+ * @param {string} text - Text from the opening [ to the closing ]
+ * @returns {string[]}
+ */
+function parseYamlFlowList(text) {
+  const inner = text.slice(text.indexOf('[') + 1, text.lastIndexOf(']'));
+  const items = [];
+  let current = '';
+  let quote = null;
+
+  for (const ch of inner) {
+    if (quote) {
+      if (ch === quote) quote = null;
+    } else if (ch === '"' || ch === "'") {
+      quote = ch;
+    } else if (ch === ',') {
+      items.push(current);
+      current = '';
+      continue;
+    }
+    current += ch;
+  }
+  items.push(current);
+
+  return items.map((item) => unquoteYaml(item.trim())).filter(Boolean);
+}
+
+/**
+ * Strip surrounding quotes from a YAML scalar.
+ * @param {string} value
+ * @returns {string}
+ */
+function unquoteYaml(value) {
+  return value.replace(/^['"]|['"]$/g, '');
+}
+
 // ============================================================================
 // Strategy: npm/yarn workspaces
 // ============================================================================
@@ -108,6 +194,241 @@ function discoverNpmWorkspaces(rootDir) {
   return expandWorkspaceGlobs(workspaces, rootDir);
 }
 
+// ============================================================================
+// Strategy: lerna
+// ============================================================================
+
+/**
+ * Read the "packages" globs from lerna.json and discover packages.
+ * lerna.json without "packages" defers to the package manager's workspaces,
+ * which the earlier strategies already handle.
+ *
+ * @param {string} rootDir - Workspace root
+ * @returns {object[]|null} - Array of packages, or null if not a lerna workspace
+ */
+function discoverLerna(rootDir) {
+  const lernaJson = readJson(join(rootDir, 'lerna.json'));
+  if (!lernaJson || !Array.isArray(lernaJson.packages) || lernaJson.packages.length === 0) return null;
+
+  return expandWorkspaceGlobs(lernaJson.packages, rootDir);
+}
+
+// ============================================================================
+// Strategy: nx
+// ============================================================================
+
+/**
+ * Nx test executors and the runner + config-file option they map to.
+ * nx:run-commands and nx:run-script are resolved to a command string instead.
+ */
+const NX_EXECUTORS = {
+  '@nx/vite:test': { runner: 'vitest', configOption: 'configFile' },
+  '@nrwl/vite:test': { runner: 'vitest', configOption: 'configFile' },
+  '@nx/vitest:test': { runner: 'vitest', configOption: 'configFile' },
+  '@nx/jest:jest': { runner: 'jest', configOption: 'jestConfig' },
+  '@nrwl/jest:jest': { runner: 'jest', configOption: 'jestConfig' },
+};
+
+/**
+ * Options of the known Nx executors that are not runner flags, or that
+ * buildCommand() sets itself (config, coverage, reporters, watch mode).
+ */
+const NX_OWNED_OPTIONS = new Set([
+  'configFile', 'jestConfig', 'tsConfig', 'setupFile',
+  'coverage', 'codeCoverage', 'coverageReporters', 'coverageDirectory', 'reportsDirectory',
+  'reporters', 'outputFile', 'watch', 'watchAll', 'testFile', 'testFiles',
+]);
+
+/**
+ * Turn the options of a known Nx test executor into runner args, as the
+ * executor would: testFile / testFiles become test file patterns, the others
+ * CLI flags (`passWithNoTests: true` → `--passWithNoTests`, `maxWorkers: 2`
+ * → `--maxWorkers=2`). Options set to false are left out.
+ *
+ * @param {object} options - Target options
+ * @returns {{ testArgs: string[], testPatterns: string[] }}
+ */
+function nxOptionsToArgs(options) {
+  const testPatterns = [options.testFile, options.testFiles].flat().filter((file) => typeof file === 'string');
+  const testArgs = [];
+  for (const [key, value] of Object.entries(options)) {
+    if (NX_OWNED_OPTIONS.has(key) || value === false || value == null) continue;
+    for (const item of [value].flat()) {
+      testArgs.push(item === true ? `--${key}` : `--${key}=${item}`);
+    }
+  }
+  return { testArgs, testPatterns };
+}
+
+/** Directories never searched for project.json */
+const NX_SKIP_DIRS = new Set(['node_modules', 'dist', 'coverage', 'tmp']);
+
+/**
+ * Discover Nx projects from workspace.json, or from project.json files
+ * anywhere under the workspace root.
+ *
+ * @param {string} rootDir - Workspace root
+ * @returns {object[]|null} - Array of packages, or null if not an Nx workspace
+ */
+function discoverNx(rootDir) {
+  const projects = findNxProjects(rootDir);
+  if (!projects) return null;
+  return projects.map(({ dirPath, config }) => readNxProject(dirPath, config, rootDir));
+}
+
+/**
+ * List the projects of an Nx workspace with their project.json contents.
+ *
+ * @param {string} rootDir - Workspace root
+ * @returns {{ dirPath: string, config: object }[]|null} - null if not an Nx workspace
+ */
+function findNxProjects(rootDir) {
+  const workspaceJson = readJson(join(rootDir, 'workspace.json'));
+  if (workspaceJson?.projects) {
+    const projects = [];
+    for (const [name, entry] of Object.entries(workspaceJson.projects)) {
+      // Entries are either a path to a project.json dir or an inline config
+      const projectRoot = typeof entry === 'string' ? entry : entry.root;
+      if (typeof projectRoot !== 'string') continue;
+      const dirPath = resolve(rootDir, projectRoot);
+      const config = typeof entry === 'string' ? readJson(join(dirPath, 'project.json')) || {} : entry;
+      projects.push({ dirPath, config: { name, ...config } });
+    }
+    return projects;
+  }
+
+  if (!existsSync(join(rootDir, 'nx.json'))) return null;
+
+  return findProjectJsonDirs(rootDir).map((dirPath) => ({
+    dirPath,
+    config: readJson(join(dirPath, 'project.json')) || {},
+  }));
+}
+
+/**
+ * Apply the Nx `test` targets of a workspace on top of the packages a
+ * package-manager strategy found. Most Nx repos declare workspaces too, and
+ * there `nx test` runs the target rather than scripts.test. Package names
+ * stay those of package.json, which the dependency graph is built from.
+ *
+ * @param {object[]} packages - Packages from the pnpm / npm / lerna strategy
+ * @param {string} rootDir - Workspace root
+ * @returns {object[]}
+ */
+function withNxTargets(packages, rootDir) {
+  const projects = findNxProjects(rootDir);
+  if (!projects) return packages;
+
+  const byPath = new Map(projects.map((project) => [project.dirPath, project.config]));
+  return packages.map((pkg) => {
+    const config = byPath.get(pkg.path);
+    if (!config) return pkg;
+    const tags = Array.isArray(config.tags) ? { tags: config.tags } : {};
+    const target = getNxTestTarget(config);
+    if (!target) return { ...pkg, ...tags };
+    return { ...pkg, ...readNxTestTarget(target, pkg.path, rootDir), ...tags };
+  });
+}
+
+/**
+ * Recursively find directories containing a project.json.
+ * Skips node_modules, build output and dot-directories.
+ *
+ * @param {string} dir - Directory to search
+ * @returns {string[]} - Absolute directory paths
+ */
+function findProjectJsonDirs(dir) {
+  const dirs = [];
+  let entries;
+  try {
+    entries = readdirSync(dir, { withFileTypes: true });
+  } catch {
+    return dirs;
+  }
+
+  if (entries.some((e) => e.isFile() && e.name === 'project.json')) dirs.push(dir);
+
+  for (const entry of entries) {
+    if (!entry.isDirectory() || entry.name.startsWith('.') || NX_SKIP_DIRS.has(entry.name)) continue;
+    dirs.push(...findProjectJsonDirs(join(dir, entry.name)));
+  }
+
+  return dirs;
+}
+
+/**
+ * Create a package object for an Nx project.
+ * A `test` target takes precedence over scripts.test. Known executors map
+ * straight to a runner, their options becoming runner args; run-commands /
+ * run-script targets are detected from their command like any test script,
+ * whose args discoverPackages() then carries into the spawned command.
+ *
+ * @param {string} dirPath - Absolute project root
+ * @param {object} config - project.json contents (targets or legacy architect)
+ * @param {string} rootDir - Workspace root (Nx option paths are relative to it)
+ * @returns {object}
+ */
+function readNxProject(dirPath, config, rootDir) {
+  const pkgJson = readJson(join(dirPath, 'package.json'));
+  const name = config.name || pkgJson?.name || basename(dirPath);
+  const tags = Array.isArray(config.tags) ? { tags: config.tags } : {};
+  const target = getNxTestTarget(config);
+
+  if (!target) {
+    const testScript = pkgJson?.scripts?.test || null;
+    return { name, path: dirPath, testScript, runner: detectRunner(testScript), ...tags };
+  }
+
+  return { name, path: dirPath, ...readNxTestTarget(target, dirPath, rootDir), ...tags };
+}
+
+/**
+ * Get a project's `test` target (`architect` in older workspace.json files).
+ * @param {object} config - project.json contents
+ * @returns {object|undefined}
+ */
+function getNxTestTarget(config) {
+  return (config.targets || config.architect)?.test;
+}
+
+/**
+ * Resolve an Nx `test` target to the test script and runner it runs, plus
+ * the config file and runner args of known executors.
+ *
+ * @param {object} target - The `test` target
+ * @param {string} dirPath - Absolute project root
+ * @param {string} rootDir - Workspace root (Nx option paths are relative to it)
+ * @returns {{ testScript: string|null, runner: string|null, configFile?: string, testArgs?: string[], testPatterns?: string[] }}
+ */
+function readNxTestTarget(target, dirPath, rootDir) {
+  const executor = target.executor || target.builder || '';
+  const options = target.options || {};
+
+  const known = NX_EXECUTORS[executor];
+  if (known) {
+    const result = { testScript: executor, runner: known.runner, ...nxOptionsToArgs(options) };
+    const configPath = options[known.configOption];
+    if (typeof configPath === 'string') result.configFile = resolve(rootDir, configPath);
+    return result;
+  }
+
+  let testScript = null;
+  if (executor === 'nx:run-commands') {
+    const first = options.command ?? options.commands?.[0];
+    testScript = (typeof first === 'string' ? first : first?.command) || null;
+    // Nx appends `args` to the command
+    const extra = [options.args].flat().filter((arg) => typeof arg === 'string');
+    if (testScript) testScript = [testScript, ...extra].join(' ');
+  } else if (executor === 'nx:run-script') {
+    testScript = readJson(join(dirPath, 'package.json'))?.scripts?.[options.script] || null;
+  } else if (executor) {
+    // Unknown executor — shown as "unknown runner" rather than hidden
+    testScript = executor;
+  }
+
+  return { testScript, runner: detectRunner(testScript) };
+}
+
 // ============================================================================
 // Strategy: fallback (single package)
 // ============================================================================
@@ -130,7 +451,9 @@ function discoverFallback(rootDir) {
 
 /**
  * Expand workspace glob patterns to package objects.
- * Handles both wildcard globs (packages/*) and explicit paths (plugins/foo/test-app).
+ * Handles wildcard globs of any depth (packages/*, packages/**), explicit paths
+ * (plugins/foo/test-app) and negations (!packages/legacy-*), which exclude
+ * matching directories whatever their position in the list.
  *
  * @param {string[]} globs - Workspace glob patterns
  * @param {string} rootDir - Workspace root
@@ -140,15 +463,23 @@ function expandWorkspaceGlobs(globs, rootDir) {
   const seen = new Set();
   const packages = [];
 
-  for (const pattern of globs) {
-    // Check if this is a direct path (no wildcards)
-    if (!pattern.includes('*') && !pattern.includes('?') && !pattern.includes('{')) {
-      const dirPath = resolve(rootDir, pattern);
-      if (!seen.has(dirPath)) {
-        seen.add(dirPath);
-        const pkg = readPackageAt(dirPath);
-        if (pkg) packages.push(pkg);
-      }
+  const negations = globs.filter((g) => g.startsWith('!')).map((g) => normalizeGlob(g.slice(1)));
+  const isExcluded = negations.length > 0 ? picomatch(negations) : () => false;
+
+  const addPackage = (dirPath) => {
+    if (seen.has(dirPath)) return;
+    seen.add(dirPath);
+    const pkg = readPackageAt(dirPath);
+    if (pkg) packages.push(pkg);
+  };
+
+  for (const rawPattern of globs) {
+    if (rawPattern.startsWith('!')) continue;
+    const pattern = normalizeGlob(rawPattern);
+
+    // Direct path (no wildcards)
+    if (!isGlobPattern(pattern)) {
+      if (!isExcluded(pattern)) addPackage(resolve(rootDir, pattern));
       continue;
     }
 
@@ -159,29 +490,65 @@ function expandWorkspaceGlobs(globs, rootDir) {
 
     const matcher = picomatch(pattern);
 
-    // Scan one level of directories under the base
-    // (workspace globs are typically "packages/*" — one level)
-    try {
-      for (const entry of readdirSync(fullBase, { withFileTypes: true })) {
-        if (!entry.isDirectory()) continue;
-        const relPath = baseDir ? `${baseDir}/${entry.name}` : entry.name;
-        if (!matcher(relPath)) continue;
-
-        const dirPath = join(fullBase, entry.name);
-        if (!seen.has(dirPath)) {
-          seen.add(dirPath);
-          const pkg = readPackageAt(dirPath);
-          if (pkg) packages.push(pkg);
-        }
-      }
-    } catch {
-      // Skip unreadable directories
-    }
+    // ** matches at any depth; otherwise the pattern fixes how many levels to scan
+    const maxDepth = pattern.includes('**')
+      ? Infinity
+      : pattern.split('/').length - (baseDir ? baseDir.split('/').length : 0);
+
+    walkDirectories(fullBase, baseDir, maxDepth, (relPath, dirPath) => {
+      if (matcher(relPath) && !isExcluded(relPath)) addPackage(dirPath);
+    });
   }
 
   return packages;
 }
 
+/**
+ * Visit directories under dir up to maxDepth levels deep.
+ * Skips node_modules and dot-directories.
+ *
+ * @param {string} dir - Absolute directory to scan
+ * @param {string} relDir - dir relative to the workspace root ('' for the root)
+ * @param {number} maxDepth - Levels left to descend
+ * @param {(relPath: string, dirPath: string) => void} visit
+ */
+function walkDirectories(dir, relDir, maxDepth, visit) {
+  if (maxDepth <= 0) return;
+
+  let entries;
+  try {
+    entries = readdirSync(dir, { withFileTypes: true });
+  } catch {
+    return; // Skip unreadable directories
+  }
+
+  for (const entry of entries) {
+    if (!entry.isDirectory() || entry.name === 'node_modules' || entry.name.startsWith('.')) continue;
+    const relPath = relDir ? `${relDir}/${entry.name}` : entry.name;
+    const dirPath = join(dir, entry.name);
+    visit(relPath, dirPath);
+    walkDirectories(dirPath, relPath, maxDepth - 1, visit);
+  }
+}
+
+/**
+ * Normalize a workspace pattern: drop a leading ./ and trailing slashes.
+ * @param {string} pattern
+ * @returns {string}
+ */
+function normalizeGlob(pattern) {
+  return pattern.replace(/^\.\//, '').replace(/\/+$/, '');
+}
+
+/**
+ * Whether a pattern (or path segment) contains glob syntax.
+ * @param {string} pattern
+ * @returns {boolean}
+ */
+function isGlobPattern(pattern) {
+  return pattern.includes('*') || pattern.includes('?') || pattern.includes('{');
+}
+
 /**
  * Read a package.json at a directory and create a package object.
  * Returns null if no package.json exists.
@@ -207,6 +574,20 @@ function readPackageAt(dirPath) {
   }
 }
 
+/**
+ * Read and parse a JSON file, or null if missing or invalid.
+ * @param {string} filePath
+ * @returns {object|null}
+ */
+function readJson(filePath) {
+  if (!existsSync(filePath)) return null;
+  try {
+    return JSON.parse(readFileSync(filePath, 'utf-8'));
+  } catch {
+    return null;
+  }
+}
+
 /**
  * Get the static base directory from a glob pattern (before any wildcards).
  * @param {string} pattern
@@ -216,7 +597,7 @@ function getGlobBase(pattern) {
   const parts = pattern.split('/');
   const base = [];
   for (const part of parts) {
-    if (part.includes('*') || part.includes('?') || part.includes('{')) break;
+    if (isGlobPattern(part)) break;
     base.push(part);
   }
   return base.join('/');
@@ -228,25 +609,49 @@ function getGlobBase(pattern) {
 
 /**
  * Ordered strategy chain. First strategy that returns a non-null result wins.
- * To add a new strategy (e.g. lerna, nx), add a function here.
+ * Nx test targets are applied on top of the package-manager strategies (see
+ * withNxTargets); discoverNx only runs for Nx repos without workspaces.
+ * To add a new strategy (e.g. rush), add a function here.
  */
 const strategies = [
   discoverPnpm,
   discoverNpmWorkspaces,
-  // future: discoverLerna, discoverNx, ...
+  discoverLerna,
+  discoverNx,
+  // future: discoverRush, ...
   discoverFallback,
 ];
 
+/** Strategies whose packages get Nx test targets applied on top */
+const WORKSPACE_STRATEGIES = new Set([discoverPnpm, discoverNpmWorkspaces, discoverLerna]);
+
+/**
+ * Carry the options and test file patterns a package's test script passes
+ * to its runner into the command monotestrunner spawns.
+ *
+ * @param {object} pkg - Package object from a strategy
+ * @returns {object}
+ */
+function withScriptArgs(pkg) {
+  if (pkg.testArgs) return pkg; // Nx targets set their own
+  const { args, patterns } = extractScriptArgs(pkg.runner, pkg.testScript);
+  return { ...pkg, testArgs: args, testPatterns: patterns };
+}
+
 /**
  * Discover all packages in a workspace.
  *
  * @param {string} rootDir - Workspace root directory
- * @returns {object[]} - Array of { name, path, testScript, runner }
+ * @returns {object[]} - Array of { name, path, testScript, runner, testArgs, testPatterns, packageManager, dependsOn, dependents, layer }
  */
 export function discoverPackages(rootDir) {
   for (const strategy of strategies) {
     const result = strategy(rootDir);
-    if (result !== null && result.length > 0) return result;
+    if (result !== null && result.length > 0) {
+      const packageManager = detectPackageManager(rootDir);
+      const packages = WORKSPACE_STRATEGIES.has(strategy) ? withNxTargets(result, rootDir) : result;
+      return attachDependencyGraph(packages.map((pkg) => ({ ...withScriptArgs(pkg), packageManager })));
+    }
   }
   return [];
 }
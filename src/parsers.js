@@ -1,6 +1,7 @@
 /**
  * Output parsers for test runners
- * Parses vitest and bun test output formats, including JUnit XML
+ * Parses vitest and bun test output formats, including JUnit XML,
+ * and the args test scripts pass to their runner
  */
 
 import { readFileSync, existsSync } from 'node:fs';
@@ -140,7 +141,7 @@ function getAttr(tag, name) {
  * - bun: nested <testsuite> with <testcase name="test" classname="describe path">
  *
  * @param {string} filePath - Path to the junit.xml file
- * @returns {{ suites: Array<{ name: string, file: string, tests: Array<{ name: string, status: string, duration: number, failureMessage: string }> }> } | null}
+ * @returns {{ suites: Array<{ name: string, file: string, tests: Array<{ name: string, classname: string, status: string, duration: number, failureMessage: string }> }> } | null}
  */
 export function parseJunitFile(filePath) {
   if (!existsSync(filePath)) {
@@ -388,6 +389,7 @@ function parseTestCase(xml, startPos, parentDescribe) {
     file: file || classname || 'unknown',
     test: {
       name: fullTestName,
+      classname,
       status,
       duration,
       failureMessage,
@@ -429,3 +431,137 @@ export function extractFailureLine(failureMessage, file) {
   }
   return '';
 }
+
+// ============================================================================
+// Crash Reasons
+// ============================================================================
+
+/** Longest reason shown inline */
+const MAX_REASON_LENGTH = 80;
+
+/**
+ * Output patterns naming why a process died, most specific first.
+ * Each maps the match to a short reason.
+ */
+const CRASH_PATTERNS = [
+  [/JavaScript heap out of memory/, () => 'out of memory'],
+  [/Cannot find (?:module|package) ['"]([^'"]+)['"]/, (m) => `Cannot find module '${m[1]}'`],
+  [/\bCommand "([^"]+)" not found/, (m) => `command not found: ${m[1]}`], // pnpm exec, yarn
+  [/^npm (?:error|ERR!) (.+)$/m, (m) => m[1]], // npx
+  [/^.*\b(?:command not found|not found: \S+)$/m, (m) => m[0]],
+  [/^.*\bENOENT\b.*$/m, (m) => m[0]],
+  [/^\s*((?:SyntaxError|ReferenceError|TypeError|Error): .+)$/m, (m) => m[1]],
+];
+
+/**
+ * Find a short reason for a test process that exited without results.
+ * Checks, in order: a spawn failure (missing binary), a kill signal (e.g.
+ * SIGKILL from the OOM killer), then known error lines in the output.
+ *
+ * @param {string} output - Captured stdout + stderr
+ * @param {object} exit
+ * @param {number|null} exit.exitCode
+ * @param {string|null} [exit.signal] - Signal that ended the process
+ * @param {Error|null} [exit.spawnError] - Error emitted by spawn()
+ * @returns {string} - e.g. "command not found: vitest", "killed by SIGKILL", "exited with code 1"
+ */
+export function extractErrorReason(output, { exitCode, signal = null, spawnError = null }) {
+  const shorten = (text) => {
+    const line = text.trim().replace(/\s+/g, ' ');
+    return line.length > MAX_REASON_LENGTH ? `${line.slice(0, MAX_REASON_LENGTH - 1)}…` : line;
+  };
+
+  if (spawnError) {
+    return spawnError.code === 'ENOENT' ? shorten(`command not found: ${spawnError.path}`) : shorten(spawnError.message);
+  }
+  if (signal) return `killed by ${signal}`;
+
+  const clean = stripAnsi(output || '');
+  for (const [pattern, format] of CRASH_PATTERNS) {
+    const m = clean.match(pattern);
+    if (m) return shorten(format(m));
+  }
+  return `exited with code ${exitCode}`;
+}
+
+/** Shell words that end the command a test script runs */
+const SHELL_OPERATORS = new Set(['&&', '||', ';', '|', '&', '>', '>>', '<', '2>', '2>&1']);
+
+/**
+ * Split a test script into shell words, honouring single and double quotes
+ * and backslash escapes. Good enough for package.json scripts; no expansion.
+ * @param {string} script
+ * @returns {string[]}
+ */
+export function splitShellWords(script) {
+  const words = [];
+  let word = null;
+  let quote = null;
+  for (let i = 0; i < script.length; i++) {
+    const char = script[i];
+    if (quote) {
+      if (char === quote) quote = null;
+      else if (char === '\\' && quote === '"' && i + 1 < script.length) word += script[++i];
+      else word += char;
+    } else if (char === '"' || char === "'") {
+      quote = char;
+      word ??= '';
+    } else if (char === '\\' && i + 1 < script.length) {
+      word = (word ?? '') + script[++i];
+    } else if (/\s/.test(char)) {
+      if (word !== null) words.push(word);
+      word = null;
+    } else {
+      word = (word ?? '') + char;
+    }
+  }
+  if (word !== null) words.push(word);
+  return words;
+}
+
+/**
+ * Get the args a test script passes to a runner binary: the words after the
+ * first one naming `bin` (also as a path, e.g. node_modules/.bin/vitest), up
+ * to the end of that command, then sorted into options and positional test
+ * file patterns. Options the adapter sets itself (`owned`: reporters,
+ * coverage, watch mode) are dropped along with their values. A long option
+ * the adapter does not know (`--testRegex foo`) keeps the next word as its
+ * value, so that word is never replaced by the retried or sharded files.
+ * Entries of `owned`, `valueFlags` and `booleanFlags` ending in `*` match by
+ * prefix.
+ *
+ * @param {string|null} testScript
+ * @param {string} bin - Runner executable
+ * @param {object} [spec]
+ * @param {string[]} [spec.owned] - Options buildCommand() controls
+ * @param {string[]} [spec.valueFlags] - Options that take a value as the next word
+ * @param {string[]} [spec.booleanFlags] - Long options that take no value
+ * @param {string[]} [spec.subcommands] - Subcommands skipped right after `bin` (e.g. `run`)
+ * @returns {{ args: string[], patterns: string[] }}
+ */
+export function getScriptArgs(testScript, bin, { owned = [], valueFlags = [], booleanFlags = [], subcommands = [] } = {}) {
+  const result = { args: [], patterns: [] };
+  const words = splitShellWords(testScript || '');
+  const start = words.findIndex((word) => word === bin || word.endsWith(`/${bin}`));
+  if (start === -1) return result;
+
+  const end = words.findIndex((word, i) => i > start && SHELL_OPERATORS.has(word));
+  const rest = words.slice(start + 1, end === -1 ? words.length : end);
+  if (subcommands.includes(rest[0])) rest.shift();
+
+  const matches = (list, flag) => list.some((entry) => (entry.endsWith('*') ? flag.startsWith(entry.slice(0, -1)) : flag === entry));
+  for (let i = 0; i < rest.length; i++) {
+    const word = rest[i];
+    if (!word.startsWith('-')) {
+      result.patterns.push(word);
+      continue;
+    }
+    const flag = word.split('=')[0];
+    const option = [word];
+    const unknown = flag.startsWith('--') && !matches(owned, flag) && !matches(booleanFlags, flag);
+    const takesValue = matches(valueFlags, flag) || (unknown && !rest[i + 1]?.startsWith('-'));
+    if (!word.includes('=') && takesValue && i + 1 < rest.length) option.push(rest[++i]);
+    if (!matches(owned, flag)) result.args.push(...option);
+  }
+  return result;
+}
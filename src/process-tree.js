@@ -0,0 +1,84 @@
+/**
+ * Spawning and killing test processes together with their descendants.
+ *
+ * Runners fork workers (vitest threads, jest workers, c8 → mocha), so killing
+ * only the direct child leaves orphans that keep the output pipes open. On
+ * POSIX each test process is started as a process group leader and the whole
+ * group is signalled; on Windows `taskkill /T` walks the tree.
+ */
+
+import { spawn, execFile, execFileSync } from 'node:child_process';
+
+const isWindows = process.platform === 'win32';
+
+/** Grace period between SIGTERM and SIGKILL */
+const KILL_GRACE_MS = 3000;
+
+/** Children whose output is still open, so they can be cleaned up on exit */
+const liveChildren = new Set();
+
+/**
+ * Spawn a test process in its own process group.
+ * @param {string} command
+ * @param {string[]} args
+ * @param {object} options - spawn options (cwd, stdio, ...)
+ * @returns {import('node:child_process').ChildProcess}
+ */
+export function spawnTree(command, args, options) {
+  const child = spawn(command, args, { ...options, detached: !isWindows });
+  liveChildren.add(child);
+  child.on('close', () => liveChildren.delete(child));
+  return child;
+}
+
+/**
+ * Send a signal to a process group, ignoring groups that are already gone.
+ * @param {number} pid - Group leader pid
+ * @param {string} signal
+ * @returns {boolean} - Whether the group still existed
+ */
+function signalGroup(pid, signal) {
+  try {
+    process.kill(-pid, signal);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Kill a process spawned with spawnTree() and all of its descendants.
+ * Sends SIGTERM, then SIGKILL to whatever is left after a grace period.
+ * @param {import('node:child_process').ChildProcess} child
+ */
+export function killProcessTree(child) {
+  if (!child.pid) return;
+
+  if (isWindows) {
+    execFile('taskkill', ['/pid', String(child.pid), '/T', '/F'], () => {});
+    return;
+  }
+
+  if (!signalGroup(child.pid, 'SIGTERM')) return;
+  // Descendants may outlive the leader, so probe the group rather than the child
+  setTimeout(() => signalGroup(child.pid, 'SIGKILL'), KILL_GRACE_MS).unref();
+}
+
+/**
+ * Kill every test process still running. Call before exiting: children live
+ * in their own process groups, so they do not receive the terminal's Ctrl+C.
+ */
+export function killAllProcessTrees() {
+  for (const child of liveChildren) {
+    if (!child.pid) continue;
+    if (isWindows) {
+      // Synchronous: the process is about to exit
+      try {
+        execFileSync('taskkill', ['/pid', String(child.pid), '/T', '/F'], { stdio: 'ignore' });
+      } catch { /* already gone */ }
+    } else {
+      signalGroup(child.pid, 'SIGTERM');
+    }
+  }
+  liveChildren.clear();
+}
@@ -0,0 +1,186 @@
+/**
+ * GitHub Actions reporter.
+ *
+ * When GITHUB_ACTIONS is set, CI mode prints an `::error` workflow command
+ * per failed test, so failures show up as annotations on the diff, and
+ * appends a Markdown results table to the file named by GITHUB_STEP_SUMMARY.
+ */
+
+import { appendFileSync, statSync } from 'node:fs';
+import { isAbsolute, join, relative, sep } from 'node:path';
+import { stripAnsi } from '../ui.js';
+import { extractFailureLine } from '../parsers.js';
+import { formatViolations } from '../coverage.js';
+
+/**
+ * Are we running inside a GitHub Actions job?
+ * @returns {boolean}
+ */
+export function isGitHubActions() {
+  return process.env.GITHUB_ACTIONS === 'true';
+}
+
+/** Escape workflow command data (the message) */
+const escapeData = (str) => str.replace(/%/g, '%25').replace(/\r/g, '%0D').replace(/\n/g, '%0A');
+
+/** Escape workflow command properties (file, title) */
+const escapeProperty = (str) => escapeData(str).replace(/:/g, '%3A').replace(/,/g, '%2C');
+
+/**
+ * Format one `::error` workflow command.
+ * @param {string} message
+ * @param {object} props - { file?, line?, title? }
+ * @returns {string}
+ */
+function formatError(message, props) {
+  const list = Object.entries(props)
+    .filter(([, value]) => value)
+    .map(([key, value]) => `${key}=${escapeProperty(String(value))}`)
+    .join(',');
+  return `::error ${list}::${escapeData(stripAnsi(message).trim())}`;
+}
+
+/**
+ * Build the annotations for a run: one per failed test, pointing at the test
+ * file (relative to the workspace root) and the failing line when the stack
+ * trace names it, plus one per package that failed without test results
+ * and one per package below its coverage thresholds.
+ *
+ * @param {Array} packages - Packages that were run
+ * @param {object} states - { [pkgName]: state }
+ * @param {string} rootDir - Workspace root
+ * @returns {string[]}
+ */
+export function buildAnnotations(packages, states, rootDir) {
+  const annotations = [];
+
+  for (const pkg of packages) {
+    const state = states[pkg.name];
+
+    if (state.status === 'timed-out') {
+      annotations.push(formatError(`Tests timed out after ${pkg.timeout}s`, { title: pkg.name }));
+      continue;
+    }
+    if (state.status === 'errored') {
+      annotations.push(formatError(`Tests errored: ${state.errorReason}`, { title: pkg.name }));
+      continue;
+    }
+    if (state.status !== 'done') continue;
+
+    let reported = 0;
+    for (const suite of state.testResults?.suites || []) {
+      const filePath = isAbsolute(suite.file) ? suite.file : join(pkg.path, suite.file);
+      // Some runners name suites after describe blocks; only point at real files
+      const isFile = statSync(filePath, { throwIfNoEntry: false })?.isFile();
+      const file = isFile ? relative(rootDir, filePath).split(sep).join('/') : null;
+      for (const test of suite.tests) {
+        if (test.status !== 'failed') continue;
+        reported++;
+        annotations.push(formatError(test.failureMessage || 'Test failed', {
+          file,
+          line: file ? extractFailureLine(test.failureMessage, suite.file) : '',
+          title: `${pkg.name} › ${test.name}`,
+        }));
+      }
+    }
+
+    if (reported === 0 && (state.failed > 0 || state.exitCode !== 0)) {
+      annotations.push(formatError(`Tests failed (exit code ${state.exitCode})`, { title: pkg.name }));
+    }
+    if (state.coverageViolations) {
+      annotations.push(formatError(`Coverage below thresholds: ${formatViolations(state.coverageViolations)}`, { title: pkg.name }));
+    }
+  }
+
+  return annotations;
+}
+
+/**
+ * Describe a package's outcome for the step summary.
+ * @param {object} state
+ * @returns {string}
+ */
+function formatStatus(state) {
+  if (state.status === 'timed-out') return '⏱️ timed out';
+  if (state.status === 'errored') return '💥 errored';
+  if (state.status === 'cancelled') return '⊘ cancelled';
+  if (state.failed > 0 || state.exitCode !== 0) return '❌ failed';
+  if (state.coverageViolations) return '📉 coverage failed';
+  if (state.flaky > 0) return '⚠️ flaky';
+  return state.cached ? '✅ passed (cached)' : '✅ passed';
+}
+
+/** Format a duration in seconds for Markdown cells */
+const formatSeconds = (seconds) => (seconds === null || seconds === undefined ? '-' : `${seconds.toFixed(2)}s`);
+
+/** Format a coverage percentage string ('85.3', '-') for Markdown cells */
+const formatPct = (pct) => (pct && pct !== '-' ? `${pct}%` : '-');
+
+/**
+ * Build the Markdown results table for GITHUB_STEP_SUMMARY.
+ * Coverage columns are added when any package has coverage.
+ *
+ * @param {Array} packages - Packages that were run
+ * @param {object} states - { [pkgName]: state }
+ * @returns {string}
+ */
+export function buildStepSummary(packages, states) {
+  const withCoverage = packages.some((pkg) => states[pkg.name].coverage);
+  const header = ['Package', 'Status', 'Files', 'Tests', 'Passed', 'Skipped', 'Failed', 'Flaky', 'Duration'];
+  if (withCoverage) header.push('Lines', 'Branches', 'Functions');
+  const align = header.map((_, i) => (i < 2 ? '---' : '---:'));
+
+  const totals = { files: 0, tests: 0, passed: 0, skipped: 0, failed: 0, flaky: 0, duration: 0 };
+  const rows = packages.map((pkg) => {
+    const state = states[pkg.name];
+    if (state.status !== 'cancelled') {
+      for (const key of Object.keys(totals)) totals[key] += state[key] || 0;
+    }
+    const row = [
+      `\`${pkg.name}\``,
+      formatStatus(state),
+      state.files ?? '-',
+      state.tests ?? '-',
+      state.passed,
+      state.skipped,
+      state.failed,
+      state.flaky || 0,
+      formatSeconds(state.duration),
+    ];
+    if (withCoverage) {
+      const cov = state.coverage || {};
+      row.push(formatPct(cov.lines), formatPct(cov.branches), formatPct(cov.functions));
+    }
+    return row;
+  });
+
+  const totalRow = ['**Total**', '', totals.files, totals.tests, totals.passed, totals.skipped, totals.failed, totals.flaky, formatSeconds(totals.duration)];
+  if (withCoverage) totalRow.push('', '', '');
+
+  const line = (cells) => `| ${cells.join(' | ')} |`;
+  return [
+    '## Test results',
+    '',
+    line(header),
+    line(align),
+    ...rows.map(line),
+    line(totalRow),
+    '',
+  ].join('\n');
+}
+
+/**
+ * Print the annotations and append the step summary (when GITHUB_STEP_SUMMARY is set).
+ * @param {Array} packages - Packages that were run
+ * @param {object} states - { [pkgName]: state }
+ * @param {string} rootDir - Workspace root
+ */
+export function reportToGitHub(packages, states, rootDir) {
+  for (const annotation of buildAnnotations(packages, states, rootDir)) {
+    console.log(annotation);
+  }
+  const summaryFile = process.env.GITHUB_STEP_SUMMARY;
+  if (summaryFile) {
+    appendFileSync(summaryFile, buildStepSummary(packages, states), 'utf-8');
+  }
+}
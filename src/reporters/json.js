@@ -0,0 +1,332 @@
+/**
+ * JSON report (--json / --output-file).
+ *
+ * Serializes the final state of every package run for dashboards and
+ * scripts. The shape is versioned with `schemaVersion`: fields may be added
+ * within a version, but renaming, removing or retyping one bumps it.
+ *
+ * Schema (version 1):
+ *
+ *   {
+ *     schemaVersion: 1,
+ *     tool: { name: 'monotestrunner', version: string },
+ *     rootDir: string,                      // absolute workspace root
+ *     startedAt: string, finishedAt: string, // ISO 8601
+ *     exitCode: number,                     // exit code of the run (before the --exit-code policy)
+ *     shard: { index, count } | null,       // --shard i/n; null for a full or merged run
+ *     totals: { packages, files, tests, passed, skipped, failed, flaky, duration },
+ *     packages: [{
+ *       name: string,
+ *       path: string,                       // relative to rootDir ('.' for the root)
+ *       runner: string,
+ *       timeout: number | null,             // seconds
+ *       status: 'done' | 'errored' | 'timed-out' | 'cancelled' | 'unknown-runner' | ...,
+ *       exitCode: number | null,
+ *       errorReason: string | null,         // why an 'errored' run produced no results
+ *       attempts: number,                   // 1 + retries used
+ *       cached: boolean,                    // result replayed from the cache, not run
+ *       files, tests: number | null,        // null when the run did not finish
+ *       passed, skipped, failed, flaky: number,
+ *       duration: number | null,            // seconds
+ *       coverage: null | {
+ *         lines, branches, functions: number | null,   // percentages
+ *         thresholds: { lines?, branches?, functions? } | null,
+ *       },
+ *       coverageViolations: null | [{       // metrics below their thresholds (--enforce-thresholds)
+ *         metric: 'lines' | 'branches' | 'functions', actual: number, threshold: number,
+ *       }],
+ *       suites: null | [{                   // null without JUnit results
+ *         file: string,
+ *         tests: [{ name, status: 'passed' | 'failed' | 'skipped' | 'flaky',
+ *                   duration: number, failureMessage: string | null }],
+ *       }],
+ *     }],
+ *   }
+ */
+
+import { writeFileSync, mkdirSync } from 'node:fs';
+import { dirname, relative, resolve } from 'node:path';
+import { getRunExitCode } from '../exit-code.js';
+
+export const REPORT_SCHEMA_VERSION = 1;
+
+/**
+ * Convert a coverage percentage string ('85.3', '-') to a number or null.
+ * @param {string|undefined} pct
+ * @returns {number|null}
+ */
+function toPct(pct) {
+  const n = parseFloat(pct);
+  return Number.isFinite(n) ? n : null;
+}
+
+/**
+ * Serialize one package's final state.
+ * @param {object} pkg
+ * @param {object} state
+ * @param {string} rootDir
+ * @returns {object}
+ */
+function serializePackage(pkg, state, rootDir) {
+  const coverage = state.coverage
+    ? {
+      lines: toPct(state.coverage.lines),
+      branches: toPct(state.coverage.branches),
+      functions: toPct(state.coverage.functions),
+      thresholds: state.coverage.thresholds || null,
+    }
+    : null;
+
+  const suites = state.testResults
+    ? state.testResults.suites.map((suite) => ({
+      file: suite.file,
+      tests: suite.tests.map((test) => ({
+        name: test.name,
+        status: test.status,
+        duration: test.duration,
+        failureMessage: test.failureMessage || null,
+      })),
+    }))
+    : null;
+
+  return {
+    name: pkg.name,
+    path: relative(rootDir, pkg.path) || '.',
+    runner: pkg.runner,
+    timeout: pkg.timeout ?? null,
+    status: state.status,
+    exitCode: state.exitCode,
+    errorReason: state.errorReason ?? null,
+    attempts: state.attempts || 1,
+    cached: Boolean(state.cached),
+    files: state.files,
+    tests: state.tests,
+    passed: state.passed,
+    skipped: state.skipped,
+    failed: state.failed,
+    flaky: state.flaky || 0,
+    duration: state.duration,
+    coverage,
+    coverageViolations: state.coverageViolations ?? null,
+    suites,
+  };
+}
+
+/**
+ * Sum serialized packages into report totals.
+ * Cancelled packages are listed but left out of the totals, as in the tables.
+ * @param {object[]} serialized - Report package entries
+ * @returns {object}
+ */
+function computeTotals(serialized) {
+  const totals = { packages: serialized.length, files: 0, tests: 0, passed: 0, skipped: 0, failed: 0, flaky: 0, duration: 0 };
+  for (const entry of serialized) {
+    if (entry.status === 'cancelled') continue;
+    for (const key of ['files', 'tests', 'passed', 'skipped', 'failed', 'flaky', 'duration']) {
+      totals[key] += entry[key] || 0;
+    }
+  }
+  return totals;
+}
+
+/**
+ * Build the JSON report for a finished run.
+ *
+ * @param {Array} packages - Packages that were run, in display order
+ * @param {object} states - { [pkgName]: state }
+ * @param {object} meta
+ * @param {string} meta.rootDir - Workspace root
+ * @param {string} meta.version - monotestrunner version
+ * @param {Date} meta.startedAt
+ * @param {Date} meta.finishedAt
+ * @param {number} meta.exitCode
+ * @param {{ index: number, count: number }|null} [meta.shard] - --shard of the run
+ * @returns {object}
+ */
+export function buildJsonReport(packages, states, { rootDir, version, startedAt, finishedAt, exitCode, shard = null }) {
+  const serialized = packages.map((pkg) => serializePackage(pkg, states[pkg.name], rootDir));
+
+  return {
+    schemaVersion: REPORT_SCHEMA_VERSION,
+    tool: { name: 'monotestrunner', version },
+    rootDir,
+    startedAt: startedAt.toISOString(),
+    finishedAt: finishedAt.toISOString(),
+    exitCode,
+    shard,
+    totals: computeTotals(serialized),
+    packages: serialized,
+  };
+}
+
+// ============================================================================
+// Merging shard reports (monotestrunner merge)
+// ============================================================================
+
+/** Add two nullable counts: null only when both are */
+const addNullable = (a, b) => (a === null && b === null ? null : (a || 0) + (b || 0));
+
+/**
+ * Package statuses by how much they weigh in a merged entry, least first.
+ * 'cancelled' ranks below 'done': totals and exit codes skip cancelled
+ * packages, so a cancelled shard must not hide the failures of one that ran.
+ */
+const STATUS_SEVERITY = ['cancelled', 'done', 'timed-out', 'errored'];
+
+/**
+ * The more severe of two statuses of a package split across shards.
+ * @param {string} a
+ * @param {string} b
+ * @returns {string}
+ */
+function mergeStatus(a, b) {
+  return STATUS_SEVERITY.indexOf(b) > STATUS_SEVERITY.indexOf(a) ? b : a;
+}
+
+/**
+ * Combine the entries of a package that was split across shards by test file.
+ * Counts, durations and suites add up; the status is the most severe one
+ * (see STATUS_SEVERITY) and the exit code the highest. Coverage percentages
+ * cannot be combined, so they are dropped when more than one shard measured
+ * them.
+ * @param {object} a
+ * @param {object} b
+ * @returns {object}
+ */
+function mergePackageEntries(a, b) {
+  return {
+    ...a,
+    status: mergeStatus(a.status, b.status),
+    exitCode: a.exitCode === null || b.exitCode === null ? a.exitCode ?? b.exitCode : Math.max(a.exitCode, b.exitCode),
+    errorReason: a.errorReason ?? b.errorReason ?? null,
+    coverageViolations: a.coverageViolations ?? b.coverageViolations ?? null,
+    attempts: Math.max(a.attempts, b.attempts),
+    cached: a.cached && b.cached,
+    files: addNullable(a.files, b.files),
+    tests: addNullable(a.tests, b.tests),
+    passed: a.passed + b.passed,
+    skipped: a.skipped + b.skipped,
+    failed: a.failed + b.failed,
+    flaky: a.flaky + b.flaky,
+    duration: addNullable(a.duration, b.duration),
+    coverage: a.coverage && b.coverage ? null : a.coverage || b.coverage,
+    suites: a.suites || b.suites ? [...(a.suites || []), ...(b.suites || [])] : null,
+  };
+}
+
+/**
+ * List the shards missing from a set of shard reports.
+ * @param {object[]} reports
+ * @returns {string[]} - e.g. ['2/4']; empty when complete or not sharded
+ */
+export function findMissingShards(reports) {
+  const sharded = reports.filter((report) => report.shard);
+  if (sharded.length === 0) return [];
+  const count = sharded[0].shard.count;
+  const present = new Set(sharded.map((report) => report.shard.index));
+  const missing = [];
+  for (let index = 1; index <= count; index++) {
+    if (!present.has(index)) missing.push(`${index}/${count}`);
+  }
+  return missing;
+}
+
+/**
+ * Merge the JSON reports of shard runs into the report of the whole run.
+ * Throws an Error when a report has an unsupported schema version, or when
+ * shards disagree on the shard count or repeat an index.
+ * The exit code is computed again from the merged packages, so a package
+ * split across shards counts once with its combined status.
+ *
+ * @param {object[]} reports - Parsed reports
+ * @param {object} [options]
+ * @param {boolean} [options.failOnFlaky] - Flaky tests count as failed tests
+ * @returns {object}
+ */
+export function mergeJsonReports(reports, { failOnFlaky = false } = {}) {
+  const seen = new Set();
+  for (const report of reports) {
+    if (report.schemaVersion !== REPORT_SCHEMA_VERSION) {
+      throw new Error(`unsupported report schemaVersion ${report.schemaVersion} (expected ${REPORT_SCHEMA_VERSION})`);
+    }
+    if (!report.shard) continue;
+    if (report.shard.count !== reports.find((r) => r.shard).shard.count) {
+      throw new Error('reports come from runs with different shard counts');
+    }
+    if (seen.has(report.shard.index)) {
+      throw new Error(`shard ${report.shard.index}/${report.shard.count} appears twice`);
+    }
+    seen.add(report.shard.index);
+  }
+
+  const ordered = [...reports].sort((a, b) => (a.shard?.index ?? 0) - (b.shard?.index ?? 0));
+  const byName = new Map();
+  for (const report of ordered) {
+    for (const entry of report.packages) {
+      byName.set(entry.name, byName.has(entry.name) ? mergePackageEntries(byName.get(entry.name), entry) : entry);
+    }
+  }
+  const packages = [...byName.values()];
+
+  const times = (key) => ordered.map((report) => report[key]).sort();
+  return {
+    schemaVersion: REPORT_SCHEMA_VERSION,
+    tool: ordered[0].tool,
+    rootDir: ordered[0].rootDir,
+    startedAt: times('startedAt')[0],
+    finishedAt: times('finishedAt').at(-1),
+    exitCode: getRunExitCode(reportToStates({ packages }).states, { failOnFlaky }),
+    shard: null,
+    totals: computeTotals(packages),
+    packages,
+  };
+}
+
+/**
+ * Turn a report back into package objects and states, for the other reporters.
+ * Captured output is not part of the report, so states carry none.
+ * @param {object} report
+ * @returns {{ packages: object[], states: object }}
+ */
+export function reportToStates(report) {
+  const packages = report.packages.map((entry) => ({ name: entry.name, runner: entry.runner, timeout: entry.timeout ?? null }));
+  const states = Object.fromEntries(report.packages.map((entry) => [entry.name, {
+    status: entry.status,
+    exitCode: entry.exitCode,
+    errorReason: entry.errorReason ?? null,
+    coverageViolations: entry.coverageViolations ?? null,
+    files: entry.files,
+    tests: entry.tests,
+    passed: entry.passed,
+    skipped: entry.skipped,
+    failed: entry.failed,
+    flaky: entry.flaky,
+    duration: entry.duration,
+    attempts: entry.attempts,
+    cached: entry.cached,
+    coverage: null,
+    testResults: entry.suites
+      ? { suites: entry.suites.map((suite) => ({ ...suite, tests: suite.tests.map((test) => ({ ...test, failureMessage: test.failureMessage ?? '' })) })) }
+      : null,
+    output: '',
+  }]));
+  return { packages, states };
+}
+
+/**
+ * Write a report to a file (directories are created) or, without one, to stdout.
+ * Resolves once written, so the process can exit without cutting off a piped stdout.
+ * @param {object} report
+ * @param {string|null} outputFile - Path relative to the working directory
+ * @returns {Promise<void>}
+ */
+export function writeJsonReport(report, outputFile) {
+  const json = `${JSON.stringify(report, null, 2)}\n`;
+  if (!outputFile) {
+    return new Promise((done) => process.stdout.write(json, () => done()));
+  }
+  const path = resolve(outputFile);
+  mkdirSync(dirname(path), { recursive: true });
+  writeFileSync(path, json, 'utf-8');
+  return Promise.resolve();
+}
@@ -0,0 +1,158 @@
+/**
+ * Merged workspace JUnit report (--junit <file>).
+ *
+ * Combines the parsed JUnit results of every package into one document for
+ * CI systems that read a single file (GitLab, Jenkins). Each package is a
+ * <testsuite>; its tests keep their classname, duration, failure message
+ * and skipped state. A package without results that did not pass (crash,
+ * timeout) gets a synthetic failed testcase carrying its captured output.
+ */
+
+import { writeFileSync, mkdirSync } from 'node:fs';
+import { dirname, resolve } from 'node:path';
+import { stripAnsi } from '../ui.js';
+
+/**
+ * Escape text for XML attributes and content, dropping characters XML 1.0 cannot hold.
+ * @param {string} str
+ * @returns {string}
+ */
+function escapeXml(str) {
+  return String(str)
+    .replace(/[\x00-\x08\x0B\x0C\x0E-\x1F]/g, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/** Format seconds for the `time` attribute */
+const formatTime = (seconds) => (seconds || 0).toFixed(3);
+
+/**
+ * Build the testcases of a package that produced no JUnit results (or no tests in them).
+ * @returns {Array<{ name: string, status: string, duration: number, failureMessage: string }>}
+ */
+function syntheticTests(pkg, state) {
+  if (state.status === 'cancelled') {
+    return [{ name: 'cancelled', status: 'skipped', duration: 0, failureMessage: '' }];
+  }
+  const crashed = state.status !== 'done' || state.exitCode !== 0;
+  if (!crashed) return [];
+
+  const reason = state.status === 'timed-out'
+    ? `timed out after ${pkg.timeout}s`
+    : state.status === 'errored'
+      ? `errored: ${state.errorReason}`
+      : `exited with code ${state.exitCode} without producing JUnit results`;
+  const output = stripAnsi(state.output || '').trim();
+  return [{
+    name: state.status === 'timed-out' ? 'timed out' : 'test run',
+    status: 'failed',
+    duration: state.duration || 0,
+    failureMessage: output ? `${reason}\n\n${output}` : reason,
+  }];
+}
+
+/**
+ * Render one testcase element.
+ * @param {object} test - Parsed test ({ name, classname?, status, duration, failureMessage })
+ * @param {string} classname - Fallback classname (the test file)
+ * @returns {string}
+ */
+function renderTestCase(test, classname) {
+  const open = `    <testcase classname="${escapeXml(test.classname || classname)}" name="${escapeXml(test.name)}" time="${formatTime(test.duration)}"`;
+  if (test.status === 'failed') {
+    const message = test.failureMessage.split('\n')[0];
+    return `${open}>\n      <failure message="${escapeXml(message)}">${escapeXml(test.failureMessage)}</failure>\n    </testcase>`;
+  }
+  if (test.status === 'skipped') return `${open}>\n      <skipped/>\n    </testcase>`;
+  if (test.status === 'flaky') {
+    // Surefire's element for a failure that passed on rerun (understood by Jenkins)
+    const message = test.failureMessage || '';
+    return `${open}>\n      <flakyFailure message="${escapeXml(message.split('\n')[0])}">${escapeXml(message)}</flakyFailure>\n    </testcase>`;
+  }
+  return `${open}/>`;
+}
+
+/**
+ * Build a single JUnit XML document for all packages of a run.
+ * @param {Array} packages - Packages that were run, in display order
+ * @param {object} states - { [pkgName]: state }
+ * @returns {string}
+ */
+export function buildJunitReport(packages, states) {
+  const totals = { tests: 0, failures: 0, skipped: 0, time: 0 };
+
+  const suites = packages.map((pkg) => {
+    const state = states[pkg.name];
+    const parsed = (state.testResults?.suites || [])
+      .flatMap((suite) => suite.tests.map((test) => ({ test, classname: suite.file })));
+    const cases = parsed.length > 0
+      ? parsed
+      : syntheticTests(pkg, state).map((test) => ({ test, classname: pkg.name }));
+
+    const failures = cases.filter(({ test }) => test.status === 'failed').length;
+    const skipped = cases.filter(({ test }) => test.status === 'skipped').length;
+    totals.tests += cases.length;
+    totals.failures += failures;
+    totals.skipped += skipped;
+    totals.time += state.duration || 0;
+
+    const attrs = `name="${escapeXml(pkg.name)}" tests="${cases.length}" failures="${failures}" errors="0" skipped="${skipped}" time="${formatTime(state.duration)}"`;
+    if (cases.length === 0) return `  <testsuite ${attrs}/>`;
+    const body = cases.map(({ test, classname }) => renderTestCase(test, classname)).join('\n');
+    return `  <testsuite ${attrs}>\n${body}\n  </testsuite>`;
+  });
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<testsuites name="monotestrunner" tests="${totals.tests}" failures="${totals.failures}" errors="0" skipped="${totals.skipped}" time="${formatTime(totals.time)}">`,
+    ...suites,
+    '</testsuites>',
+    '',
+  ].join('\n');
+}
+
+/**
+ * Merge JUnit documents (the --junit reports of shard runs) into one.
+ * The <testsuite> elements are copied as they are — a package split across
+ * shards keeps one element per shard — and the root totals are summed again.
+ * Throws an Error when a document has no <testsuites> root.
+ * @param {string[]} documents - XML text
+ * @returns {string}
+ */
+export function mergeJunitReports(documents) {
+  const totals = { tests: 0, failures: 0, errors: 0, skipped: 0, time: 0 };
+  const suites = [];
+
+  for (const xml of documents) {
+    if (!/<testsuites[\s>]/.test(xml)) throw new Error('not a JUnit report (no <testsuites> element)');
+    for (const [suite, attrs] of xml.matchAll(/<testsuite\s([^>]*?)(?:\/>|>[\s\S]*?<\/testsuite>)/g)) {
+      for (const key of Object.keys(totals)) {
+        const value = new RegExp(`\\b${key}="([^"]*)"`).exec(attrs)?.[1];
+        totals[key] += Number(value) || 0;
+      }
+      suites.push(`  ${suite.trim()}`);
+    }
+  }
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<testsuites name="monotestrunner" tests="${totals.tests}" failures="${totals.failures}" errors="${totals.errors}" skipped="${totals.skipped}" time="${formatTime(totals.time)}">`,
+    ...suites,
+    '</testsuites>',
+    '',
+  ].join('\n');
+}
+
+/**
+ * Write the merged report, creating directories as needed.
+ * @param {string} xml
+ * @param {string} outputFile - Path relative to the working directory
+ */
+export function writeJunitReport(xml, outputFile) {
+  const path = resolve(outputFile);
+  mkdirSync(dirname(path), { recursive: true });
+  writeFileSync(path, xml, 'utf-8');
+}
@@ -0,0 +1,157 @@
+/**
+ * TAP version 14 reporter (--tap).
+ *
+ * Streams results to stdout as packages finish: each package is a subtest
+ * with one test point per JUnit testcase, and YAML diagnostics carrying the
+ * duration and, for failures, the failure message. A package process that
+ * crashes without producing test results is a failed test point carrying its
+ * output. When --bail stops the run, the first cancelled package ends the
+ * stream with `Bail out!`.
+ */
+
+import { stripAnsi } from '../ui.js';
+
+/**
+ * Escape a test point description: `#` starts a directive and `\` escapes.
+ * @param {string} str
+ * @returns {string}
+ */
+function escapeDescription(str) {
+  return str.replace(/\s*\n\s*/g, ' ').replace(/\\/g, '\\\\').replace(/#/g, '\\#');
+}
+
+/**
+ * Render a YAML diagnostics block.
+ * @param {object} fields - Scalar values; multi-line strings become block scalars
+ * @param {string} indent - Indentation of the test point
+ * @returns {string[]}
+ */
+function renderYaml(fields, indent) {
+  const lines = [`${indent}  ---`];
+  for (const [key, value] of Object.entries(fields)) {
+    if (value === undefined || value === null || value === '') continue;
+    if (typeof value === 'string') {
+      lines.push(`${indent}  ${key}: |-`);
+      for (const line of stripAnsi(value).split('\n')) {
+        lines.push(`${indent}    ${line}`.trimEnd());
+      }
+    } else {
+      lines.push(`${indent}  ${key}: ${value}`);
+    }
+  }
+  lines.push(`${indent}  ...`);
+  return lines;
+}
+
+/** Round seconds to milliseconds for `duration_ms` */
+const toMs = (seconds) => Math.round((seconds || 0) * 1000 * 1000) / 1000;
+
+/**
+ * Render the test point of one testcase inside a package subtest.
+ * @param {object} test - Parsed test ({ name, status, duration, failureMessage })
+ * @param {number} id - Test point number
+ * @returns {string[]}
+ */
+function renderTestPoint(test, id) {
+  const indent = '    ';
+  const description = escapeDescription(test.name);
+  if (test.status === 'skipped') return [`${indent}ok ${id} - ${description} # SKIP`];
+  const ok = test.status === 'failed' ? 'not ok' : 'ok';
+  return [
+    `${indent}${ok} ${id} - ${description}`,
+    ...renderYaml({
+      duration_ms: toMs(test.duration),
+      message: test.status !== 'passed' ? test.failureMessage : null,
+      flaky: test.status === 'flaky' ? true : null,
+    }, indent),
+  ];
+}
+
+/**
+ * Did a package's process crash, leaving no test results to report?
+ * @param {object} state
+ * @returns {boolean}
+ */
+function hasCrashed(state) {
+  if (state.status === 'errored') return true;
+  const count = (state.testResults?.suites || []).reduce((sum, suite) => sum + suite.tests.length, 0);
+  return state.status === 'done' && state.exitCode !== 0 && count === 0;
+}
+
+/**
+ * Render the lines for one finished package.
+ * @param {object} pkg
+ * @param {object} state
+ * @param {number} id - Package test point number
+ * @returns {{ lines: string[], bailOut: boolean }}
+ */
+export function renderPackage(pkg, state, id) {
+  const name = escapeDescription(pkg.name);
+
+  // Only --bail cancels packages: the rest of the run is not reported
+  if (state.status === 'cancelled') {
+    return { lines: [`Bail out! --bail reached, ${name} and the remaining packages were cancelled`], bailOut: true };
+  }
+
+  if (hasCrashed(state)) {
+    const output = stripAnsi(state.output || '').trim();
+    return {
+      lines: [
+        ...(output ? output.split('\n').map((line) => `# ${line}`.trimEnd()) : []),
+        `not ok ${id} - ${name}`,
+        ...renderYaml({
+          duration_ms: toMs(state.duration),
+          message: state.status === 'errored'
+            ? `errored: ${state.errorReason}`
+            : `exited with code ${state.exitCode} without producing test results`,
+        }, ''),
+      ],
+      bailOut: false,
+    };
+  }
+
+  const tests = (state.testResults?.suites || []).flatMap((suite) => suite.tests);
+  const lines = [`# Subtest: ${name}`];
+  tests.forEach((test, i) => lines.push(...renderTestPoint(test, i + 1)));
+  lines.push(`    1..${tests.length}`);
+
+  const failed = state.status !== 'done' || state.failed > 0 || state.exitCode !== 0;
+  lines.push(`${failed ? 'not ok' : 'ok'} ${id} - ${name}`);
+  lines.push(...renderYaml({
+    duration_ms: toMs(state.duration),
+    message: state.status === 'timed-out' ? `timed out after ${pkg.timeout}s` : null,
+  }, ''));
+  return { lines, bailOut: false };
+}
+
+/**
+ * Create a TAP stream writer.
+ * @param {(text: string, callback?: Function) => void} [write] - Output sink (default: stdout)
+ * @returns {{ start: (count: number) => void, packageDone: (pkg: object, state: object) => void, end: () => Promise<void> }}
+ */
+export function createTapReporter(write = (text, callback) => process.stdout.write(text, callback)) {
+  let id = 0;
+  let bailedOut = false;
+  const emit = (lines) => write(`${lines.join('\n')}\n`);
+
+  return {
+    /** Write the header and the plan (one test point per package) */
+    start(count) {
+      emit(['TAP version 14', `1..${count}`]);
+    },
+
+    /** Write a finished package; nothing is written after a bail-out */
+    packageDone(pkg, state) {
+      if (bailedOut) return;
+      id++;
+      const { lines, bailOut } = renderPackage(pkg, state, id);
+      bailedOut = bailOut;
+      emit(lines);
+    },
+
+    /** Resolves once everything written so far has been flushed */
+    end() {
+      return new Promise((resolve) => write('', () => resolve()));
+    },
+  };
+}
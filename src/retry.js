@@ -0,0 +1,170 @@
+/**
+ * Retries of failed packages (--retries) and flaky-test detection.
+ *
+ * A package that finishes with failed tests, times out or errors is run
+ * again, up to `retries` more times. When the JUnit results name the failing
+ * test files and the runner accepts file arguments, only those files are
+ * rerun; otherwise the whole package is. A test that failed in one attempt
+ * and passed in a later one is recorded with status 'flaky' instead of
+ * 'failed'.
+ */
+
+import { existsSync } from 'node:fs';
+import { isAbsolute, join } from 'node:path';
+import { getRunner } from './runners/index.js';
+
+/**
+ * Does a finished attempt need another try? Only failed tests, timeouts and
+ * errored runs are retried: a non-zero exit without failed tests (a runner's
+ * own coverage check, a failing posttest step) would fail the same way again,
+ * and cancelled or killed runs were stopped on purpose.
+ * @param {object} state - Package state after an attempt
+ * @returns {boolean}
+ */
+export function needsRetry(state) {
+  if (state.status === 'timed-out' || state.status === 'errored') return true;
+  return state.status === 'done' && state.failed > 0;
+}
+
+/**
+ * List the test files with failed tests, as absolute paths.
+ * Returns null when a failure cannot be tied to a file on disk (no JUnit
+ * results, suites named after describe blocks, ...): rerun the whole package.
+ * @param {object|null} testResults - Parsed JUnit results
+ * @param {string} pkgPath - Package root (JUnit file names are relative to it)
+ * @returns {string[]|null}
+ */
+export function getFailedTestFiles(testResults, pkgPath) {
+  if (!testResults?.suites?.length) return null;
+  const files = new Set();
+  for (const suite of testResults.suites) {
+    if (!suite.tests.some((t) => t.status === 'failed')) continue;
+    if (!suite.file) return null;
+    const file = isAbsolute(suite.file) ? suite.file : join(pkgPath, suite.file);
+    if (!existsSync(file)) return null;
+    files.add(file);
+  }
+  return files.size > 0 ? [...files] : null;
+}
+
+const testKey = (file, test) => `${file}\0${test.name}`;
+
+/**
+ * Merge the JUnit results of a retry into the previous results.
+ * Tests that failed before (or were already flaky) and pass now become
+ * 'flaky', keeping the earlier failure message. A partial retry replaces only
+ * the suites it reran; a full retry replaces everything.
+ * @param {object} previous - Results so far
+ * @param {object} retry - Results of the retry
+ * @param {boolean} partial - Whether only some files were rerun
+ * @returns {object} - Merged results
+ */
+export function mergeRetryResults(previous, retry, partial) {
+  const failedBefore = new Map();
+  for (const suite of previous.suites) {
+    for (const test of suite.tests) {
+      if (test.status === 'failed' || test.status === 'flaky') failedBefore.set(testKey(suite.file, test), test);
+    }
+  }
+
+  const retrySuites = retry.suites.map((suite) => ({
+    ...suite,
+    tests: suite.tests.map((test) => {
+      const earlier = failedBefore.get(testKey(suite.file, test));
+      if (!earlier || test.status !== 'passed') return test;
+      return { ...test, status: 'flaky', failureMessage: earlier.failureMessage };
+    }),
+  }));
+
+  if (!partial) return { suites: retrySuites };
+
+  const byFile = new Map(retrySuites.map((suite) => [suite.file, suite]));
+  const merged = previous.suites.map((suite) => byFile.get(suite.file) || suite);
+  const known = new Set(previous.suites.map((suite) => suite.file));
+  return { suites: [...merged, ...retrySuites.filter((suite) => !known.has(suite.file))] };
+}
+
+/**
+ * Count test outcomes in JUnit results.
+ * @param {object} testResults
+ * @returns {{ passed: number, skipped: number, failed: number, flaky: number }}
+ */
+export function countTestResults(testResults) {
+  const counts = { passed: 0, skipped: 0, failed: 0, flaky: 0 };
+  for (const suite of testResults.suites) {
+    for (const test of suite.tests) {
+      if (test.status === 'passed') counts.passed++;
+      else if (test.status === 'failed') counts.failed++;
+      else if (test.status === 'flaky') counts.flaky++;
+      else counts.skipped++;
+    }
+  }
+  return counts;
+}
+
+/**
+ * Run a package, retrying while it has failures.
+ *
+ * `runAttempt(files)` runs one attempt into `state` (resetting its counts)
+ * and resolves when it has finished; `files` is null for a full run. Between
+ * attempts the earlier results are merged back in, so the final state holds
+ * the package-wide counts with flaky tests counted under `state.flaky`,
+ * the output of every attempt, and the total duration.
+ *
+ * @param {object} pkg - Package being run
+ * @param {object} state - Package state
+ * @param {(files: string[]|null) => Promise<void>} runAttempt
+ * @param {number} retries - Maximum number of extra attempts
+ * @param {boolean} coverageEnabled - Coverage runs always rerun the whole package,
+ *   since a partial run would overwrite the package's coverage report
+ */
+export async function runWithRetries(pkg, state, runAttempt, retries, coverageEnabled = false) {
+  const acceptsFiles = Boolean(getRunner(pkg.runner)?.acceptsFiles) && !coverageEnabled;
+  state.flaky = 0;
+  state.attempts = 1;
+  await runAttempt(null);
+
+  while (state.attempts <= retries && needsRetry(state)) {
+    const previous = {
+      status: state.status,
+      files: state.files,
+      tests: state.tests,
+      passed: state.passed,
+      skipped: state.skipped,
+      failed: state.failed,
+      flaky: state.flaky,
+      duration: state.duration,
+      output: state.output,
+      testResults: state.testResults,
+    };
+    const files = acceptsFiles && previous.status === 'done' ? getFailedTestFiles(previous.testResults, pkg.path) : null;
+
+    state.attempts++;
+    state.status = 'running';
+    state.passed = 0;
+    state.skipped = 0;
+    state.failed = 0;
+    await runAttempt(files);
+
+    state.output = `${previous.output}\n── Retry ${state.attempts - 1} of ${retries} ──\n\n${state.output || ''}`;
+    state.duration = (previous.duration || 0) + (state.duration || 0);
+    // Timed out or errored again (retried while tries remain), or stopped mid-retry
+    if (state.status !== 'done') continue;
+    // A full rerun after a timeout or error has no earlier results to merge
+    if (previous.status !== 'done') continue;
+
+    state.files = previous.files;
+    state.tests = previous.tests;
+    if (previous.testResults && state.testResults) {
+      state.testResults = mergeRetryResults(previous.testResults, state.testResults, files !== null);
+      Object.assign(state, countTestResults(state.testResults));
+    } else if (needsRetry(state)) {
+      // No per-test results to merge: a full rerun replaces the counts, a partial one is dropped
+      if (files) Object.assign(state, { passed: previous.passed, skipped: previous.skipped, failed: previous.failed });
+      state.flaky = previous.flaky;
+    } else {
+      // Passed this time: the earlier failures were flaky
+      Object.assign(state, { passed: previous.passed, skipped: previous.skipped, failed: 0, flaky: previous.flaky + previous.failed });
+    }
+  }
+}
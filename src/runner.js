@@ -3,7 +3,6 @@
  * Handles spawning test processes and displaying results
  */
 
-import { spawn } from 'node:child_process';
 import c from 'picocolors';
 import {
   term,
@@ -19,19 +18,33 @@ import {
   renderSeparatorWithCoverage,
   renderTotalsWithCoverage,
 } from './ui.js';
-import { parseJunitFile } from './parsers.js';
-import { getRunner } from './runners/index.js';
-import { getPackageCoverage, getVerboseCoverageData } from './coverage.js';
-import { join } from 'node:path';
+import { parseJunitFile, extractErrorReason } from './parsers.js';
+import { getRunner, getOutputPaths } from './runners/index.js';
+import { getPackageCoverage, getVerboseCoverageData, enforceThresholds, withCurrentThresholds } from './coverage.js';
+import { createScheduler, getDefaultConcurrency } from './scheduler.js';
+import { spawnTree, killProcessTree, killAllProcessTrees } from './process-tree.js';
+import { runWithRetries } from './retry.js';
+import { prepareOutputDir, hasNoResults, markRunCrashed } from './output-dir.js';
+import { getRunExitCode } from './exit-code.js';
 
 /**
- * Run tests for a package with streaming dot output
+ * Run tests for a package with streaming dot output.
+ * When pkg.timeout (seconds) elapses, the process tree is killed and the
+ * package ends as 'timed-out' with its partial counts and output kept.
+ * To cancel a run, set state.stopReason = 'cancelled' and kill the process
+ * tree of its entry in childProcesses.
+ * Reports are written to a fresh output directory (state.outputDir); when
+ * the run writes no JUnit report, state.testResults is null. A run that
+ * exits non-zero without any results ends as 'errored', with a short
+ * state.errorReason taken from its output.
  * @param {object} pkg - Package to run tests for
  * @param {object} state - State object for this package
  * @param {Function} onUpdate - Callback when state changes
  * @param {boolean} coverageEnabled - Whether to run with coverage
+ * @param {Map} childProcesses - Running child processes by package name (entry removed on exit)
+ * @param {string[]|null} files - Only run these test files (retry of failed files)
  */
-export function runTestsWithStreaming(pkg, state, onUpdate, coverageEnabled = false) {
+export function runTestsWithStreaming(pkg, state, onUpdate, coverageEnabled = false, childProcesses = new Map(), files = null) {
   return new Promise((resolve) => {
     const runner = getRunner(pkg.runner);
     if (!runner) {
@@ -40,15 +53,44 @@ export function runTestsWithStreaming(pkg, state, onUpdate, coverageEnabled = fa
       resolve();
       return;
     }
-    const junitPath = join(pkg.path, 'coverage', 'junit.xml');
-    const { command, args } = runner.buildCommand({ coverage: coverageEnabled });
+    const outputDir = prepareOutputDir(pkg);
+    const { junit: junitPath, lcov: lcovPath } = getOutputPaths(pkg, outputDir);
+    const { command, args, env } = runner.buildCommand({
+      coverage: coverageEnabled,
+      pkgPath: pkg.path,
+      packageManager: pkg.packageManager,
+      configFile: pkg.configFile,
+      outputDir,
+      junitPath,
+      lcovPath,
+      files,
+      testArgs: pkg.testArgs,
+      testPatterns: pkg.testPatterns,
+      // Retries rerun the failed files of this package shard as they are
+      shard: files ? null : pkg.shard ?? null,
+    });
+    state.outputDir = outputDir;
 
-    const child = spawn(command, args, {
+    const child = spawnTree(command, args, {
       cwd: pkg.path,
       stdio: ['ignore', 'pipe', 'pipe'],
+      env: env ? { ...process.env, ...env } : process.env,
     });
+    childProcesses.set(pkg.name, child);
+
+    // A missing binary emits 'error' (then 'close'); keep it for the error reason
+    let spawnError = null;
+    child.on('error', (err) => { spawnError = err; });
 
     let output = '';
+    state.stopReason = null; // 'timed-out' | 'cancelled' once the process tree is killed
+    const startTime = Date.now();
+    const timer = pkg.timeout
+      ? setTimeout(() => {
+        state.stopReason = 'timed-out';
+        killProcessTree(child);
+      }, pkg.timeout * 1000)
+      : null;
 
     const handleData = (data) => {
       const chunk = data.toString();
@@ -62,12 +104,29 @@ export function runTestsWithStreaming(pkg, state, onUpdate, coverageEnabled = fa
       onUpdate();
     };
 
-    child.stdout.on('data', handleData);
-    child.stderr.on('data', (data) => {
+    const handleOutput = (data) => {
       output += data.toString();
-    });
+    };
+
+    // Most runners stream progress on stdout; jest writes it to stderr
+    const progressOnStderr = runner.progressStream === 'stderr';
+    child.stdout.on('data', progressOnStderr ? handleOutput : handleData);
+    child.stderr.on('data', progressOnStderr ? handleData : handleOutput);
+
+    child.on('close', (code, signal) => {
+      clearTimeout(timer);
+      childProcesses.delete(pkg.name);
+
+      if (state.stopReason) {
+        state.status = state.stopReason;
+        state.exitCode = code;
+        state.duration = (Date.now() - startTime) / 1000;
+        state.output = output;
+        onUpdate();
+        resolve();
+        return;
+      }
 
-    child.on('close', (code) => {
       const final = runner.parseFinal(output);
 
       state.status = 'done';
@@ -83,9 +142,17 @@ export function runTestsWithStreaming(pkg, state, onUpdate, coverageEnabled = fa
       // Parse JUnit results for detail view
       state.testResults = parseJunitFile(junitPath);
 
+      // Never got to the tests: don't let 0/0/0 pass for a clean run
+      state.errorReason = null;
+      if (hasNoResults(state)) {
+        state.status = 'errored';
+        state.errorReason = extractErrorReason(output, { exitCode: code, signal, spawnError });
+        state.duration = (Date.now() - startTime) / 1000;
+      }
+
       // Get coverage data if coverage is enabled
       if (coverageEnabled) {
-        state.coverage = getPackageCoverage(pkg);
+        state.coverage = getPackageCoverage(pkg, outputDir);
       }
 
       onUpdate();
@@ -94,6 +161,97 @@ export function runTestsWithStreaming(pkg, state, onUpdate, coverageEnabled = fa
   });
 }
 
+// ============================================================================
+// Bail
+// ============================================================================
+
+/**
+ * Count failures towards --bail: failed tests of finished packages, at
+ * least one per timed-out package, and one per errored package.
+ * @param {object} states - { [pkgName]: state }
+ * @returns {number}
+ */
+export function countFailures(states) {
+  let failures = 0;
+  for (const state of Object.values(states)) {
+    if (state.status === 'done') failures += state.failed || 0;
+    if (state.status === 'timed-out') failures += Math.max(1, state.failed || 0);
+    if (state.status === 'errored') failures += 1;
+  }
+  return failures;
+}
+
+/**
+ * List the packages whose coverage is below their thresholds, with the metrics that failed.
+ * @param {Array} packages
+ * @param {object} states - { [pkgName]: state }
+ * @returns {Array<{ pkg: object, violations: Array }>}
+ */
+function listCoverageFailed(packages, states) {
+  return packages
+    .filter((pkg) => states[pkg.name].coverageViolations)
+    .map((pkg) => ({ pkg, violations: states[pkg.name].coverageViolations }));
+}
+
+/**
+ * List the packages that exited without results, with their error reasons.
+ * @param {Array} packages
+ * @param {object} states - { [pkgName]: state }
+ * @returns {Array<{ pkg: object, reason: string|null }>}
+ */
+function listErrored(packages, states) {
+  return packages
+    .filter((pkg) => states[pkg.name].status === 'errored')
+    .map((pkg) => ({ pkg, reason: states[pkg.name].errorReason }));
+}
+
+/**
+ * Cancel every package that has not finished: running ones are killed
+ * (and end as 'cancelled' when their process closes), queued ones are dropped.
+ * @param {Array} packages
+ * @param {object} states - { [pkgName]: state }
+ * @param {Map} childProcesses - Running child processes by package name
+ * @param {object} [scheduler] - Run queue holding the packages not started yet
+ */
+function cancelRemaining(packages, states, childProcesses, scheduler) {
+  for (const pkg of packages) {
+    const state = states[pkg.name];
+    const child = childProcesses.get(pkg.name);
+    if (child) {
+      state.stopReason = 'cancelled';
+      killProcessTree(child);
+    } else if (state.status === 'queued' || state.status === 'pending') {
+      scheduler?.cancel(pkg.name);
+      state.status = 'cancelled';
+    }
+  }
+}
+
+/**
+ * Run a package, retrying failed runs (see retry.js), or replay its cached
+ * result when its inputs are unchanged (see cache.js).
+ * @param {number} retries - Maximum number of extra attempts
+ * @param {object|null} cache - Result cache (null: --no-cache)
+ * @param {boolean} enforceCoverage - Check the coverage against its thresholds afterwards
+ */
+async function runPackage(pkg, state, coverageEnabled, childProcesses, retries, cache, enforceCoverage) {
+  const cached = cache?.lookup(pkg);
+  if (cached) {
+    Object.assign(state, cached, { status: 'done', cached: true, attempts: 1 });
+    state.coverage = withCurrentThresholds(pkg, state.coverage);
+  } else {
+    const runAttempt = (files) => runTestsWithStreaming(pkg, state, () => {}, coverageEnabled, childProcesses, files);
+    await runWithRetries(pkg, state, runAttempt, retries, coverageEnabled);
+    cache?.store(pkg, state);
+  }
+  // Checked on replays too, against the thresholds of the current config
+  if (enforceCoverage) enforceThresholds(state);
+}
+
+// ============================================================================
+// Modes
+// ============================================================================
+
 /**
  * Redraw all rows (TTY mode)
  * @param {boolean} inlineCoverage - Whether to use the inline coverage table format
@@ -125,11 +283,23 @@ function redrawTable(packages, states, spinnerIdx, nameWidth, lineWidth, totalLi
 
 /**
  * Main function - TTY mode with real-time updates
+ * @param {object[]} packages - Packages to run
+ * @param {string} rootDir - Workspace root
+ * @param {boolean} verbose - Plain test table plus per-file coverage instead of inline coverage
+ * @param {object} [opts]
+ * @param {boolean} [opts.coverageEnabled] - Collect coverage
+ * @param {number} [opts.concurrency] - Maximum packages running at once; the rest show as queued
+ * @param {number} [opts.bail] - Cancel remaining packages after this many failures (0: never)
+ * @param {number} [opts.retries] - Rerun failed packages up to this many times
+ * @param {boolean} [opts.failOnFlaky] - Exit non-zero when tests only passed on a retry
+ * @param {object|null} [opts.cache] - Result cache replaying unchanged packages (null: run everything)
+ * @param {boolean} [opts.enforceCoverage] - Fail packages whose coverage is below their thresholds
+ * @returns {Promise<{ exitCode: number, states: object }>} - Exit code and final state by package name
  */
-export async function runTTY(packages, rootDir, verbose, coverageEnabled = false) {
+export async function runTTY(packages, rootDir, verbose, { coverageEnabled = false, concurrency = getDefaultConcurrency(), bail = 0, retries = 0, failOnFlaky = false, cache = null, enforceCoverage = false } = {}) {
   // nameWidth includes space for runner suffix: "pkg-name (vitest)"
   const nameWidth = Math.max(20, ...packages.map(p => p.name.length + (p.runner || '').length + 3));
-  const lineWidth = nameWidth + 2 + 6 * 5 + 10;
+  const lineWidth = nameWidth + 2 + 6 * 6 + 10;
 
   // Inline coverage columns only when coverage is on AND not verbose
   // (verbose gets a plain test table + detailed per-file coverage after)
@@ -137,7 +307,7 @@ export async function runTTY(packages, rootDir, verbose, coverageEnabled = false
 
   const states = {};
   for (const pkg of packages) {
-    states[pkg.name] = createInitialState();
+    states[pkg.name] = { ...createInitialState(), status: 'queued' };
   }
 
   if (inlineCoverage) {
@@ -161,10 +331,12 @@ export async function runTTY(packages, rootDir, verbose, coverageEnabled = false
   process.stdout.write(term.hideCursor);
 
   const cleanup = () => {
+    killAllProcessTrees();
     process.stdout.write(term.showCursor);
   };
   process.on('exit', cleanup);
   process.on('SIGINT', () => { cleanup(); process.exit(1); });
+  process.on('SIGTERM', () => { cleanup(); process.exit(1); });
 
   // Total lines: packages + separator + totals
   const totalLines = packages.length + 2;
@@ -175,10 +347,20 @@ export async function runTTY(packages, rootDir, verbose, coverageEnabled = false
     redrawTable(packages, states, spinnerIdx, nameWidth, lineWidth, totalLines, inlineCoverage);
   }, 80);
 
-  const promises = packages.map(async (pkg) => {
-    states[pkg.name].status = 'running';
-    await runTestsWithStreaming(pkg, states[pkg.name], () => {}, coverageEnabled);
-  });
+  // Packages start in order (dependencies first) as concurrency slots free up
+  const scheduler = createScheduler(concurrency, (name, error) => markRunCrashed(states[name], error));
+  const childProcesses = new Map();
+  let bailed = false;
+  const promises = packages.map((pkg) =>
+    scheduler.enqueue(pkg.name, async () => {
+      states[pkg.name].status = 'running';
+      await runPackage(pkg, states[pkg.name], coverageEnabled, childProcesses, retries, cache, enforceCoverage);
+      if (bail && !bailed && countFailures(states) >= bail) {
+        bailed = true;
+        cancelRemaining(packages, states, childProcesses, scheduler);
+      }
+    }),
+  );
 
   await Promise.all(promises);
 
@@ -188,19 +370,25 @@ export async function runTTY(packages, rootDir, verbose, coverageEnabled = false
   process.stdout.write(term.showCursor);
 
   const totals = Object.values(states).reduce((acc, s) => {
+    if (s.status === 'cancelled') return acc;
     acc.failed += s.failed || 0;
     acc.passed += s.passed || 0;
+    acc.flaky += s.flaky || 0;
     return acc;
-  }, { failed: 0, passed: 0 });
+  }, { failed: 0, passed: 0, flaky: 0 });
+  const timedOut = packages.filter((pkg) => states[pkg.name].status === 'timed-out');
+  const cancelled = packages.filter((pkg) => states[pkg.name].status === 'cancelled');
+  const errored = listErrored(packages, states);
+  const coverageFailed = listCoverageFailed(packages, states);
 
-  printSummary(totals.failed);
+  printSummary(totals.failed, { timedOut, cancelled, errored, coverageFailed, flaky: totals.flaky, failOnFlaky });
 
   // Verbose: show failed output (only when not in coverage mode)
-  if (verbose && !coverageEnabled && totals.failed > 0) {
+  if (verbose && !coverageEnabled && (totals.failed > 0 || timedOut.length > 0 || errored.length > 0)) {
     console.log(c.dim('─'.repeat(lineWidth)));
     for (const pkg of packages) {
       const state = states[pkg.name];
-      if (state.failed > 0 || state.exitCode !== 0) {
+      if (state.status !== 'cancelled' && (state.failed > 0 || state.exitCode !== 0)) {
         console.log(`\n${c.bold(c.red(pkg.name))}\n`);
         console.log(state.output);
       }
@@ -209,22 +397,41 @@ export async function runTTY(packages, rootDir, verbose, coverageEnabled = false
 
   // Verbose + coverage: show detailed per-file coverage table after summary
   if (coverageEnabled && verbose) {
-    const verboseData = getVerboseCoverageData(rootDir, packages);
+    const verboseData = getVerboseCoverageData(rootDir, packages, states);
     if (verboseData.packageDisplayData.length > 0) {
       printVerboseCoverage(verboseData);
     }
   }
 
-  return totals.failed > 0 ? 1 : 0;
+  return { exitCode: getRunExitCode(states, { failOnFlaky }), states };
 }
 
 /**
- * Main function - CI mode (no interactive updates)
+ * Main function - CI mode (no interactive updates). Packages run one at a
+ * time, in order, so their output lines never interleave.
+ * @param {object[]} packages - Packages to run
+ * @param {string} rootDir - Workspace root
+ * @param {boolean} verbose - Plain test table plus per-file coverage instead of inline coverage
+ * @param {object} [opts]
+ * @param {boolean} [opts.coverageEnabled] - Collect coverage
+ * @param {number} [opts.bail] - Cancel remaining packages after this many failures (0: never)
+ * @param {number} [opts.retries] - Rerun failed packages up to this many times
+ * @param {boolean} [opts.failOnFlaky] - Exit non-zero when tests only passed on a retry
+ * @param {object|null} [opts.cache] - Result cache replaying unchanged packages (null: run everything)
+ * @param {boolean} [opts.enforceCoverage] - Fail packages whose coverage is below their thresholds
+ * @param {Function|null} [opts.onPackageDone] - Called with (pkg, state) as each package finishes or is cancelled
+ * @returns {Promise<{ exitCode: number, states: object }>} - Exit code and final state by package name
  */
-export async function runCI(packages, rootDir, verbose, coverageEnabled = false) {
+export async function runCI(packages, rootDir, verbose, { coverageEnabled = false, bail = 0, retries = 0, failOnFlaky = false, cache = null, enforceCoverage = false, onPackageDone = null } = {}) {
+  // Test processes run in their own process groups and miss signals sent to ours
+  process.on('exit', killAllProcessTrees);
+  for (const signal of ['SIGINT', 'SIGTERM']) {
+    process.on(signal, () => { killAllProcessTrees(); process.exit(1); });
+  }
+
   // nameWidth includes space for runner suffix: "pkg-name (vitest)"
   const nameWidth = Math.max(20, ...packages.map(p => p.name.length + (p.runner || '').length + 3));
-  const lineWidth = nameWidth + 2 + 6 * 5 + 10;
+  const lineWidth = nameWidth + 2 + 6 * 6 + 10;
 
   const inlineCoverage = coverageEnabled && !verbose;
 
@@ -240,14 +447,22 @@ export async function runCI(packages, rootDir, verbose, coverageEnabled = false)
 
   for (const pkg of packages) {
     states[pkg.name] = createInitialState();
-    states[pkg.name].status = 'running';
-
-    await runTestsWithStreaming(pkg, states[pkg.name], () => {}, coverageEnabled);
+    if (bail && countFailures(states) >= bail) {
+      states[pkg.name].status = 'cancelled';
+    } else {
+      states[pkg.name].status = 'running';
+      try {
+        await runPackage(pkg, states[pkg.name], coverageEnabled, new Map(), retries, cache, enforceCoverage);
+      } catch (error) {
+        markRunCrashed(states[pkg.name], error);
+      }
+    }
     if (inlineCoverage) {
       console.log(renderInteractiveRowWithCoverage(pkg, states[pkg.name], 0, nameWidth));
     } else {
       console.log(renderRow(pkg, states[pkg.name], 0, nameWidth));
     }
+    if (onPackageDone) onPackageDone(pkg, states[pkg.name]);
   }
 
   if (inlineCoverage) {
@@ -259,18 +474,24 @@ export async function runCI(packages, rootDir, verbose, coverageEnabled = false)
   }
 
   const totals = Object.values(states).reduce((acc, s) => {
+    if (s.status === 'cancelled') return acc;
     acc.failed += s.failed || 0;
+    acc.flaky += s.flaky || 0;
     return acc;
-  }, { failed: 0 });
+  }, { failed: 0, flaky: 0 });
+  const timedOut = packages.filter((pkg) => states[pkg.name].status === 'timed-out');
+  const cancelled = packages.filter((pkg) => states[pkg.name].status === 'cancelled');
+  const errored = listErrored(packages, states);
+  const coverageFailed = listCoverageFailed(packages, states);
 
-  printSummary(totals.failed);
+  printSummary(totals.failed, { timedOut, cancelled, errored, coverageFailed, flaky: totals.flaky, failOnFlaky });
 
   // Verbose: show failed output (only when not in coverage mode)
-  if (verbose && !coverageEnabled && totals.failed > 0) {
+  if (verbose && !coverageEnabled && (totals.failed > 0 || timedOut.length > 0 || errored.length > 0)) {
     console.log(c.dim('─'.repeat(lineWidth)));
     for (const pkg of packages) {
       const state = states[pkg.name];
-      if (state.failed > 0 || state.exitCode !== 0) {
+      if (state.status !== 'cancelled' && (state.failed > 0 || state.exitCode !== 0)) {
         console.log(`\n${c.bold(c.red(pkg.name))}\n`);
         console.log(state.output);
       }
@@ -279,11 +500,11 @@ export async function runCI(packages, rootDir, verbose, coverageEnabled = false)
 
   // Verbose + coverage: show detailed per-file coverage table after summary
   if (coverageEnabled && verbose) {
-    const verboseData = getVerboseCoverageData(rootDir, packages);
+    const verboseData = getVerboseCoverageData(rootDir, packages, states);
     if (verboseData.packageDisplayData.length > 0) {
       printVerboseCoverage(verboseData);
     }
   }
 
-  return totals.failed > 0 ? 1 : 0;
+  return { exitCode: getRunExitCode(states, { failOnFlaky }), states };
 }
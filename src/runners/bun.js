@@ -6,12 +6,15 @@
  */
 
 import { existsSync, readFileSync } from 'node:fs';
-import { join } from 'node:path';
+import { dirname, join } from 'node:path';
 import { stripAnsi } from '../ui.js';
 
 /** Human-readable label shown in the UI */
 export const name = 'bun';
 
+/** buildCommand() honours `files` (used to retry only failed test files) */
+export const acceptsFiles = true;
+
 /**
  * Detect whether a test script belongs to this runner.
  * @param {string} testScript - The raw scripts.test string from package.json
@@ -25,13 +28,17 @@ export function detect(testScript) {
  * Build the command and args to spawn a test run.
  * @param {object} opts
  * @param {boolean} opts.coverage - Whether coverage is enabled
+ * @param {string} [opts.junitPath] - Where to write the JUnit report
+ * @param {string} [opts.lcovPath] - Where to write lcov.info
+ * @param {string[]} [opts.files] - Only run these test files (absolute paths)
  * @returns {{ command: string, args: string[] }}
  */
-export function buildCommand({ coverage = false } = {}) {
-  const args = ['test', '--dots', '--reporter=junit', '--reporter-outfile=coverage/junit.xml'];
+export function buildCommand({ coverage = false, junitPath = 'coverage/junit.xml', lcovPath = 'coverage/lcov.info', files } = {}) {
+  const args = ['test', '--dots', '--reporter=junit', `--reporter-outfile=${junitPath}`];
   if (coverage) {
-    args.push('--coverage', '--coverage-reporter=lcov', '--coverage-dir=coverage');
+    args.push('--coverage', '--coverage-reporter=lcov', `--coverage-dir=${dirname(lcovPath)}`);
   }
+  if (files) args.push(...files);
   return { command: 'bun', args };
 }
 
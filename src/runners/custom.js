@@ -0,0 +1,181 @@
+/**
+ * Declarative runner adapters defined in config.
+ *
+ * Builds an adapter with the standard runner interface from a plain
+ * object under the `runners` key of .monotestrunnerrc:
+ *
+ *   {
+ *     "name": "ava",
+ *     "detect": "\\bava\\b",
+ *     "bin": "ava",
+ *     "args": ["--tap"],
+ *     "progress": { "pass": "^ok \\d+(?!.*# SKIP)", "skip": "^ok \\d+.*# SKIP", "fail": "^not ok \\d+" },
+ *     "summary": { "passed": "# pass (\\d+)", "failed": "# fail (\\d+)", "duration": "# duration ([\\d.]+)(ms|s)" },
+ *     "junit": "reports/junit.xml",
+ *     "lcov": "coverage/lcov.info"
+ *   }
+ *
+ * The executable is either `bin` (a package binary, run through the workspace
+ * package manager) or `command` (spawned as-is).
+ * Progress is either `progress` (regexes, matched per line) or `dots`
+ * (fixed characters, counted anywhere in the chunk).
+ * Args may use {pkgPath}, {outputDir}, {junitPath} and {lcovPath} placeholders;
+ * the paths resolve to the absolute `junit` / `lcov` locations. Without
+ * `junit` / `lcov` those are in the run's temporary output directory
+ * (junit.xml, coverage/lcov.info), so a runner writing to a fixed path must
+ * declare it.
+ */
+
+import { stripAnsi } from '../ui.js';
+import { resolveCommand } from '../views/command.js';
+import { buildExecCommand } from '../package-manager.js';
+
+const PROGRESS_KEYS = ['pass', 'skip', 'fail'];
+const SUMMARY_KEYS = ['files', 'tests', 'passed', 'skipped', 'failed', 'duration'];
+const DURATION_FACTORS = { ms: 0.001, s: 1, m: 60 };
+
+/**
+ * Compile a regex string from config, naming the offending field on error.
+ * @param {string} source - Regex source
+ * @param {string} flags - Regex flags
+ * @param {string} field - Field path for error messages (e.g. "summary.passed")
+ * @param {string} runnerName - Runner name for error messages
+ * @returns {RegExp}
+ */
+function compile(source, flags, field, runnerName) {
+  if (typeof source !== 'string') {
+    throw new Error(`runner "${runnerName}": "${field}" must be a regex string`);
+  }
+  try {
+    return new RegExp(source, flags);
+  } catch (error) {
+    throw new Error(`runner "${runnerName}": invalid regex in "${field}": ${error.message}`);
+  }
+}
+
+/**
+ * Escape a fixed character for use inside a RegExp.
+ * @param {string} str
+ * @returns {string}
+ */
+function escapeRegExp(str) {
+  return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Create a runner adapter from a config definition.
+ * Throws an Error describing the first invalid field.
+ *
+ * @param {object} definition - Entry from config.runners
+ * @returns {object} - Runner adapter { name, detect, buildCommand, countDots, parseFinal, getThresholds, ... }
+ */
+export function createCustomRunner(definition) {
+  if (!definition || typeof definition !== 'object') {
+    throw new Error('runners entries must be objects');
+  }
+
+  const { name } = definition;
+  if (typeof name !== 'string' || !name) {
+    throw new Error('runners entry missing "name"');
+  }
+  const hasCommand = typeof definition.command === 'string' && definition.command !== '';
+  const hasBin = typeof definition.bin === 'string' && definition.bin !== '';
+  if (hasCommand === hasBin) {
+    throw new Error(`runner "${name}": set exactly one of "command" or "bin"`);
+  }
+  for (const key of ['args', 'coverageArgs']) {
+    if (definition[key] !== undefined && !Array.isArray(definition[key])) {
+      throw new Error(`runner "${name}": "${key}" must be an array`);
+    }
+  }
+  if (definition.progress && definition.dots) {
+    throw new Error(`runner "${name}": use either "progress" or "dots", not both`);
+  }
+
+  const detectRegex = compile(definition.detect, '', 'detect', name);
+
+  // Progress matchers: regexes are matched per line, dots are plain characters
+  const progressMatchers = {};
+  for (const key of PROGRESS_KEYS) {
+    if (definition.progress?.[key] !== undefined) {
+      progressMatchers[key] = compile(definition.progress[key], 'gm', `progress.${key}`, name);
+    } else if (definition.dots?.[key] !== undefined) {
+      progressMatchers[key] = new RegExp(escapeRegExp(String(definition.dots[key])), 'g');
+    }
+  }
+
+  const summaryMatchers = {};
+  for (const key of SUMMARY_KEYS) {
+    if (definition.summary?.[key] !== undefined) {
+      summaryMatchers[key] = compile(definition.summary[key], 'm', `summary.${key}`, name);
+    }
+  }
+
+  const args = definition.args || [];
+  const coverageArgs = definition.coverageArgs || args;
+  const thresholds = definition.thresholds || null;
+
+  const countMatches = (key, text) => {
+    const regex = progressMatchers[key];
+    return regex ? (text.match(regex) || []).length : 0;
+  };
+
+  return {
+    name,
+    junitFile: definition.junit,
+    lcovFile: definition.lcov,
+    progressStream: definition.progressStream === 'stderr' ? 'stderr' : 'stdout',
+
+    detect(testScript) {
+      return detectRegex.test(testScript);
+    },
+
+    buildCommand({ coverage = false, pkgPath = '', outputDir = '', junitPath = '', lcovPath = '', packageManager } = {}) {
+      const values = { pkgPath, outputDir, junitPath, lcovPath };
+      const template = coverage ? coverageArgs : args;
+      const resolved = template.map((arg) => resolveCommand(String(arg), values));
+      if (hasBin) {
+        return buildExecCommand(definition.bin, resolved, { packageManager, pkgPath });
+      }
+      return { command: definition.command, args: resolved };
+    },
+
+    countDots(chunk) {
+      const clean = stripAnsi(chunk);
+      return {
+        passed: countMatches('pass', clean),
+        skipped: countMatches('skip', clean),
+        failed: countMatches('fail', clean),
+      };
+    },
+
+    parseFinal(output) {
+      const result = { files: 0, tests: 0, passed: 0, skipped: 0, failed: 0, duration: 0 };
+      const clean = stripAnsi(output);
+
+      for (const key of SUMMARY_KEYS) {
+        const regex = summaryMatchers[key];
+        if (!regex) continue;
+        const m = clean.match(regex);
+        if (!m || m[1] === undefined) continue;
+        const value = parseFloat(m[1]);
+        if (key === 'duration') {
+          result.duration = value * (DURATION_FACTORS[m[2]] ?? 1);
+        } else {
+          result[key] = value;
+        }
+      }
+
+      // Derive the total when the tool only reports per-status counts
+      if (!summaryMatchers.tests) {
+        result.tests = result.passed + result.skipped + result.failed;
+      }
+
+      return result;
+    },
+
+    getThresholds() {
+      return thresholds;
+    },
+  };
+}
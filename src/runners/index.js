@@ -2,20 +2,40 @@
  * Runner registry.
  *
  * Imports all runner adapters and provides lookup by name or auto-detection.
- * To add a new runner (e.g. jest), create a new file in this directory
+ * To add a new runner, create a new file in this directory
  * exporting { name, detect, buildCommand, countDots, parseFinal, getThresholds }
  * and add it to the `runners` array below.
  *
  * Each runner module must export:
  *   name: string                           — Human-readable label (e.g. 'vitest')
  *   detect(testScript: string): boolean    — Does this test script belong to this runner?
- *   buildCommand({ coverage }): { command, args }  — CLI command to spawn
+ *   buildCommand({ coverage, pkgPath, packageManager, configFile, outputDir, junitPath, lcovPath, files, shard, testArgs, testPatterns }): { command, args, env? }
+ *                                          — CLI command to spawn, writing its reports to junitPath / lcovPath
+ *                                            (inside outputDir, see getOutputPaths); env is added to the process environment
  *   countDots(chunk: string): { passed, skipped, failed }  — Parse streaming dots
  *   parseFinal(output: string): { files, tests, passed, skipped, failed, duration }  — Parse final summary
- *   getThresholds(pkgPath: string): { lines?, branches?, functions? } | null  — Coverage thresholds
+ *   getThresholds(pkgPath: string, configFile?: string): { lines?, branches?, functions? } | null  — Coverage thresholds
+ *
+ * Optional exports:
+ *   progressStream: 'stdout' | 'stderr'    — Stream countDots() reads (default 'stdout')
+ *   junitFile: string                      — Fixed JUnit output, relative to the package (default: in outputDir)
+ *   lcovFile: string                       — Fixed lcov output, relative to the package (default: in outputDir)
+ *   acceptsFiles: boolean                  — buildCommand() runs only `files` when given (default false)
+ *   acceptsShard: boolean                  — buildCommand() runs only shard `{ index, count }` of the files when given (default false)
+ *   extractArgs(testScript: string): { args, patterns }
+ *                                          — Options and test file patterns the package's script passes to the runner,
+ *                                            carried into buildCommand() as testArgs / testPatterns (see getScriptArgs in parsers.js)
+ *
+ * Runners declared under `runners` in config are built by custom.js and
+ * registered ahead of the built-in ones via registerCustomRunners().
  */
 
+import { join, dirname } from 'node:path';
+import { createCustomRunner } from './custom.js';
 import * as vitest from './vitest.js';
+import * as jest from './jest.js';
+import * as mocha from './mocha.js';
+import * as nodeTest from './node-test.js';
 import * as bun from './bun.js';
 
 /**
@@ -23,7 +43,37 @@ import * as bun from './bun.js';
  * Put more specific runners before less specific ones
  * (e.g. vitest before bun, since vitest is more specific).
  */
-const runners = [vitest, bun];
+const builtinRunners = [vitest, jest, mocha, nodeTest, bun];
+
+/** Config-defined runners come first so they can claim scripts a built-in would also match */
+let runners = [...builtinRunners];
+
+const DEFAULT_JUNIT_FILE = 'coverage/junit.xml';
+const DEFAULT_LCOV_FILE = 'coverage/lcov.info';
+
+/** Report locations inside a run's output directory */
+const OUTPUT_JUNIT_FILE = 'junit.xml';
+const OUTPUT_LCOV_FILE = 'coverage/lcov.info';
+
+/**
+ * Register runners declared under `runners` in config.
+ * Replaces any previously registered custom runners. A custom runner may
+ * reuse a built-in name to override it.
+ * Throws if a definition is invalid.
+ * @param {object[]|undefined} definitions - config.runners
+ */
+export function registerCustomRunners(definitions) {
+  if (definitions === undefined || definitions === null) {
+    runners = [...builtinRunners];
+    return;
+  }
+  if (!Array.isArray(definitions)) {
+    throw new Error('"runners" must be an array');
+  }
+  const custom = definitions.map(createCustomRunner);
+  const customNames = new Set(custom.map((r) => r.name));
+  runners = [...custom, ...builtinRunners.filter((r) => !customNames.has(r.name))];
+}
 
 /**
  * Get a runner adapter by name.
@@ -55,3 +105,40 @@ export function detectRunner(testScript) {
 export function getRunnerNames() {
   return runners.map((r) => r.name);
 }
+
+/**
+ * Get the options and test file patterns a package's test script passes to
+ * its runner (see the adapters' optional extractArgs()).
+ * @param {string|null} runnerName
+ * @param {string|null} testScript
+ * @returns {{ args: string[], patterns: string[] }}
+ */
+export function extractScriptArgs(runnerName, testScript) {
+  const runner = getRunner(runnerName);
+  if (!runner?.extractArgs || !testScript) return { args: [], patterns: [] };
+  return runner.extractArgs(testScript);
+}
+
+/**
+ * Resolve where a package's runner writes its JUnit and coverage output.
+ * With an output directory (see output-dir.js), reports go there unless the
+ * runner declares a fixed location in the package; without one, the
+ * package's coverage/ directory is assumed.
+ * @param {object} pkg - Package object with path and runner properties
+ * @param {string|null} [outputDir] - The run's output directory for this package
+ * @returns {{ junit: string, lcov: string, coverageSummary: string }} - Absolute paths
+ */
+export function getOutputPaths(pkg, outputDir = null) {
+  const runner = getRunner(pkg.runner);
+  const junit = runner?.junitFile
+    ? join(pkg.path, runner.junitFile)
+    : outputDir ? join(outputDir, OUTPUT_JUNIT_FILE) : join(pkg.path, DEFAULT_JUNIT_FILE);
+  const lcov = runner?.lcovFile
+    ? join(pkg.path, runner.lcovFile)
+    : outputDir ? join(outputDir, OUTPUT_LCOV_FILE) : join(pkg.path, DEFAULT_LCOV_FILE);
+  return {
+    junit,
+    lcov,
+    coverageSummary: join(dirname(lcov), 'coverage-summary.json'),
+  };
+}
@@ -0,0 +1,74 @@
+/**
+ * Minimal JUnit reporter for jest, loaded via --reporters=<this file>.
+ *
+ * Writes MONOTESTRUNNER_JUNIT_PATH (default coverage/junit.xml) in the
+ * same flat layout vitest produces (classname = test file, name =
+ * "describe > test") so parseJunitFile handles it without a jest-specific
+ * branch.
+ *
+ * CommonJS on purpose: jest loads reporters with require() in older versions.
+ */
+
+const { mkdirSync, writeFileSync } = require('node:fs');
+const { dirname, join, relative } = require('node:path');
+
+function escapeXml(str) {
+  return String(str)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+class JunitReporter {
+  onRunComplete(_contexts, results) {
+    const cwd = process.cwd();
+    const outputPath = process.env.MONOTESTRUNNER_JUNIT_PATH || join(cwd, 'coverage', 'junit.xml');
+    const suites = [];
+
+    for (const fileResult of results.testResults) {
+      const file = relative(cwd, fileResult.testFilePath);
+      const cases = [];
+      let failures = 0;
+      let skipped = 0;
+      let time = 0;
+
+      for (const test of fileResult.testResults) {
+        const name = [...test.ancestorTitles, test.title].join(' > ');
+        const seconds = (test.duration || 0) / 1000;
+        time += seconds;
+
+        const open = `    <testcase classname="${escapeXml(file)}" name="${escapeXml(name)}" time="${seconds}"`;
+        if (test.status === 'failed') {
+          failures++;
+          const message = test.failureMessages.join('\n');
+          cases.push(`${open}>\n      <failure>${escapeXml(message)}</failure>\n    </testcase>`);
+        } else if (test.status === 'passed') {
+          cases.push(`${open}/>`);
+        } else {
+          skipped++;
+          cases.push(`${open}>\n      <skipped/>\n    </testcase>`);
+        }
+      }
+
+      // Suite failed to run at all (syntax error, missing module) — surface it as one failure
+      if (fileResult.testExecError && cases.length === 0) {
+        failures++;
+        const message = fileResult.failureMessage || fileResult.testExecError.message || 'Test suite failed to run';
+        cases.push(`    <testcase classname="${escapeXml(file)}" name="Test suite failed to run" time="0">\n      <failure>${escapeXml(message)}</failure>\n    </testcase>`);
+      }
+
+      suites.push(
+        `  <testsuite name="${escapeXml(file)}" tests="${cases.length}" failures="${failures}" skipped="${skipped}" time="${time}">\n${cases.join('\n')}\n  </testsuite>`,
+      );
+    }
+
+    const xml = `<?xml version="1.0" encoding="UTF-8"?>\n<testsuites name="jest tests">\n${suites.join('\n')}\n</testsuites>\n`;
+
+    mkdirSync(dirname(outputPath), { recursive: true });
+    writeFileSync(outputPath, xml, 'utf-8');
+  }
+}
+
+module.exports = JunitReporter;
@@ -0,0 +1,207 @@
+/**
+ * Jest runner adapter.
+ *
+ * Provides the runner interface for jest-based test packages.
+ * To add a new runner, create a file in this directory exporting the same shape.
+ */
+
+import { existsSync, readFileSync } from 'node:fs';
+import { dirname, join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { stripAnsi } from '../ui.js';
+import { buildExecCommand } from '../package-manager.js';
+import { getScriptArgs } from '../parsers.js';
+
+/** Human-readable label shown in the UI */
+export const name = 'jest';
+
+/** buildCommand() honours `files` (used to retry only failed test files) */
+export const acceptsFiles = true;
+
+/** buildCommand() honours `shard` (--shard-files splits large packages by test file) */
+export const acceptsShard = true;
+
+/**
+ * Jest's default reporter writes everything (including per-test lines) to stderr.
+ */
+export const progressStream = 'stderr';
+
+/** Bundled JUnit reporter — avoids requiring jest-junit in every package */
+const JUNIT_REPORTER_PATH = fileURLToPath(new URL('./jest-junit-reporter.cjs', import.meta.url));
+
+/**
+ * Detect whether a test script belongs to this runner.
+ * @param {string} testScript - The raw scripts.test string from package.json
+ * @returns {boolean}
+ */
+export function detect(testScript) {
+  return /\bjest\b/.test(testScript);
+}
+
+/**
+ * Read the options (--config, --passWithNoTests, ...) and test path patterns
+ * the package's script passes to jest, leaving out the reporter, coverage and
+ * watch options buildCommand() sets itself.
+ * @param {string} testScript - The raw scripts.test string from package.json
+ * @returns {{ args: string[], patterns: string[] }}
+ */
+export function extractArgs(testScript) {
+  return getScriptArgs(testScript, 'jest', {
+    owned: ['--reporters*', '--verbose', '--coverage*', '--collectCoverage*', '--watch', '--watchAll', '--shard*'],
+    valueFlags: [
+      '--config', '-c', '--rootDir', '--roots', '--selectProjects', '--testNamePattern', '-t', '--testPathPattern',
+      '--testPathIgnorePatterns', '--maxWorkers', '-w', '--testTimeout', '--testEnvironment', '--env',
+      '--collectCoverageFrom', '--coverageDirectory', '--coverageReporters', '--coverageProvider',
+      '--reporters', '--outputFile', '--shard',
+    ],
+    booleanFlags: [
+      '--no-*', '--ci', '--silent', '--passWithNoTests', '--runInBand', '--detectOpenHandles', '--forceExit',
+      '--onlyChanged', '--changedFilesWithAncestor', '--clearMocks', '--resetMocks', '--restoreMocks',
+      '--logHeapUsage', '--noStackTrace', '--errorOnDeprecated', '--updateSnapshot', '--json', '--useStderr',
+      '--injectGlobals', '--testLocationInResults', '--listTests', '--showConfig', '--debug',
+    ],
+  });
+}
+
+/**
+ * Build the command and args to spawn a test run.
+ * --verbose makes the default reporter print one ✓/✕/○ line per test, used for streaming.
+ * @param {object} opts
+ * @param {boolean} opts.coverage - Whether coverage is enabled
+ * @param {string} [opts.pkgPath] - Package root
+ * @param {string|null} [opts.packageManager] - Workspace package manager
+ * @param {string} [opts.configFile] - Explicit jest config (Nx test targets)
+ * @param {string} [opts.junitPath] - Where the bundled reporter writes the JUnit report (default coverage/junit.xml)
+ * @param {string} [opts.lcovPath] - Where to write lcov.info (the coverage summary goes next to it)
+ * @param {string[]} [opts.files] - Only run these test files (absolute paths)
+ * @param {{ index: number, count: number }} [opts.shard] - Only run this shard of the test files
+ * @param {string[]} [opts.testArgs] - Options from the package's script or Nx target (see extractArgs)
+ * @param {string[]} [opts.testPatterns] - Test path patterns from the package's script or Nx target, replaced by `files`
+ * @returns {{ command: string, args: string[], env?: object }}
+ */
+export function buildCommand({ coverage = false, pkgPath, packageManager, configFile, junitPath, lcovPath, files, shard, testArgs = [], testPatterns = [] } = {}) {
+  const args = ['--verbose', '--reporters=default', `--reporters=${JUNIT_REPORTER_PATH}`];
+  if (coverage) {
+    args.push('--coverage', '--coverageReporters=json-summary', '--coverageReporters=lcov');
+    if (lcovPath) args.push(`--coverageDirectory=${dirname(lcovPath)}`);
+  }
+  if (configFile) args.push('--config', configFile);
+  args.push(...testArgs);
+  if (shard) args.push(`--shard=${shard.index}/${shard.count}`);
+  // Exact paths rather than regex patterns
+  if (files) args.push('--runTestsByPath', ...files);
+  else args.push(...testPatterns);
+  const command = buildExecCommand('jest', args, { packageManager, pkgPath });
+  // Jest reporters take no options on the command line
+  return junitPath ? { ...command, env: { MONOTESTRUNNER_JUNIT_PATH: junitPath } } : command;
+}
+
+/**
+ * Count per-test marks from streaming output.
+ * Jest verbose reporter: ✓ = pass, ○/✎ = skip/todo, ✕ = fail (√/× on Windows)
+ * @param {string} chunk - Raw stderr chunk
+ * @returns {{ passed: number, skipped: number, failed: number }}
+ */
+export function countDots(chunk) {
+  const clean = stripAnsi(chunk);
+  return {
+    passed: (clean.match(/^\s*[✓√] /gm) || []).length,
+    skipped: (clean.match(/^\s*[○✎] /gm) || []).length,
+    failed: (clean.match(/^\s*[✕×] /gm) || []).length,
+  };
+}
+
+/**
+ * Parse the final summary output after a test run completes.
+ * @param {string} output - Full stdout+stderr
+ * @returns {{ files: number, tests: number, passed: number, skipped: number, failed: number, duration: number }}
+ */
+export function parseFinal(output) {
+  const result = { files: 0, tests: 0, passed: 0, skipped: 0, failed: 0, duration: 0 };
+  const clean = stripAnsi(output);
+
+  // Test Suites: 1 failed, 2 passed, 3 total
+  const suitesMatch = clean.match(/Test Suites:.*?(\d+)\s+total/);
+  if (suitesMatch) result.files = parseInt(suitesMatch[1], 10);
+
+  // Tests:       1 failed, 2 skipped, 1 todo, 10 passed, 14 total
+  const testsLine = clean.match(/^Tests:(.*)$/m);
+  if (testsLine) {
+    const count = (label) => {
+      const m = testsLine[1].match(new RegExp(`(\\d+)\\s+${label}`));
+      return m ? parseInt(m[1], 10) : 0;
+    };
+    result.failed = count('failed');
+    result.passed = count('passed');
+    result.skipped = count('skipped') + count('todo');
+    result.tests = count('total');
+  }
+
+  // Time:        1.234 s, estimated 2 s  (older versions: 1.234s)
+  const timeMatch = clean.match(/Time:\s+([\d.]+)\s*(ms|s)\b/);
+  if (timeMatch) {
+    const value = parseFloat(timeMatch[1]);
+    result.duration = timeMatch[2] === 'ms' ? value / 1000 : value;
+  }
+
+  return result;
+}
+
+/**
+ * Extract { lines, branches, functions } from a coverageThreshold.global block.
+ * Works for both JS object literals and JSON (quoted keys).
+ * Negative values (absolute uncovered counts) are ignored.
+ * @param {string} content - Config file content
+ * @returns {{ lines?: number, branches?: number, functions?: number } | null}
+ */
+function parseThresholdBlock(content) {
+  const thresholdMatch = content.match(/["']?coverageThreshold["']?\s*:\s*\{\s*["']?global["']?\s*:\s*\{([^}]+)\}/);
+  if (!thresholdMatch) return null;
+
+  const block = thresholdMatch[1];
+  const result = {};
+
+  for (const key of ['lines', 'branches', 'functions']) {
+    const m = block.match(new RegExp(`["']?${key}["']?\\s*:\\s*([\\d.]+)`));
+    if (m) result[key] = parseFloat(m[1]);
+  }
+
+  return Object.keys(result).length > 0 ? result : null;
+}
+
+/**
+ * Read coverage thresholds from the package's jest config.
+ * Tries jest.config.{ts,js,mjs,cjs,json}, then the "jest" field of package.json.
+ * @param {string} pkgPath - Absolute path to the package root
+ * @param {string} [configFile] - Explicit config path, checked first
+ * @returns {{ lines?: number, branches?: number, functions?: number } | null}
+ */
+export function getThresholds(pkgPath, configFile) {
+  const candidates = ['jest.config.ts', 'jest.config.js', 'jest.config.mjs', 'jest.config.cjs', 'jest.config.json']
+    .map((f) => join(pkgPath, f));
+  if (configFile) candidates.unshift(configFile);
+
+  for (const configPath of candidates) {
+    if (!existsSync(configPath)) continue;
+
+    const result = parseThresholdBlock(readFileSync(configPath, 'utf-8'));
+    if (result) return result;
+  }
+
+  const pkgJsonPath = join(pkgPath, 'package.json');
+  if (!existsSync(pkgJsonPath)) return null;
+
+  try {
+    const pkgJson = JSON.parse(readFileSync(pkgJsonPath, 'utf-8'));
+    const global = pkgJson.jest?.coverageThreshold?.global;
+    if (!global) return null;
+
+    const result = {};
+    for (const key of ['lines', 'branches', 'functions']) {
+      if (typeof global[key] === 'number' && global[key] >= 0) result[key] = global[key];
+    }
+    return Object.keys(result).length > 0 ? result : null;
+  } catch {
+    return null;
+  }
+}
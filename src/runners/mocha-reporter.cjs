@@ -0,0 +1,126 @@
+/**
+ * Mocha reporter used by the mocha adapter, loaded via --reporter <this file>.
+ *
+ * Mocha only runs one reporter at a time, so this one does both jobs:
+ *   - streams dot-reporter characters to stdout (․ pass, , pending, ! fail)
+ *     followed by mocha's usual "N passing / N pending / N failing" epilogue
+ *   - writes MONOTESTRUNNER_JUNIT_PATH (default coverage/junit.xml) in the flat vitest layout
+ *     (classname = test file, name = "describe > test")
+ *
+ * Self-contained (does not require('mocha')) because it is resolved from
+ * monotestrunner's install, not from the package under test.
+ */
+
+const { mkdirSync, writeFileSync } = require('node:fs');
+const { dirname, join, relative } = require('node:path');
+
+const LINE_WIDTH = 60;
+
+function escapeXml(str) {
+  return String(str)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+function formatMs(ms) {
+  if (ms >= 60000) return `${Math.round(ms / 60000)}m`;
+  if (ms >= 1000) return `${Math.round(ms / 1000)}s`;
+  return `${ms}ms`;
+}
+
+class MochaReporter {
+  constructor(runner) {
+    const cwd = process.cwd();
+    const results = []; // { file, name, status, duration, failureMessage }
+    const failures = [];
+    let column = 0;
+    let start = 0;
+
+    const write = (ch) => {
+      if (column % LINE_WIDTH === 0) process.stdout.write('\n  ');
+      process.stdout.write(ch);
+      column++;
+    };
+
+    const record = (test, status, failureMessage = '') => {
+      results.push({
+        file: test.file ? relative(cwd, test.file) : 'unknown',
+        name: test.titlePath().join(' > '),
+        status,
+        duration: (test.duration || 0) / 1000,
+        failureMessage,
+      });
+    };
+
+    runner.on('start', () => {
+      start = Date.now();
+    });
+
+    runner.on('pass', (test) => {
+      write('․');
+      record(test, 'passed');
+    });
+
+    runner.on('pending', (test) => {
+      write(',');
+      record(test, 'skipped');
+    });
+
+    runner.on('fail', (test, err) => {
+      write('!');
+      const message = (err && (err.stack || err.message)) || String(err);
+      failures.push({ title: test.fullTitle(), message });
+      record(test, 'failed', message);
+    });
+
+    runner.once('end', () => {
+      const passed = results.filter((r) => r.status === 'passed').length;
+      const pending = results.filter((r) => r.status === 'skipped').length;
+
+      let epilogue = `\n\n  ${passed} passing (${formatMs(Date.now() - start)})\n`;
+      if (pending > 0) epilogue += `  ${pending} pending\n`;
+      if (failures.length > 0) {
+        epilogue += `  ${failures.length} failing\n`;
+        failures.forEach((f, i) => {
+          epilogue += `\n  ${i + 1}) ${f.title}:\n     ${f.message.split('\n').join('\n     ')}\n`;
+        });
+      }
+      process.stdout.write(epilogue + '\n');
+
+      writeJunit(process.env.MONOTESTRUNNER_JUNIT_PATH || join(cwd, 'coverage', 'junit.xml'), results);
+    });
+  }
+}
+
+function writeJunit(outputPath, results) {
+  const byFile = new Map();
+  for (const r of results) {
+    if (!byFile.has(r.file)) byFile.set(r.file, []);
+    byFile.get(r.file).push(r);
+  }
+
+  const suites = [];
+  for (const [file, tests] of byFile) {
+    const cases = tests.map((t) => {
+      const open = `    <testcase classname="${escapeXml(file)}" name="${escapeXml(t.name)}" time="${t.duration}"`;
+      if (t.status === 'failed') return `${open}>\n      <failure>${escapeXml(t.failureMessage)}</failure>\n    </testcase>`;
+      if (t.status === 'skipped') return `${open}>\n      <skipped/>\n    </testcase>`;
+      return `${open}/>`;
+    });
+    const failures = tests.filter((t) => t.status === 'failed').length;
+    const skipped = tests.filter((t) => t.status === 'skipped').length;
+    suites.push(
+      `  <testsuite name="${escapeXml(file)}" tests="${tests.length}" failures="${failures}" skipped="${skipped}">\n${cases.join('\n')}\n  </testsuite>`,
+    );
+  }
+
+  const xml = `<?xml version="1.0" encoding="UTF-8"?>\n<testsuites name="mocha tests">\n${suites.join('\n')}\n</testsuites>\n`;
+
+  mkdirSync(dirname(outputPath), { recursive: true });
+  writeFileSync(outputPath, xml, 'utf-8');
+}
+
+module.exports = MochaReporter;
@@ -0,0 +1,177 @@
+/**
+ * Mocha runner adapter.
+ *
+ * Provides the runner interface for mocha-based test packages.
+ * Coverage runs wrap mocha in c8, or nyc when the package is set up for it.
+ * To add a new runner, create a file in this directory exporting the same shape.
+ */
+
+import { existsSync, readFileSync } from 'node:fs';
+import { dirname, join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { stripAnsi } from '../ui.js';
+import { buildExecCommand, resolveLocalBin } from '../package-manager.js';
+
+/** Human-readable label shown in the UI */
+export const name = 'mocha';
+
+/** Bundled reporter — streams dots and writes JUnit (mocha allows a single reporter) */
+const REPORTER_PATH = fileURLToPath(new URL('./mocha-reporter.cjs', import.meta.url));
+
+const NYC_CONFIG_FILES = ['.nycrc', '.nycrc.json'];
+const C8_CONFIG_FILES = ['.c8rc', '.c8rc.json'];
+
+/**
+ * Detect whether a test script belongs to this runner.
+ * @param {string} testScript - The raw scripts.test string from package.json
+ * @returns {boolean}
+ */
+export function detect(testScript) {
+  return /\bmocha\b/.test(testScript);
+}
+
+/**
+ * Read package.json at pkgPath, or null.
+ * @param {string} pkgPath
+ * @returns {object|null}
+ */
+function readPkgJson(pkgPath) {
+  const pkgJsonPath = join(pkgPath, 'package.json');
+  if (!existsSync(pkgJsonPath)) return null;
+  try {
+    return JSON.parse(readFileSync(pkgJsonPath, 'utf-8'));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Pick the coverage wrapper for a package: nyc when it has an nyc config
+ * or already uses nyc in its test script, c8 otherwise.
+ * @param {string|undefined} pkgPath - Absolute path to the package root
+ * @returns {'c8'|'nyc'}
+ */
+export function getCoverageTool(pkgPath) {
+  if (!pkgPath) return 'c8';
+  if (NYC_CONFIG_FILES.some((f) => existsSync(join(pkgPath, f)))) return 'nyc';
+  const pkgJson = readPkgJson(pkgPath);
+  if (pkgJson?.nyc || /\bnyc\b/.test(pkgJson?.scripts?.test || '')) return 'nyc';
+  return 'c8';
+}
+
+/**
+ * Build the command and args to spawn a test run.
+ * @param {object} opts
+ * @param {boolean} opts.coverage - Whether coverage is enabled
+ * @param {string} [opts.pkgPath] - Package root, used to choose c8 or nyc
+ * @param {string|null} [opts.packageManager] - Workspace package manager
+ * @param {string} [opts.configFile] - Explicit .mocharc path
+ * @param {string} [opts.junitPath] - Where the bundled reporter writes the JUnit report (default coverage/junit.xml)
+ * @param {string} [opts.lcovPath] - Where to write lcov.info (the coverage summary goes next to it)
+ * @returns {{ command: string, args: string[], env?: object }}
+ */
+export function buildCommand({ coverage = false, pkgPath, packageManager, configFile, junitPath, lcovPath } = {}) {
+  const reporterArgs = ['--reporter', REPORTER_PATH];
+  if (configFile) reporterArgs.push('--config', configFile);
+  // Passed through the wrapper's environment, so it reaches mocha either way
+  const env = junitPath ? { MONOTESTRUNNER_JUNIT_PATH: junitPath } : undefined;
+  if (!coverage) {
+    return { ...buildExecCommand('mocha', reporterArgs, { packageManager, pkgPath }), env };
+  }
+  // The wrapper spawns mocha by name, which only resolves on the package manager's PATH
+  const mochaBin = packageManager ? 'mocha' : resolveLocalBin('mocha', pkgPath) || 'mocha';
+  // Both tools default to ./coverage as their report directory
+  const tool = getCoverageTool(pkgPath);
+  const wrapperArgs = ['--reporter=json-summary', '--reporter=lcov'];
+  if (lcovPath) wrapperArgs.push(`--report-dir=${dirname(lcovPath)}`);
+  return { ...buildExecCommand(tool, [...wrapperArgs, mochaBin, ...reporterArgs], { packageManager, pkgPath }), env };
+}
+
+/**
+ * Count dots from streaming output.
+ * Dot reporter: ․ = pass, , = pending, ! = fail.
+ * Only lines made entirely of dot characters are counted — the failure
+ * list printed at the end contains commas and exclamation marks.
+ * @param {string} chunk - Raw stdout chunk
+ * @returns {{ passed: number, skipped: number, failed: number }}
+ */
+export function countDots(chunk) {
+  const result = { passed: 0, skipped: 0, failed: 0 };
+  for (const line of stripAnsi(chunk).split('\n')) {
+    if (!/^\s*[․,!]+\s*$/.test(line)) continue;
+    result.passed += (line.match(/․/g) || []).length;
+    result.skipped += (line.match(/,/g) || []).length;
+    result.failed += (line.match(/!/g) || []).length;
+  }
+  return result;
+}
+
+/**
+ * Parse the final summary output after a test run completes.
+ * Mocha does not report a file count.
+ * @param {string} output - Full stdout+stderr
+ * @returns {{ files: number, tests: number, passed: number, skipped: number, failed: number, duration: number }}
+ */
+export function parseFinal(output) {
+  const result = { files: 0, tests: 0, passed: 0, skipped: 0, failed: 0, duration: 0 };
+  const clean = stripAnsi(output);
+
+  // 12 passing (45ms)
+  const passMatch = clean.match(/(\d+)\s+passing\s+\((\d+)(ms|s|m|h)\)/);
+  if (passMatch) {
+    result.passed = parseInt(passMatch[1], 10);
+    const value = parseInt(passMatch[2], 10);
+    const factor = { ms: 0.001, s: 1, m: 60, h: 3600 }[passMatch[3]];
+    result.duration = value * factor;
+  }
+
+  const pendingMatch = clean.match(/(\d+)\s+pending/);
+  if (pendingMatch) result.skipped = parseInt(pendingMatch[1], 10);
+
+  const failMatch = clean.match(/(\d+)\s+failing/);
+  if (failMatch) result.failed = parseInt(failMatch[1], 10);
+
+  result.tests = result.passed + result.skipped + result.failed;
+
+  return result;
+}
+
+/**
+ * Extract { lines, branches, functions } from a c8/nyc config object.
+ * @param {object|undefined} config
+ * @returns {{ lines?: number, branches?: number, functions?: number } | null}
+ */
+function pickThresholds(config) {
+  if (!config || typeof config !== 'object') return null;
+  const result = {};
+  for (const key of ['lines', 'branches', 'functions']) {
+    if (typeof config[key] === 'number') result[key] = config[key];
+  }
+  return Object.keys(result).length > 0 ? result : null;
+}
+
+/**
+ * Read coverage thresholds from the package's c8 or nyc config.
+ * Tries the config of the wrapper buildCommand() would use first:
+ * .c8rc(.json) / .nycrc(.json), then the "c8" / "nyc" field of package.json.
+ * @param {string} pkgPath - Absolute path to the package root
+ * @returns {{ lines?: number, branches?: number, functions?: number } | null}
+ */
+export function getThresholds(pkgPath) {
+  const tool = getCoverageTool(pkgPath);
+  const files = tool === 'nyc' ? [...NYC_CONFIG_FILES, ...C8_CONFIG_FILES] : [...C8_CONFIG_FILES, ...NYC_CONFIG_FILES];
+
+  for (const fileName of files) {
+    const configPath = join(pkgPath, fileName);
+    if (!existsSync(configPath)) continue;
+    try {
+      const result = pickThresholds(JSON.parse(readFileSync(configPath, 'utf-8')));
+      if (result) return result;
+    } catch {
+      // Not JSON (e.g. YAML .nycrc) — skip
+    }
+  }
+
+  const pkgJson = readPkgJson(pkgPath);
+  return pickThresholds(pkgJson?.[tool]) || pickThresholds(pkgJson?.[tool === 'nyc' ? 'c8' : 'nyc']);
+}
@@ -0,0 +1,153 @@
+/**
+ * Node.js built-in test runner adapter (node --test).
+ *
+ * Provides the runner interface for packages tested with node:test and no framework.
+ * To add a new runner, create a file in this directory exporting the same shape.
+ */
+
+import { existsSync, readFileSync } from 'node:fs';
+import { join } from 'node:path';
+import { stripAnsi } from '../ui.js';
+import { getScriptArgs } from '../parsers.js';
+
+/** Human-readable label shown in the UI */
+export const name = 'node-test';
+
+/** buildCommand() honours `files` (used to retry only failed test files) */
+export const acceptsFiles = true;
+
+/** buildCommand() honours `shard` (--shard-files splits large packages by test file) */
+export const acceptsShard = true;
+
+/**
+ * Detect whether a test script belongs to this runner.
+ * Matches `node --test`, also with other node flags in between.
+ * @param {string} testScript - The raw scripts.test string from package.json
+ * @returns {boolean}
+ */
+export function detect(testScript) {
+  return /\bnode\s+(?:[^&|;]*\s)?--test\b/.test(testScript);
+}
+
+/**
+ * Read the node flags (--import, --test-coverage-lines, ...) and test file
+ * globs the package's script passes, leaving out the test and reporter flags
+ * buildCommand() sets itself.
+ * @param {string} testScript - The raw scripts.test string from package.json
+ * @returns {{ args: string[], patterns: string[] }}
+ */
+export function extractArgs(testScript) {
+  return getScriptArgs(testScript, 'node', {
+    owned: ['--test', '--test-reporter*', '--experimental-test-coverage', '--watch', '--test-shard*'],
+    valueFlags: [
+      '--import', '--require', '-r', '--loader', '--experimental-loader', '--conditions', '-C', '--env-file',
+      '--test-name-pattern', '--test-skip-pattern', '--test-concurrency', '--test-timeout', '--test-coverage-*',
+      '--test-reporter', '--test-reporter-destination', '--test-shard',
+    ],
+    booleanFlags: [
+      '--no-*', '--experimental-*', '--test-only', '--test-force-exit', '--test-update-snapshots',
+      '--enable-source-maps', '--expose-gc', '--trace-*', '--preserve-symlinks',
+    ],
+  });
+}
+
+/**
+ * Build the command and args to spawn a test run.
+ * dot → stdout for streaming, spec → stderr for the final totals, junit → file.
+ * @param {object} opts
+ * @param {boolean} opts.coverage - Whether coverage is enabled
+ * @param {string} [opts.junitPath] - Where to write the JUnit report
+ * @param {string} [opts.lcovPath] - Where to write lcov.info
+ * @param {string[]} [opts.files] - Only run these test files (absolute paths)
+ * @param {{ index: number, count: number }} [opts.shard] - Only run this shard of the test files
+ * @param {string[]} [opts.testArgs] - Node flags from the package's script (see extractArgs)
+ * @param {string[]} [opts.testPatterns] - Test file globs from the package's script, replaced by `files`
+ * @returns {{ command: string, args: string[] }}
+ */
+export function buildCommand({ coverage = false, junitPath = 'coverage/junit.xml', lcovPath = 'coverage/lcov.info', files, shard, testArgs = [], testPatterns = [] } = {}) {
+  const args = [
+    '--test',
+    '--test-reporter=dot', '--test-reporter-destination=stdout',
+    '--test-reporter=spec', '--test-reporter-destination=stderr',
+    '--test-reporter=junit', `--test-reporter-destination=${junitPath}`,
+  ];
+  if (coverage) {
+    args.push('--experimental-test-coverage', '--test-reporter=lcov', `--test-reporter-destination=${lcovPath}`);
+  }
+  args.push(...testArgs);
+  if (shard) args.push(`--test-shard=${shard.index}/${shard.count}`);
+  args.push(...(files ?? testPatterns));
+  return { command: 'node', args };
+}
+
+/**
+ * Count dots from streaming output.
+ * Node dot reporter: . = pass (skips included), X = fail.
+ * Only lines made entirely of dots are counted — the failure recap printed
+ * after the dots contains stack traces full of '.' characters.
+ * @param {string} chunk - Raw stdout chunk
+ * @returns {{ passed: number, skipped: number, failed: number }}
+ */
+export function countDots(chunk) {
+  const result = { passed: 0, skipped: 0, failed: 0 };
+  for (const line of stripAnsi(chunk).split('\n')) {
+    if (!/^[.X]+$/.test(line)) continue;
+    result.passed += (line.match(/\./g) || []).length;
+    result.failed += (line.match(/X/g) || []).length;
+  }
+  return result;
+}
+
+/**
+ * Parse the final summary output after a test run completes.
+ * Reads the spec (ℹ tests 5) or tap (# tests 5) totals block.
+ * Node does not report a file count.
+ * @param {string} output - Full stdout+stderr
+ * @returns {{ files: number, tests: number, passed: number, skipped: number, failed: number, duration: number }}
+ */
+export function parseFinal(output) {
+  const result = { files: 0, tests: 0, passed: 0, skipped: 0, failed: 0, duration: 0 };
+  const clean = stripAnsi(output);
+
+  // Not anchored to line start: dots streamed on stdout can interleave with stderr lines
+  const count = (label) => {
+    const m = clean.match(new RegExp(`[ℹ#]\\s+${label}\\s+([\\d.]+)`));
+    return m ? parseFloat(m[1]) : 0;
+  };
+
+  result.tests = count('tests');
+  result.passed = count('pass');
+  result.failed = count('fail') + count('cancelled');
+  result.skipped = count('skipped') + count('todo');
+  result.duration = count('duration_ms') / 1000;
+
+  return result;
+}
+
+/**
+ * Read coverage thresholds from the package's test script.
+ * Node takes them as CLI flags: --test-coverage-lines=N, --test-coverage-branches=N,
+ * --test-coverage-functions=N.
+ * @param {string} pkgPath - Absolute path to the package root
+ * @returns {{ lines?: number, branches?: number, functions?: number } | null}
+ */
+export function getThresholds(pkgPath) {
+  const pkgJsonPath = join(pkgPath, 'package.json');
+  if (!existsSync(pkgJsonPath)) return null;
+
+  let testScript;
+  try {
+    testScript = JSON.parse(readFileSync(pkgJsonPath, 'utf-8')).scripts?.test;
+  } catch {
+    return null;
+  }
+  if (!testScript) return null;
+
+  const result = {};
+  for (const key of ['lines', 'branches', 'functions']) {
+    const m = testScript.match(new RegExp(`--test-coverage-${key}[=\\s]+([\\d.]+)`));
+    if (m) result[key] = parseFloat(m[1]);
+  }
+
+  return Object.keys(result).length > 0 ? result : null;
+}
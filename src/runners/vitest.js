@@ -6,12 +6,20 @@
  */
 
 import { existsSync, readFileSync } from 'node:fs';
-import { join } from 'node:path';
+import { dirname, join } from 'node:path';
 import { stripAnsi } from '../ui.js';
+import { buildExecCommand } from '../package-manager.js';
+import { getScriptArgs } from '../parsers.js';
 
 /** Human-readable label shown in the UI */
 export const name = 'vitest';
 
+/** buildCommand() honours `files` (used to retry only failed test files) */
+export const acceptsFiles = true;
+
+/** buildCommand() honours `shard` (--shard-files splits large packages by test file) */
+export const acceptsShard = true;
+
 /**
  * Detect whether a test script belongs to this runner.
  * @param {string} testScript - The raw scripts.test string from package.json
@@ -21,18 +29,55 @@ export function detect(testScript) {
   return testScript.includes('vitest');
 }
 
+/**
+ * Read the options (--config, --passWithNoTests, ...) and file filters the
+ * package's script passes to vitest, leaving out the subcommand and the
+ * reporter, coverage and watch options buildCommand() sets itself.
+ * @param {string} testScript - The raw scripts.test string from package.json
+ * @returns {{ args: string[], patterns: string[] }}
+ */
+export function extractArgs(testScript) {
+  return getScriptArgs(testScript, 'vitest', {
+    subcommands: ['run', 'watch', 'dev'],
+    owned: ['--reporter*', '--outputFile*', '--coverage*', '--watch', '-w', '--run', '--shard*'],
+    valueFlags: [
+      '--config', '-c', '--root', '-r', '--dir', '--project', '--environment', '--pool', '--mode',
+      '--testNamePattern', '-t', '--exclude', '--maxWorkers', '--minWorkers', '--testTimeout', '--retry',
+      '--reporter', '--outputFile', '--shard',
+    ],
+    booleanFlags: [
+      '--no-*', '--silent', '--passWithNoTests', '--globals', '--dom', '--isolate', '--allowOnly', '--changed',
+      '--update', '-u', '--ui', '--hideSkippedTests', '--logHeapUsage', '--clearScreen', '--typecheck',
+    ],
+  });
+}
+
 /**
  * Build the command and args to spawn a test run.
  * @param {object} opts
  * @param {boolean} opts.coverage - Whether coverage is enabled
+ * @param {string} [opts.pkgPath] - Package root
+ * @param {string|null} [opts.packageManager] - Workspace package manager
+ * @param {string} [opts.configFile] - Explicit vitest config (Nx test targets)
+ * @param {string} [opts.junitPath] - Where to write the JUnit report
+ * @param {string} [opts.lcovPath] - Where to write lcov.info (the coverage summary goes next to it)
+ * @param {string[]} [opts.files] - Only run these test files (absolute paths)
+ * @param {{ index: number, count: number }} [opts.shard] - Only run this shard of the test files
+ * @param {string[]} [opts.testArgs] - Options from the package's script or Nx target (see extractArgs)
+ * @param {string[]} [opts.testPatterns] - File filters from the package's script or Nx target, replaced by `files`
  * @returns {{ command: string, args: string[] }}
  */
-export function buildCommand({ coverage = false } = {}) {
-  const args = ['vitest', 'run', '--reporter=dot', '--reporter=junit', '--outputFile.junit=coverage/junit.xml'];
+export function buildCommand({ coverage = false, pkgPath, packageManager, configFile, junitPath = 'coverage/junit.xml', lcovPath, files, shard, testArgs = [], testPatterns = [] } = {}) {
+  const args = ['run', '--reporter=dot', '--reporter=junit', `--outputFile.junit=${junitPath}`];
   if (coverage) {
     args.push('--coverage', '--coverage.reporter=json-summary', '--coverage.reporter=lcov');
+    if (lcovPath) args.push(`--coverage.reportsDirectory=${dirname(lcovPath)}`);
   }
-  return { command: 'pnpm', args };
+  if (configFile) args.push('--config', configFile);
+  args.push(...testArgs);
+  if (shard) args.push(`--shard=${shard.index}/${shard.count}`);
+  args.push(...(files ?? testPatterns));
+  return buildExecCommand('vitest', args, { packageManager, pkgPath });
 }
 
 /**
@@ -85,11 +130,14 @@ export function parseFinal(output) {
  * Read coverage thresholds from the package's config file.
  * Tries vitest.config.ts, vitest.config.js, vite.config.ts, vite.config.js.
  * @param {string} pkgPath - Absolute path to the package root
+ * @param {string} [configFile] - Explicit config path, checked first
  * @returns {{ lines?: number, branches?: number, functions?: number } | null}
  */
-export function getThresholds(pkgPath) {
-  for (const fileName of ['vitest.config.ts', 'vitest.config.js', 'vite.config.ts', 'vite.config.js']) {
-    const configPath = join(pkgPath, fileName);
+export function getThresholds(pkgPath, configFile) {
+  const candidates = ['vitest.config.ts', 'vitest.config.js', 'vite.config.ts', 'vite.config.js'].map((f) => join(pkgPath, f));
+  if (configFile) candidates.unshift(configFile);
+
+  for (const configPath of candidates) {
     if (!existsSync(configPath)) continue;
 
     const content = readFileSync(configPath, 'utf-8');
@@ -0,0 +1,92 @@
+/**
+ * Concurrency-limited run queue.
+ *
+ * Package runs (initial runs, reruns, watch triggers) are queued by package
+ * name and started in FIFO order, at most `concurrency` at a time. A name that
+ * is already waiting is not queued twice. A task that throws is reported to
+ * `onError` and the queue moves on.
+ */
+
+import { availableParallelism } from 'node:os';
+
+/**
+ * Default number of concurrent package runs: one per CPU.
+ * @returns {number}
+ */
+export function getDefaultConcurrency() {
+  return Math.max(1, availableParallelism());
+}
+
+/**
+ * Create a run queue.
+ *
+ * @param {number} concurrency - Maximum number of tasks running at once
+ * @param {(name: string, error: unknown) => void} [onError] - Called when a task throws
+ * @returns {{
+ *   enqueue: (name: string, task: () => Promise<void>) => Promise<void>,
+ *   cancel: (name: string) => boolean,
+ *   isQueued: (name: string) => boolean,
+ *   readonly active: number,
+ *   readonly size: number,
+ * }}
+ */
+export function createScheduler(concurrency, onError = () => {}) {
+  const queue = []; // { name, task, resolve }
+  const waiting = new Map(); // name → promise resolved when its task has finished (or was cancelled)
+  let active = 0;
+
+  const startNext = () => {
+    while (active < concurrency && queue.length > 0) {
+      const { name, task, resolve } = queue.shift();
+      waiting.delete(name);
+      active++;
+      // Start synchronously so the task can update state before the next render
+      new Promise((res) => res(task()))
+        .catch((error) => onError(name, error))
+        .finally(() => {
+          active--;
+          resolve();
+          startNext();
+        });
+    }
+  };
+
+  return {
+    /**
+     * Queue a task under a name. Resolves once the task has finished.
+     * If the name is already waiting, the existing entry is kept and its promise returned.
+     */
+    enqueue(name, task) {
+      if (waiting.has(name)) return waiting.get(name);
+      let resolve;
+      const promise = new Promise((res) => { resolve = res; });
+      queue.push({ name, task, resolve });
+      waiting.set(name, promise);
+      startNext();
+      return promise;
+    },
+
+    /** Drop a waiting task (running ones are unaffected). Its promise resolves. */
+    cancel(name) {
+      const index = queue.findIndex((entry) => entry.name === name);
+      if (index === -1) return false;
+      const [entry] = queue.splice(index, 1);
+      waiting.delete(name);
+      entry.resolve();
+      return true;
+    },
+
+    /** Is a task with this name waiting to start? */
+    isQueued(name) {
+      return waiting.has(name);
+    },
+
+    get active() {
+      return active;
+    },
+
+    get size() {
+      return queue.length;
+    },
+  };
+}
@@ -0,0 +1,92 @@
+/**
+ * Test sharding across CI machines (--shard i/n).
+ *
+ * Every shard computes the same split of the selected packages and keeps its
+ * own part. Packages are weighted by their average duration in the run
+ * history when any of them has one (packages without one get the average),
+ * and count 1 each otherwise. The heaviest packages are handed out first,
+ * each to the shard with the least work so far, so the split depends only on
+ * the package list and the timing data.
+ *
+ * With --shard-files, a package heavier than one shard's share is not given
+ * to a single shard: every shard runs it with the runner's own sharding flag,
+ * each taking a slice of its test files. When the package has too few test
+ * files for every shard to get one, only the first shards run it.
+ */
+
+import { getRunner } from './runners/index.js';
+
+/**
+ * Parse a --shard value.
+ * @param {string} value - "i/n"
+ * @returns {{ index: number, count: number }|null} - null when invalid
+ */
+export function parseShard(value) {
+  const match = /^(\d+)\/(\d+)$/.exec(value.trim());
+  if (!match) return null;
+  const index = Number(match[1]);
+  const count = Number(match[2]);
+  return index >= 1 && index <= count ? { index, count } : null;
+}
+
+/**
+ * Number of shards a package with `files` test files can be split over
+ * without leaving one of them empty. vitest and jest cut ceil(files / n)-file
+ * slices, so 4 files over 3 shards fill only 2; node --test deals files out
+ * in turn, which the same count also keeps non-empty.
+ * @param {number|undefined} files - Test file count, undefined when unknown
+ * @param {number} count - Shard count
+ * @returns {number}
+ */
+function getFileShardCount(files, count) {
+  if (!files) return count;
+  return Math.ceil(files / Math.ceil(files / count));
+}
+
+/**
+ * Select the packages of one shard.
+ *
+ * @param {object[]} packages - Selected packages, in run order
+ * @param {{ index: number, count: number }} shard - 1-based shard index and shard count
+ * @param {Map<string, number>} timings - Average duration in seconds by package name
+ * @param {boolean} [shardFiles] - Split packages heavier than one shard's share by test file
+ * @param {Map<string, number>} [fileCounts] - Test file count by package name, where known
+ * @returns {{ packages: object[], weighted: boolean, split: string[] }}
+ *   This shard's packages in run order (split ones carry `shard`), whether
+ *   durations were used, and the names of packages split by file
+ */
+export function selectShard(packages, { index, count }, timings, shardFiles = false, fileCounts = new Map()) {
+  const known = packages.map((pkg) => timings.get(pkg.name)).filter((t) => t !== undefined);
+  const weighted = known.length > 0;
+  const fallback = weighted ? known.reduce((sum, t) => sum + t, 0) / known.length : 1;
+  const weights = new Map(packages.map((pkg) => [pkg.name, weighted ? timings.get(pkg.name) ?? fallback : 1]));
+
+  const total = [...weights.values()].reduce((sum, w) => sum + w, 0);
+  const share = total / count;
+  const isSplit = (pkg) => shardFiles && weights.get(pkg.name) > share && Boolean(getRunner(pkg.runner)?.acceptsShard);
+
+  const split = packages.filter(isSplit);
+  const spread = new Map(split.map((pkg) => [pkg.name, getFileShardCount(fileCounts.get(pkg.name), count)]));
+  const loads = new Array(count).fill(0);
+  for (const pkg of split) {
+    for (let i = 0; i < spread.get(pkg.name); i++) loads[i] += weights.get(pkg.name) / spread.get(pkg.name);
+  }
+  const assigned = new Map();
+
+  const whole = packages
+    .filter((pkg) => !isSplit(pkg))
+    .sort((a, b) => weights.get(b.name) - weights.get(a.name) || (a.name < b.name ? -1 : a.name > b.name ? 1 : 0));
+  for (const pkg of whole) {
+    const target = loads.indexOf(Math.min(...loads));
+    assigned.set(pkg.name, target);
+    loads[target] += weights.get(pkg.name);
+  }
+
+  return {
+    packages: packages
+      .filter((pkg) => (isSplit(pkg) ? index <= spread.get(pkg.name) : assigned.get(pkg.name) === index - 1))
+      .map((pkg) => (isSplit(pkg) ? { ...pkg, shard: { index, count: spread.get(pkg.name) } } : pkg)),
+    weighted,
+    split: split.map((pkg) => pkg.name),
+  };
+}
@@ -7,6 +7,7 @@ import c from 'picocolors';
 import cliSpinners from 'cli-spinners';
 import ansiEscapes from 'ansi-escapes';
 import stripAnsiLib from 'strip-ansi';
+import { formatViolations } from './coverage.js';
 
 // Re-export strip-ansi for all consumers
 export const stripAnsi = stripAnsiLib;
@@ -65,6 +66,15 @@ export function formatColoredColumns(passed, skipped, failed, noDim = false) {
   };
 }
 
+/**
+ * Format the flaky column (tests that failed, then passed on a retry)
+ * Dim when 0 | Total row: never dim
+ */
+export function formatFlakyColumn(flaky, noDim = false) {
+  const styled = c.magenta(formatNum(flaky));
+  return !noDim && !flaky ? c.dim(styled) : styled;
+}
+
 /**
  * Create initial state for a package
  */
@@ -74,6 +84,7 @@ export function createInitialState() {
     passed: 0,
     skipped: 0,
     failed: 0,
+    flaky: 0,
     files: null,
     tests: null,
     duration: null,
@@ -98,37 +109,118 @@ export function renderRow(pkg, state, spinnerIdx, nameWidth) {
   const paddedName = pkg.name.padEnd(nameWidth - pkg.runner.length - 3);
 
   if (state.status === 'pending') {
-    return c.dim(`  ${paddedName} ${c.gray(`(${pkg.runner})`)}${formatNum(null)}${formatNum(null)}${formatNum(null)}${formatNum(null)}${formatNum(null)}${formatDuration(null)}`);
+    return c.dim(`  ${paddedName} ${c.gray(`(${pkg.runner})`)}${formatNum(null)}${formatNum(null)}${formatNum(null)}${formatNum(null)}${formatNum(null)}${formatNum(null)}${formatDuration(null)}`);
+  }
+
+  // Waiting for a free concurrency slot
+  if (state.status === 'queued') {
+    return c.dim(`  ${paddedName} ${c.gray(`(${pkg.runner})`)}${formatNum(null)}${formatNum(null)}${formatNum(null)}${formatNum(null)}${formatNum(null)}${formatNum(null)}${'queued'.padStart(10)}`);
   }
 
   if (state.status === 'running') {
     const spinner = spinnerFrames[spinnerIdx % spinnerFrames.length];
     const { passStr, skipStr, failStr } = formatColoredColumns(state.passed, state.skipped, state.failed);
-    return `${name}${c.dim(`${formatNum(null)}${formatNum(null)}`)}${passStr}${skipStr}${failStr}${c.dim(('  ' + spinner).padStart(10))}`;
+    const flakyStr = formatFlakyColumn(state.flaky);
+    return `${name}${c.dim(`${formatNum(null)}${formatNum(null)}`)}${passStr}${skipStr}${failStr}${flakyStr}${c.dim(('  ' + spinner).padStart(10))}`;
+  }
+
+  // Killed by its timeout — counts streamed so far, no final summary
+  if (state.status === 'timed-out') {
+    const { passStr, skipStr, failStr } = formatColoredColumns(state.passed, state.skipped, state.failed);
+    const flakyStr = formatFlakyColumn(state.flaky);
+    return `${name}${c.dim(`${formatNum(null)}${formatNum(null)}`)}${passStr}${skipStr}${failStr}${flakyStr}${c.red('timed out'.padStart(10))}`;
+  }
+
+  // Stopped or never started because of --bail — not counted as passed
+  if (state.status === 'cancelled') {
+    return `${c.dim(`  ${paddedName} ${c.gray(`(${pkg.runner})`)}${formatNum(null)}${formatNum(null)}${formatNum(null)}${formatNum(null)}${formatNum(null)}${formatNum(null)}`)}${c.yellow('cancelled'.padStart(10))}`;
+  }
+
+  // Exited non-zero without any results (missing binary, config error, OOM)
+  if (state.status === 'errored') {
+    const row = `${name}${c.dim(`${formatNum(null)}${formatNum(null)}${formatNum(null)}${formatNum(null)}${formatNum(null)}${formatNum(null)}`)}${formatErroredLabel()}`;
+    return `${row}${formatErrorReason(state, row)}`;
   }
 
   // Done
   const { passStr, skipStr, failStr } = formatColoredColumns(state.passed, state.skipped, state.failed);
-  return `${name}${c.dim(`${formatNum(state.files)}${formatNum(state.tests)}`)}${passStr}${skipStr}${failStr}${c.dim(formatDuration(state.duration))}`;
+  const flakyStr = formatFlakyColumn(state.flaky);
+  return `${name}${c.dim(`${formatNum(state.files)}${formatNum(state.tests)}`)}${passStr}${skipStr}${failStr}${flakyStr}${formatDoneDuration(state)}${formatCoverageFailed(state)}`;
+}
+
+/**
+ * Duration column of a finished package: `cached` when its result was replayed from the cache
+ * @param {object} state
+ * @param {number} width
+ * @returns {string}
+ */
+function formatDoneDuration(state, width = 10) {
+  return state.cached ? c.cyan('cached'.padStart(width)) : c.dim(formatDuration(state.duration, width));
+}
+
+/**
+ * Duration column of an errored package
+ * @param {number} [width]
+ * @returns {string}
+ */
+export function formatErroredLabel(width = 10) {
+  return `${' '.repeat(Math.max(0, width - 9))}${c.bgRed(c.white(' errored '))}`;
+}
+
+/**
+ * Error reason shown after an errored row, cut to fit the terminal
+ * @param {object} state
+ * @param {string} row - The rendered row it follows
+ * @returns {string} - '' when there is no reason or no room
+ */
+export function formatErrorReason(state, row) {
+  if (!state.errorReason) return '';
+  const room = (process.stdout.columns || 120) - stripAnsi(row).length - 2;
+  if (room < 10) return '';
+  const reason = state.errorReason.length > room ? `${state.errorReason.slice(0, room - 1)}…` : state.errorReason;
+  return `  ${c.red(reason)}`;
+}
+
+/**
+ * Marker after the row of a package whose coverage is below its thresholds
+ * @param {object} state
+ * @returns {string} - '' when the thresholds are met or not enforced
+ */
+export function formatCoverageFailed(state) {
+  return state.coverageViolations ? `  ${c.red('coverage failed')}` : '';
 }
 
 /**
  * Render the totals row (non-interactive mode)
  */
 export function renderTotals(states, nameWidth) {
-  const totals = { files: 0, tests: 0, passed: 0, skipped: 0, failed: 0, duration: 0 };
+  const totals = { files: 0, tests: 0, passed: 0, skipped: 0, failed: 0, flaky: 0, duration: 0 };
   let hasAnyDone = false;
+  let cancelled = 0;
+  let cached = 0;
+  let errored = 0;
+  let coverageFailed = 0;
 
   for (const state of Object.values(states)) {
+    // Partial counts of cancelled runs are left out of the totals
+    if (state.status === 'cancelled') {
+      cancelled++;
+      continue;
+    }
+    if (state.status === 'errored') errored++;
+    if (state.coverageViolations) coverageFailed++;
+    if (state.cached) cached++;
     totals.passed += state.passed || 0;
     totals.skipped += state.skipped || 0;
     totals.failed += state.failed || 0;
+    totals.flaky += state.flaky || 0;
 
     if (state.status === 'done') {
       hasAnyDone = true;
       totals.files += state.files || 0;
       totals.tests += state.tests || 0;
-      totals.duration += state.duration || 0;
+      // Time spent in this run: replayed results took none
+      if (!state.cached) totals.duration += state.duration || 0;
     }
   }
 
@@ -136,8 +228,27 @@ export function renderTotals(states, nameWidth) {
   const testsStr = hasAnyDone ? formatNum(totals.tests) : formatNum(null);
   const durationStr = hasAnyDone ? formatDuration(totals.duration) : formatDuration(null);
   const { passStr, skipStr, failStr } = formatColoredColumns(totals.passed, totals.skipped, totals.failed, true);
+  const flakyStr = formatFlakyColumn(totals.flaky, true);
+
+  return `  ${c.bold('Total'.padEnd(nameWidth))}${filesStr}${testsStr}${passStr}${skipStr}${failStr}${flakyStr}${durationStr}${formatTotalsSuffix(cancelled, cached, errored, coverageFailed)}`;
+}
 
-  return `  ${c.bold('Total'.padEnd(nameWidth))}${filesStr}${testsStr}${passStr}${skipStr}${failStr}${durationStr}`;
+/**
+ * Suffix for totals rows when packages errored, failed their coverage
+ * thresholds, were cancelled by --bail or were replayed from the cache
+ * @param {number} cancelled - Number of cancelled packages
+ * @param {number} [cached] - Number of packages with cached results
+ * @param {number} [errored] - Number of packages that exited without results
+ * @param {number} [coverageFailed] - Number of packages below their coverage thresholds
+ * @returns {string}
+ */
+function formatTotalsSuffix(cancelled, cached = 0, errored = 0, coverageFailed = 0) {
+  const parts = [];
+  if (errored > 0) parts.push(c.red(`${errored} errored`));
+  if (coverageFailed > 0) parts.push(c.red(`${coverageFailed} coverage failed`));
+  if (cancelled > 0) parts.push(c.yellow(`${cancelled} cancelled`));
+  if (cached > 0) parts.push(c.cyan(`${cached} cached`));
+  return parts.map((part) => `  ${part}`).join('');
 }
 
 /**
@@ -160,25 +271,27 @@ export function renderInteractiveRow(pkg, state, spinnerIdx, nameWidth, selected
   const name = `${marker} ${styledName} ${runnerSuffix}`;
 
   if (state.status === 'pending') {
-    return c.dim(`${marker} ${paddedName} ${runnerSuffix}${formatNum(null)}${formatNum(null)}${formatNum(null)}${formatNum(null)}${formatNum(null)}${formatDuration(null)}`);
+    return c.dim(`${marker} ${paddedName} ${runnerSuffix}${formatNum(null)}${formatNum(null)}${formatNum(null)}${formatNum(null)}${formatNum(null)}${formatNum(null)}${formatDuration(null)}`);
   }
 
   if (state.status === 'running') {
     const frame = spinnerFrames[spinnerIdx % spinnerFrames.length];
     const { passStr, skipStr, failStr } = formatColoredColumns(state.passed, state.skipped, state.failed);
-    return `${name}${c.dim(`${formatNum(null)}${formatNum(null)}`)}${passStr}${skipStr}${failStr}${c.dim(('  ' + frame).padStart(10))}`;
+    const flakyStr = formatFlakyColumn(state.flaky);
+    return `${name}${c.dim(`${formatNum(null)}${formatNum(null)}`)}${passStr}${skipStr}${failStr}${flakyStr}${c.dim(('  ' + frame).padStart(10))}`;
   }
 
   // Done
   const { passStr, skipStr, failStr } = formatColoredColumns(state.passed, state.skipped, state.failed);
-  return `${name}${c.dim(`${formatNum(state.files)}${formatNum(state.tests)}`)}${passStr}${skipStr}${failStr}${c.dim(formatDuration(state.duration))}`;
+  const flakyStr = formatFlakyColumn(state.flaky);
+  return `${name}${c.dim(`${formatNum(state.files)}${formatNum(state.tests)}`)}${passStr}${skipStr}${failStr}${flakyStr}${c.dim(formatDuration(state.duration))}`;
 }
 
 // ============================================================================
 // Coverage-Inline Functions (unified test + coverage table)
 // ============================================================================
 
-// Layout: Package  Files Tests  Pass  Skip  Fail │  Lines  Branch   Funcs │ Duration
+// Layout: Package  Files Tests  Pass  Skip  Fail Flaky │  Lines  Branch   Funcs │ Duration
 const COV_COL_WIDTH = 8;
 const COV_SECTION_WIDTH = COV_COL_WIDTH * 3;
 const DUR_SECTION_WIDTH = 10;
@@ -208,10 +321,10 @@ function formatCoverageColumns(coverage, isPending = false) {
 
 /**
  * Render header row with coverage columns
- * Layout: Package  Files Tests  Pass  Skip  Fail │  Lines  Branch   Funcs │ Duration
+ * Layout: Package  Files Tests  Pass  Skip  Fail Flaky │  Lines  Branch   Funcs │ Duration
  */
 export function renderInteractiveHeaderWithCoverage(nameWidth) {
-  const left = `  ${'Package'.padEnd(nameWidth)}${'Files'.padStart(6)}${'Tests'.padStart(6)}${'Pass'.padStart(6)}${'Skip'.padStart(6)}${'Fail'.padStart(6)}`;
+  const left = `  ${'Package'.padEnd(nameWidth)}${'Files'.padStart(6)}${'Tests'.padStart(6)}${'Pass'.padStart(6)}${'Skip'.padStart(6)}${'Fail'.padStart(6)}${'Flaky'.padStart(6)}`;
   const cov = `${'Lines'.padStart(COV_COL_WIDTH)}${'Branch'.padStart(COV_COL_WIDTH)}${'Funcs'.padStart(COV_COL_WIDTH)}`;
   const dur = `${'Duration'.padStart(DUR_SECTION_WIDTH)}`;
   return c.dim(`${left} │ ${cov} │ ${dur}`);
@@ -219,11 +332,11 @@ export function renderInteractiveHeaderWithCoverage(nameWidth) {
 
 /**
  * Render separator with coverage section
- * Left width = nameWidth + 2 (indent) + 5*6 (Files..Fail) = nameWidth + 32
+ * Left width = nameWidth + 2 (indent) + 6*6 (Files..Flaky) = nameWidth + 38
  */
 export function renderSeparatorWithCoverage(nameWidth) {
-  // Left: nameWidth + 5*6 cols + 1 trailing space before │ = nameWidth + 31
-  const leftWidth = nameWidth + 31;
+  // Left: nameWidth + 6*6 cols + 1 trailing space before │ = nameWidth + 37
+  const leftWidth = nameWidth + 37;
   // Coverage: space + 3*8 cols + space = 26
   const covWidth = COV_SECTION_WIDTH + 2;
   // Duration: space + 10 = 11
@@ -233,7 +346,7 @@ export function renderSeparatorWithCoverage(nameWidth) {
 
 /**
  * Render interactive row with inline coverage
- * Layout: marker name  files tests  pass  skip  fail │  lines  branch  funcs │ duration
+ * Layout: marker name  files tests  pass  skip  fail  flaky │  lines  branch  funcs │ duration
  */
 export function renderInteractiveRowWithCoverage(pkg, state, spinnerIdx, nameWidth, selected = false, cursorDimmed = false) {
   const paddedName = pkg.name.padEnd(nameWidth - pkg.runner.length - 3);
@@ -251,27 +364,59 @@ export function renderInteractiveRowWithCoverage(pkg, state, spinnerIdx, nameWid
   const sep = c.dim('│');
 
   if (state.status === 'pending') {
-    const left = c.dim(`${marker} ${paddedName} ${runnerSuffix}${formatNum(null)}${formatNum(null)}${formatNum(null)}${formatNum(null)}${formatNum(null)}`);
+    const left = c.dim(`${marker} ${paddedName} ${runnerSuffix}${formatNum(null)}${formatNum(null)}${formatNum(null)}${formatNum(null)}${formatNum(null)}${formatNum(null)}`);
     const cov = formatCoverageColumns(null, true).text;
     const dur = c.dim(formatDuration(null));
     return `${left} ${sep} ${cov} ${sep} ${dur}`;
   }
 
+  if (state.status === 'queued') {
+    const left = c.dim(`${marker} ${paddedName} ${runnerSuffix}${formatNum(null)}${formatNum(null)}${formatNum(null)}${formatNum(null)}${formatNum(null)}${formatNum(null)}`);
+    const cov = formatCoverageColumns(null, true).text;
+    const dur = c.dim('queued'.padStart(DUR_SECTION_WIDTH));
+    return `${left} ${sep} ${cov} ${sep} ${dur}`;
+  }
+
   if (state.status === 'running') {
     const frame = spinnerFrames[spinnerIdx % spinnerFrames.length];
     const { passStr, skipStr, failStr } = formatColoredColumns(state.passed, state.skipped, state.failed);
-    const left = `${name}${c.dim(`${formatNum(null)}${formatNum(null)}`)}${passStr}${skipStr}${failStr}`;
+    const flakyStr = formatFlakyColumn(state.flaky);
+    const left = `${name}${c.dim(`${formatNum(null)}${formatNum(null)}`)}${passStr}${skipStr}${failStr}${flakyStr}`;
     const cov = formatCoverageColumns(null, true).text;
     const dur = c.dim(('  ' + frame).padStart(DUR_SECTION_WIDTH));
     return `${left} ${sep} ${cov} ${sep} ${dur}`;
   }
 
+  if (state.status === 'timed-out') {
+    const { passStr, skipStr, failStr } = formatColoredColumns(state.passed, state.skipped, state.failed);
+    const flakyStr = formatFlakyColumn(state.flaky);
+    const left = `${name}${c.dim(`${formatNum(null)}${formatNum(null)}`)}${passStr}${skipStr}${failStr}${flakyStr}`;
+    const cov = formatCoverageColumns(null, true).text;
+    const dur = c.red('timed out'.padStart(DUR_SECTION_WIDTH));
+    return `${left} ${sep} ${cov} ${sep} ${dur}`;
+  }
+
+  if (state.status === 'cancelled') {
+    const left = c.dim(`${marker} ${paddedName} ${runnerSuffix}${formatNum(null)}${formatNum(null)}${formatNum(null)}${formatNum(null)}${formatNum(null)}${formatNum(null)}`);
+    const cov = formatCoverageColumns(null, true).text;
+    const dur = c.yellow('cancelled'.padStart(DUR_SECTION_WIDTH));
+    return `${left} ${sep} ${cov} ${sep} ${dur}`;
+  }
+
+  if (state.status === 'errored') {
+    const left = `${name}${c.dim(`${formatNum(null)}${formatNum(null)}${formatNum(null)}${formatNum(null)}${formatNum(null)}${formatNum(null)}`)}`;
+    const cov = formatCoverageColumns(null, true).text;
+    const row = `${left} ${sep} ${cov} ${sep} ${formatErroredLabel(DUR_SECTION_WIDTH)}`;
+    return `${row}${formatErrorReason(state, row)}`;
+  }
+
   // Done
   const { passStr, skipStr, failStr } = formatColoredColumns(state.passed, state.skipped, state.failed);
-  const left = `${name}${c.dim(`${formatNum(state.files)}${formatNum(state.tests)}`)}${passStr}${skipStr}${failStr}`;
+  const flakyStr = formatFlakyColumn(state.flaky);
+  const left = `${name}${c.dim(`${formatNum(state.files)}${formatNum(state.tests)}`)}${passStr}${skipStr}${failStr}${flakyStr}`;
   const cov = formatCoverageColumns(state.coverage).text;
-  const dur = c.dim(formatDuration(state.duration));
-  return `${left} ${sep} ${cov} ${sep} ${dur}`;
+  const dur = formatDoneDuration(state, DUR_SECTION_WIDTH);
+  return `${left} ${sep} ${cov} ${sep} ${dur}${formatCoverageFailed(state)}`;
 }
 
 /**
@@ -302,7 +447,7 @@ function colorByStatus(formatted, status) {
  * Total color per column: green if all packages green, yellow if any yellow, red if any red.
  */
 export function renderTotalsWithCoverage(states, nameWidth) {
-  const totals = { files: 0, tests: 0, passed: 0, skipped: 0, failed: 0, duration: 0 };
+  const totals = { files: 0, tests: 0, passed: 0, skipped: 0, failed: 0, flaky: 0, duration: 0 };
   let hasAnyDone = false;
 
   const covTotals = {
@@ -315,17 +460,29 @@ export function renderTotalsWithCoverage(states, nameWidth) {
   const allLinesStatuses = [];
   const allBranchesStatuses = [];
   const allFunctionsStatuses = [];
+  let cancelled = 0;
+  let cached = 0;
+  let errored = 0;
+  let coverageFailed = 0;
 
   for (const state of Object.values(states)) {
+    if (state.status === 'cancelled') {
+      cancelled++;
+      continue;
+    }
+    if (state.status === 'errored') errored++;
+    if (state.coverageViolations) coverageFailed++;
+    if (state.cached) cached++;
     totals.passed += state.passed || 0;
     totals.skipped += state.skipped || 0;
     totals.failed += state.failed || 0;
+    totals.flaky += state.flaky || 0;
 
     if (state.status === 'done') {
       hasAnyDone = true;
       totals.files += state.files || 0;
       totals.tests += state.tests || 0;
-      totals.duration += state.duration || 0;
+      if (!state.cached) totals.duration += state.duration || 0;
 
       if (state.coverage) {
         // Get per-package statuses
@@ -356,8 +513,9 @@ export function renderTotalsWithCoverage(states, nameWidth) {
   const filesStr = hasAnyDone ? formatNum(totals.files) : formatNum(null);
   const testsStr = hasAnyDone ? formatNum(totals.tests) : formatNum(null);
   const { passStr, skipStr, failStr } = formatColoredColumns(totals.passed, totals.skipped, totals.failed, true);
+  const flakyStr = formatFlakyColumn(totals.flaky, true);
 
-  const left = `  ${c.bold('Total'.padEnd(nameWidth))}${filesStr}${testsStr}${passStr}${skipStr}${failStr}`;
+  const left = `  ${c.bold('Total'.padEnd(nameWidth))}${filesStr}${testsStr}${passStr}${skipStr}${failStr}${flakyStr}`;
 
   let covText;
   if (hasAnyDone) {
@@ -387,7 +545,7 @@ export function renderTotalsWithCoverage(states, nameWidth) {
   const dur = hasAnyDone ? c.dim(formatDuration(totals.duration)) : c.dim(formatDuration(null));
   const sep = c.dim('│');
 
-  return `${left} ${sep} ${covText} ${sep} ${dur}`;
+  return `${left} ${sep} ${covText} ${sep} ${dur}${formatTotalsSuffix(cancelled, cached, errored, coverageFailed)}`;
 }
 
 /**
@@ -441,7 +599,7 @@ export function renderHelp(lineWidth) {
 export function printHeader(nameWidth, lineWidth, title = 'Test Summary', subtitle = null) {
   const subtitleStr = subtitle ? ` ${c.dim(subtitle)}` : '';
   console.log(`\n${c.bold(c.cyan(title))}${subtitleStr}\n`);
-  console.log(c.dim(`  ${'Package'.padEnd(nameWidth)}${'Files'.padStart(6)}${'Tests'.padStart(6)}${'Pass'.padStart(6)}${'Skip'.padStart(6)}${'Fail'.padStart(6)}${'Duration'.padStart(10)}`));
+  console.log(c.dim(`  ${'Package'.padEnd(nameWidth)}${'Files'.padStart(6)}${'Tests'.padStart(6)}${'Pass'.padStart(6)}${'Skip'.padStart(6)}${'Fail'.padStart(6)}${'Flaky'.padStart(6)}${'Duration'.padStart(10)}`));
   console.log(`  ${c.dim('─'.repeat(lineWidth - 2))}`);
 }
 
@@ -454,13 +612,69 @@ export function printSeparator(lineWidth) {
 
 /**
  * Print final summary message
+ * @param {number} failed - Failed test count
+ * @param {object} [opts]
+ * @param {Array} [opts.timedOut] - Packages killed by their timeout
+ * @param {Array} [opts.cancelled] - Packages stopped or skipped by --bail
+ * @param {Array<{ pkg: object, reason: string|null }>} [opts.errored] - Packages that exited without results
+ * @param {Array<{ pkg: object, violations: Array }>} [opts.coverageFailed] - Packages below their coverage thresholds
+ * @param {number} [opts.flaky] - Tests that failed, then passed on a retry
+ * @param {boolean} [opts.failOnFlaky] - Whether flaky tests fail the run
  */
-export function printSummary(failed) {
+export function printSummary(failed, { timedOut = [], cancelled = [], errored = [], coverageFailed = [], flaky = 0, failOnFlaky = false } = {}) {
   console.log();
   if (failed > 0) {
-    console.log(`  ${c.red(`✗ ${failed} test(s) failed`)}\n`);
-  } else {
-    console.log(`  ${c.green('✓ All tests passed')}\n`);
+    console.log(`  ${c.red(`✗ ${failed} test(s) failed`)}`);
+  }
+  for (const { pkg, reason } of errored) {
+    console.log(`  ${c.red(`✗ Errored: ${pkg.name}${reason ? ` (${reason})` : ''}`)}`);
+  }
+  for (const { pkg, violations } of coverageFailed) {
+    console.log(`  ${c.red(`✗ Coverage failed: ${pkg.name} (${formatViolations(violations)})`)}`);
+  }
+  if (timedOut.length > 0) {
+    const names = timedOut.map((pkg) => `${pkg.name} (${pkg.timeout}s)`).join(', ');
+    console.log(`  ${c.red(`✗ Timed out: ${names}`)}`);
+  }
+  if (cancelled.length > 0) {
+    console.log(`  ${c.yellow(`⊘ Bailed out: ${cancelled.length} package(s) cancelled`)}`);
+  }
+  if (flaky > 0) {
+    const message = `↻ ${flaky} flaky test(s) passed on retry`;
+    console.log(`  ${failOnFlaky ? c.red(`${message} (failOnFlaky)`) : c.magenta(message)}`);
+  }
+  const failures = failed + timedOut.length + errored.length + coverageFailed.length;
+  if (failures === 0 && cancelled.length === 0 && !(failOnFlaky && flaky > 0)) {
+    console.log(`  ${c.green('✓ All tests passed')}`);
+  }
+  console.log();
+}
+
+/**
+ * Print which packages this shard runs (--shard)
+ * @param {{ index: number, count: number }} shard
+ * @param {{ packages: Array, weighted: boolean, split: string[] }} selection - From selectShard()
+ * @param {number} total - Packages selected before sharding
+ */
+export function printShardSelection(shard, selection, total) {
+  const basis = selection.weighted ? 'weighted by recorded durations' : 'split by package count';
+  console.log(`\n${c.bold(c.cyan(`Shard ${shard.index}/${shard.count}`))} ${c.dim(`${selection.packages.length} of ${total} package(s), ${basis}`)}`);
+  if (selection.split.length > 0) {
+    console.log(`  ${c.dim(`Split by test file across all shards: ${selection.split.join(', ')}`)}`);
+  }
+}
+
+/**
+ * Print why each package was selected (--changed / --since)
+ * @param {Array} packages - Selected packages, in display order
+ * @param {Map<string, string>} reasons - Reason text by package name
+ * @param {string} title - Heading, e.g. "Changed since main"
+ */
+export function printSelectionReasons(packages, reasons, title) {
+  const nameWidth = Math.max(20, ...packages.map((p) => p.name.length + 2));
+  console.log(`\n${c.bold(c.cyan(title))}\n`);
+  for (const pkg of packages) {
+    console.log(`  ${pkg.name.padEnd(nameWidth)}${c.dim(reasons.get(pkg.name) || '')}`);
   }
 }
 
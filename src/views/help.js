@@ -26,10 +26,13 @@ const helpLines = [
   '    Escape      Close popover / help',
   '    r           Rerun selected package',
   '    R           Rerun all packages',
+  '    d           Rerun selected package + its dependents',
+  '    x           Kill selected package (and its processes)',
   '',
   '  Modes',
   '    c           Toggle coverage (selected package)',
   '    C           Cycle coverage (all → none → restore)',
+  '    f           Filter package out / back in (summary)',
   '    w           Toggle watch mode',
   '',
   '  Other',
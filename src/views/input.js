@@ -25,7 +25,7 @@
  *   { type: 'horizontal', direction: -1 | 1 }           — ←/h or →/l
  *   { type: 'enter' }                                    — Enter
  *   { type: 'escape' }                                   — Escape
- *   { type: 'action', action: string }                   — r/R/c/C/w/q/?
+ *   { type: 'action', action: string }                   — r/R/d/x/c/C/f/w/q/?
  *   { type: 'ctrl-c' }                                   — Ctrl+C
  *   null                                                  — unrecognized
  */
@@ -72,8 +72,11 @@ export function classifyKey(str, key) {
   // Action keys
   if (str === 'r') return { type: 'action', action: 'rerun' };
   if (str === 'R') return { type: 'action', action: 'rerun-all' };
+  if (str === 'd') return { type: 'action', action: 'rerun-dependents' };
+  if (str === 'x') return { type: 'action', action: 'kill' };
   if (str === 'c') return { type: 'action', action: 'coverage' };
   if (str === 'C') return { type: 'action', action: 'coverage-all' };
+  if (str === 'f') return { type: 'action', action: 'filter' };
   if (str === 'w') return { type: 'action', action: 'watch' };
   if (str === 'q') return { type: 'action', action: 'quit' };
   if (str === '?') return { type: 'action', action: 'help' };
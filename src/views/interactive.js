@@ -12,14 +12,19 @@
 
 import { emitKeypressEvents } from 'node:readline';
 import { spawn } from 'node:child_process';
+import { spawnTree, killProcessTree, killAllProcessTrees } from '../process-tree.js';
 import { existsSync, readFileSync } from 'node:fs';
 import { join, basename, relative } from 'node:path';
 
 import { term, spinner, createInitialState } from '../ui.js';
-import { getPackageCoverage } from '../coverage.js';
+import { getPackageCoverage, enforceThresholds } from '../coverage.js';
 import { createWatcherManager } from '../watcher.js';
-import { parseJunitFile, extractFailureLine } from '../parsers.js';
-import { getRunner } from '../runners/index.js';
+import { parseJunitFile, extractFailureLine, extractErrorReason } from '../parsers.js';
+import { getRunner, getOutputPaths } from '../runners/index.js';
+import { collectTransitive } from '../graph.js';
+import { createScheduler, getDefaultConcurrency } from '../scheduler.js';
+import { runWithRetries } from '../retry.js';
+import { prepareOutputDir, hasNoResults, markRunCrashed } from '../output-dir.js';
 
 import { classifyKey } from './input.js';
 import {
@@ -50,32 +55,77 @@ const isRunnable = (pkg) => pkg.testScript !== null && pkg.runner !== null;
 // Test running (kept from original — same logic, cleaner structure)
 // ============================================================================
 
-function runPackageTests(pkg, state, onUpdate, childProcesses, pendingReruns, onComplete, coverageEnabled) {
+function runPackageTests(pkg, state, onUpdate, childProcesses, pendingReruns, onComplete, coverageEnabled, retries = 0, enforceCoverage = false) {
+  state.status = 'running';
+  state.passed = 0;
+  state.skipped = 0;
+  state.failed = 0;
+  state.files = null;
+  state.tests = null;
+  state.duration = null;
+  state.exitCode = null;
+  state.output = '';
+  state.coverage = null;
+  state.testResults = null;
+  state.errorReason = null;
+  state.coverageViolations = null;
+
+  onUpdate('started', pkg.name);
+
+  const runAttempt = (files) => runPackageAttempt(pkg, state, onUpdate, childProcesses, coverageEnabled, files);
+  return runWithRetries(pkg, state, runAttempt, retries, coverageEnabled).then(() => {
+    if (enforceCoverage) enforceThresholds(state);
+    onUpdate('completed', pkg.name);
+    if (onComplete) onComplete(pkg);
+  });
+}
+
+/**
+ * Run one attempt of a package's tests into its state.
+ * @param {string[]|null} files - Only run these test files (retry of failed files)
+ */
+function runPackageAttempt(pkg, state, onUpdate, childProcesses, coverageEnabled, files) {
   return new Promise((resolve) => {
-    state.status = 'running';
-    state.passed = 0;
-    state.skipped = 0;
-    state.failed = 0;
-    state.files = null;
-    state.tests = null;
-    state.duration = null;
-    state.exitCode = null;
-    state.output = '';
-    state.coverage = null;
-    state.testResults = null;
-
-    onUpdate('started', pkg.name);
+    state.stopReason = null; // 'timed-out' | 'killed' once the process tree is killed
 
     const runner = getRunner(pkg.runner);
-    const junitPath = join(pkg.path, 'coverage', 'junit.xml');
-    const { command, args } = runner.buildCommand({ coverage: coverageEnabled });
+    const outputDir = prepareOutputDir(pkg);
+    const { junit: junitPath, lcov: lcovPath } = getOutputPaths(pkg, outputDir);
+    const { command, args, env } = runner.buildCommand({
+      coverage: coverageEnabled,
+      pkgPath: pkg.path,
+      packageManager: pkg.packageManager,
+      configFile: pkg.configFile,
+      outputDir,
+      junitPath,
+      lcovPath,
+      files,
+      testArgs: pkg.testArgs,
+      testPatterns: pkg.testPatterns,
+    });
+    state.outputDir = outputDir;
 
-    const child = spawn(command, args, { cwd: pkg.path, stdio: ['ignore', 'pipe', 'pipe'] });
+    const child = spawnTree(command, args, {
+      cwd: pkg.path,
+      stdio: ['ignore', 'pipe', 'pipe'],
+      env: env ? { ...process.env, ...env } : process.env,
+    });
     childProcesses.set(pkg.name, child);
 
-    let output = '';
+    // A missing binary emits 'error' (then 'close'); keep it for the error reason
+    let spawnError = null;
+    child.on('error', (err) => { spawnError = err; });
 
-    child.stdout.on('data', (data) => {
+    let output = '';
+    const startTime = Date.now();
+    const timer = pkg.timeout
+      ? setTimeout(() => {
+        state.stopReason = 'timed-out';
+        killProcessTree(child);
+      }, pkg.timeout * 1000)
+      : null;
+
+    const handleProgress = (data) => {
       const chunk = data.toString();
       output += chunk;
       const counts = runner.countDots(chunk);
@@ -83,13 +133,30 @@ function runPackageTests(pkg, state, onUpdate, childProcesses, pendingReruns, on
       state.skipped += counts.skipped;
       state.failed += counts.failed;
       onUpdate('streaming', pkg.name);
-    });
+    };
 
-    child.stderr.on('data', (data) => {
+    const handleOutput = (data) => {
       output += data.toString();
-    });
+    };
+
+    const progressOnStderr = runner.progressStream === 'stderr';
+    child.stdout.on('data', progressOnStderr ? handleOutput : handleProgress);
+    child.stderr.on('data', progressOnStderr ? handleProgress : handleOutput);
+
+    child.on('close', (code, signal) => {
+      clearTimeout(timer);
+      childProcesses.delete(pkg.name);
+
+      // Timed out or killed by hand: keep the streamed counts and output
+      if (state.stopReason) {
+        state.status = state.stopReason;
+        state.exitCode = code;
+        state.duration = (Date.now() - startTime) / 1000;
+        state.output = output;
+        resolve();
+        return;
+      }
 
-    child.on('close', (code) => {
       const final = runner.parseFinal(output);
 
       state.status = 'done';
@@ -103,14 +170,18 @@ function runPackageTests(pkg, state, onUpdate, childProcesses, pendingReruns, on
       state.output = output;
       state.testResults = parseJunitFile(junitPath);
 
-      if (coverageEnabled) {
-        state.coverage = getPackageCoverage(pkg);
+      // Never got to the tests: don't let 0/0/0 pass for a clean run
+      state.errorReason = null;
+      if (hasNoResults(state)) {
+        state.status = 'errored';
+        state.errorReason = extractErrorReason(output, { exitCode: code, signal, spawnError });
+        state.duration = (Date.now() - startTime) / 1000;
       }
 
-      childProcesses.delete(pkg.name);
-      onUpdate('completed', pkg.name);
+      if (coverageEnabled) {
+        state.coverage = getPackageCoverage(pkg, outputDir);
+      }
 
-      if (onComplete) onComplete(pkg);
       resolve();
     });
   });
@@ -123,12 +194,14 @@ function runPackageTests(pkg, state, onUpdate, childProcesses, pendingReruns, on
 /**
  * @param {Array} packages - Package list
  * @param {string} rootDir - Workspace root directory
- * @param {object} config - Config object with optional watchMappings
+ * @param {object} config - Config object with optional watchMappings, concurrency, retries and enforceThresholds
  * @param {boolean} initialWatchEnabled - Whether to start with watch enabled
  * @param {boolean} initialCoverageEnabled - Whether to start with coverage enabled
  * @param {boolean} isSinglePackage - Fallback mode: skip summary, go direct to tests
+ * @param {Set<string>} filteredOut - Names of packages excluded by --filter / --exclude (shown dimmed)
+ * @param {Map<string, string>|null} selectionReasons - Why each package was selected (--changed / --since)
  */
-export async function runInteractiveMode(packages, rootDir, config = {}, initialWatchEnabled = false, initialCoverageEnabled = false, isSinglePackage = false) {
+export async function runInteractiveMode(packages, rootDir, config = {}, initialWatchEnabled = false, initialCoverageEnabled = false, isSinglePackage = false, filteredOut = new Set(), selectionReasons = null) {
 
   // Resolve workspace name: package.json name → folder basename
   let workspaceName = basename(rootDir);
@@ -140,8 +213,28 @@ export async function runInteractiveMode(packages, rootDir, config = {}, initial
     }
   } catch { /* fallback to folder name */ }
 
-  // Filter runnable packages for running (keep all for display)
-  const testablePackages = packages.filter(isRunnable);
+  /** Runnable and not filtered out — filtered packages can be selected and toggled, but not run */
+  const isActive = (pkg) => isRunnable(pkg) && !filteredOut.has(pkg.name);
+  // Packages to run (keep all for display); changes when filters are toggled
+  const getActivePackages = () => packages.filter(isActive);
+
+  // Direct dependents by name, for "rerun dependents"
+  const dependentEdges = new Map(packages.map((p) => [p.name, new Set(p.dependents || [])]));
+  /** Active packages that depend on pkg, directly or transitively, in dependency order */
+  const getActiveDependents = (pkg) => {
+    const names = collectTransitive(dependentEdges, pkg.name);
+    return packages.filter((p) => names.has(p.name) && isActive(p));
+  };
+  /** Status hint offering to rerun dependents of a failed package, or '' */
+  const getFailureHint = (pkg) => {
+    const state = states[pkg.name];
+    const failed = state.status === 'errored' || (state.status === 'done' && (state.failed > 0 || state.exitCode !== 0));
+    if (!failed) return '';
+    const count = getActiveDependents(pkg).length;
+    if (count === 0) return '';
+    return `[${pkg.name}] Failed — d: rerun ${count} dependent${count === 1 ? '' : 's'}`;
+  };
+
   // ── State ──
   const states = {};
   for (const pkg of packages) {
@@ -150,14 +243,17 @@ export async function runInteractiveMode(packages, rootDir, config = {}, initial
       s.status = 'no-tests';
     } else if (!pkg.runner) {
       s.status = 'unknown-runner';
+    } else if (filteredOut.has(pkg.name)) {
+      s.status = 'filtered';
     }
     states[pkg.name] = s;
   }
 
   const viewState = createViewState();
 
-  // Start cursor on the first runnable package
-  const firstTestable = packages.findIndex(isRunnable);
+  // Start cursor on the first active package, else the first runnable one
+  const firstActive = packages.findIndex(isActive);
+  const firstTestable = firstActive >= 0 ? firstActive : packages.findIndex(isRunnable);
   if (firstTestable > 0) viewState.summary.selectedIndex = firstTestable;
 
   const { flags: coverageFlags, snapshot: coverageSnapshot } = createCoverageFlags(packages, initialCoverageEnabled);
@@ -169,6 +265,13 @@ export async function runInteractiveMode(packages, rootDir, config = {}, initial
   const pendingReruns = new Set();
   let pendingRunAll = false;
 
+  // Every run (initial, rerun, watch trigger) waits here for a concurrency slot
+  const scheduler = createScheduler(config.concurrency || getDefaultConcurrency(), (name, error) => {
+    markRunCrashed(states[name], error);
+    onUpdate('completed', name);
+    checkPendingRunAll();
+  });
+
   // ── Render dispatch ──
 
   const render = () => {
@@ -189,6 +292,7 @@ export async function runInteractiveMode(packages, rootDir, config = {}, initial
           watchEnabled: viewState.watchEnabled,
           statusMessage,
           workspaceName,
+          selectionReasons,
         });
         break;
 
@@ -258,7 +362,7 @@ export async function runInteractiveMode(packages, rootDir, config = {}, initial
       viewState.tests.selectedIndex = 0;
     }
 
-    const { rows: covRows } = buildCoverageRows(pkg);
+    const { rows: covRows } = buildCoverageRows(pkg, states[pkg.name].outputDir);
     const covSelectable = getSelectableFileIndices(covRows);
     if (covSelectable.length > 0) {
       if (!covSelectable.includes(viewState.coverage.selectedIndex)) {
@@ -279,16 +383,34 @@ export async function runInteractiveMode(packages, rootDir, config = {}, initial
 
   // ── Run helpers ──
 
+  /**
+   * Queue a package run. Shows as 'queued' until a concurrency slot frees up;
+   * the coverage flag is read when the run actually starts.
+   */
+  const schedulePkg = (pkg, onComplete) => {
+    if (scheduler.isQueued(pkg.name)) return Promise.resolve();
+    states[pkg.name].status = 'queued';
+    return scheduler.enqueue(pkg.name, () =>
+      runPackageTests(pkg, states[pkg.name], onUpdate, childProcesses, pendingReruns, onComplete, coverageFlags[pkg.name], config.retries || 0, config.enforceThresholds),
+    );
+  };
+
   const runPkg = (pkg, message) => {
-    if (!isRunnable(pkg)) return; // No test script or unknown runner — nothing to run
+    if (!isActive(pkg)) return; // No test script, unknown runner or filtered out — nothing to run
     if (states[pkg.name].status === 'running') {
       pendingReruns.add(pkg.name);
       statusMessage = `[${pkg.name}] Queued for rerun...`;
       render();
       return;
     }
+    if (states[pkg.name].status === 'queued') {
+      statusMessage = `[${pkg.name}] Already queued`;
+      render();
+      return;
+    }
     statusMessage = message || `[${pkg.name}] Running...`;
-    runPackageTests(pkg, states[pkg.name], onUpdate, childProcesses, pendingReruns, onPkgComplete, coverageFlags[pkg.name]);
+    schedulePkg(pkg, onPkgComplete);
+    render();
   };
 
   const onPkgComplete = (pkg) => {
@@ -296,8 +418,11 @@ export async function runInteractiveMode(packages, rootDir, config = {}, initial
     if (pendingReruns.has(pkg.name)) {
       pendingReruns.delete(pkg.name);
       statusMessage = `[${pkg.name}] Rerunning (queued)...`;
-      runPackageTests(pkg, states[pkg.name], onUpdate, childProcesses, pendingReruns, onPkgComplete, coverageFlags[pkg.name]);
+      schedulePkg(pkg, onPkgComplete);
+      return;
     }
+    const hint = getFailureHint(pkg);
+    if (hint) statusMessage = hint;
   };
 
   const checkPendingRunAll = () => {
@@ -311,16 +436,17 @@ export async function runInteractiveMode(packages, rootDir, config = {}, initial
 
   const runAllNow = () => {
     statusMessage = 'Running all packages...';
-    testablePackages.forEach((pkg) =>
-      runPackageTests(pkg, states[pkg.name], onUpdate, childProcesses, pendingReruns, (p) => {
+    getActivePackages().forEach((pkg) =>
+      schedulePkg(pkg, (p) => {
         onPkgComplete(p);
         checkPendingRunAll();
-      }, coverageFlags[pkg.name]),
+      }),
     );
+    render();
   };
 
   const runAll = () => {
-    if (testablePackages.some((pkg) => states[pkg.name].status === 'running')) {
+    if (packages.some((pkg) => states[pkg.name].status === 'running')) {
       pendingRunAll = true;
       statusMessage = 'Queued: rerun all after current tests...';
       render();
@@ -350,9 +476,9 @@ export async function runInteractiveMode(packages, rootDir, config = {}, initial
 
   const navigateForward = () => {
     if (viewState.currentScreen === 'summary') {
-      // Don't enter detail for non-runnable packages
+      // Don't enter detail for non-runnable or filtered-out packages
       const selectedPkg = packages[viewState.summary.selectedIndex];
-      if (!isRunnable(selectedPkg)) return;
+      if (!isActive(selectedPkg)) return;
       // Enter tests screen for selected package
       viewState.currentScreen = 'tests';
       enterDetailScreen();
@@ -363,7 +489,7 @@ export async function runInteractiveMode(packages, rootDir, config = {}, initial
       viewState.currentScreen = 'coverage';
       // Initialize cursor to first selectable file
       const pkg = packages[viewState.summary.selectedIndex];
-      const { rows: covRows } = buildCoverageRows(pkg);
+      const { rows: covRows } = buildCoverageRows(pkg, states[pkg.name].outputDir);
       const selectable = getSelectableFileIndices(covRows);
       if (selectable.length > 0 && !selectable.includes(viewState.coverage.selectedIndex)) {
         viewState.coverage.selectedIndex = selectable[0];
@@ -403,8 +529,8 @@ export async function runInteractiveMode(packages, rootDir, config = {}, initial
    */
   const switchPackage = (direction) => {
     let newIdx = viewState.summary.selectedIndex + direction;
-    // Skip non-runnable packages
-    while (newIdx >= 0 && newIdx < packages.length && !isRunnable(packages[newIdx])) {
+    // Skip non-runnable and filtered-out packages
+    while (newIdx >= 0 && newIdx < packages.length && !isActive(packages[newIdx])) {
       newIdx += direction;
     }
     if (newIdx < 0 || newIdx >= packages.length) return;
@@ -422,7 +548,7 @@ export async function runInteractiveMode(packages, rootDir, config = {}, initial
     enterDetailScreen();
     // Also reset coverage cursor for the new package
     const pkg = packages[newIdx];
-    const { rows: covRows } = buildCoverageRows(pkg);
+    const { rows: covRows } = buildCoverageRows(pkg, states[pkg.name].outputDir);
     const covSelectable = getSelectableFileIndices(covRows);
     viewState.coverage.selectedIndex = covSelectable.length > 0 ? covSelectable[0] : 0;
     viewState.coverage.scrollOffset = 0;
@@ -451,7 +577,7 @@ export async function runInteractiveMode(packages, rootDir, config = {}, initial
 
   const moveCoverageCursor = (direction) => {
     const pkg = packages[viewState.summary.selectedIndex];
-    const { rows: covRows } = buildCoverageRows(pkg);
+    const { rows: covRows } = buildCoverageRows(pkg, states[pkg.name].outputDir);
     const selectable = getSelectableFileIndices(covRows);
     if (selectable.length === 0) return;
 
@@ -484,6 +610,38 @@ export async function runInteractiveMode(packages, rootDir, config = {}, initial
         runAll();
         break;
 
+      case 'kill': {
+        const pkg = getSelectedPkg();
+        const child = childProcesses.get(pkg.name);
+        if (!child) {
+          statusMessage = `[${pkg.name}] Not running`;
+          render();
+          break;
+        }
+        states[pkg.name].stopReason = 'killed';
+        pendingReruns.delete(pkg.name);
+        killProcessTree(child);
+        statusMessage = `[${pkg.name}] Killing...`;
+        render();
+        break;
+      }
+
+      case 'rerun-dependents': {
+        const pkg = getSelectedPkg();
+        if (!isActive(pkg)) break;
+        const dependents = getActiveDependents(pkg);
+        if (dependents.length === 0) {
+          statusMessage = `[${pkg.name}] No dependents to rerun`;
+          render();
+          break;
+        }
+        for (const p of [pkg, ...dependents]) runPkg(p);
+        const count = dependents.length;
+        statusMessage = `[${pkg.name}] Rerunning with ${count} dependent${count === 1 ? '' : 's'}...`;
+        render();
+        break;
+      }
+
       case 'coverage': {
         const pkg = getSelectedPkg();
         const nowOn = togglePackageCoverage(pkg.name, coverageFlags, coverageSnapshot);
@@ -506,6 +664,29 @@ export async function runInteractiveMode(packages, rootDir, config = {}, initial
         break;
       }
 
+      case 'filter': {
+        // Summary only — detail screens always show an active package
+        if (viewState.currentScreen !== 'summary') break;
+        const pkg = getSelectedPkg();
+        if (!isRunnable(pkg)) break;
+        if (filteredOut.has(pkg.name)) {
+          filteredOut.delete(pkg.name);
+          states[pkg.name].status = 'pending';
+          runPkg(pkg, `[${pkg.name}] Filter removed, running...`);
+        } else if (states[pkg.name].status === 'running') {
+          statusMessage = `[${pkg.name}] Still running — filter it out once it finishes`;
+          render();
+        } else {
+          filteredOut.add(pkg.name);
+          pendingReruns.delete(pkg.name);
+          scheduler.cancel(pkg.name);
+          states[pkg.name] = { ...createInitialState(), status: 'filtered' };
+          statusMessage = `[${pkg.name}] Filtered out`;
+          render();
+        }
+        break;
+      }
+
       case 'watch':
         viewState.watchEnabled = !viewState.watchEnabled;
         if (viewState.watchEnabled) {
@@ -579,7 +760,7 @@ export async function runInteractiveMode(packages, rootDir, config = {}, initial
     if (!actionCommand) return;
 
     const pkg = getSelectedPkg();
-    const { rows: covRows } = buildCoverageRows(pkg);
+    const { rows: covRows } = buildCoverageRows(pkg, states[pkg.name].outputDir);
     const selectableIndices = getSelectableFileIndices(covRows);
     const cursorRow = viewState.coverage.selectedIndex;
     if (!selectableIndices.includes(cursorRow)) return;
@@ -610,7 +791,7 @@ export async function runInteractiveMode(packages, rootDir, config = {}, initial
    */
   const getCoveragePopoverSelectable = () => {
     const pkg = getSelectedPkg();
-    const { rows: covRows } = buildCoverageRows(pkg);
+    const { rows: covRows } = buildCoverageRows(pkg, states[pkg.name].outputDir);
     const cursorRow = viewState.coverage.selectedIndex;
     const row = covRows[cursorRow];
     if (!row || row.type !== 'file') return { row: null, selectableBodyIndices: [] };
@@ -896,7 +1077,7 @@ export async function runInteractiveMode(packages, rootDir, config = {}, initial
       } else if (viewState.currentScreen === 'coverage') {
         // Open coverage popover for selected file
         const pkg = packages[viewState.summary.selectedIndex];
-        const { rows: covRows } = buildCoverageRows(pkg);
+        const { rows: covRows } = buildCoverageRows(pkg, states[pkg.name].outputDir);
         const selectable = getSelectableFileIndices(covRows);
         if (selectable.includes(viewState.coverage.selectedIndex)) {
           viewState.coverage.popoverVisible = true;
@@ -928,16 +1109,17 @@ export async function runInteractiveMode(packages, rootDir, config = {}, initial
       runAll();
     } else {
       const source = type === 'mapped' ? ' (mapped)' : '';
-      runPkg(pkg, `[${pkg.name}] File changed${source} → rerunning...`);
+      const count = getActiveDependents(pkg).length;
+      const offer = count > 0 ? ` (d: also rerun ${count} dependent${count === 1 ? '' : 's'})` : '';
+      runPkg(pkg, `[${pkg.name}] File changed${source} → rerunning...${offer}`);
     }
   });
 
   // ── Cleanup ──
 
   const cleanup = () => {
-    for (const [, child] of childProcesses) {
-      if (child && !child.killed) child.kill('SIGTERM');
-    }
+    // Test processes live in their own process groups — kill them explicitly
+    killAllProcessTrees();
     childProcesses.clear();
 
     if (spinnerInterval) clearInterval(spinnerInterval);
@@ -971,7 +1153,7 @@ export async function runInteractiveMode(packages, rootDir, config = {}, initial
   process.stdout.write(term.hideCursor + term.clearScreen);
 
   // Fallback: single package → skip summary, go directly to tests
-  if (isSinglePackage && testablePackages.length > 0) {
+  if (isSinglePackage && getActivePackages().length > 0) {
     viewState.currentScreen = 'tests';
     process.stdout.write(ALT_SCREEN_ON);
   }
@@ -996,15 +1178,15 @@ export async function runInteractiveMode(packages, rootDir, config = {}, initial
 
   // Run all tests initially (only packages that have test scripts)
   statusMessage = 'Running all packages...';
-  const initialPromises = testablePackages.map((pkg) =>
-    runPackageTests(pkg, states[pkg.name], onUpdate, childProcesses, pendingReruns, (p) => {
+  const initialPromises = getActivePackages().map((pkg) =>
+    schedulePkg(pkg, (p) => {
       onPkgComplete(p);
       checkPendingRunAll();
-    }, coverageFlags[pkg.name]),
+    }),
   );
   await Promise.all(initialPromises);
 
-  statusMessage = '';
+  statusMessage = getActivePackages().map(getFailureHint).find(Boolean) || '';
   render();
 
   // Start watcher if enabled
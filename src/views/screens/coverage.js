@@ -14,6 +14,7 @@ import {
   shouldExcludeFile,
   getDisplayPath,
 } from '../../coverage.js';
+import { getOutputPaths } from '../../runners/index.js';
 import { renderDetailHeader, HEADER_LINES, FOOTER_LINES } from './header.js';
 import { buildCoveragePopoverContent, renderPopover, getPopoverBoxHeight } from './popover.js';
 import { join, isAbsolute } from 'node:path';
@@ -23,10 +24,10 @@ import { join, isAbsolute } from 'node:path';
  * Returns header, separator, file rows, separator, and totals.
  *
  * @param {object} pkg - Package { name, path, dir, runner }
+ * @param {string|null} [outputDir] - Output directory of the package's last run
  */
-export function buildCoverageRows(pkg) {
-  const lcovPath = join(pkg.path, 'coverage', 'lcov.info');
-  const files = parseLcovDetailed(lcovPath);
+export function buildCoverageRows(pkg, outputDir = null) {
+  const files = parseLcovDetailed(getOutputPaths(pkg, outputDir).lcov);
   const thresholds = getPackageThresholds(pkg);
 
   if (!files || files.length === 0) {
@@ -153,7 +154,7 @@ export function renderCoverageScreen({ pkg, state, coverageState, cursorDimmed,
       '  Press c to enable coverage and rerun.',
     ]);
   } else {
-    const { rows: covRows } = buildCoverageRows(pkg);
+    const { rows: covRows } = buildCoverageRows(pkg, state.outputDir);
     const selectableIndices = getSelectableFileIndices(covRows);
 
     if (covRows.length === 0) {
@@ -33,7 +33,13 @@ export function renderDetailHeader({ pkg, state, currentPage, coverageEnabled, s
       ? c.dim(`${state.files} files  ${state.tests} tests`)
       : state.status === 'running'
         ? `${spinnerFrames[spinnerIdx % spinnerFrames.length]} ${c.yellow('running...')}`
-        : c.dim('pending');
+        : state.status === 'timed-out'
+          ? c.red(`timed out after ${pkg.timeout}s`)
+          : state.status === 'killed'
+            ? c.red('killed')
+            : state.status === 'errored'
+              ? c.red(`errored: ${state.errorReason}`)
+              : c.dim(state.status === 'queued' ? 'queued' : 'pending');
 
   const nameLeft = ` ${c.bold(pkg.name)} ${c.gray(`(${pkg.runner})`)}`;
   const gap1 = Math.max(1, cols - stripAnsi(nameLeft).length - stripAnsi(statsRight).length);
@@ -47,6 +53,7 @@ export function renderDetailHeader({ pkg, state, currentPage, coverageEnabled, s
     if (state.passed > 0) parts.push(c.dim(c.green(`✓ ${state.passed} passed`)));
     if (state.skipped > 0) parts.push(c.dim(c.yellow(`⊘ ${state.skipped} skipped`)));
     if (state.failed > 0) parts.push(c.red(`✗ ${state.failed} failed`));
+    if (state.flaky > 0) parts.push(c.magenta(`↻ ${state.flaky} flaky`));
     const durationStr =
       state.duration < 1 ? `${(state.duration * 1000).toFixed(0)}ms` : `${state.duration.toFixed(2)}s`;
     const summaryLeft = ` ${parts.join('  ')}`;
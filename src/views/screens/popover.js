@@ -38,6 +38,7 @@ export function buildPopoverContent(test, file, innerWidth = 74) {
   let icon;
   if (test.status === 'passed') icon = c.green('✓');
   else if (test.status === 'failed') icon = c.red('✗');
+  else if (test.status === 'flaky') icon = c.magenta('↻');
   else icon = c.yellow('⊘');
   header.push(` ${icon} ${c.bold(test.name)}`);
 
@@ -56,6 +57,9 @@ export function buildPopoverContent(test, file, innerWidth = 74) {
     } else if (test.status === 'failed') {
       coloredFile = c.red(file);
       statusTag = c.red('failed');
+    } else if (test.status === 'flaky') {
+      coloredFile = c.magenta(file);
+      statusTag = c.magenta('flaky: passed on retry');
     } else {
       coloredFile = c.yellow(file);
       statusTag = c.dim('skipped');
@@ -70,8 +74,8 @@ export function buildPopoverContent(test, file, innerWidth = 74) {
     header.push('');
   }
 
-  // Failed: add ├─┤ sentinel + scrollable body
-  if (test.status === 'failed') {
+  // Failed or flaky: add ├─┤ sentinel + scrollable body (flaky keeps the earlier failure)
+  if (test.status === 'failed' || test.status === 'flaky') {
     header.push(null); // sentinel: renderPopover draws ├─┤ for this
 
     const body = [];
@@ -15,7 +15,11 @@ import {
   formatNum,
   formatDuration,
   formatColoredColumns,
+  formatFlakyColumn,
   formatCoveragePct,
+  formatErroredLabel,
+  formatCoverageFailed,
+  formatErrorReason,
 } from '../../ui.js';
 
 const COV_COL_WIDTH = 8;
@@ -34,8 +38,9 @@ const DUR_SECTION_WIDTH = 10;
  * @param {number} opts.spinnerIdx - Spinner frame index
  * @param {boolean} opts.watchEnabled - Watch mode active
  * @param {string} opts.statusMessage - Status bar message
+ * @param {Map<string, string>|null} opts.selectionReasons - Why each package was selected (--changed / --since)
  */
-export function renderSummary({ packages, states, coverageFlags, summaryState, cursorDimmed, spinnerIdx, watchEnabled, statusMessage, workspaceName }) {
+export function renderSummary({ packages, states, coverageFlags, summaryState, cursorDimmed, spinnerIdx, watchEnabled, statusMessage, workspaceName, selectionReasons }) {
   const nameWidth = Math.max(20, ...packages.map((p) => p.name.length + (p.runner || '').length + 3));
   const sep = c.dim('│');
 
@@ -48,7 +53,7 @@ export function renderSummary({ packages, states, coverageFlags, summaryState, c
   console.log(`${nameLabel}${c.bold(c.cyan('Test & Coverage Summary'))} ${c.dim(modeLabel)}\n`);
 
   // Section label row (coverage group header)
-  const leftWidth = nameWidth + 31;
+  const leftWidth = nameWidth + 37;
   const covWidth = COV_SECTION_WIDTH + 2; // +2 for padding around │
   const durWidth = DUR_SECTION_WIDTH + 1;
   const covLabel = 'Coverage';
@@ -57,7 +62,7 @@ export function renderSummary({ packages, states, coverageFlags, summaryState, c
   console.log(c.dim(`    ${' '.repeat(leftWidth)}│${' '.repeat(covLabelPad)}${covLabel}${' '.repeat(covWidth - covLabelPad - covLabel.length)}│`));
 
   // Header row
-  const headerLeft = `    ${'Package'.padEnd(nameWidth)}${'Files'.padStart(6)}${'Tests'.padStart(6)}${'Pass'.padStart(6)}${'Skip'.padStart(6)}${'Fail'.padStart(6)}`;
+  const headerLeft = `    ${'Package'.padEnd(nameWidth)}${'Files'.padStart(6)}${'Tests'.padStart(6)}${'Pass'.padStart(6)}${'Skip'.padStart(6)}${'Fail'.padStart(6)}${'Flaky'.padStart(6)}`;
   const headerCov = `${'Lines'.padStart(COV_COL_WIDTH)}${'Branch'.padStart(COV_COL_WIDTH)}${'Funcs'.padStart(COV_COL_WIDTH)}`;
   const headerDur = `${'Duration'.padStart(DUR_SECTION_WIDTH)}`;
   console.log(c.dim(`${headerLeft} │ ${headerCov} │ ${headerDur}`));
@@ -65,15 +70,28 @@ export function renderSummary({ packages, states, coverageFlags, summaryState, c
   // Separator
   console.log(c.dim(`    ${'─'.repeat(leftWidth)}┼${'─'.repeat(covWidth)}┼${'─'.repeat(durWidth)}`));
 
+  // Selection reasons go after the duration column, in whatever width is left
+  const rowWidth = nameWidth + 40 + 3 + COV_SECTION_WIDTH + 3 + DUR_SECTION_WIDTH;
+  const reasonWidth = (process.stdout.columns || 80) - rowWidth - 2;
+
+  // Group rows by dependency layer when there is more than one
+  const showLayers = new Set(packages.map((p) => p.layer ?? 0)).size > 1;
+
   // Package rows
   for (let i = 0; i < packages.length; i++) {
     const pkg = packages[i];
+    if (showLayers && (i === 0 || pkg.layer !== packages[i - 1].layer)) {
+      process.stdout.write(term.clearLine);
+      console.log(c.dim(`    layer ${pkg.layer ?? 0}`));
+    }
     const state = states[pkg.name];
     const selected = i === summaryState.selectedIndex;
     const covEnabled = coverageFlags[pkg.name];
 
     process.stdout.write(term.clearLine);
-    console.log(renderSummaryRow(pkg, state, spinnerIdx, nameWidth, selected, cursorDimmed, covEnabled));
+    const reason = selectionReasons?.get(pkg.name);
+    const reasonSuffix = reason && reasonWidth > 3 ? `  ${c.dim(truncate(reason, reasonWidth))}` : '';
+    console.log(renderSummaryRow(pkg, state, spinnerIdx, nameWidth, selected, cursorDimmed, covEnabled) + reasonSuffix);
   }
 
   // Separator
@@ -88,7 +106,7 @@ export function renderSummary({ packages, states, coverageFlags, summaryState, c
   process.stdout.write(term.clearLine);
   console.log(c.dim(`    ${statusMessage || ' '}`));
   process.stdout.write(term.clearLine);
-  console.log(c.dim('    ↑↓:navigate  →:open  r:rerun  R:rerun all  c:coverage  C:all coverage  w:watch  ?:help  q:quit'));
+  console.log(c.dim('    ↑↓:navigate  →:open  r:rerun  R:rerun all  d:dependents  x:kill  c:coverage  C:all coverage  f:filter  w:watch  ?:help  q:quit'));
 }
 
 /**
@@ -107,7 +125,7 @@ function renderSummaryRow(pkg, state, spinnerIdx, nameWidth, selected, cursorDim
   // No test script — dim row with centered message
   if (state.status === 'no-tests') {
     const label = 'no tests';
-    const left = c.dim(`${marker} ${paddedName}${runnerSuffix}${centerInCols(label, 30)}`);
+    const left = c.dim(`${marker} ${paddedName}${runnerSuffix}${centerInCols(label, 36)}`);
     const cov = formatOffCov();
     const dur = c.dim(formatDuration(null));
     return `${left} ${sep} ${cov} ${sep} ${dur}`;
@@ -116,7 +134,16 @@ function renderSummaryRow(pkg, state, spinnerIdx, nameWidth, selected, cursorDim
   // Has a test script but runner not recognized — dim row with warning
   if (state.status === 'unknown-runner') {
     const label = 'unknown runner';
-    const left = c.dim(`${marker} ${paddedName}${runnerSuffix}${centerInCols(label, 30)}`);
+    const left = c.dim(`${marker} ${paddedName}${runnerSuffix}${centerInCols(label, 36)}`);
+    const cov = formatOffCov();
+    const dur = c.dim(formatDuration(null));
+    return `${left} ${sep} ${cov} ${sep} ${dur}`;
+  }
+
+  // Excluded by --filter / --exclude (or toggled off with f) — dim row, still selectable
+  if (state.status === 'filtered') {
+    const label = 'filtered out';
+    const left = c.dim(`${marker} ${paddedName}${runnerSuffix}${centerInCols(label, 36)}`);
     const cov = formatOffCov();
     const dur = c.dim(formatDuration(null));
     return `${left} ${sep} ${cov} ${sep} ${dur}`;
@@ -124,28 +151,59 @@ function renderSummaryRow(pkg, state, spinnerIdx, nameWidth, selected, cursorDim
 
   if (state.status === 'pending') {
     const left = c.dim(
-      `${marker} ${paddedName}${runnerSuffix}${formatNum(null)}${formatNum(null)}${formatNum(null)}${formatNum(null)}${formatNum(null)}`,
+      `${marker} ${paddedName}${runnerSuffix}${formatNum(null)}${formatNum(null)}${formatNum(null)}${formatNum(null)}${formatNum(null)}${formatNum(null)}`,
     );
     const cov = covEnabled ? formatPendingCov() : formatOffCov();
     const dur = c.dim(formatDuration(null));
     return `${left} ${sep} ${cov} ${sep} ${dur}`;
   }
 
+  // Waiting for a free concurrency slot
+  if (state.status === 'queued') {
+    const left = c.dim(
+      `${marker} ${paddedName}${runnerSuffix}${formatNum(null)}${formatNum(null)}${formatNum(null)}${formatNum(null)}${formatNum(null)}${formatNum(null)}`,
+    );
+    const cov = covEnabled ? formatPendingCov() : formatOffCov();
+    const dur = c.dim('queued'.padStart(DUR_SECTION_WIDTH));
+    return `${left} ${sep} ${cov} ${sep} ${dur}`;
+  }
+
   if (state.status === 'running') {
     const frame = spinnerFrames[spinnerIdx % spinnerFrames.length];
     const { passStr, skipStr, failStr } = formatColoredColumns(state.passed, state.skipped, state.failed);
-    const left = `${name}${c.dim(`${formatNum(null)}${formatNum(null)}`)}${passStr}${skipStr}${failStr}`;
+    const flakyStr = formatFlakyColumn(state.flaky);
+    const left = `${name}${c.dim(`${formatNum(null)}${formatNum(null)}`)}${passStr}${skipStr}${failStr}${flakyStr}`;
     const cov = covEnabled ? formatPendingCov() : formatOffCov();
     const dur = c.dim(('  ' + frame).padStart(DUR_SECTION_WIDTH));
     return `${left} ${sep} ${cov} ${sep} ${dur}`;
   }
 
+  // Timed out or killed with x — counts streamed before the kill
+  if (state.status === 'timed-out' || state.status === 'killed') {
+    const { passStr, skipStr, failStr } = formatColoredColumns(state.passed, state.skipped, state.failed);
+    const flakyStr = formatFlakyColumn(state.flaky);
+    const left = `${name}${c.dim(`${formatNum(null)}${formatNum(null)}`)}${passStr}${skipStr}${failStr}${flakyStr}`;
+    const cov = covEnabled ? formatPendingCov() : formatOffCov();
+    const label = state.status === 'timed-out' ? 'timed out' : 'killed';
+    const dur = c.red(label.padStart(DUR_SECTION_WIDTH));
+    return `${left} ${sep} ${cov} ${sep} ${dur}`;
+  }
+
+  // Exited non-zero without any results — reason after the row
+  if (state.status === 'errored') {
+    const left = `${name}${c.dim(`${formatNum(null)}${formatNum(null)}${formatNum(null)}${formatNum(null)}${formatNum(null)}${formatNum(null)}`)}`;
+    const cov = covEnabled ? formatPendingCov() : formatOffCov();
+    const row = `${left} ${sep} ${cov} ${sep} ${formatErroredLabel(DUR_SECTION_WIDTH)}`;
+    return `${row}${formatErrorReason(state, row)}`;
+  }
+
   // Done
   const { passStr, skipStr, failStr } = formatColoredColumns(state.passed, state.skipped, state.failed);
-  const left = `${name}${c.dim(`${formatNum(state.files)}${formatNum(state.tests)}`)}${passStr}${skipStr}${failStr}`;
+  const flakyStr = formatFlakyColumn(state.flaky);
+  const left = `${name}${c.dim(`${formatNum(state.files)}${formatNum(state.tests)}`)}${passStr}${skipStr}${failStr}${flakyStr}`;
   const cov = covEnabled ? formatCoverageCols(state.coverage) : formatOffCov();
   const dur = c.dim(formatDuration(state.duration));
-  return `${left} ${sep} ${cov} ${sep} ${dur}`;
+  return `${left} ${sep} ${cov} ${sep} ${dur}${formatCoverageFailed(state)}`;
 }
 
 /**
@@ -179,6 +237,16 @@ function centerInCols(label, width) {
   return `${' '.repeat(padLeft)}${label}${' '.repeat(padRight)}`;
 }
 
+/**
+ * Shorten text to a maximum width, ending with an ellipsis when cut.
+ * @param {string} text
+ * @param {number} width
+ * @returns {string}
+ */
+function truncate(text, width) {
+  return text.length > width ? `${text.slice(0, width - 1)}…` : text;
+}
+
 /**
  * Format coverage columns as 'off' — centered across the 3-column span.
  */
@@ -190,7 +258,7 @@ function formatOffCov() {
  * Render the totals row.
  */
 function renderSummaryTotals(states, coverageFlags, nameWidth) {
-  const totals = { files: 0, tests: 0, passed: 0, skipped: 0, failed: 0, duration: 0 };
+  const totals = { files: 0, tests: 0, passed: 0, skipped: 0, failed: 0, flaky: 0, duration: 0 };
   let hasAnyDone = false;
 
   const covTotals = { linesSum: 0, linesCount: 0, branchesSum: 0, branchesCount: 0, functionsSum: 0, functionsCount: 0 };
@@ -200,6 +268,7 @@ function renderSummaryTotals(states, coverageFlags, nameWidth) {
     totals.passed += state.passed || 0;
     totals.skipped += state.skipped || 0;
     totals.failed += state.failed || 0;
+    totals.flaky += state.flaky || 0;
 
     if (state.status === 'done') {
       hasAnyDone = true;
@@ -235,7 +304,8 @@ function renderSummaryTotals(states, coverageFlags, nameWidth) {
   const filesStr = hasAnyDone ? formatNum(totals.files) : formatNum(null);
   const testsStr = hasAnyDone ? formatNum(totals.tests) : formatNum(null);
   const { passStr, skipStr, failStr } = formatColoredColumns(totals.passed, totals.skipped, totals.failed, true);
-  const left = `    ${c.bold('Total'.padEnd(nameWidth))}${filesStr}${testsStr}${passStr}${skipStr}${failStr}`;
+  const flakyStr = formatFlakyColumn(totals.flaky, true);
+  const left = `    ${c.bold('Total'.padEnd(nameWidth))}${filesStr}${testsStr}${passStr}${skipStr}${failStr}${flakyStr}`;
 
   let covText;
   if (covTotals.linesCount > 0 || covTotals.branchesCount > 0 || covTotals.functionsCount > 0) {
@@ -276,6 +346,12 @@ function renderSummaryTotals(states, coverageFlags, nameWidth) {
 
   const dur = hasAnyDone ? c.dim(formatDuration(totals.duration)) : c.dim(formatDuration(null));
   const sep = c.dim('│');
-
-  return `${left} ${sep} ${covText} ${sep} ${dur}`;
+  const errored = Object.values(states).filter((state) => state.status === 'errored').length;
+  const coverageFailed = Object.values(states).filter((state) => state.coverageViolations).length;
+  const suffix = [
+    errored > 0 ? `  ${c.red(`${errored} errored`)}` : '',
+    coverageFailed > 0 ? `  ${c.red(`${coverageFailed} coverage failed`)}` : '',
+  ].join('');
+
+  return `${left} ${sep} ${covText} ${sep} ${dur}${suffix}`;
 }
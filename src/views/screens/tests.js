@@ -53,6 +53,10 @@ export function buildTestRows(testResults) {
       } else if (test.status === 'failed') {
         icon = c.red('✗');
         nameText = c.red(test.name);
+      } else if (test.status === 'flaky') {
+        // Failed, then passed on a retry
+        icon = c.magenta('↻');
+        nameText = c.magenta(test.name);
       } else {
         icon = c.dim(c.yellow('⊘'));
         nameText = c.dim(c.yellow(test.name));
@@ -118,11 +122,16 @@ export function renderTestsScreen({ pkg, state, testsState, cursorDimmed, covera
   const selectableIndices = getSelectableIndices(testRows);
 
   if (testRows.length === 0) {
-    // No results yet
+    // No results yet, or the last run wrote no JUnit report
+    const message = state.status === 'errored'
+      ? `  No test results: the last run errored (${state.errorReason}). Press r to rerun.`
+      : state.status === 'done'
+        ? '  No test results: the last run wrote no JUnit report. Press r to rerun.'
+        : '  No test results available. Press r to run tests.';
     for (let i = 0; i < contentRows; i++) {
       process.stdout.write(term.clearLine);
       if (i === 0) {
-        console.log(c.dim('  No test results available. Press r to run tests.'));
+        console.log(c.dim(message));
       } else {
         console.log('');
       }